@@ -8,10 +8,10 @@ const JWT_SECRET = new TextEncoder().encode(
 );
 
 // Rute yang memerlukan autentikasi
-const PROTECTED_ROUTES = ['/chat', '/profile', '/settings', '/api/chat'];
+const PROTECTED_ROUTES = ['/chat', '/profile', '/settings', '/api/chat', '/api/conversations'];
 
 // Rute publik yang tidak perlu redirect (login, register, dll)
-const PUBLIC_AUTH_ROUTES = ['/login', '/register', '/forgot-password'];
+const PUBLIC_AUTH_ROUTES = ['/login', '/register', '/forgot-password', '/reset-password', '/verify-email'];
 
 /**
  * Extract and verify JWT token from various sources
@@ -43,7 +43,8 @@ async function getTokenPayload(request) {
   // Verify token using jose
   try {
     const { payload } = await jwtVerify(token, JWT_SECRET);
-    return payload;
+    // Token aksi dari email (mis. reset password) memakai key yang sama tapi bukan token login
+    return payload.purpose || !payload.id ? null : payload;
   } catch (error) {
     console.error('Token verification failed:', error.message);
     return null;
@@ -106,6 +107,7 @@ export const config = {
     '/profile/:path*', 
     '/settings/:path*',
     '/api/chat/:path*',
+    '/api/conversations/:path*',
     
     // Exclude static files and api routes that don't need protection
     '/((?!_next/static|_next/image|favicon.ico|api/auth).*)',
@@ -0,0 +1,78 @@
+// src/app/api/auth/forgot-password/route.js
+import { NextResponse } from 'next/server';
+import { requestPasswordReset } from '@/lib/passwordReset';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Jawaban yang sama untuk email terdaftar maupun tidak, agar daftar akun tidak bocor
+const GENERIC_MESSAGE = 'Jika email tersebut terdaftar, link untuk reset password sudah dikirim';
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Validasi format email
+ */
+function isValidEmail(email) {
+  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+  return emailRegex.test(email);
+}
+
+/**
+ * POST handler - kirim link reset password ke email
+ * Body: {email}
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+  if (!email || !isValidEmail(email)) {
+    return NextResponse.json(
+      { success: false, message: 'Alamat email tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  try {
+    // Link selalu mengarah ke APP_URL, tidak pernah ke host dari request ini
+    await requestPasswordReset(email);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    return NextResponse.json(
+      { success: false, message: 'Gagal mengirim email reset password', code: 'internal_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+
+  return NextResponse.json(
+    { success: true, message: GENERIC_MESSAGE },
+    { headers: corsHeaders }
+  );
+}
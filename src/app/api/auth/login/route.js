@@ -6,8 +6,8 @@ import { SignJWT } from 'jose'; // Ganti jsonwebtoken dengan jose
 // Secret key untuk JWT - gunakan .env di aplikasi nyata
 const JWT_SECRET = process.env.JWT_SECRET || 'ai-peter-secret-key-change-this';
 
-// Edge Runtime compatibility
-export const runtime = 'edge';
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
 
 // CORS headers
 const corsHeaders = {
@@ -76,6 +76,18 @@ export async function POST(request) {
       user = await verifyCredentials(normalizedEmail, password);
       console.log('Verification result:', user ? 'User found' : 'Authentication failed');
     } catch (verifyError) {
+      // Password benar tapi email belum diverifikasi; halaman login menawarkan kirim ulang link
+      if (verifyError.code === 'email_not_verified') {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Email belum diverifikasi. Buka link verifikasi yang dikirim ke email Anda.',
+            code: 'email_not_verified'
+          },
+          { status: 403, headers: corsHeaders }
+        );
+      }
+      
       console.error('Error verifying credentials:', verifyError);
       return NextResponse.json(
         { success: false, message: 'Gagal memverifikasi kredensial' },
@@ -2,13 +2,13 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import { jwtVerify, SignJWT } from 'jose';
-import { getUserById, debugDumpUsers, getUserByEmail } from '@/lib/db';
+import { getUserById, debugDumpUsers, getUserByEmail, isEmailVerificationRequired } from '@/lib/db';
 
 // Prevent caching for this route
 export const dynamic = 'force-dynamic';
 
-// Edge Runtime compatibility
-export const runtime = 'edge';
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
 
 // Secret key untuk JWT - gunakan .env di aplikasi nyata
 const JWT_SECRET = process.env.JWT_SECRET || 'ai-peter-secret-key-change-this';
@@ -109,6 +109,10 @@ export async function GET(request) {
       );
       payload = verifiedPayload;
       console.log('Token verified successfully, payload:', payload);
+      // Token aksi dari email (mis. reset password) memakai key yang sama tapi bukan token login
+      if (payload.purpose || !payload.id) {
+        throw new Error('not a login token');
+      }
     } catch (verifyError) {
       console.error('Token verification failed:', verifyError.message);
       
@@ -171,8 +175,9 @@ export async function GET(request) {
     }
     
     // Check if account is disabled (if your user model has this field)
-    if (user.status === 'disabled' || user.status === 'suspended') {
-      console.log('Account is disabled/suspended:', user.id);
+    const unverified = user.status === 'pending_verification' && isEmailVerificationRequired();
+    if (user.status === 'disabled' || user.status === 'suspended' || unverified) {
+      console.log('Account is disabled/suspended/unverified:', user.id);
       return NextResponse.json(
         { success: false, message: 'Akun tidak aktif', code: 'account_inactive' },
         { status: 403, headers: corsHeaders }
@@ -1,16 +1,16 @@
 // src/app/api/auth/register/route.js
 import { NextResponse } from 'next/server';
 import { createUser, getUserByEmail } from '@/lib/db';
+import { sendVerificationEmail } from '@/lib/emailVerification';
 import { SignJWT } from 'jose'; // Import jose untuk JWT
-import { cookies } from 'next/headers';
 
 // Secret key untuk JWT - gunakan .env di aplikasi nyata
 const JWT_SECRET = process.env.JWT_SECRET || 'ai-peter-secret-key-change-this';
 // Siapkan secret key dalam format yang diperlukan jose
 const getSecretKey = () => new TextEncoder().encode(JWT_SECRET);
 
-// Edge Runtime compatibility
-export const runtime = 'edge';
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
 
 // CORS headers
 const corsHeaders = {
@@ -19,6 +19,80 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
+/**
+ * Buat response pendaftaran dengan token login untuk akun yang langsung aktif
+ * @param {Object} user - User baru (tanpa password)
+ * @returns {Promise<NextResponse>} Response dengan token dan cookie
+ */
+async function signIn(user) {
+  // Buat JWT token menggunakan jose
+  let token;
+  try {
+    token = await new SignJWT({ 
+      id: user.id, 
+      email: user.email,
+      name: user.name,
+      // Tambahkan waktu saat token dibuat
+      iat: Math.floor(Date.now() / 1000)
+    })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime('7d') // Token berlaku 7 hari
+    .sign(getSecretKey());
+  } catch (jwtError) {
+    console.error('Error signing JWT:', jwtError);
+    return NextResponse.json(
+      { success: false, message: 'Gagal membuat token otentikasi' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+  
+  // Buat response dengan cookie dan CORS headers
+  const response = NextResponse.json(
+    { 
+      success: true, 
+      message: 'Pendaftaran berhasil',
+      requiresVerification: false,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email
+      },
+      token // Kirim token untuk client-side storage
+    },
+    { status: 201, headers: corsHeaders }
+  );
+  
+  // Set token ke cookie
+  try {
+    response.cookies.set({
+      name: 'auth-token',
+      value: token,
+      httpOnly: true,
+      maxAge: 60 * 60 * 24 * 7, // 7 hari
+      path: '/',
+      secure: process.env.NODE_ENV === 'production', // Hanya HTTPS di production
+      sameSite: 'lax'
+    });
+    
+    // Cookie tambahan untuk frontend yang non-httpOnly (opsional)
+    response.cookies.set({
+      name: 'user-logged-in',
+      value: 'true',
+      httpOnly: false, // Dapat diakses oleh JavaScript
+      maxAge: 60 * 60 * 24 * 7, // 7 hari
+      path: '/',
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax'
+    });
+  } catch (cookieError) {
+    console.error('Error setting cookie:', cookieError);
+    // Masih lanjutkan karena token sudah dikirim di body response
+  }
+  
+  return response;
+}
+
 /**
  * Handler OPTIONS untuk CORS preflight requests
  */
@@ -113,6 +187,15 @@ export async function POST(request) {
       });
     } catch (createError) {
       console.error('Create user error:', createError);
+      
+      // Registered by a concurrent request after the check above
+      if (createError.code === 'email_taken') {
+        return NextResponse.json(
+          { success: false, message: 'Email sudah terdaftar' },
+          { status: 409, headers: corsHeaders }
+        );
+      }
+      
       return NextResponse.json(
         { success: false, message: 'Gagal membuat pengguna baru' },
         { status: 500, headers: corsHeaders }
@@ -126,71 +209,37 @@ export async function POST(request) {
       );
     }
     
-    // Buat JWT token menggunakan jose
-    let token;
+    // Tanpa verifikasi email (lihat isEmailVerificationRequired di lib/db) akun langsung aktif dan login
+    if (user.status === 'active') {
+      return signIn(user);
+    }
+    
+    // Akun baru belum aktif sampai email diverifikasi, jadi belum ada token login
+    let verificationSent = false;
     try {
-      token = await new SignJWT({ 
-        id: user.id, 
-        email: user.email,
-        name: user.name,
-        // Tambahkan waktu saat token dibuat
-        iat: Math.floor(Date.now() / 1000)
-      })
-      .setProtectedHeader({ alg: 'HS256' })
-      .setIssuedAt()
-      .setExpirationTime('7d') // Token berlaku 7 hari
-      .sign(getSecretKey());
-    } catch (jwtError) {
-      console.error('Error signing JWT:', jwtError);
-      return NextResponse.json(
-        { success: false, message: 'Gagal membuat token otentikasi' },
-        { status: 500, headers: corsHeaders }
-      );
+      // Link selalu mengarah ke APP_URL, tidak pernah ke host dari request ini
+      verificationSent = await sendVerificationEmail(user.email);
+    } catch (mailError) {
+      // Akun tetap dibuat; pengguna bisa meminta link baru dari halaman verifikasi
+      console.error('Error sending verification email:', mailError);
     }
     
-    // Buat response dengan cookie dan CORS headers
-    const response = NextResponse.json(
+    return NextResponse.json(
       { 
         success: true, 
-        message: 'Pendaftaran berhasil',
+        message: verificationSent
+          ? 'Pendaftaran berhasil. Cek email Anda untuk memverifikasi akun.'
+          : 'Pendaftaran berhasil, tetapi email verifikasi gagal dikirim. Silakan kirim ulang.',
+        requiresVerification: true,
+        verificationSent,
         user: {
           id: user.id,
           name: user.name,
           email: user.email
-        },
-        token // Kirim token untuk client-side storage
+        }
       },
       { status: 201, headers: corsHeaders }
     );
-    
-    // Set token ke cookie
-    try {
-      response.cookies.set({
-        name: 'auth-token',
-        value: token,
-        httpOnly: true,
-        maxAge: 60 * 60 * 24 * 7, // 7 hari
-        path: '/',
-        secure: process.env.NODE_ENV === 'production', // Hanya HTTPS di production
-        sameSite: 'lax'
-      });
-      
-      // Cookie tambahan untuk frontend yang non-httpOnly (opsional)
-      response.cookies.set({
-        name: 'user-logged-in',
-        value: 'true',
-        httpOnly: false, // Dapat diakses oleh JavaScript
-        maxAge: 60 * 60 * 24 * 7, // 7 hari
-        path: '/',
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax'
-      });
-    } catch (cookieError) {
-      console.error('Error setting cookie:', cookieError);
-      // Masih lanjutkan karena token sudah dikirim di body response
-    }
-    
-    return response;
   } catch (error) {
     console.error('Registration error:', error);
     return NextResponse.json(
@@ -0,0 +1,78 @@
+// src/app/api/auth/resend-verification/route.js
+import { NextResponse } from 'next/server';
+import { sendVerificationEmail } from '@/lib/emailVerification';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Jawaban yang sama untuk email terdaftar maupun tidak, agar daftar akun tidak bocor
+const GENERIC_MESSAGE = 'Jika email tersebut terdaftar dan belum diverifikasi, link verifikasi baru sudah dikirim';
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Validasi format email
+ */
+function isValidEmail(email) {
+  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+  return emailRegex.test(email);
+}
+
+/**
+ * POST handler - kirim ulang link verifikasi email
+ * Body: {email}
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+  if (!email || !isValidEmail(email)) {
+    return NextResponse.json(
+      { success: false, message: 'Alamat email tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  try {
+    // Link selalu mengarah ke APP_URL, tidak pernah ke host dari request ini
+    await sendVerificationEmail(email);
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    return NextResponse.json(
+      { success: false, message: 'Gagal mengirim email verifikasi', code: 'internal_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+
+  return NextResponse.json(
+    { success: true, message: GENERIC_MESSAGE },
+    { headers: corsHeaders }
+  );
+}
@@ -0,0 +1,73 @@
+// src/app/api/auth/reset-password/route.js
+import { NextResponse } from 'next/server';
+import { confirmPasswordReset } from '@/lib/passwordReset';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * POST handler - simpan password baru dengan token dari link reset
+ * Body: {token, password}
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  const { token, password } = body || {};
+
+  if (typeof password !== 'string' || password.length < 6) {
+    return NextResponse.json(
+      { success: false, message: 'Password minimal 6 karakter', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  try {
+    await confirmPasswordReset(token, password);
+  } catch (error) {
+    if (error.code === 'invalid_token') {
+      return NextResponse.json(
+        { success: false, message: error.message, code: 'invalid_token' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    console.error('Error resetting password:', error);
+    return NextResponse.json(
+      { success: false, message: 'Gagal menyimpan password baru', code: 'internal_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+
+  return NextResponse.json(
+    { success: true, message: 'Password berhasil diubah. Silakan login dengan password baru.' },
+    { headers: corsHeaders }
+  );
+}
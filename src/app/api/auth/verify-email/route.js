@@ -0,0 +1,69 @@
+// src/app/api/auth/verify-email/route.js
+import { NextResponse } from 'next/server';
+import { confirmEmailVerification } from '@/lib/emailVerification';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the user store may read and write files (see lib/userStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * POST handler - aktifkan akun dengan token dari link verifikasi
+ * Body: {token}
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  let user;
+  try {
+    user = await confirmEmailVerification(body?.token);
+  } catch (error) {
+    if (error.code === 'invalid_token') {
+      return NextResponse.json(
+        { success: false, message: error.message, code: 'invalid_token' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    console.error('Error verifying email:', error);
+    return NextResponse.json(
+      { success: false, message: 'Gagal memverifikasi email', code: 'internal_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      message: 'Email berhasil diverifikasi. Silakan login.',
+      email: user.email
+    },
+    { headers: corsHeaders }
+  );
+}
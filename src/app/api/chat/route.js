@@ -0,0 +1,292 @@
+// src/app/api/chat/route.js
+import { NextResponse } from 'next/server';
+import { getTokenPayload } from '@/lib/auth';
+import { getProviderChain, completeWithFailover, streamWithFailover } from '@/lib/providers';
+import { fitContextWindow } from '@/lib/context';
+import { consumeRateLimit, refundRateLimit, getUsage, rateLimitHeaders } from '@/lib/rateLimit';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Edge Runtime compatibility
+export const runtime = 'edge';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining',
+};
+
+// Pesan untuk setiap jenis pembatasan
+const RATE_LIMIT_MESSAGES = {
+  too_many_requests: 'Terlalu banyak permintaan, coba lagi sebentar',
+  quota_exceeded: 'Kuota pesan harian sudah habis'
+};
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Map a provider error code to an HTTP status for the client
+ * @param {Error} error - Error thrown by a provider adapter
+ * @returns {number} HTTP status code
+ */
+function statusForProviderError(error) {
+  if (error.code === 'timeout') return 504;
+  // Upstream throttling is our capacity problem, not the user's request rate
+  if (error.code === 'rate_limited') return 503;
+  return 502;
+}
+
+/**
+ * Stream a provider reply as Server-Sent Events
+ * Emits `delta` events with content chunks, then a single `done` event
+ * carrying the normalized message, or an `error` event if every provider fails.
+ * A failed reply does not count against the user's limits.
+ * @param {Array<Object>} chain - Provider adapters in order of preference
+ * @param {Array} history - Trimmed conversation history
+ * @param {string} userId - User the request was counted for
+ * @param {Object} usage - Rate limit usage after this request
+ * @returns {Response} text/event-stream response
+ */
+function streamReply(chain, history, userId, usage) {
+  const encoder = new TextEncoder();
+  const send = (controller, event) => {
+    controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+  };
+
+  // Set when the client disconnects or stops generation
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      let content = '';
+      let provider = chain[0];
+
+      try {
+        const deltas = streamWithFailover(chain, { messages: history }, {
+          onProvider: (answeringProvider) => {
+            provider = answeringProvider;
+          }
+        });
+
+        for await (const delta of deltas) {
+          // Leaving the loop closes the upstream stream as well
+          if (cancelled) return;
+
+          content += delta;
+          send(controller, { type: 'delta', content: delta });
+        }
+
+        send(controller, {
+          type: 'done',
+          message: {
+            role: 'assistant',
+            content,
+            provider: provider.name,
+            model: provider.model || null
+          },
+          usage
+        });
+      } catch (providerError) {
+        if (cancelled) return;
+
+        console.error('AI provider stream error:', providerError);
+        send(controller, {
+          type: 'error',
+          message: 'Gagal mendapatkan respons dari AI',
+          code: providerError.code || 'upstream_error',
+          // Tidak ada balasan, jadi permintaan ini tidak dihitung
+          usage: refundRateLimit(userId)
+        });
+      } finally {
+        if (!cancelled) controller.close();
+      }
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store, no-transform',
+      'Connection': 'keep-alive',
+      ...rateLimitHeaders(usage),
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Sisa kuota chat untuk user yang sedang login
+ * Lives next to POST so both share the same in-memory limiter state.
+ */
+export async function GET(request) {
+  const payload = await getTokenPayload(request);
+
+  if (!payload) {
+    return NextResponse.json(
+      { success: false, message: 'Tidak terautentikasi', code: 'unauthorized' },
+      { status: 401, headers: corsHeaders }
+    );
+  }
+
+  const usage = getUsage(payload.id || payload.email);
+
+  return NextResponse.json({ success: true, usage }, {
+    headers: {
+      'Cache-Control': 'no-store',
+      ...rateLimitHeaders(usage),
+      ...corsHeaders
+    }
+  });
+}
+
+export async function POST(request) {
+  try {
+    // Verifikasi token - middleware juga menjaga rute ini, tapi jangan bergantung padanya
+    const payload = await getTokenPayload(request);
+
+    if (!payload) {
+      return NextResponse.json(
+        { success: false, message: 'Tidak terautentikasi', code: 'unauthorized' },
+        { status: 401, headers: corsHeaders }
+      );
+    }
+
+    // Parse request dengan error handling
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      console.error('Error parsing chat request:', parseError);
+      return NextResponse.json(
+        { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const { messages, system, stream = false } = body || {};
+
+    // System prompt persona selalu ditaruh paling depan
+    const conversation = Array.isArray(messages) ? messages : [];
+    const withSystem = typeof system === 'string' && system.trim()
+      ? [{ role: 'system', content: system.trim() }, ...conversation.filter(msg => msg?.role !== 'system')]
+      : conversation;
+
+    // Pangkas riwayat agar muat dalam batas konteks
+    let history;
+    try {
+      history = fitContextWindow(withSystem);
+    } catch (contextError) {
+      if (contextError.code !== 'context_too_small') throw contextError;
+
+      // Prompt sistem saja sudah melebihi AI_CONTEXT_MAX_TOKENS, pesan user tidak bisa ikut
+      console.warn('Chat context too small:', contextError.message);
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Prompt sistem persona terlalu panjang untuk batas konteks. Perpendek prompt persona atau naikkan AI_CONTEXT_MAX_TOKENS.',
+          code: 'context_too_small'
+        },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+    const lastMessage = history[history.length - 1];
+
+    if (!lastMessage || lastMessage.role !== 'user' || !lastMessage.content.trim()) {
+      return NextResponse.json(
+        { success: false, message: 'Pesan tidak boleh kosong', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    // Batasi jumlah permintaan per user (per menit dan per hari)
+    // Dihitung sebelum memanggil AI, dan dikembalikan jika AI gagal menjawab
+    const userId = payload.id || payload.email;
+    const rateLimit = consumeRateLimit(userId);
+
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: RATE_LIMIT_MESSAGES[rateLimit.code],
+          code: rateLimit.code,
+          retryAfter: rateLimit.retryAfter,
+          usage: rateLimit.usage
+        },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': `${rateLimit.retryAfter}`,
+            ...rateLimitHeaders(rateLimit.usage),
+            ...corsHeaders
+          }
+        }
+      );
+    }
+
+    // Teruskan ke provider AI yang dikonfigurasi
+    let reply;
+    try {
+      // Provider utama, lalu cadangan jika dikonfigurasi
+      const chain = getProviderChain();
+
+      // Streaming: kirim token satu per satu lewat SSE
+      if (stream) {
+        return streamReply(chain, history, userId, rateLimit.usage);
+      }
+
+      reply = await completeWithFailover(chain, { messages: history });
+    } catch (providerError) {
+      console.error('AI provider error:', providerError);
+      // Tidak ada balasan, jadi permintaan ini tidak dihitung
+      const usage = refundRateLimit(userId);
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Gagal mendapatkan respons dari AI',
+          code: providerError.code || 'upstream_error',
+          usage
+        },
+        {
+          status: statusForProviderError(providerError),
+          headers: {
+            ...rateLimitHeaders(usage),
+            ...corsHeaders
+          }
+        }
+      );
+    }
+
+    // Normalized response for the chat clients
+    return NextResponse.json({
+      success: true,
+      message: reply,
+      usage: rateLimit.usage
+    }, {
+      headers: {
+        'Cache-Control': 'no-store',
+        ...rateLimitHeaders(rateLimit.usage),
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error('Chat API error:', error);
+    return NextResponse.json(
+      { success: false, message: 'Terjadi kesalahan pada server', code: 'server_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+}
@@ -0,0 +1,169 @@
+// src/app/api/chat/title/route.js
+import { NextResponse } from 'next/server';
+import { getTokenPayload } from '@/lib/auth';
+import { getProviderChain, completeWithFailover } from '@/lib/providers';
+import { toContextMessages } from '@/lib/context';
+import { consumeTitleRateLimit, rateLimitHeaders } from '@/lib/rateLimit';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Edge Runtime compatibility
+export const runtime = 'edge';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+// Judul dibuat dari awal percakapan saja, dan setiap pesan dipotong
+const MAX_TITLE_MESSAGES = 4;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_TITLE_LENGTH = 60;
+
+const TITLE_PROMPT = 'You name chat conversations. Reply with only a short descriptive title ' +
+  'of at most six words, in the language of the conversation. ' +
+  'Do not use quotes, emoji or a trailing period.';
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Turn the opening messages into a single prompt for the title model
+ * @param {Array} messages - Context messages {role, content}
+ * @returns {Array} Messages for the provider
+ */
+function buildTitleMessages(messages) {
+  const transcript = messages
+    .filter(msg => msg.role !== 'system')
+    .slice(0, MAX_TITLE_MESSAGES)
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content.slice(0, MAX_MESSAGE_LENGTH)}`)
+    .join('\n\n');
+
+  return [
+    { role: 'system', content: TITLE_PROMPT },
+    { role: 'user', content: `Conversation:\n\n${transcript}\n\nTitle:` }
+  ];
+}
+
+/**
+ * Clean up a model reply into a one-line title
+ * @param {string} content - Raw model reply
+ * @returns {string} Title, or an empty string if nothing usable was returned
+ */
+function cleanTitle(content) {
+  const firstLine = (content || '').trim().split('\n')[0];
+  const title = firstLine
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/^["'`*#\s]+|["'`*\s]+$/g, '')
+    .replace(/[.!]+$/, '')
+    .trim();
+
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH).trim()}...` : title;
+}
+
+/**
+ * Buat judul singkat untuk percakapan
+ * Tidak dihitung ke kuota pesan, tapi punya batas per user sendiri (lib/rateLimit).
+ */
+export async function POST(request) {
+  try {
+    const payload = await getTokenPayload(request);
+
+    if (!payload) {
+      return NextResponse.json(
+        { success: false, message: 'Tidak terautentikasi', code: 'unauthorized' },
+        { status: 401, headers: corsHeaders }
+      );
+    }
+
+    // Parse request dengan error handling
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      console.error('Error parsing title request:', parseError);
+      return NextResponse.json(
+        { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const messages = toContextMessages(body?.messages);
+
+    if (!messages.some(msg => msg.role === 'user')) {
+      return NextResponse.json(
+        { success: false, message: 'Percakapan belum berisi pesan', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    // Setiap judul memanggil model, jadi batasi per user sebelum memanggil provider
+    const rateLimit = consumeTitleRateLimit(payload.id || payload.email);
+
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Terlalu banyak permintaan judul, coba lagi nanti',
+          code: rateLimit.code,
+          retryAfter: rateLimit.retryAfter
+        },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': `${rateLimit.retryAfter}`,
+            ...rateLimitHeaders(rateLimit.usage),
+            ...corsHeaders
+          }
+        }
+      );
+    }
+
+    let reply;
+    try {
+      reply = await completeWithFailover(getProviderChain(), { messages: buildTitleMessages(messages) });
+    } catch (providerError) {
+      console.error('AI provider title error:', providerError);
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Gagal membuat judul percakapan',
+          code: providerError.code || 'upstream_error'
+        },
+        { status: 502, headers: corsHeaders }
+      );
+    }
+
+    const title = cleanTitle(reply.content);
+
+    if (!title) {
+      return NextResponse.json(
+        { success: false, message: 'AI tidak mengembalikan judul', code: 'invalid_response' },
+        { status: 502, headers: corsHeaders }
+      );
+    }
+
+    return NextResponse.json({ success: true, title }, {
+      headers: {
+        'Cache-Control': 'no-store',
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error('Title API error:', error);
+    return NextResponse.json(
+      { success: false, message: 'Terjadi kesalahan pada server', code: 'server_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+}
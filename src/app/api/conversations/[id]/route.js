@@ -0,0 +1,152 @@
+// src/app/api/conversations/[id]/route.js
+import { NextResponse } from 'next/server';
+import { getTokenPayload } from '@/lib/auth';
+import {
+  getConversation,
+  saveConversation,
+  deleteConversation,
+  isOversizedRequest,
+  SAVE_ERROR_STATUS
+} from '@/lib/conversationDb';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the conversation store may read and write files (see lib/conversationStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Response untuk body yang melebihi CONVERSATION_MAX_BYTES
+ */
+function payloadTooLarge() {
+  return NextResponse.json(
+    { success: false, message: 'Percakapan terlalu besar', code: 'payload_too_large' },
+    { status: 413, headers: corsHeaders }
+  );
+}
+
+/**
+ * Response untuk request tanpa token yang valid
+ */
+function unauthorized() {
+  return NextResponse.json(
+    { success: false, message: 'Tidak terautentikasi', code: 'unauthorized' },
+    { status: 401, headers: corsHeaders }
+  );
+}
+
+/**
+ * Response untuk percakapan yang tidak ditemukan
+ */
+function notFound() {
+  return NextResponse.json(
+    { success: false, message: 'Percakapan tidak ditemukan', code: 'not_found' },
+    { status: 404, headers: corsHeaders }
+  );
+}
+
+/**
+ * Response untuk kesalahan server
+ */
+function serverError(error) {
+  console.error('Conversation API error:', error);
+  return NextResponse.json(
+    { success: false, message: 'Terjadi kesalahan pada server', code: 'server_error' },
+    { status: 500, headers: corsHeaders }
+  );
+}
+
+/**
+ * Ambil satu percakapan
+ */
+export async function GET(request, { params }) {
+  try {
+    const payload = await getTokenPayload(request);
+    if (!payload) return unauthorized();
+
+    const conversation = await getConversation(payload.id, params.id);
+    if (!conversation) return notFound();
+
+    return NextResponse.json({ success: true, conversation }, {
+      headers: {
+        'Cache-Control': 'no-store',
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    return serverError(error);
+  }
+}
+
+/**
+ * Simpan (buat atau ganti) percakapan
+ */
+export async function PUT(request, { params }) {
+  try {
+    const payload = await getTokenPayload(request);
+    if (!payload) return unauthorized();
+
+    if (isOversizedRequest(request)) return payloadTooLarge();
+
+    // Parse request dengan error handling
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      console.error('Error parsing conversation request:', parseError);
+      return NextResponse.json(
+        { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    try {
+      const conversation = await saveConversation(payload.id, params.id, body);
+      return NextResponse.json({ success: true, conversation }, { headers: corsHeaders });
+    } catch (saveError) {
+      const status = SAVE_ERROR_STATUS[saveError.code];
+      if (!status) throw saveError;
+
+      return NextResponse.json(
+        { success: false, message: saveError.message, code: saveError.code },
+        { status, headers: corsHeaders }
+      );
+    }
+  } catch (error) {
+    return serverError(error);
+  }
+}
+
+/**
+ * Hapus percakapan
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const payload = await getTokenPayload(request);
+    if (!payload) return unauthorized();
+
+    const deleted = await deleteConversation(payload.id, params.id);
+    if (!deleted) return notFound();
+
+    return NextResponse.json({ success: true }, { headers: corsHeaders });
+  } catch (error) {
+    return serverError(error);
+  }
+}
@@ -0,0 +1,136 @@
+// src/app/api/conversations/route.js
+import { NextResponse } from 'next/server';
+import { v4 as uuidv4 } from 'uuid';
+import { getTokenPayload } from '@/lib/auth';
+import {
+  listConversations,
+  getConversation,
+  saveConversation,
+  isOversizedRequest,
+  SAVE_ERROR_STATUS
+} from '@/lib/conversationDb';
+
+// Prevent caching for this route
+export const dynamic = 'force-dynamic';
+
+// Node.js runtime: the conversation store may read and write files (see lib/conversationStore)
+export const runtime = 'nodejs';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Handler OPTIONS untuk CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: corsHeaders,
+  });
+}
+
+/**
+ * Response untuk body yang melebihi CONVERSATION_MAX_BYTES
+ */
+function payloadTooLarge() {
+  return NextResponse.json(
+    { success: false, message: 'Percakapan terlalu besar', code: 'payload_too_large' },
+    { status: 413, headers: corsHeaders }
+  );
+}
+
+/**
+ * Response untuk request tanpa token yang valid
+ */
+function unauthorized() {
+  return NextResponse.json(
+    { success: false, message: 'Tidak terautentikasi', code: 'unauthorized' },
+    { status: 401, headers: corsHeaders }
+  );
+}
+
+/**
+ * Daftar percakapan milik user
+ */
+export async function GET(request) {
+  try {
+    const payload = await getTokenPayload(request);
+    if (!payload) return unauthorized();
+
+    const conversations = await listConversations(payload.id);
+
+    return NextResponse.json({ success: true, conversations }, {
+      headers: {
+        'Cache-Control': 'no-store',
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error('List conversations error:', error);
+    return NextResponse.json(
+      { success: false, message: 'Terjadi kesalahan pada server', code: 'server_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+}
+
+/**
+ * Buat percakapan baru
+ */
+export async function POST(request) {
+  try {
+    const payload = await getTokenPayload(request);
+    if (!payload) return unauthorized();
+
+    if (isOversizedRequest(request)) return payloadTooLarge();
+
+    // Parse request dengan error handling
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      console.error('Error parsing conversation request:', parseError);
+      return NextResponse.json(
+        { success: false, message: 'Format permintaan tidak valid', code: 'invalid_request' },
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    // Klien boleh menentukan ID sendiri agar cache lokal tetap cocok
+    const conversationId = body?.id || uuidv4();
+
+    if (await getConversation(payload.id, conversationId)) {
+      return NextResponse.json(
+        { success: false, message: 'Percakapan sudah ada', code: 'conflict' },
+        { status: 409, headers: corsHeaders }
+      );
+    }
+
+    try {
+      const conversation = await saveConversation(payload.id, conversationId, body);
+
+      return NextResponse.json({ success: true, conversation }, {
+        status: 201,
+        headers: corsHeaders
+      });
+    } catch (saveError) {
+      const status = SAVE_ERROR_STATUS[saveError.code];
+      if (!status) throw saveError;
+
+      return NextResponse.json(
+        { success: false, message: saveError.message, code: saveError.code },
+        { status, headers: corsHeaders }
+      );
+    }
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    return NextResponse.json(
+      { success: false, message: 'Terjadi kesalahan pada server', code: 'server_error' },
+      { status: 500, headers: corsHeaders }
+    );
+  }
+}
@@ -0,0 +1,230 @@
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Link from 'next/link';
+import { FiMail, FiAlertCircle, FiArrowLeft, FiX } from 'react-icons/fi';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  // Particles animation
+  const totalParticles = 30;
+  const particles = Array.from({ length: totalParticles }).map((_, i) => ({
+    id: i,
+    size: Math.random() * 3 + 1,
+    x: Math.random() * 100,
+    y: Math.random() * 100,
+    duration: Math.random() * 20 + 10
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email.trim())) {
+      setError('Alamat email tidak valid');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: email.trim().toLowerCase() })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        setError(data.message || 'Gagal mengirim email reset password');
+        return;
+      }
+
+      setSentMessage(data.message);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError('Gagal terhubung ke server. Periksa koneksi internet Anda.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full flex flex-col items-center justify-center overflow-hidden bg-primary-900 relative p-6">
+      {/* Animated background particles */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute inset-0 bg-grid-pattern opacity-5"></div>
+
+        {particles.map((particle) => (
+          <motion.div
+            key={particle.id}
+            className="absolute rounded-full bg-accent/20"
+            style={{
+              width: particle.size,
+              height: particle.size,
+              left: `${particle.x}%`,
+              top: `${particle.y}%`,
+            }}
+            animate={{
+              y: [0, -500, 0],
+              opacity: [0, 0.8, 0],
+            }}
+            transition={{
+              duration: particle.duration,
+              repeat: Infinity,
+              repeatType: "loop",
+              ease: "linear",
+              delay: Math.random() * 20
+            }}
+          />
+        ))}
+      </div>
+
+      {/* Back to login link */}
+      <motion.div
+        initial={{ opacity: 0, x: -20 }}
+        animate={{ opacity: 1, x: 0 }}
+        transition={{ duration: 0.5 }}
+        className="absolute top-6 left-6"
+      >
+        <Link href="/login" className="flex items-center text-primary-300 hover:text-primary-200 gap-1 transition-colors">
+          <FiArrowLeft size={16} />
+          <span>Kembali ke login</span>
+        </Link>
+      </motion.div>
+
+      <div className="w-full max-w-md relative">
+        <AnimatePresence mode="wait">
+          {sentMessage ? (
+            <motion.div
+              key="sent"
+              initial={{ scale: 0, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              transition={{ duration: 0.5, type: "spring" }}
+              className="flex flex-col items-center text-center"
+            >
+              <div className="w-20 h-20 rounded-full bg-accent/20 flex items-center justify-center mb-4">
+                <FiMail className="text-accent" size={36} />
+              </div>
+              <h2 className="text-2xl font-bold text-primary-50 mb-2">Cek email Anda</h2>
+              <p className="text-primary-300 mb-6">{sentMessage}. Link berlaku selama 60 menit.</p>
+              <Link href="/login" className="text-accent hover:text-accent-light font-medium transition-colors">
+                Kembali ke login
+              </Link>
+            </motion.div>
+          ) : (
+            <motion.div
+              key="form"
+              initial={{ y: 20, opacity: 0 }}
+              animate={{ y: 0, opacity: 1 }}
+              transition={{ duration: 0.5 }}
+            >
+              {/* Header */}
+              <div className="text-center mb-8">
+                <h1 className="text-3xl font-bold text-primary-50 mb-2">Lupa Password</h1>
+                <p className="text-primary-300">
+                  Masukkan email akun Anda dan kami akan mengirim link untuk membuat password baru
+                </p>
+              </div>
+
+              {/* Form */}
+              <motion.div
+                initial={{ y: 20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.2, duration: 0.5 }}
+                className="bg-primary-800/40 backdrop-blur-sm border border-primary-700/50 rounded-xl p-6 shadow-xl"
+              >
+                {error && (
+                  <motion.div
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.3 }}
+                    className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-lg flex items-center text-red-300 text-sm"
+                  >
+                    <FiAlertCircle className="flex-shrink-0 mr-2" size={18} />
+                    <span>{error}</span>
+                    <button
+                      onClick={() => setError('')}
+                      className="ml-auto text-red-300 hover:text-red-200"
+                    >
+                      <FiX size={16} />
+                    </button>
+                  </motion.div>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                  <div className="space-y-5">
+                    {/* Email Field */}
+                    <div>
+                      <label htmlFor="email" className="block text-sm font-medium text-primary-200 mb-1">
+                        Alamat Email
+                      </label>
+                      <div className="relative">
+                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                          <FiMail className="text-primary-400" size={18} />
+                        </div>
+                        <input
+                          id="email"
+                          type="email"
+                          value={email}
+                          onChange={(e) => setEmail(e.target.value)}
+                          className="block w-full bg-primary-700/40 border border-primary-600 rounded-lg py-3 pl-10 pr-3 text-primary-100 placeholder-primary-400 focus:outline-none focus:ring-2 focus:ring-accent/50 focus:border-accent/50 transition-all"
+                          placeholder="email@example.com"
+                          autoFocus
+                          required
+                        />
+                      </div>
+                    </div>
+
+                    {/* Submit Button */}
+                    <div className="pt-2">
+                      <motion.button
+                        type="submit"
+                        disabled={isLoading}
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-base font-medium text-white bg-accent hover:bg-accent-light focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent transition-all
+                        ${isLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
+                      >
+                        {isLoading ? (
+                          <>
+                            <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                            </svg>
+                            Processing...
+                          </>
+                        ) : 'Kirim Link Reset'}
+                      </motion.button>
+                    </div>
+                  </div>
+                </form>
+              </motion.div>
+
+              {/* Login link */}
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ delay: 0.4, duration: 0.5 }}
+                className="mt-6 text-center"
+              >
+                <p className="text-primary-300">
+                  Sudah ingat password?{' '}
+                  <Link href="/login" className="text-accent hover:text-accent-light font-medium transition-colors">
+                    Login
+                  </Link>
+                </p>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+}
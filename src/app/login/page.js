@@ -16,6 +16,8 @@ export default function LoginPage() {
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
+  // Email of an account that still has to be verified, to offer a new link
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [loginSuccess, setLoginSuccess] = useState(false);
   const [rememberMe, setRememberMe] = useState(false);
@@ -97,7 +99,9 @@ export default function LoginPage() {
           details: data?.details || 'No additional details'
         });
         
-        throw new Error(errorMessage);
+        const apiError = new Error(errorMessage);
+        apiError.code = data?.code;
+        throw apiError;
       }
       
       // Jika berhasil dan ingin mengingat user, simpan token
@@ -148,6 +152,7 @@ export default function LoginPage() {
       return { 
         success: false, 
         error: error.message || errorMessage,
+        code: error.code,
         details: error.details || null
       };
     }
@@ -156,6 +161,7 @@ export default function LoginPage() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setUnverifiedEmail('');
     
     // Basic validation
     if (!email || !password) {
@@ -199,6 +205,9 @@ export default function LoginPage() {
       
       if (!result.success) {
         setError(result.error || 'Email atau password salah');
+        if (result.code === 'email_not_verified') {
+          setUnverifiedEmail(credentials.email);
+        }
         setIsLoading(false);
         return;
       }
@@ -401,7 +410,17 @@ export default function LoginPage() {
                       className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-lg flex items-center text-red-300 text-sm"
                     >
                       <FiAlertCircle className="flex-shrink-0 mr-2" size={18} />
-                      <span>{error}</span>
+                      <span>
+                        {error}
+                        {unverifiedEmail && (
+                          <Link
+                            href={`/verify-email?email=${encodeURIComponent(unverifiedEmail)}`}
+                            className="block mt-1 text-accent hover:text-accent-light font-medium transition-colors"
+                          >
+                            Kirim ulang email verifikasi
+                          </Link>
+                        )}
+                      </span>
                       <button 
                         onClick={() => setError('')}
                         className="ml-auto text-red-300 hover:text-red-200"
@@ -440,9 +459,9 @@ export default function LoginPage() {
                           <label htmlFor="password" className="block text-sm font-medium text-primary-200">
                             Password
                           </label>
-                          <a href="#" className="text-xs text-accent hover:text-accent-light transition-colors">
+                          <Link href="/forgot-password" className="text-xs text-accent hover:text-accent-light transition-colors">
                             Lupa password?
-                          </a>
+                          </Link>
                         </div>
                         <div className="relative">
                           <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
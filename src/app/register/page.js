@@ -266,9 +266,14 @@ export default function RegisterPage() {
         timestamp: new Date().toISOString() 
       });
       
+      // Akun baru harus verifikasi email dulu sebelum bisa login
+      const requiresVerification = result.requiresVerification || result.data?.requiresVerification;
+      
       // Redirect setelah animasi sukses
       setTimeout(() => {
-        router.push('/chat');
+        router.push(requiresVerification
+          ? `/verify-email?email=${encodeURIComponent(userData.email)}`
+          : '/chat');
       }, 2000);
       
     } catch (err) {
@@ -383,7 +388,7 @@ export default function RegisterPage() {
                   </motion.div>
                 </motion.div>
                 <h2 className="text-2xl font-bold text-primary-50 mb-2">Pendaftaran Berhasil!</h2>
-                <p className="text-primary-300 text-center">Akun Anda telah dibuat. Mengalihkan ke halaman chat...</p>
+                <p className="text-primary-300 text-center">Akun Anda telah dibuat. Cek email Anda untuk mengaktifkan akun...</p>
                 
                 {/* Confetti effect */}
                 {Array.from({ length: 50 }).map((_, i) => (
@@ -0,0 +1,298 @@
+'use client';
+
+import { useState, Suspense } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { FiLock, FiEye, FiEyeOff, FiAlertCircle, FiArrowLeft, FiCheck, FiX } from 'react-icons/fi';
+
+function ResetPasswordForm() {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  // Link is used, replaced or expired; a new one has to be requested
+  const [isTokenInvalid, setIsTokenInvalid] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [resetSuccess, setResetSuccess] = useState(false);
+
+  const router = useRouter();
+  const token = useSearchParams().get('token');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('Password minimal 6 karakter');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Konfirmasi password tidak cocok');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        setIsTokenInvalid(data.code === 'invalid_token');
+        setError(data.message || 'Gagal menyimpan password baru');
+        setIsLoading(false);
+        return;
+      }
+
+      setResetSuccess(true);
+
+      // Redirect after success animation
+      setTimeout(() => {
+        router.push('/login');
+      }, 1800);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError('Gagal terhubung ke server. Periksa koneksi internet Anda.');
+      setIsLoading(false);
+    }
+  };
+
+  if (!token || isTokenInvalid) {
+    return (
+      <motion.div
+        initial={{ y: 20, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.5 }}
+        className="flex flex-col items-center text-center"
+      >
+        <div className="w-20 h-20 rounded-full bg-red-500/10 flex items-center justify-center mb-4">
+          <FiAlertCircle className="text-red-300" size={36} />
+        </div>
+        <h2 className="text-2xl font-bold text-primary-50 mb-2">Link tidak valid</h2>
+        <p className="text-primary-300 mb-6">
+          {error || 'Link reset password tidak lengkap.'} Minta link baru untuk melanjutkan.
+        </p>
+        <Link href="/forgot-password" className="text-accent hover:text-accent-light font-medium transition-colors">
+          Minta link baru
+        </Link>
+      </motion.div>
+    );
+  }
+
+  return (
+    <AnimatePresence>
+      {resetSuccess ? (
+        <motion.div
+          initial={{ scale: 0, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 1.5, opacity: 0 }}
+          transition={{ duration: 0.5, type: "spring" }}
+          className="mb-10 flex flex-col items-center"
+        >
+          <motion.div
+            initial={{ scale: 0 }}
+            animate={{ scale: [0, 1.2, 1] }}
+            transition={{ duration: 0.6, times: [0, 0.7, 1] }}
+            className="w-20 h-20 rounded-full bg-green-500/20 flex items-center justify-center mb-4"
+          >
+            <FiCheck className="text-green-500" size={40} />
+          </motion.div>
+          <h2 className="text-2xl font-bold text-primary-50 mb-2">Password Diubah!</h2>
+          <p className="text-primary-300 text-center">Mengalihkan ke halaman login...</p>
+        </motion.div>
+      ) : (
+        <motion.div
+          initial={{ y: 20, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          {/* Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-primary-50 mb-2">Password Baru</h1>
+            <p className="text-primary-300">
+              Buat password baru untuk akun AI Peter Anda
+            </p>
+          </div>
+
+          {/* Form */}
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.2, duration: 0.5 }}
+            className="bg-primary-800/40 backdrop-blur-sm border border-primary-700/50 rounded-xl p-6 shadow-xl"
+          >
+            {error && (
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.3 }}
+                className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-lg flex items-center text-red-300 text-sm"
+              >
+                <FiAlertCircle className="flex-shrink-0 mr-2" size={18} />
+                <span>{error}</span>
+                <button
+                  onClick={() => setError('')}
+                  className="ml-auto text-red-300 hover:text-red-200"
+                >
+                  <FiX size={16} />
+                </button>
+              </motion.div>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-5">
+                {/* Password Field */}
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-primary-200 mb-1">
+                    Password Baru
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FiLock className="text-primary-400" size={18} />
+                    </div>
+                    <input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="block w-full bg-primary-700/40 border border-primary-600 rounded-lg py-3 pl-10 pr-10 text-primary-100 placeholder-primary-400 focus:outline-none focus:ring-2 focus:ring-accent/50 focus:border-accent/50 transition-all"
+                      placeholder="••••••••"
+                      autoComplete="new-password"
+                      autoFocus
+                      required
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <FiEyeOff className="text-primary-400 hover:text-primary-200" size={18} />
+                      ) : (
+                        <FiEye className="text-primary-400 hover:text-primary-200" size={18} />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Confirm Password Field */}
+                <div>
+                  <label htmlFor="confirm-password" className="block text-sm font-medium text-primary-200 mb-1">
+                    Konfirmasi Password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FiLock className="text-primary-400" size={18} />
+                    </div>
+                    <input
+                      id="confirm-password"
+                      type={showPassword ? "text" : "password"}
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className="block w-full bg-primary-700/40 border border-primary-600 rounded-lg py-3 pl-10 pr-3 text-primary-100 placeholder-primary-400 focus:outline-none focus:ring-2 focus:ring-accent/50 focus:border-accent/50 transition-all"
+                      placeholder="••••••••"
+                      autoComplete="new-password"
+                      required
+                    />
+                  </div>
+                </div>
+
+                {/* Submit Button */}
+                <div className="pt-2">
+                  <motion.button
+                    type="submit"
+                    disabled={isLoading}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-base font-medium text-white bg-accent hover:bg-accent-light focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent transition-all
+                    ${isLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
+                  >
+                    {isLoading ? (
+                      <>
+                        <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Processing...
+                      </>
+                    ) : 'Simpan Password'}
+                  </motion.button>
+                </div>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default function ResetPasswordPage() {
+  // Particles animation
+  const totalParticles = 30;
+  const particles = Array.from({ length: totalParticles }).map((_, i) => ({
+    id: i,
+    size: Math.random() * 3 + 1,
+    x: Math.random() * 100,
+    y: Math.random() * 100,
+    duration: Math.random() * 20 + 10
+  }));
+
+  return (
+    <div className="min-h-screen w-full flex flex-col items-center justify-center overflow-hidden bg-primary-900 relative p-6">
+      {/* Animated background particles */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute inset-0 bg-grid-pattern opacity-5"></div>
+
+        {particles.map((particle) => (
+          <motion.div
+            key={particle.id}
+            className="absolute rounded-full bg-accent/20"
+            style={{
+              width: particle.size,
+              height: particle.size,
+              left: `${particle.x}%`,
+              top: `${particle.y}%`,
+            }}
+            animate={{
+              y: [0, -500, 0],
+              opacity: [0, 0.8, 0],
+            }}
+            transition={{
+              duration: particle.duration,
+              repeat: Infinity,
+              repeatType: "loop",
+              ease: "linear",
+              delay: Math.random() * 20
+            }}
+          />
+        ))}
+      </div>
+
+      {/* Back to login link */}
+      <motion.div
+        initial={{ opacity: 0, x: -20 }}
+        animate={{ opacity: 1, x: 0 }}
+        transition={{ duration: 0.5 }}
+        className="absolute top-6 left-6"
+      >
+        <Link href="/login" className="flex items-center text-primary-300 hover:text-primary-200 gap-1 transition-colors">
+          <FiArrowLeft size={16} />
+          <span>Kembali ke login</span>
+        </Link>
+      </motion.div>
+
+      <div className="w-full max-w-md relative">
+        {/* useSearchParams needs a Suspense boundary */}
+        <Suspense fallback={null}>
+          <ResetPasswordForm />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
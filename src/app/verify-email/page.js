@@ -0,0 +1,305 @@
+'use client';
+
+import { useState, useEffect, useRef, Suspense } from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { FiMail, FiAlertCircle, FiArrowLeft, FiCheck, FiX } from 'react-icons/fi';
+
+// Same as RESEND_INTERVAL in lib/emailVerification (seconds)
+const RESEND_COOLDOWN = 60;
+
+function ResendVerificationForm({ initialEmail = '' }) {
+  const [email, setEmail] = useState(initialEmail);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  // A link was just sent after registration, so start with the cooldown running
+  const [cooldown, setCooldown] = useState(initialEmail ? RESEND_COOLDOWN : 0);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email.trim())) {
+      setError('Alamat email tidak valid');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+
+      const response = await fetch('/api/auth/resend-verification', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: email.trim().toLowerCase() })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        setError(data.message || 'Gagal mengirim email verifikasi');
+        return;
+      }
+
+      setMessage(data.message);
+      setCooldown(RESEND_COOLDOWN);
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      setError('Gagal terhubung ke server. Periksa koneksi internet Anda.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.2, duration: 0.5 }}
+      className="w-full bg-primary-800/40 backdrop-blur-sm border border-primary-700/50 rounded-xl p-6 shadow-xl text-left"
+    >
+      {error && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-lg flex items-center text-red-300 text-sm"
+        >
+          <FiAlertCircle className="flex-shrink-0 mr-2" size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="ml-auto text-red-300 hover:text-red-200"
+          >
+            <FiX size={16} />
+          </button>
+        </motion.div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-500/10 border border-green-500/30 rounded-lg flex items-center text-green-300 text-sm">
+          <FiCheck className="flex-shrink-0 mr-2" size={18} />
+          <span>{message}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="space-y-5">
+          {/* Email Field */}
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-primary-200 mb-1">
+              Alamat Email
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FiMail className="text-primary-400" size={18} />
+              </div>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="block w-full bg-primary-700/40 border border-primary-600 rounded-lg py-3 pl-10 pr-3 text-primary-100 placeholder-primary-400 focus:outline-none focus:ring-2 focus:ring-accent/50 focus:border-accent/50 transition-all"
+                placeholder="email@example.com"
+                required
+              />
+            </div>
+          </div>
+
+          {/* Submit Button */}
+          <div className="pt-2">
+            <motion.button
+              type="submit"
+              disabled={isLoading || cooldown > 0}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-base font-medium text-white bg-accent hover:bg-accent-light focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent transition-all
+              ${isLoading || cooldown > 0 ? 'opacity-70 cursor-not-allowed' : ''}`}
+            >
+              {isLoading ? 'Processing...' : cooldown > 0
+                ? `Kirim ulang dalam ${cooldown} detik`
+                : 'Kirim Ulang Link Verifikasi'}
+            </motion.button>
+          </div>
+        </div>
+      </form>
+    </motion.div>
+  );
+}
+
+function VerifyEmailContent() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const email = searchParams.get('email') || '';
+
+  // 'verifying' | 'success' | 'invalid' | 'error'
+  const [status, setStatus] = useState(token ? 'verifying' : null);
+  const [message, setMessage] = useState('');
+  // Links work only once, so do not send the token twice (e.g. Strict Mode effects)
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          setStatus(data.code === 'invalid_token' ? 'invalid' : 'error');
+          setMessage(data.message || 'Gagal memverifikasi email');
+          return;
+        }
+
+        setStatus('success');
+        setMessage(data.message);
+      } catch (err) {
+        console.error('Verify email error:', err);
+        setStatus('error');
+        setMessage('Gagal terhubung ke server. Periksa koneksi internet Anda.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex flex-col items-center text-center">
+        <svg className="animate-spin h-10 w-10 text-accent mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+        <p className="text-primary-300">Memverifikasi email Anda...</p>
+      </div>
+    );
+  }
+
+  if (status === 'success') {
+    return (
+      <motion.div
+        initial={{ scale: 0, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        transition={{ duration: 0.5, type: "spring" }}
+        className="flex flex-col items-center text-center"
+      >
+        <div className="w-20 h-20 rounded-full bg-green-500/20 flex items-center justify-center mb-4">
+          <FiCheck className="text-green-500" size={40} />
+        </div>
+        <h2 className="text-2xl font-bold text-primary-50 mb-2">Email Terverifikasi!</h2>
+        <p className="text-primary-300 mb-6">{message}</p>
+        <Link href="/login" className="text-accent hover:text-accent-light font-medium transition-colors">
+          Login sekarang
+        </Link>
+      </motion.div>
+    );
+  }
+
+  const isFailed = status === 'invalid' || status === 'error';
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ duration: 0.5 }}
+      className="flex flex-col items-center text-center"
+    >
+      <div className={`w-20 h-20 rounded-full flex items-center justify-center mb-4 ${isFailed ? 'bg-red-500/10' : 'bg-accent/20'}`}>
+        {isFailed
+          ? <FiAlertCircle className="text-red-300" size={36} />
+          : <FiMail className="text-accent" size={36} />}
+      </div>
+      <h2 className="text-2xl font-bold text-primary-50 mb-2">
+        {isFailed ? 'Verifikasi gagal' : 'Cek email Anda'}
+      </h2>
+      <p className="text-primary-300 mb-6">
+        {isFailed
+          ? `${message} Minta link baru untuk melanjutkan.`
+          : email
+            ? `Kami mengirim link verifikasi ke ${email}. Buka link tersebut untuk mengaktifkan akun Anda.`
+            : 'Buka link verifikasi yang kami kirim ke email Anda untuk mengaktifkan akun.'}
+      </p>
+
+      <ResendVerificationForm initialEmail={isFailed ? '' : email} />
+    </motion.div>
+  );
+}
+
+export default function VerifyEmailPage() {
+  // Particles animation
+  const totalParticles = 30;
+  const particles = Array.from({ length: totalParticles }).map((_, i) => ({
+    id: i,
+    size: Math.random() * 3 + 1,
+    x: Math.random() * 100,
+    y: Math.random() * 100,
+    duration: Math.random() * 20 + 10
+  }));
+
+  return (
+    <div className="min-h-screen w-full flex flex-col items-center justify-center overflow-hidden bg-primary-900 relative p-6">
+      {/* Animated background particles */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute inset-0 bg-grid-pattern opacity-5"></div>
+
+        {particles.map((particle) => (
+          <motion.div
+            key={particle.id}
+            className="absolute rounded-full bg-accent/20"
+            style={{
+              width: particle.size,
+              height: particle.size,
+              left: `${particle.x}%`,
+              top: `${particle.y}%`,
+            }}
+            animate={{
+              y: [0, -500, 0],
+              opacity: [0, 0.8, 0],
+            }}
+            transition={{
+              duration: particle.duration,
+              repeat: Infinity,
+              repeatType: "loop",
+              ease: "linear",
+              delay: Math.random() * 20
+            }}
+          />
+        ))}
+      </div>
+
+      {/* Back to login link */}
+      <motion.div
+        initial={{ opacity: 0, x: -20 }}
+        animate={{ opacity: 1, x: 0 }}
+        transition={{ duration: 0.5 }}
+        className="absolute top-6 left-6"
+      >
+        <Link href="/login" className="flex items-center text-primary-300 hover:text-primary-200 gap-1 transition-colors">
+          <FiArrowLeft size={16} />
+          <span>Kembali ke login</span>
+        </Link>
+      </motion.div>
+
+      <div className="w-full max-w-md relative">
+        {/* useSearchParams needs a Suspense boundary */}
+        <Suspense fallback={null}>
+          <VerifyEmailContent />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
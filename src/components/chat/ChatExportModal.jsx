@@ -2,20 +2,41 @@
 
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiX, FiDownload, FiUpload, FiCopy } from 'react-icons/fi';
+import { FiX, FiDownload, FiUpload, FiCopy, FiLock } from 'react-icons/fi';
 import { useChatContext } from '@/context/ChatContext';
+import { isCryptoAvailable } from '@/lib/encryption';
+import {
+  parseJSON,
+  createConversationExport,
+  createEncryptedConversationExport,
+  isEncryptedExport,
+  readConversationExport,
+  decryptConversationImport
+} from '@/lib/storageSchema';
 
 export default function ChatExportModal({ isOpen, onClose }) {
-  const { messages, importMessages } = useChatContext();
+  const { messages, importConversation } = useChatContext();
   const [exportFormat, setExportFormat] = useState('json');
   const [copied, setCopied] = useState(false);
   const [importError, setImportError] = useState('');
+  const [encryptExport, setEncryptExport] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportError, setExportError] = useState('');
+  // Encrypted file waiting for its passphrase
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [isDecrypting, setIsDecrypting] = useState(false);
+
+  const isEncryptingExport = exportFormat === 'json' && encryptExport;
   
   // Generate formatted export content
-  const getExportContent = () => {
+  const getExportContent = async () => {
     switch (exportFormat) {
       case 'json':
-        return JSON.stringify(messages, null, 2);
+        if (isEncryptingExport) {
+          return JSON.stringify(await createEncryptedConversationExport(messages, exportPassphrase), null, 2);
+        }
+        return JSON.stringify(createConversationExport(messages), null, 2);
       case 'markdown':
         return messages.map(msg => {
           const role = msg.role === 'user' ? '**You**' : '**AI Peter**';
@@ -31,9 +52,27 @@ export default function ChatExportModal({ isOpen, onClose }) {
     }
   };
   
+  // Export content, or null (with the error shown) if it cannot be created
+  const buildExport = async () => {
+    if (isEncryptingExport && !exportPassphrase) {
+      setExportError('Enter a passphrase to encrypt the export.');
+      return null;
+    }
+
+    try {
+      setExportError('');
+      return await getExportContent();
+    } catch (error) {
+      console.error('Error creating export:', error);
+      setExportError('Could not create the export. Please try again.');
+      return null;
+    }
+  };
+  
   // Handle downloading the export
-  const handleDownload = () => {
-    const content = getExportContent();
+  const handleDownload = async () => {
+    const content = await buildExport();
+    if (content === null) return;
     const fileExtension = exportFormat === 'json' ? '.json' : 
                           exportFormat === 'markdown' ? '.md' : '.txt';
     const fileName = `ai-peter-chat-export${fileExtension}`;
@@ -50,12 +89,32 @@ export default function ChatExportModal({ isOpen, onClose }) {
   };
   
   // Handle copying to clipboard
-  const handleCopy = () => {
-    navigator.clipboard.writeText(getExportContent());
+  const handleCopy = async () => {
+    const content = await buildExport();
+    if (content === null) return;
+
+    navigator.clipboard.writeText(content);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
   
+  // Open an imported conversation
+  const finishImport = (conversation) => {
+    if (!conversation) {
+      setImportError('Invalid chat format. Please import a valid AI Peter export file.');
+      return;
+    }
+    
+    if (importConversation(conversation)) {
+      onClose();
+      setImportError('');
+      setPendingImport(null);
+      setImportPassphrase('');
+    } else {
+      setImportError('Wait for the current reply to finish before importing.');
+    }
+  };
+  
   // Handle file import
   const handleFileImport = (e) => {
     const file = e.target.files[0];
@@ -64,27 +123,19 @@ export default function ChatExportModal({ isOpen, onClose }) {
     const reader = new FileReader();
     
     reader.onload = (event) => {
-      try {
-        // Try to parse as JSON
-        const content = event.target.result;
-        const parsedContent = JSON.parse(content);
-        
-        // Validate the imported data structure
-        if (Array.isArray(parsedContent) && 
-            parsedContent.length > 0 && 
-            parsedContent[0].role && 
-            parsedContent[0].content) {
-          
-          importMessages(parsedContent);
-          onClose();
-          setImportError('');
-        } else {
-          setImportError('Invalid chat format. Please import a valid AI Peter export file.');
-        }
-      } catch (error) {
-        console.error('Import error:', error);
-        setImportError('Failed to import: The file is not a valid JSON format.');
+      const data = parseJSON(event.target.result);
+
+      // Encrypted exports are read once the passphrase is entered
+      if (isEncryptedExport(data)) {
+        setPendingImport(data);
+        setImportPassphrase('');
+        setImportError('');
+        return;
       }
+
+      setPendingImport(null);
+      // Checks every message, upgrading exports from older versions
+      finishImport(readConversationExport(data));
     };
     
     reader.onerror = () => {
@@ -92,6 +143,25 @@ export default function ChatExportModal({ isOpen, onClose }) {
     };
     
     reader.readAsText(file);
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  // Decrypt the pending encrypted export
+  const handleDecryptImport = async (e) => {
+    e.preventDefault();
+    if (!importPassphrase || isDecrypting) return;
+
+    setIsDecrypting(true);
+    try {
+      finishImport(await decryptConversationImport(pendingImport, importPassphrase));
+    } catch (error) {
+      setImportError(error.code === 'decryption_failed'
+        ? 'Wrong passphrase. Please try again.'
+        : 'Could not decrypt the file. Please try again.');
+    } finally {
+      setIsDecrypting(false);
+    }
   };
 
   return (
@@ -148,6 +218,34 @@ export default function ChatExportModal({ isOpen, onClose }) {
                       ))}
                     </div>
                   </div>
+
+                  {exportFormat === 'json' && isCryptoAvailable() && (
+                    <div className="mt-3">
+                      <label className="flex items-center gap-2 text-sm text-primary-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={encryptExport}
+                          onChange={(e) => {
+                            setEncryptExport(e.target.checked);
+                            setExportError('');
+                          }}
+                          className="accent-accent"
+                        />
+                        <FiLock size={14} />
+                        <span>Encrypt with a passphrase</span>
+                      </label>
+                      {encryptExport && (
+                        <input
+                          type="password"
+                          value={exportPassphrase}
+                          onChange={(e) => setExportPassphrase(e.target.value)}
+                          placeholder="Passphrase needed to import the file"
+                          autoComplete="new-password"
+                          className="mt-2 w-full bg-primary-800 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 placeholder-primary-400 focus:outline-none focus:border-accent"
+                        />
+                      )}
+                    </div>
+                  )}
                   
                   <div className="flex items-center space-x-2 mt-4">
                     <button
@@ -176,6 +274,12 @@ export default function ChatExportModal({ isOpen, onClose }) {
                       )}
                     </button>
                   </div>
+
+                  {exportError && (
+                    <div className="mt-3 text-sm text-red-400">
+                      {exportError}
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -201,6 +305,28 @@ export default function ChatExportModal({ isOpen, onClose }) {
                       onChange={handleFileImport}
                     />
                   </label>
+
+                  {pendingImport && (
+                    <form onSubmit={handleDecryptImport} className="mt-3 flex items-center gap-2">
+                      <FiLock className="text-primary-300 flex-shrink-0" size={16} />
+                      <input
+                        type="password"
+                        value={importPassphrase}
+                        onChange={(e) => setImportPassphrase(e.target.value)}
+                        placeholder="This file is encrypted. Enter its passphrase"
+                        autoComplete="off"
+                        autoFocus
+                        className="flex-1 min-w-0 bg-primary-800 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 placeholder-primary-400 focus:outline-none focus:border-accent"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!importPassphrase || isDecrypting}
+                        className="py-2 px-4 bg-accent hover:bg-accent-light text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        {isDecrypting ? 'Decrypting...' : 'Import'}
+                      </button>
+                    </form>
+                  )}
                   
                   {importError && (
                     <div className="mt-3 text-sm text-red-400">
@@ -3,42 +3,64 @@
 import { motion } from 'framer-motion';
 import { useEffect, useRef, useState } from 'react';
 import Image from 'next/image';
-import { FiBookmark, FiCopy, FiSave } from 'react-icons/fi';
+import { FiBookmark, FiCopy, FiSave, FiRefreshCw, FiEdit2, FiChevronLeft, FiChevronRight, FiRotateCw } from 'react-icons/fi';
 import MessageParser from '@/components/ui/MessageParser';
 import MessageReactions from './MessageReactions';
 import EmojiPicker from '@/components/ui/EmojiPicker';
+import { getBookmarks, saveBookmarks, subscribeToBookmarks } from '@/lib/storage';
 
-export default function ChatHistory({ messages, isProcessing, isMobile = false, searchQuery = '', user }) {
+export default function ChatHistory({ 
+  messages, 
+  isProcessing, 
+  isMobile = false, 
+  searchQuery = '', 
+  focusedMessageId = null,
+  user,
+  persona,
+  onRegenerate,
+  onRetry,
+  onEdit,
+  getBranchInfo,
+  onSwitchBranch
+}) {
   const lastMessageRef = useRef(null);
+  // Message elements by ID, for jumping to search results
+  const messageRefs = useRef({});
   const [bookmarkedMessages, setBookmarkedMessages] = useState({});
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
   
-  // Load bookmarks from localStorage on component mount
+  // Load bookmarks from storage on component mount, and follow changes from other tabs
   useEffect(() => {
-    if (user) {
-      try {
-        const savedBookmarks = localStorage.getItem(`bookmarks_${user.id}`);
-        if (savedBookmarks) {
-          setBookmarkedMessages(JSON.parse(savedBookmarks));
-        }
-      } catch (error) {
-        console.error('Error loading bookmarks:', error);
-      }
-    }
+    if (!user) return;
+    
+    getBookmarks(user.id).then(setBookmarkedMessages);
+    
+    return subscribeToBookmarks((userId, bookmarks) => {
+      if (userId === user.id) setBookmarkedMessages(bookmarks);
+    });
   }, [user]);
 
-  // Save bookmarks to localStorage whenever they change
+  // Save bookmarks to storage whenever they change
   useEffect(() => {
     if (user && Object.keys(bookmarkedMessages).length > 0) {
-      localStorage.setItem(`bookmarks_${user.id}`, JSON.stringify(bookmarkedMessages));
+      saveBookmarks(user.id, bookmarkedMessages);
     }
   }, [bookmarkedMessages, user]);
 
-  // Scroll to the bottom when new messages are added
+  // Scroll to the bottom when new messages are added, unless a search result is shown
   useEffect(() => {
-    if (lastMessageRef.current) {
+    if (lastMessageRef.current && !focusedMessageId) {
       lastMessageRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages]);
+  }, [messages, focusedMessageId]);
+
+  // Bring the message opened from search into view
+  useEffect(() => {
+    if (focusedMessageId && messageRefs.current[focusedMessageId]) {
+      messageRefs.current[focusedMessageId].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusedMessageId, messages]);
 
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
@@ -100,7 +122,7 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
     
     // Format bookmarked messages
     const content = bookmarked.map(msg => {
-      return `[${msg.role === 'user' ? 'You' : 'AI Peter'}]: ${msg.content}\n`;
+      return `[${msg.role === 'user' ? 'You' : (persona?.name || 'AI Peter')}]: ${msg.content}\n`;
     }).join('\n');
     
     // Create a blob and download it
@@ -126,21 +148,32 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
     }, 2000);
   };
   
-  // Highlight search matches
-  const highlightText = (text, query) => {
-    if (!query || !text) return text;
+  // Start editing a user message
+  const startEditing = (message) => {
+    setEditingMessageId(message.id);
+    setEditDraft(message.content);
+  };
+  
+  // Cancel editing without changes
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditDraft('');
+  };
+  
+  // Resend the edited message
+  const submitEdit = (messageId) => {
+    if (!editDraft.trim() || !onEdit) return;
     
-    // Simple highlighting - in a real app you might want to use a proper lib
-    const parts = text.split(new RegExp(`(${query})`, 'gi'));
-    return parts.map((part, i) => 
-      part.toLowerCase() === query.toLowerCase() 
-        ? <mark key={i} className="bg-yellow-300/30 text-white px-0.5 rounded">{part}</mark> 
-        : part
-    );
+    onEdit(messageId, editDraft);
+    cancelEditing();
   };
-
+  
   // Get number of bookmarked messages
   const bookmarkedCount = Object.values(bookmarkedMessages).filter(Boolean).length;
+  
+  // Keep the typing indicator until the streamed reply has its first token
+  const lastMessage = messages[messages.length - 1];
+  const showTypingIndicator = isProcessing && !(lastMessage?.isStreaming && lastMessage.content);
 
   return (
     <div className="space-y-6">
@@ -168,13 +201,28 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
       {messages.map((message, index) => {
         const isLastMessage = index === messages.length - 1;
         const isUser = message.role === 'user';
+        
+        // Empty in-progress reply is represented by the typing indicator below
+        if (message.isStreaming && !message.content) return null;
+        
+        const isEditing = editingMessageId === message.id;
+        
+        // Only replies that answer a user message can be regenerated
+        const previousMessage = messages[index - 1];
+        const canRegenerate = !isUser && !message.isStreaming && previousMessage?.role === 'user';
+        
+        // Alternate versions of this message (regenerated replies or edited prompts)
+        const branchInfo = getBranchInfo ? getBranchInfo(message.id) : { index: 0, total: 1 };
         const isBookmarked = bookmarkedMessages[message.id] || false;
         
         return (
           <div
             key={message.id}
-            ref={isLastMessage ? lastMessageRef : null}
-            className="w-full"
+            ref={(element) => {
+              messageRefs.current[message.id] = element;
+              if (isLastMessage) lastMessageRef.current = element;
+            }}
+            className={`w-full ${message.id === focusedMessageId ? 'rounded-lg ring-2 ring-accent/60' : ''}`}
           >
             {/* Message container with avatar */}
             <div className={`flex items-start gap-3 group px-1 ${isUser ? 'justify-start flex-row-reverse' : 'justify-start'}`}>
@@ -187,11 +235,12 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
                 ) : (
                   <div className="w-7 h-7 rounded-full bg-accent flex items-center justify-center text-white overflow-hidden">
                     <Image 
-                      src="/images/avatar.svg" 
-                      alt="AI" 
+                      src={persona?.avatar || '/images/avatar.svg'} 
+                      alt={persona?.name || 'AI'} 
                       width={28} 
                       height={28} 
-                      className="w-full h-full"
+                      className="w-full h-full object-cover"
+                      unoptimized
                     />
                   </div>
                 )}
@@ -207,7 +256,7 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
                 {/* Name & actions */}
                 <div className="flex items-center justify-between mb-1">
                   <div className="text-xs font-medium text-primary-300">
-                    {isUser ? (user ? user.name : 'You') : 'AI Peter'}
+                    {isUser ? (user ? user.name : 'You') : (persona?.name || 'AI Peter')}
                   </div>
                   
                   {/* Message actions */}
@@ -226,6 +275,26 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
                     >
                       <FiBookmark size={14} />
                     </button>
+                    {isUser && onEdit && !isEditing && (
+                      <button
+                        onClick={() => startEditing(message)}
+                        disabled={isProcessing}
+                        className="p-1 text-primary-400 hover:text-primary-200 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                        title="Edit message"
+                      >
+                        <FiEdit2 size={14} />
+                      </button>
+                    )}
+                    {canRegenerate && onRegenerate && (
+                      <button
+                        onClick={() => onRegenerate(message.id)}
+                        disabled={isProcessing}
+                        className="p-1 text-primary-400 hover:text-primary-200 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                        title="Regenerate response"
+                      >
+                        <FiRefreshCw size={14} />
+                      </button>
+                    )}
                   </div>
                 </div>
                 
@@ -247,15 +316,91 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
                     px-4 py-3
                   `}
                 >
-                  <MessageParser content={
-                    searchQuery ? highlightText(message.content, searchQuery) : message.content
-                  } />
+                  {isEditing ? (
+                    <div>
+                      <textarea
+                        value={editDraft}
+                        onChange={(e) => setEditDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                          if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') submitEdit(message.id);
+                          if (e.key === 'Escape') cancelEditing();
+                        }}
+                        rows={Math.min(Math.max(editDraft.split('\n').length, 2), 8)}
+                        className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-sm text-primary-50 resize-none focus:outline-none focus:border-accent"
+                        autoFocus
+                      />
+                      <div className="flex justify-end gap-2 mt-2">
+                        <button
+                          onClick={cancelEditing}
+                          className="px-3 py-1 text-xs rounded-md text-primary-300 hover:text-primary-50"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => submitEdit(message.id)}
+                          disabled={!editDraft.trim() || isProcessing}
+                          className="px-3 py-1 text-xs rounded-md bg-accent text-white hover:bg-accent-light disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Save & Send
+                        </button>
+                      </div>
+                    </div>
+                  ) : message.stopped && !message.content ? (
+                    <span className="italic text-primary-400">Generation stopped before any response.</span>
+                  ) : (
+                    <MessageParser 
+                      content={message.content}
+                      highlight={searchQuery}
+                      isStreaming={message.isStreaming}
+                    />
+                  )}
+                  
+                  {/* Resend the prompt that failed */}
+                  {message.isError && onRetry && (
+                    <button
+                      onClick={() => onRetry(message.id)}
+                      disabled={isProcessing}
+                      className="mt-2 flex items-center gap-1 px-3 py-1 text-xs rounded-md bg-red-500/20 text-red-200 hover:bg-red-500/30 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      <FiRotateCw size={12} />
+                      Retry
+                    </button>
+                  )}
                 </div>
                 
                 {/* Bottom info bar with timestamp and reactions */}
                 <div className="flex items-center justify-between mt-1">
-                  <div className="text-[10px] text-primary-400">
+                  <div className="flex items-center text-[10px] text-primary-400">
+                    {branchInfo.total > 1 && onSwitchBranch && (
+                      <div className="flex items-center mr-2 text-primary-300">
+                        <button
+                          onClick={() => onSwitchBranch(message.id, -1)}
+                          disabled={branchInfo.index === 0 || isProcessing}
+                          className="p-0.5 rounded hover:text-primary-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                          aria-label="Previous version"
+                        >
+                          <FiChevronLeft size={12} />
+                        </button>
+                        <span className="mx-0.5 tabular-nums">
+                          {branchInfo.index + 1}/{branchInfo.total}
+                        </span>
+                        <button
+                          onClick={() => onSwitchBranch(message.id, 1)}
+                          disabled={branchInfo.index === branchInfo.total - 1 || isProcessing}
+                          className="p-0.5 rounded hover:text-primary-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                          aria-label="Next version"
+                        >
+                          <FiChevronRight size={12} />
+                        </button>
+                      </div>
+                    )}
                     {formatDate(message.timestamp)}
+                    {message.editedAt && (
+                      <span className="ml-2 italic">· Edited</span>
+                    )}
+                    {message.stopped && (
+                      <span className="ml-2 italic">· Stopped</span>
+                    )}
                   </div>
                   
                   {/* Message reactions */}
@@ -271,18 +416,19 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
       })}
       
       {/* Processing indicator (typing animation) */}
-      {isProcessing && (
+      {showTypingIndicator && (
         <div className="w-full">
           <div className="flex items-start gap-3">
             {/* Avatar */}
             <div className="flex-shrink-0 mr-2">
               <div className="w-7 h-7 rounded-full bg-accent flex items-center justify-center text-white overflow-hidden">
                 <Image 
-                  src="/images/avatar.svg" 
-                  alt="AI" 
+                  src={persona?.avatar || '/images/avatar.svg'} 
+                  alt={persona?.name || 'AI'} 
                   width={28} 
                   height={28} 
-                  className="w-full h-full"
+                  className="w-full h-full object-cover"
+                  unoptimized
                 />
               </div>
             </div>
@@ -295,7 +441,7 @@ export default function ChatHistory({ messages, isProcessing, isMobile = false,
               className="flex-1"
             >
               <div className="text-xs font-medium mb-1 text-primary-300">
-                AI Peter
+                {persona?.name || 'AI Peter'}
               </div>
               
               <div className="flex items-center bg-primary-800 rounded-lg px-4 py-3 h-10">
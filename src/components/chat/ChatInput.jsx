@@ -1,13 +1,13 @@
 'use client';
 
 import { useState, useRef, useEffect } from 'react';
-import { FiSend, FiChevronDown } from 'react-icons/fi';
+import { FiSend, FiSquare, FiChevronDown } from 'react-icons/fi';
 import { motion } from 'framer-motion';
 import { useChatContext } from '@/context/ChatContext';
 
 export default function ChatInput() {
   const [message, setMessage] = useState('');
-  const { sendMessage, isProcessing } = useChatContext();
+  const { sendMessage, stopGeneration, isProcessing } = useChatContext();
   const inputRef = useRef(null);
   const [rows, setRows] = useState(1);
   const [isFocused, setIsFocused] = useState(false);
@@ -24,10 +24,13 @@ export default function ChatInput() {
     
     if (!message.trim() || isProcessing) return;
     
-    await sendMessage(message);
+    // Clear the input right away so the next message can be typed while streaming
+    const text = message;
     setMessage('');
     setRows(1);
     
+    await sendMessage(text);
+    
     // Re-focus input after sending
     if (inputRef.current) {
       inputRef.current.focus();
@@ -84,7 +87,6 @@ export default function ChatInput() {
             onKeyDown={handleKeyDown}
             onFocus={() => setIsFocused(true)}
             onBlur={() => setIsFocused(false)}
-            disabled={isProcessing}
             placeholder="Message AI Peter..."
             rows={rows}
             className="w-full py-3 px-4 bg-transparent text-primary-50 placeholder-primary-400 focus:outline-none resize-none text-sm leading-6"
@@ -95,27 +97,40 @@ export default function ChatInput() {
           />
         </div>
         
-        <motion.button
-          whileTap={{ scale: 0.95 }}
-          type="submit"
-          disabled={!message.trim() || isProcessing}
-          className={`
-            p-2 h-10 w-10 rounded-lg flex items-center justify-center transition-colors
-            ${!message.trim() || isProcessing
-              ? 'text-primary-400 cursor-not-allowed'
-              : 'bg-accent text-white hover:bg-accent-light'
-            }
-          `}
-          aria-label="Send message"
-        >
-          <FiSend size={18} />
-        </motion.button>
+        {isProcessing ? (
+          <motion.button
+            whileTap={{ scale: 0.95 }}
+            type="button"
+            onClick={stopGeneration}
+            className="p-2 h-10 w-10 rounded-lg flex items-center justify-center transition-colors bg-primary-600 text-primary-50 hover:bg-red-500"
+            aria-label="Stop generating"
+            title="Stop generating"
+          >
+            <FiSquare size={16} />
+          </motion.button>
+        ) : (
+          <motion.button
+            whileTap={{ scale: 0.95 }}
+            type="submit"
+            disabled={!message.trim() || isProcessing}
+            className={`
+              p-2 h-10 w-10 rounded-lg flex items-center justify-center transition-colors
+              ${!message.trim() || isProcessing
+                ? 'text-primary-400 cursor-not-allowed'
+                : 'bg-accent text-white hover:bg-accent-light'
+              }
+            `}
+            aria-label="Send message"
+          >
+            <FiSend size={18} />
+          </motion.button>
+        )}
       </form>
       
       {/* Keyboard shortcuts */}
       <div className="absolute right-0 bottom-0 transform translate-y-6 text-xs text-primary-400 flex items-center opacity-70">
         <span>
-          {isProcessing ? 'Processing...' : 'Press Enter to send, Shift+Enter for new line'}
+          {isProcessing ? 'Generating... click stop to cancel' : 'Press Enter to send, Shift+Enter for new line'}
         </span>
         <FiChevronDown size={12} className="ml-1" />
       </div>
@@ -5,34 +5,32 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { 
   FiRefreshCw, FiShare2, FiMic, FiMessageSquare, FiMenu, 
   FiX, FiMaximize, FiMinimize, FiDownload, FiSettings, 
-  FiSearch, FiInfo, FiUser, FiLogOut, FiChevronDown
+  FiSearch, FiInfo, FiUser, FiLogOut, FiChevronDown, FiUsers, FiZap, FiLock
 } from 'react-icons/fi';
 import ChatHistory from './ChatHistory';
 import ChatInput from './ChatInput';
 import VoiceInput from './VoiceInput';
 import ChatSidebar from './ChatSidebar';
 import ChatExportModal from './ChatExportModal';
+import PersonaModal from './PersonaModal';
+import EncryptionModal from './EncryptionModal';
+import UnlockPrompt from './UnlockPrompt';
+import SharedDataPrompt from './SharedDataPrompt';
+import SearchPanel from './SearchPanel';
 import ThemeSwitch from '@/components/ui/ThemeSwitch';
 import { useChatContext } from '@/context/ChatContext';
 import { useAuth } from '@/context/AuthContext';
 import { saveConversationForSharing } from '@/lib/api';
 import Image from 'next/image';
 
+// How long the undo toast stays after moving a conversation to the trash (ms)
+const UNDO_TOAST_DURATION = 6000;
+
 export default function ChatInterface() {
   // Tambahkan pengecekan nilai context yang null/undefined
   const chatContext = useChatContext();
   
-  // Jika context tidak tersedia, tampilkan UI loading
-  if (!chatContext) {
-    return <div className="flex items-center justify-center h-screen text-primary-200">
-      <div className="text-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-400 mx-auto mb-4"></div>
-        <p>Loading chat interface...</p>
-      </div>
-    </div>;
-  }
-  
-  // Destructure hanya setelah memastikan context ada
+  // Default kosong selama context belum ada; semua hook tetap dipanggil sebelum UI loading di bawah
   const {
     messages = [],
     isProcessing = false,
@@ -40,8 +38,19 @@ export default function ChatInterface() {
     conversationId = '',
     clearConversation = () => {},
     toggleVoiceMode = () => {},
+    regenerateMessage = () => {},
+    retryMessage = () => {},
+    editMessage = () => {},
+    getBranchInfo = () => ({ index: 0, total: 1 }),
+    switchBranch = () => {},
     generateShareableLink = () => '',
-  } = chatContext;
+    activePersona = null,
+    usage = null,
+    focusedMessageId = null,
+    recentlyTrashed = null,
+    undoTrash = () => {},
+    dismissTrashUndo = () => {},
+  } = chatContext || {};
   
   // Tambahkan pengecekan serupa untuk auth context
   const authContext = useAuth();
@@ -54,6 +63,8 @@ export default function ChatInterface() {
   const [isFullScreen, setIsFullScreen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
+  const [showPersonaModal, setShowPersonaModal] = useState(false);
+  const [showEncryptionModal, setShowEncryptionModal] = useState(false);
   const [showSearchBox, setShowSearchBox] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [showInfoPanel, setShowInfoPanel] = useState(false);
@@ -90,15 +101,33 @@ export default function ChatInterface() {
     };
   }, []);
 
-  // Scroll to bottom when messages change
+  // Hide the undo toast after a while
+  useEffect(() => {
+    if (!recentlyTrashed) return;
+    
+    const timer = setTimeout(dismissTrashUndo, UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [recentlyTrashed, dismissTrashUndo]);
+
+  // Scroll to bottom when messages change (unless a search result is being shown)
   useEffect(() => {
     // Tambahkan pengecekan untuk messages
-    if (chatContainerRef.current && messages && messages.length > 0) {
+    if (chatContainerRef.current && messages && messages.length > 0 && !focusedMessageId) {
       const { scrollHeight, clientHeight } = chatContainerRef.current;
       chatContainerRef.current.scrollTop = scrollHeight - clientHeight;
     }
-  }, [messages]);
+  }, [messages, focusedMessageId]);
 
+  // Jika context tidak tersedia, tampilkan UI loading
+  if (!chatContext) {
+    return <div className="flex items-center justify-center h-screen text-primary-200">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-400 mx-auto mb-4"></div>
+        <p>Loading chat interface...</p>
+      </div>
+    </div>;
+  }
+  
   // Full screen toggle
   const toggleFullScreen = () => {
     if (!document.fullscreenElement) {
@@ -142,13 +171,6 @@ export default function ChatInterface() {
     setShowSidebar(!showSidebar);
   };
   
-  // Filter messages based on search
-  const filteredMessages = messages && searchQuery.trim() 
-    ? messages.filter(msg => 
-        msg.content.toLowerCase().includes(searchQuery.toLowerCase())
-      )
-    : messages || [];
-
   // Handle logout
   const handleLogout = async () => {
     await logout();
@@ -198,15 +220,16 @@ export default function ChatInterface() {
                 className="w-8 h-8 md:w-9 md:h-9 rounded-full bg-accent flex items-center justify-center text-white font-medium mr-2 md:mr-3 flex-shrink-0 overflow-hidden"
               >
                 <Image 
-                  src="/images/avatar.svg" 
-                  alt="AI Peter" 
+                  src={activePersona?.avatar || '/images/avatar.svg'} 
+                  alt={activePersona?.name || 'AI Peter'} 
                   width={36} 
                   height={36} 
-                  className="w-full h-full"
+                  className="w-full h-full object-cover"
+                  unoptimized
                 />
               </motion.div>
               <div className="overflow-hidden">
-                <div className="text-primary-50 font-medium text-sm md:text-base truncate">AI Peter</div>
+                <div className="text-primary-50 font-medium text-sm md:text-base truncate">{activePersona?.name || 'AI Peter'}</div>
                 <div className="text-xs text-primary-300 flex items-center">
                   <span className="relative flex w-2 h-2 mr-1">
                     <span className="animate-ping absolute inline-flex h-2 w-2 rounded-full bg-green-400 opacity-75"></span>
@@ -220,6 +243,20 @@ export default function ChatInterface() {
           
           {/* Controls */}
           <div className="flex items-center gap-1">
+            {/* Remaining daily quota */}
+            {usage && (
+              <div
+                className={`
+                  hidden sm:flex items-center mr-2 px-2 py-1 rounded-md text-xs bg-primary-700/50
+                  ${usage.dailyRemaining <= Math.ceil(usage.dailyLimit * 0.1) ? 'text-red-400' : 'text-primary-300'}
+                `}
+                title={`${usage.dailyRemaining} of ${usage.dailyLimit} messages left today, ${usage.remaining} of ${usage.limit} this minute`}
+              >
+                <FiZap size={12} className="mr-1" />
+                <span className="tabular-nums">{usage.dailyRemaining}/{usage.dailyLimit}</span>
+              </div>
+            )}
+            
             {/* User profile dropdown */}
             <div className="relative mr-2" ref={userDropdownRef}>
               <button
@@ -320,6 +357,22 @@ export default function ChatInterface() {
                     Export/Import Chat
                   </button>
                   
+                  <button
+                    onClick={() => setShowPersonaModal(true)}
+                    className="flex items-center w-full px-4 py-2 text-sm text-primary-200 hover:bg-primary-700 hover:text-primary-50"
+                  >
+                    <FiUsers size={16} className="mr-2" />
+                    Personas
+                  </button>
+                  
+                  <button
+                    onClick={() => setShowEncryptionModal(true)}
+                    className="flex items-center w-full px-4 py-2 text-sm text-primary-200 hover:bg-primary-700 hover:text-primary-50"
+                  >
+                    <FiLock size={16} className="mr-2" />
+                    Encryption
+                  </button>
+                  
                   <button
                     onClick={clearConversation}
                     className="flex items-center w-full px-4 py-2 text-sm text-primary-200 hover:bg-primary-700 hover:text-primary-50"
@@ -368,25 +421,7 @@ export default function ChatInterface() {
               transition={{ duration: 0.2 }}
               className="border-b border-primary-600 bg-primary-800 overflow-hidden"
             >
-              <div className="p-3 flex items-center">
-                <FiSearch size={18} className="text-primary-400 mr-2" />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search in conversation..."
-                  className="flex-grow bg-transparent border-none outline-none text-primary-50 placeholder-primary-400 text-sm"
-                  autoFocus
-                />
-                {searchQuery && (
-                  <button
-                    onClick={() => setSearchQuery('')}
-                    className="text-primary-400 hover:text-primary-200"
-                  >
-                    <FiX size={16} />
-                  </button>
-                )}
-              </div>
+              <SearchPanel query={searchQuery} onQueryChange={setSearchQuery} />
             </motion.div>
           )}
         </AnimatePresence>
@@ -462,49 +497,48 @@ export default function ChatInterface() {
             ref={chatContainerRef}
             className="flex-1 overflow-y-auto p-3 md:p-4 space-y-3 md:space-y-4 bg-primary-700"
           >
-            {!filteredMessages || filteredMessages.length === 0 ? (
+            {!messages || messages.length === 0 ? (
               <div className="h-full flex items-center justify-center">
-                {searchQuery ? (
-                  <div className="text-center px-4 py-8 rounded-lg bg-primary-800/50">
-                    <FiSearch size={36} className="mx-auto mb-4 text-primary-400" />
-                    <p className="text-primary-200 mb-2">No messages match your search</p>
-                    <p className="text-primary-400 text-sm">Try different keywords</p>
-                  </div>
-                ) : (
-                  <div className="text-center max-w-md px-4 py-8 rounded-lg bg-primary-800/50">
-                    <Image
-                      src="/images/avatar.svg"
-                      alt="AI Peter"
-                      width={64}
-                      height={64}
-                      className="mx-auto mb-6 opacity-90"
-                    />
-                    <h3 className="text-xl text-primary-50 mb-3">Welcome, {user?.name || 'User'}</h3>
-                    <p className="mb-6 text-primary-200">
-                      Start by sending a message and I'll respond in real-time with insightful answers.
-                    </p>
-                    
-                    <div className="flex flex-col gap-3 text-sm text-primary-300">
-                      <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
-                        "What can you help me with today?"
-                      </div>
-                      <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
-                        "Tell me a story about artificial intelligence."
-                      </div>
-                      <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
-                        "What's the difference between machine learning and AI?"
-                      </div>
+                <div className="text-center max-w-md px-4 py-8 rounded-lg bg-primary-800/50">
+                  <Image
+                    src="/images/avatar.svg"
+                    alt="AI Peter"
+                    width={64}
+                    height={64}
+                    className="mx-auto mb-6 opacity-90"
+                  />
+                  <h3 className="text-xl text-primary-50 mb-3">Welcome, {user?.name || 'User'}</h3>
+                  <p className="mb-6 text-primary-200">
+                    Start by sending a message and I'll respond in real-time with insightful answers.
+                  </p>
+                  
+                  <div className="flex flex-col gap-3 text-sm text-primary-300">
+                    <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
+                      "What can you help me with today?"
+                    </div>
+                    <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
+                      "Tell me a story about artificial intelligence."
+                    </div>
+                    <div className="p-3 rounded-md bg-primary-800/70 hover:bg-primary-800 cursor-pointer text-left">
+                      "What's the difference between machine learning and AI?"
                     </div>
                   </div>
-                )}
+                </div>
               </div>
             ) : (
               <ChatHistory 
-                messages={filteredMessages} 
+                messages={messages} 
                 isProcessing={isProcessing} 
                 isMobile={isMobile} 
                 searchQuery={searchQuery}
+                focusedMessageId={focusedMessageId}
                 user={user}
+                persona={activePersona}
+                onRegenerate={regenerateMessage}
+                onRetry={retryMessage}
+                onEdit={editMessage}
+                getBranchInfo={getBranchInfo}
+                onSwitchBranch={switchBranch}
               />
             )}
           </div>
@@ -532,6 +566,35 @@ export default function ChatInterface() {
             </motion.div>
           )}
         </AnimatePresence>
+        
+        {/* Undo Toast after moving a conversation to the trash */}
+        <AnimatePresence>
+          {recentlyTrashed && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 20 }}
+              className="absolute bottom-20 left-1/2 transform -translate-x-1/2 flex items-center gap-3 px-4 py-2 bg-primary-900 text-primary-50 rounded-md shadow-lg text-sm"
+            >
+              <span className="max-w-[14rem] truncate">
+                &quot;{recentlyTrashed.title}&quot; moved to trash
+              </span>
+              <button
+                onClick={undoTrash}
+                className="font-medium text-accent-light hover:text-white"
+              >
+                Undo
+              </button>
+              <button
+                onClick={dismissTrashUndo}
+                className="text-primary-400 hover:text-primary-200"
+                aria-label="Dismiss"
+              >
+                <FiX size={14} />
+              </button>
+            </motion.div>
+          )}
+        </AnimatePresence>
       </div>
       
       {/* Export/Import Modal */}
@@ -539,6 +602,24 @@ export default function ChatInterface() {
         isOpen={showExportModal} 
         onClose={() => setShowExportModal(false)} 
       />
+      
+      {/* Persona Modal */}
+      <PersonaModal 
+        isOpen={showPersonaModal} 
+        onClose={() => setShowPersonaModal(false)} 
+      />
+      
+      {/* Encryption Modal */}
+      <EncryptionModal 
+        isOpen={showEncryptionModal} 
+        onClose={() => setShowEncryptionModal(false)} 
+      />
+      
+      {/* Lock screen for encrypted conversations */}
+      <UnlockPrompt />
+      
+      {/* Asks whether conversations stored before accounts had separate storage are this user's */}
+      <SharedDataPrompt />
     </>
   );
 }
@@ -1,9 +1,40 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiPlus, FiMessageSquare, FiTrash2, FiEdit2, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import {
+  FiPlus,
+  FiMessageSquare,
+  FiTrash2,
+  FiEdit2,
+  FiChevronLeft,
+  FiChevronRight,
+  FiChevronDown,
+  FiFolder,
+  FiFolderPlus,
+  FiTag,
+  FiStar,
+  FiArchive,
+  FiRotateCcw,
+  FiX
+} from 'react-icons/fi';
 import { useChatContext } from '@/context/ChatContext';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '@/lib/storage';
+
+// Drop target key for conversations without a folder
+const NO_FOLDER = '';
+
+// Sidebar lists, by conversation status
+const VIEWS = [
+  { value: 'active', label: 'Chats' },
+  { value: 'archived', label: 'Archived' },
+  { value: 'trashed', label: 'Trash' }
+];
+
+// Choices for how long conversations stay in the trash (days)
+const RETENTION_OPTIONS = [7, 30, 90];
+
+const DAY = 24 * 60 * 60 * 1000;
 
 export default function ChatSidebar({ isOpen, toggleSidebar, isMobile }) {
   const { 
@@ -11,23 +42,82 @@ export default function ChatSidebar({ isOpen, toggleSidebar, isMobile }) {
     clearConversation, 
     messages, 
     loadConversation,
-    allConversations,
-    deleteConversation
+    conversations,
+    renameConversation,
+    pinConversation,
+    moveConversation,
+    tagConversation,
+    archiveConversation,
+    trashConversation,
+    restoreConversation,
+    deleteConversation,
+    emptyTrash,
+    trashRetentionDays,
+    setTrashRetentionDays,
+    folders,
+    createFolder,
+    renameFolder,
+    deleteFolder
   } = useChatContext();
   
+  const [view, setView] = useState('active');
   const [editingConversationId, setEditingConversationId] = useState(null);
   const [conversationTitle, setConversationTitle] = useState('');
-  
-  // Generate title from first message
-  const getConversationTitle = (msgs) => {
-    if (!msgs || msgs.length < 2) return 'New conversation';
-    // Use the first user message as the title, truncated
-    const firstUserMessage = msgs.find(m => m.role === 'user');
-    if (!firstUserMessage) return 'New conversation';
-    
-    const title = firstUserMessage.content.substring(0, 30);
-    return title.length < firstUserMessage.content.length ? `${title}...` : title;
-  };
+
+  // Conversation whose tags and folder are being edited
+  const [organizingConversationId, setOrganizingConversationId] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+
+  // Filter chips
+  const [activeTags, setActiveTags] = useState([]);
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+
+  // Folder editing: null when idle, '' while creating a new folder
+  const [editingFolder, setEditingFolder] = useState(null);
+  const [folderName, setFolderName] = useState('');
+  const [collapsedFolders, setCollapsedFolders] = useState({});
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Folders, tags and filters only apply to conversations that are not archived or trashed
+  const activeConversations = useMemo(() => {
+    return conversations.filter(conv => (conv.status || 'active') === 'active');
+  }, [conversations]);
+
+  // Archived conversations, or the trash with the most recently deleted first
+  const statusConversations = useMemo(() => {
+    if (view === 'active') return [];
+
+    const list = conversations.filter(conv => conv.status === view);
+    return view === 'trashed'
+      ? list.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''))
+      : list;
+  }, [conversations, view]);
+
+  const retentionDays = trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+
+  // Every tag in use, for the filter chips
+  const allTags = useMemo(() => {
+    const tags = new Map();
+    activeConversations.forEach(conv => conv.tags.forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }));
+    return [...tags.values()].sort((a, b) => a.localeCompare(b));
+  }, [activeConversations]);
+
+  // Conversations matching the pinned filter and every selected tag
+  const filteredConversations = useMemo(() => {
+    return activeConversations.filter(conv =>
+      (!pinnedOnly || conv.pinned) &&
+      activeTags.every(tag => conv.tags.some(convTag => convTag.toLowerCase() === tag.toLowerCase()))
+    );
+  }, [activeConversations, pinnedOnly, activeTags]);
+
+  // Drop filters on tags that no longer exist
+  useEffect(() => {
+    setActiveTags(prev => prev.filter(tag => allTags.includes(tag)));
+  }, [allTags]);
+
+  const isFiltering = pinnedOnly || activeTags.length > 0;
   
   // Start editing a conversation title
   const startEditing = (id, title) => {
@@ -37,10 +127,88 @@ export default function ChatSidebar({ isOpen, toggleSidebar, isMobile }) {
   
   // Save edited conversation title
   const saveTitle = (id) => {
-    // Would normally update the title in the context/database
+    // Enter and the following blur both end up here; only save once
+    if (editingConversationId !== id) return;
+    
+    const conversation = conversations.find(conv => conv.id === id);
+    if (conversation && conversationTitle.trim() !== conversation.title) {
+      renameConversation(id, conversationTitle);
+    }
     setEditingConversationId(null);
   };
   
+  // Open (or close) the tags and folder panel of a conversation
+  const toggleOrganizing = (conv) => {
+    if (organizingConversationId === conv.id) {
+      setOrganizingConversationId(null);
+      return;
+    }
+
+    setOrganizingConversationId(conv.id);
+    setTagInput(conv.tags.join(', '));
+  };
+
+  // Save the comma separated tags of a conversation
+  const saveTags = (id) => {
+    tagConversation(id, tagInput);
+    setOrganizingConversationId(null);
+  };
+
+  const toggleTagFilter = (tag) => {
+    setActiveTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  };
+
+  // Start creating ('') or renaming a folder
+  const startEditingFolder = (name) => {
+    setEditingFolder(name);
+    setFolderName(name);
+  };
+
+  // Create or rename the folder being edited
+  const saveFolder = async () => {
+    if (editingFolder === null) return;
+
+    const name = folderName.trim();
+    const previousName = editingFolder;
+    setEditingFolder(null);
+
+    if (!name || name === previousName) return;
+
+    if (previousName === '') {
+      await createFolder(name);
+    } else {
+      await renameFolder(previousName, name);
+      setCollapsedFolders(({ [previousName]: collapsed, ...rest }) => ({ ...rest, [name]: collapsed }));
+    }
+  };
+
+  const toggleFolder = (name) => {
+    setCollapsedFolders(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  // Drag and drop between folders
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.setData('text/plain', id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, folderKey) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(folderKey);
+  };
+
+  const handleDrop = (e, folderKey) => {
+    e.preventDefault();
+    setDropTarget(null);
+
+    const id = e.dataTransfer.getData('text/plain');
+    const conversation = conversations.find(conv => conv.id === id);
+    if (conversation && (conversation.folder || NO_FOLDER) !== folderKey) {
+      moveConversation(id, folderKey || null);
+    }
+  };
+
   // Handle creating a new conversation
   const handleNewConversation = () => {
     clearConversation();
@@ -57,6 +225,255 @@ export default function ChatSidebar({ isOpen, toggleSidebar, isMobile }) {
     }
   };
 
+  // Days left before a trashed conversation is deleted for good
+  const getDaysLeft = (conv) => {
+    const deletedAt = new Date(conv.deletedAt || Date.now()).getTime();
+    return Math.max(0, Math.ceil((deletedAt + retentionDays * DAY - Date.now()) / DAY));
+  };
+
+  // Props that make an element accept dropped conversations
+  const dropZoneProps = (folderKey) => ({
+    onDragOver: (e) => handleDragOver(e, folderKey),
+    onDragLeave: () => setDropTarget(prev => prev === folderKey ? null : prev),
+    onDrop: (e) => handleDrop(e, folderKey)
+  });
+
+  const renderConversation = (conv) => (
+    <div
+      key={conv.id}
+      draggable={editingConversationId !== conv.id && organizingConversationId !== conv.id}
+      onDragStart={(e) => handleDragStart(e, conv.id)}
+      onDragEnd={() => setDropTarget(null)}
+      className={`
+        relative p-3 rounded-lg border
+        ${conv.id === conversationId
+          ? 'bg-primary-700 border-accent/50'
+          : 'border-transparent hover:bg-primary-700/50'
+        }
+        transition-colors cursor-pointer group
+      `}
+      onClick={() => handleLoadConversation(conv.id)}
+    >
+      <div className="flex items-start">
+        {conv.pinned ? (
+          <FiStar
+            size={16}
+            className="text-accent fill-current mt-1 mr-2 flex-shrink-0"
+          />
+        ) : (
+          <FiMessageSquare
+            size={16}
+            className="text-primary-300 mt-1 mr-2 flex-shrink-0"
+          />
+        )}
+
+        {editingConversationId === conv.id ? (
+          <div className="flex-grow">
+            <input
+              type="text"
+              value={conversationTitle}
+              onChange={(e) => setConversationTitle(e.target.value)}
+              onBlur={() => saveTitle(conv.id)}
+              onKeyDown={(e) => e.key === 'Enter' && saveTitle(conv.id)}
+              className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-sm text-primary-50"
+              autoFocus
+              onClick={(e) => e.stopPropagation()}
+            />
+          </div>
+        ) : (
+          <div className="flex-grow pr-6 text-sm">
+            <div className="text-primary-50 line-clamp-1">
+              {conv.title}
+            </div>
+            <div className="text-xs text-primary-400 mt-1">
+              {new Date(conv.updatedAt).toLocaleDateString()} · {conv.messageCount} messages
+            </div>
+            {conv.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {conv.tags.map(tag => (
+                  <span key={tag} className="px-1.5 py-0.5 rounded bg-primary-900/60 text-[10px] text-primary-300">
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Tags and folder */}
+      {organizingConversationId === conv.id && (
+        <div className="mt-3 space-y-2" onClick={(e) => e.stopPropagation()}>
+          <input
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && saveTags(conv.id)}
+            placeholder="Tags, separated by commas"
+            className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-xs text-primary-50"
+            autoFocus
+          />
+          <select
+            value={conv.folder || NO_FOLDER}
+            onChange={(e) => moveConversation(conv.id, e.target.value || null)}
+            className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-xs text-primary-50"
+            aria-label="Folder"
+          >
+            <option value={NO_FOLDER}>No folder</option>
+            {folders.map(folder => (
+              <option key={folder} value={folder}>{folder}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => saveTags(conv.id)}
+            className="w-full py-1 bg-accent rounded text-xs text-white hover:bg-accent-light transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-opacity flex space-x-1">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            pinConversation(conv.id, !conv.pinned);
+          }}
+          className={`p-1 transition-colors ${conv.pinned ? 'text-accent' : 'text-primary-400 hover:text-primary-50'}`}
+          aria-label={conv.pinned ? 'Unpin conversation' : 'Pin conversation'}
+        >
+          <FiStar size={14} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            toggleOrganizing(conv);
+          }}
+          className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+          aria-label="Tags and folder"
+        >
+          <FiTag size={14} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            startEditing(conv.id, conv.title);
+          }}
+          className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+          aria-label="Edit title"
+        >
+          <FiEdit2 size={14} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            archiveConversation(conv.id);
+          }}
+          className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+          aria-label="Archive conversation"
+        >
+          <FiArchive size={14} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            trashConversation(conv.id);
+          }}
+          className="p-1 text-primary-400 hover:text-red-400 transition-colors"
+          aria-label="Move to trash"
+        >
+          <FiTrash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+
+  // Archived and trashed conversations: no folders or drag and drop, only restore actions
+  const renderStatusConversation = (conv) => (
+    <div
+      key={conv.id}
+      className={`
+        relative p-3 rounded-lg border
+        ${conv.id === conversationId
+          ? 'bg-primary-700 border-accent/50'
+          : 'border-transparent hover:bg-primary-700/50'
+        }
+        transition-colors group
+        ${view === 'archived' ? 'cursor-pointer' : ''}
+      `}
+      onClick={() => view === 'archived' && handleLoadConversation(conv.id)}
+    >
+      <div className="flex items-start">
+        {view === 'archived' ? (
+          <FiArchive size={16} className="text-primary-300 mt-1 mr-2 flex-shrink-0" />
+        ) : (
+          <FiTrash2 size={16} className="text-primary-400 mt-1 mr-2 flex-shrink-0" />
+        )}
+        <div className="flex-grow pr-12 text-sm">
+          <div className={`line-clamp-1 ${view === 'archived' ? 'text-primary-50' : 'text-primary-300'}`}>
+            {conv.title}
+          </div>
+          <div className="text-xs text-primary-400 mt-1">
+            {view === 'archived'
+              ? `${new Date(conv.updatedAt).toLocaleDateString()} · ${conv.messageCount} messages`
+              : `Deleted in ${getDaysLeft(conv)} day${getDaysLeft(conv) !== 1 ? 's' : ''}`}
+          </div>
+        </div>
+      </div>
+
+      {/* Actions */}
+      <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-opacity flex space-x-1">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            restoreConversation(conv.id);
+          }}
+          className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+          aria-label={view === 'archived' ? 'Unarchive conversation' : 'Restore conversation'}
+        >
+          <FiRotateCcw size={14} />
+        </button>
+        {view === 'archived' ? (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              trashConversation(conv.id);
+            }}
+            className="p-1 text-primary-400 hover:text-red-400 transition-colors"
+            aria-label="Move to trash"
+          >
+            <FiTrash2 size={14} />
+          </button>
+        ) : (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              if (window.confirm(`Delete "${conv.title}" forever? This cannot be undone.`)) {
+                deleteConversation(conv.id);
+              }
+            }}
+            className="p-1 text-primary-400 hover:text-red-400 transition-colors"
+            aria-label="Delete forever"
+          >
+            <FiX size={14} />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  // Empty the trash after confirming
+  const handleEmptyTrash = () => {
+    if (window.confirm('Delete every conversation in the trash forever? This cannot be undone.')) {
+      emptyTrash();
+    }
+  };
+
+  // Conversations without a folder, then one section per folder
+  const unfiledConversations = filteredConversations.filter(conv => !conv.folder);
+  const hasAnyConversation = activeConversations.length > 0 || folders.length > 0;
+
   return (
     <AnimatePresence>
       {isOpen && (
@@ -75,97 +492,256 @@ export default function ChatSidebar({ isOpen, toggleSidebar, isMobile }) {
             {/* Header */}
             <div className="flex items-center justify-between p-4 border-b border-primary-700">
               <h2 className="text-lg font-medium text-primary-50">Conversations</h2>
-              <button 
-                onClick={handleNewConversation}
-                className="p-2 bg-accent rounded-full text-white hover:bg-accent-light transition-colors"
-                aria-label="New chat"
-              >
-                <FiPlus size={18} />
-              </button>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => startEditingFolder('')}
+                  className="p-2 bg-primary-700 rounded-full text-primary-200 hover:text-primary-50 transition-colors"
+                  aria-label="New folder"
+                >
+                  <FiFolderPlus size={18} />
+                </button>
+                <button
+                  onClick={handleNewConversation}
+                  className="p-2 bg-accent rounded-full text-white hover:bg-accent-light transition-colors"
+                  aria-label="New chat"
+                >
+                  <FiPlus size={18} />
+                </button>
+              </div>
             </div>
+
+            {/* Views */}
+            <div className="flex px-4 pt-3 space-x-1">
+              {VIEWS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setView(option.value)}
+                  className={`flex-1 py-1 rounded-md text-xs transition-colors ${
+                    view === option.value ? 'bg-primary-700 text-primary-50' : 'text-primary-400 hover:text-primary-200'
+                  }`}
+                >
+                  {option.label}
+                  {option.value !== 'active' && (
+                    <span className="ml-1 text-primary-400">
+                      {conversations.filter(conv => conv.status === option.value).length || ''}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* Filter chips */}
+            {view === 'active' && (allTags.length > 0 || activeConversations.some(conv => conv.pinned)) && (
+              <div className="flex flex-wrap gap-2 px-4 py-3 border-b border-primary-700">
+                <button
+                  onClick={() => setPinnedOnly(prev => !prev)}
+                  className={`flex items-center px-2 py-1 rounded-full text-xs transition-colors ${
+                    pinnedOnly ? 'bg-accent text-white' : 'bg-primary-700 text-primary-300 hover:text-primary-50'
+                  }`}
+                >
+                  <FiStar size={12} className="mr-1" />
+                  Pinned
+                </button>
+                {allTags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => toggleTagFilter(tag)}
+                    className={`px-2 py-1 rounded-full text-xs transition-colors ${
+                      activeTags.includes(tag) ? 'bg-accent text-white' : 'bg-primary-700 text-primary-300 hover:text-primary-50'
+                    }`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+                {isFiltering && (
+                  <button
+                    onClick={() => {
+                      setPinnedOnly(false);
+                      setActiveTags([]);
+                    }}
+                    className="flex items-center px-2 py-1 rounded-full text-xs text-primary-400 hover:text-primary-50 transition-colors"
+                    aria-label="Clear filters"
+                  >
+                    <FiX size={12} />
+                  </button>
+                )}
+              </div>
+            )}
             
+            {/* Trash settings */}
+            {view === 'trashed' && (
+              <div className="flex items-center justify-between px-4 py-3 border-b border-primary-700 text-xs text-primary-400">
+                <label className="flex items-center">
+                  Keep for
+                  <select
+                    value={retentionDays}
+                    onChange={(e) => setTrashRetentionDays(Number(e.target.value))}
+                    className="mx-1 bg-primary-900 border border-primary-600 rounded px-1 py-0.5 text-primary-100"
+                  >
+                    {[...new Set([...RETENTION_OPTIONS, retentionDays])].sort((a, b) => a - b).map(days => (
+                      <option key={days} value={days}>{days} days</option>
+                    ))}
+                  </select>
+                </label>
+                {statusConversations.length > 0 && (
+                  <button
+                    onClick={handleEmptyTrash}
+                    className="text-red-400 hover:text-red-300 transition-colors"
+                  >
+                    Empty trash
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Conversations List */}
             <div className="flex-grow overflow-y-auto p-2">
-              {allConversations && allConversations.length > 0 ? (
-                <div className="space-y-2">
-                  {allConversations.map((conv) => (
-                    <div 
-                      key={conv.id}
-                      className={`
-                        relative p-3 rounded-lg border 
-                        ${conv.id === conversationId 
-                          ? 'bg-primary-700 border-accent/50' 
-                          : 'border-transparent hover:bg-primary-700/50'
-                        } 
-                        transition-colors cursor-pointer group
-                      `}
-                      onClick={() => handleLoadConversation(conv.id)}
+              {view !== 'active' ? (
+                statusConversations.length > 0 ? (
+                  <div className="space-y-2">
+                    {statusConversations.map(renderStatusConversation)}
+                  </div>
+                ) : (
+                  <div className="flex flex-col items-center justify-center h-full text-center p-4">
+                    <div className="bg-primary-700/50 rounded-full p-4 mb-4">
+                      {view === 'archived' ? (
+                        <FiArchive size={28} className="text-primary-300" />
+                      ) : (
+                        <FiTrash2 size={28} className="text-primary-300" />
+                      )}
+                    </div>
+                    <p className="text-primary-300 text-sm">
+                      {view === 'archived' ? 'No archived conversations' : 'Trash is empty'}
+                    </p>
+                    <p className="text-primary-400 text-xs mt-2">
+                      {view === 'archived'
+                        ? 'Archived chats stay searchable but leave the main list'
+                        : `Deleted chats are removed for good after ${retentionDays} days`}
+                    </p>
+                  </div>
+                )
+              ) : (
+                <>
+                {editingFolder === '' && (
+                  <div className="flex items-center p-2 mb-2">
+                    <FiFolder size={16} className="text-primary-300 mr-2 flex-shrink-0" />
+                    <input
+                      type="text"
+                      value={folderName}
+                      onChange={(e) => setFolderName(e.target.value)}
+                      onBlur={saveFolder}
+                      onKeyDown={(e) => e.key === 'Enter' && saveFolder()}
+                      placeholder="Folder name"
+                      className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-sm text-primary-50"
+                      autoFocus
+                    />
+                  </div>
+                )}
+
+                {hasAnyConversation ? (
+                  <div className="space-y-2">
+                    {/* Conversations without a folder */}
+                    <div
+                      {...dropZoneProps(NO_FOLDER)}
+                      className={`space-y-2 rounded-lg transition-colors ${
+                        dropTarget === NO_FOLDER ? 'bg-primary-700/40 ring-1 ring-accent/50' : ''
+                      } ${folders.length > 0 ? 'min-h-[2rem]' : ''}`}
                     >
-                      <div className="flex items-start">
-                        <FiMessageSquare 
-                          size={16} 
-                          className="text-primary-300 mt-1 mr-2 flex-shrink-0" 
-                        />
+                      {unfiledConversations.map(renderConversation)}
+                    </div>
                         
-                        {editingConversationId === conv.id ? (
-                          <div className="flex-grow">
-                            <input
-                              type="text"
-                              value={conversationTitle}
-                              onChange={(e) => setConversationTitle(e.target.value)}
-                              onBlur={() => saveTitle(conv.id)}
-                              onKeyDown={(e) => e.key === 'Enter' && saveTitle(conv.id)}
-                              className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-sm text-primary-50"
-                              autoFocus
-                              onClick={(e) => e.stopPropagation()}
-                            />
-                          </div>
-                        ) : (
-                          <div className="flex-grow pr-6 text-sm">
-                            <div className="text-primary-50 line-clamp-1">
-                              {getConversationTitle(conv.messages)}
-                            </div>
-                            <div className="text-xs text-primary-400 mt-1">
-                              {new Date(conv.lastUpdated).toLocaleDateString()} · {conv.messages.length - 1} messages
+                    {/* Folders */}
+                    {folders.map(folder => {
+                      const folderConversations = filteredConversations.filter(conv => conv.folder === folder);
+                      const isCollapsed = collapsedFolders[folder];
+
+                      // Hide folders without matches while filtering
+                      if (isFiltering && folderConversations.length === 0) return null;
+
+                      return (
+                        <div
+                          key={folder}
+                          {...dropZoneProps(folder)}
+                          className={`rounded-lg transition-colors ${
+                            dropTarget === folder ? 'bg-primary-700/40 ring-1 ring-accent/50' : ''
+                          }`}
+                        >
+                          <div className="flex items-center px-2 py-2 group">
+                            <button
+                              onClick={() => toggleFolder(folder)}
+                              className="flex items-center flex-grow min-w-0 text-left text-primary-200 hover:text-primary-50 transition-colors"
+                              aria-expanded={!isCollapsed}
+                            >
+                              {isCollapsed ? (
+                                <FiChevronRight size={14} className="mr-1 flex-shrink-0" />
+                              ) : (
+                                <FiChevronDown size={14} className="mr-1 flex-shrink-0" />
+                              )}
+                              <FiFolder size={14} className="mr-2 flex-shrink-0" />
+                              {editingFolder === folder ? (
+                                <input
+                                  type="text"
+                                  value={folderName}
+                                  onChange={(e) => setFolderName(e.target.value)}
+                                  onBlur={saveFolder}
+                                  onKeyDown={(e) => e.key === 'Enter' && saveFolder()}
+                                  className="w-full bg-primary-900 border border-primary-600 rounded px-2 py-1 text-sm text-primary-50"
+                                  autoFocus
+                                  onClick={(e) => e.stopPropagation()}
+                                />
+                              ) : (
+                                <span className="text-sm font-medium truncate">
+                                  {folder}
+                                  <span className="ml-2 text-xs text-primary-400">{folderConversations.length}</span>
+                                </span>
+                              )}
+                            </button>
+
+                            <div className="opacity-0 group-hover:opacity-100 transition-opacity flex space-x-1">
+                              <button
+                                onClick={() => startEditingFolder(folder)}
+                                className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+                                aria-label="Rename folder"
+                              >
+                                <FiEdit2 size={12} />
+                              </button>
+                              <button
+                                onClick={() => deleteFolder(folder)}
+                                className="p-1 text-primary-400 hover:text-red-400 transition-colors"
+                                aria-label="Delete folder"
+                              >
+                                <FiTrash2 size={12} />
+                              </button>
                             </div>
                           </div>
-                        )}
-                      </div>
+
+                          {!isCollapsed && (
+                            <div className="space-y-2 pl-3">
+                              {folderConversations.length > 0 ? (
+                                folderConversations.map(renderConversation)
+                              ) : (
+                                <p className="px-2 pb-2 text-xs text-primary-400">Drag conversations here</p>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
                       
-                      {/* Actions */}
-                      <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-opacity flex space-x-1">
-                        <button 
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            startEditing(conv.id, getConversationTitle(conv.messages));
-                          }}
-                          className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
-                          aria-label="Edit title"
-                        >
-                          <FiEdit2 size={14} />
-                        </button>
-                        <button 
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            deleteConversation(conv.id);
-                          }}
-                          className="p-1 text-primary-400 hover:text-red-400 transition-colors"
-                          aria-label="Delete conversation"
-                        >
-                          <FiTrash2 size={14} />
-                        </button>
-                      </div>
+                    {isFiltering && filteredConversations.length === 0 && (
+                      <p className="p-4 text-center text-primary-400 text-xs">No conversations match these filters</p>
+                    )}
+                  </div>
+                ) : (
+                  <div className="flex flex-col items-center justify-center h-full text-center p-4">
+                    <div className="bg-primary-700/50 rounded-full p-4 mb-4">
+                      <FiMessageSquare size={28} className="text-primary-300" />
                     </div>
-                  ))}
-                </div>
-              ) : (
-                <div className="flex flex-col items-center justify-center h-full text-center p-4">
-                  <div className="bg-primary-700/50 rounded-full p-4 mb-4">
-                    <FiMessageSquare size={28} className="text-primary-300" />
+                    <p className="text-primary-300 text-sm">No conversations yet</p>
+                    <p className="text-primary-400 text-xs mt-2">Start a new chat to begin</p>
                   </div>
-                  <p className="text-primary-300 text-sm">No conversations yet</p>
-                  <p className="text-primary-400 text-xs mt-2">Start a new chat to begin</p>
-                </div>
+                )}
+                </>
               )}
             </div>
             
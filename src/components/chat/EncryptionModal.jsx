@@ -0,0 +1,204 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiLock, FiUnlock } from 'react-icons/fi';
+import { isCryptoAvailable } from '@/lib/encryption';
+import { getEncryptionStatus, subscribeToEncryptionStatus, enableEncryption, disableEncryption } from '@/lib/storage';
+
+// Shortest passphrase accepted when turning encryption on
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export default function EncryptionModal({ isOpen, onClose }) {
+  const [status, setStatus] = useState(getEncryptionStatus);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    setStatus(getEncryptionStatus());
+    return subscribeToEncryptionStatus(setStatus);
+  }, []);
+
+  // Start with an empty form every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setPassphrase('');
+      setConfirmation('');
+      setError('');
+    }
+  }, [isOpen]);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+
+    setIsWorking(true);
+    setError('');
+    try {
+      if (await enableEncryption(passphrase)) {
+        setPassphrase('');
+        setConfirmation('');
+      } else {
+        setError('Could not turn on encryption. Please try again.');
+      }
+    } catch (err) {
+      console.error('Error enabling encryption:', err);
+      setError('Could not turn on encryption. Please try again.');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    const confirmed = window.confirm('Store your conversations in this browser without encryption?');
+    if (!confirmed) return;
+
+    setIsWorking(true);
+    setError('');
+    try {
+      if (!(await disableEncryption())) {
+        setError('Could not turn off encryption. Please try again.');
+      }
+    } catch (err) {
+      console.error('Error disabling encryption:', err);
+      setError('Could not turn off encryption. Please try again.');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const isEncrypted = status === 'unlocked' || status === 'locked';
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            transition={{ type: 'spring', duration: 0.5 }}
+            className="bg-primary-800 rounded-xl shadow-xl max-w-lg w-full mx-auto overflow-hidden"
+            onClick={e => e.stopPropagation()}
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-primary-700">
+              <h2 className="text-xl font-semibold text-primary-50">Encryption</h2>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-primary-700 text-primary-300 hover:text-primary-50 transition-colors"
+                aria-label="Close modal"
+              >
+                <FiX size={20} />
+              </button>
+            </div>
+
+            {/* Content */}
+            <div className="p-4 space-y-4">
+              <div className="flex items-center gap-3 bg-primary-900 rounded-lg p-4">
+                {isEncrypted ? (
+                  <FiLock className="text-green-400 flex-shrink-0" size={20} />
+                ) : (
+                  <FiUnlock className="text-primary-400 flex-shrink-0" size={20} />
+                )}
+                <div>
+                  <p className="text-sm font-medium text-primary-50">
+                    {isEncrypted ? 'Encryption is on' : 'Encryption is off'}
+                  </p>
+                  <p className="text-xs text-primary-400">
+                    {isEncrypted
+                      ? 'Conversations, folders and bookmarks in this browser are encrypted with your passphrase.'
+                      : 'Conversations are stored in this browser as plain text.'}
+                  </p>
+                </div>
+              </div>
+
+              {!isCryptoAvailable() ? (
+                <p className="text-sm text-primary-300">
+                  This browser does not support encryption. Open the app over HTTPS in an up-to-date browser.
+                </p>
+              ) : isEncrypted ? (
+                <button
+                  onClick={handleDisable}
+                  disabled={isWorking || status !== 'unlocked'}
+                  className="w-full py-2 px-4 rounded-lg border border-primary-600 text-primary-300 hover:text-primary-50 hover:border-primary-500 transition-colors disabled:opacity-50"
+                >
+                  {isWorking ? 'Decrypting...' : 'Turn off encryption'}
+                </button>
+              ) : (
+                <form onSubmit={handleEnable} className="space-y-3">
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Passphrase</label>
+                    <input
+                      type="password"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      autoComplete="new-password"
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 focus:outline-none focus:border-accent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Confirm passphrase</label>
+                    <input
+                      type="password"
+                      value={confirmation}
+                      onChange={(e) => setConfirmation(e.target.value)}
+                      autoComplete="new-password"
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 focus:outline-none focus:border-accent"
+                    />
+                  </div>
+                  <p className="text-xs text-primary-400">
+                    You will need this passphrase every time the app is opened. Use your account password
+                    to unlock automatically when you log in. A forgotten passphrase cannot be recovered.
+                  </p>
+                  <button
+                    type="submit"
+                    disabled={isWorking || status === 'loading'}
+                    className="w-full py-2 px-4 bg-accent hover:bg-accent-light text-white rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {isWorking ? 'Encrypting...' : 'Turn on encryption'}
+                  </button>
+                </form>
+              )}
+
+              {error && (
+                <p className="text-sm text-red-400">{error}</p>
+              )}
+
+              <p className="text-xs text-primary-400">
+                Only data stored in this browser is encrypted. Conversations synced to your account and
+                shared links are not affected.
+              </p>
+            </div>
+
+            {/* Footer */}
+            <div className="p-4 border-t border-primary-700 text-right">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 bg-primary-700 hover:bg-primary-600 text-primary-50 rounded-lg transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
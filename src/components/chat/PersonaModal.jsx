@@ -0,0 +1,288 @@
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiPlus, FiEdit2, FiTrash2, FiCheck } from 'react-icons/fi';
+import Image from 'next/image';
+import { useChatContext } from '@/context/ChatContext';
+import { PERSONA_VOICES, getDefaultPersonaId, setDefaultPersonaId } from '@/lib/personas';
+
+const emptyDraft = {
+  id: null,
+  name: '',
+  avatar: '',
+  systemPrompt: '',
+  greeting: '',
+  voice: 'auto'
+};
+
+export default function PersonaModal({ isOpen, onClose }) {
+  const { personas, activePersona, selectPersona, savePersona, deletePersona } = useChatContext();
+  const [draft, setDraft] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [defaultPersonaId, setDefaultPersona] = useState(getDefaultPersonaId);
+
+  // Open the form for a new or existing persona
+  const startEditing = (persona = emptyDraft) => {
+    setDraft({ ...emptyDraft, ...persona });
+    setFormError('');
+  };
+
+  // Update a single field of the draft
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Save the draft and use it in this conversation
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    try {
+      const savedPersona = savePersona(draft);
+      selectPersona(savedPersona.id);
+      setDraft(null);
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  // Make a persona the default for new conversations
+  const handleMakeDefault = (personaId) => {
+    setDefaultPersonaId(personaId);
+    setDefaultPersona(personaId);
+  };
+
+  // Delete a custom persona
+  const handleDelete = (personaId) => {
+    deletePersona(personaId);
+    if (defaultPersonaId === personaId) {
+      setDefaultPersona(getDefaultPersonaId());
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            transition={{ type: 'spring', duration: 0.5 }}
+            className="bg-primary-800 rounded-xl shadow-xl max-w-lg w-full mx-auto overflow-hidden max-h-[90vh] flex flex-col"
+            onClick={e => e.stopPropagation()}
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-primary-700">
+              <h2 className="text-xl font-semibold text-primary-50">
+                {draft ? (draft.id ? 'Edit Persona' : 'New Persona') : 'Personas'}
+              </h2>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-primary-700 text-primary-300 hover:text-primary-50 transition-colors"
+                aria-label="Close modal"
+              >
+                <FiX size={20} />
+              </button>
+            </div>
+
+            {/* Content */}
+            <div className="p-4 overflow-y-auto">
+              {draft ? (
+                <form onSubmit={handleSave} className="space-y-3">
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => updateDraft('name', e.target.value)}
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 focus:outline-none focus:border-accent"
+                      placeholder="e.g. Code Reviewer"
+                      autoFocus
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Avatar URL</label>
+                    <input
+                      type="text"
+                      value={draft.avatar}
+                      onChange={(e) => updateDraft('avatar', e.target.value)}
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 focus:outline-none focus:border-accent"
+                      placeholder="/images/avatar.svg"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">System prompt</label>
+                    <textarea
+                      value={draft.systemPrompt}
+                      onChange={(e) => updateDraft('systemPrompt', e.target.value)}
+                      rows={4}
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 resize-none focus:outline-none focus:border-accent"
+                      placeholder="How should the assistant behave?"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Greeting</label>
+                    <input
+                      type="text"
+                      value={draft.greeting}
+                      onChange={(e) => updateDraft('greeting', e.target.value)}
+                      className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 focus:outline-none focus:border-accent"
+                      placeholder="First message of a new conversation"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm text-primary-300 mb-1">Voice</label>
+                    <div className="flex bg-primary-700 rounded-lg p-1 w-max">
+                      {PERSONA_VOICES.map(voice => (
+                        <button
+                          key={voice}
+                          type="button"
+                          onClick={() => updateDraft('voice', voice)}
+                          className={`
+                            px-3 py-1 text-xs rounded-md transition-colors uppercase
+                            ${draft.voice === voice ? 'bg-accent text-white' : 'text-primary-300 hover:text-primary-50'}
+                          `}
+                        >
+                          {voice}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {formError && (
+                    <div className="text-sm text-red-400">{formError}</div>
+                  )}
+
+                  <div className="flex justify-end gap-2 pt-2">
+                    <button
+                      type="button"
+                      onClick={() => setDraft(null)}
+                      className="px-4 py-2 bg-primary-700 hover:bg-primary-600 text-primary-50 rounded-lg transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="px-4 py-2 bg-accent hover:bg-accent-light text-white rounded-lg transition-colors"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="space-y-2">
+                  {personas.map(persona => (
+                    <div
+                      key={persona.id}
+                      className={`
+                        flex items-center p-3 rounded-lg border cursor-pointer transition-colors group
+                        ${persona.id === activePersona.id
+                          ? 'bg-primary-700 border-accent/50'
+                          : 'border-transparent hover:bg-primary-700/50'
+                        }
+                      `}
+                      onClick={() => selectPersona(persona.id)}
+                    >
+                      <div className="w-9 h-9 rounded-full bg-accent overflow-hidden flex-shrink-0 mr-3">
+                        <Image
+                          src={persona.avatar}
+                          alt={persona.name}
+                          width={36}
+                          height={36}
+                          className="w-full h-full object-cover"
+                          unoptimized
+                        />
+                      </div>
+
+                      <div className="flex-grow min-w-0">
+                        <div className="text-primary-50 text-sm font-medium flex items-center">
+                          <span className="truncate">{persona.name}</span>
+                          {persona.id === defaultPersonaId && (
+                            <span className="ml-2 text-[10px] uppercase text-accent">Default</span>
+                          )}
+                        </div>
+                        <div className="text-xs text-primary-400 truncate">
+                          {persona.systemPrompt || 'No system prompt'}
+                        </div>
+                      </div>
+
+                      {/* Actions */}
+                      <div className="flex items-center space-x-1 ml-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {persona.id !== defaultPersonaId && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleMakeDefault(persona.id);
+                            }}
+                            className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+                            title="Use for new conversations"
+                          >
+                            <FiCheck size={14} />
+                          </button>
+                        )}
+                        {!persona.builtIn && (
+                          <>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                startEditing(persona);
+                              }}
+                              className="p-1 text-primary-400 hover:text-primary-50 transition-colors"
+                              title="Edit persona"
+                            >
+                              <FiEdit2 size={14} />
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDelete(persona.id);
+                              }}
+                              className="p-1 text-primary-400 hover:text-red-400 transition-colors"
+                              title="Delete persona"
+                            >
+                              <FiTrash2 size={14} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Footer */}
+            {!draft && (
+              <div className="p-4 border-t border-primary-700 flex justify-between">
+                <button
+                  onClick={() => startEditing()}
+                  className="flex items-center gap-2 px-4 py-2 bg-accent hover:bg-accent-light text-white rounded-lg transition-colors"
+                >
+                  <FiPlus size={16} />
+                  <span>New Persona</span>
+                </button>
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 bg-primary-700 hover:bg-primary-600 text-primary-50 rounded-lg transition-colors"
+                >
+                  Close
+                </button>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
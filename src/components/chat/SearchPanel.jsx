@@ -0,0 +1,153 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { FiSearch, FiX, FiMessageSquare, FiUser } from 'react-icons/fi';
+import HighlightedText from '@/components/ui/HighlightedText';
+import { useChatContext } from '@/context/ChatContext';
+import { searchConversations } from '@/lib/storage';
+import { getSnippet } from '@/lib/search';
+
+// Date filter options, in days back from now
+const DATE_RANGES = [
+  { value: 'any', label: 'Any time', days: null },
+  { value: 'day', label: 'Past day', days: 1 },
+  { value: 'week', label: 'Past week', days: 7 },
+  { value: 'month', label: 'Past month', days: 30 },
+  { value: 'year', label: 'Past year', days: 365 }
+];
+
+// Wait this long after the last keystroke before searching (ms)
+const SEARCH_DELAY = 150;
+
+export default function SearchPanel({ query, onQueryChange }) {
+  const { conversationId, conversations, openSearchResult } = useChatContext();
+
+  const [role, setRole] = useState('');
+  const [dateRange, setDateRange] = useState('any');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  // Search every conversation; runs again when conversations change
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+
+    const timer = setTimeout(() => {
+      const { days } = DATE_RANGES.find(range => range.value === dateRange);
+
+      searchConversations(query, {
+        role: role || null,
+        since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null
+      }).then(found => {
+        if (cancelled) return;
+        setResults(found);
+        setIsSearching(false);
+      });
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, role, dateRange, conversations]);
+
+  return (
+    <div>
+      <div className="p-3 flex items-center">
+        <FiSearch size={18} className="text-primary-400 mr-2" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          placeholder="Search all conversations..."
+          className="flex-grow bg-transparent border-none outline-none text-primary-50 placeholder-primary-400 text-sm"
+          autoFocus
+        />
+        {query && (
+          <button
+            onClick={() => onQueryChange('')}
+            className="text-primary-400 hover:text-primary-200"
+            aria-label="Clear search"
+          >
+            <FiX size={16} />
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex items-center gap-2 px-3 pb-3">
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="bg-primary-900 border border-primary-600 rounded px-2 py-1 text-xs text-primary-100"
+          aria-label="Sender"
+        >
+          <option value="">Everyone</option>
+          <option value="user">My messages</option>
+          <option value="assistant">AI replies</option>
+        </select>
+        <select
+          value={dateRange}
+          onChange={(e) => setDateRange(e.target.value)}
+          className="bg-primary-900 border border-primary-600 rounded px-2 py-1 text-xs text-primary-100"
+          aria-label="Date"
+        >
+          {DATE_RANGES.map(range => (
+            <option key={range.value} value={range.value}>{range.label}</option>
+          ))}
+        </select>
+        {query.trim() && !isSearching && (
+          <span className="ml-auto text-xs text-primary-400">
+            {results.length} result{results.length !== 1 ? 's' : ''}
+          </span>
+        )}
+      </div>
+
+      {/* Results */}
+      {query.trim() && (
+        <div className="max-h-72 overflow-y-auto border-t border-primary-700">
+          {results.length > 0 ? (
+            results.map(result => (
+              <button
+                key={`${result.conversationId}:${result.messageId}`}
+                onClick={() => openSearchResult(result.conversationId, result.messageId)}
+                className="w-full text-left px-4 py-3 border-b border-primary-700/60 hover:bg-primary-700/50 transition-colors"
+              >
+                <div className="flex items-center text-xs text-primary-400 mb-1">
+                  {result.role === 'user' ? (
+                    <FiUser size={12} className="mr-1 flex-shrink-0" />
+                  ) : (
+                    <FiMessageSquare size={12} className="mr-1 flex-shrink-0" />
+                  )}
+                  <span className="text-primary-200 font-medium truncate">{result.title}</span>
+                  {result.conversationId === conversationId && (
+                    <span className="ml-2 px-1.5 rounded bg-accent/20 text-accent-light">Open</span>
+                  )}
+                  {result.timestamp && (
+                    <span className="ml-auto pl-2 flex-shrink-0">
+                      {new Date(result.timestamp).toLocaleDateString()}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-primary-100 line-clamp-2">
+                  <HighlightedText text={getSnippet(result.content, query)} query={query} />
+                </p>
+              </button>
+            ))
+          ) : !isSearching && (
+            <div className="px-4 py-6 text-center">
+              <p className="text-primary-200 text-sm mb-1">No messages match your search</p>
+              <p className="text-primary-400 text-xs">Try different keywords or filters</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
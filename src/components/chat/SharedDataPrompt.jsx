@@ -0,0 +1,71 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiInbox } from 'react-icons/fi';
+import { getSharedDataOffer, subscribeToSharedDataOffer, answerSharedDataOffer } from '@/lib/storage';
+
+// Shown over the app while storage asks whether to take over conversations
+// stored in this browser before each account had its own storage
+export default function SharedDataPrompt() {
+  const [offer, setOffer] = useState(getSharedDataOffer);
+
+  useEffect(() => {
+    setOffer(getSharedDataOffer());
+    return subscribeToSharedDataOffer(setOffer);
+  }, []);
+
+  const count = offer?.conversationCount || 0;
+
+  return (
+    <AnimatePresence>
+      {offer && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/90"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            transition={{ type: 'spring', duration: 0.5 }}
+            className="bg-primary-800 rounded-xl shadow-xl max-w-sm w-full mx-auto overflow-hidden"
+          >
+            <div className="p-6">
+              <div className="flex flex-col items-center text-center mb-5">
+                <div className="w-12 h-12 rounded-full bg-accent/20 text-accent-light flex items-center justify-center mb-3">
+                  <FiInbox size={22} />
+                </div>
+                <h2 className="text-xl font-semibold text-primary-50">Conversations found in this browser</h2>
+                <p className="text-sm text-primary-300 mt-1">
+                  {count > 0
+                    ? `${count} conversation${count === 1 ? ' was' : 's were'} saved in this browser before each account had its own storage.`
+                    : 'Bookmarks were saved in this browser before each account had its own storage.'}
+                  {' '}They may belong to another account that uses this browser.
+                </p>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => answerSharedDataOffer(true)}
+                className="w-full py-2 px-4 bg-accent hover:bg-accent-light text-white rounded-lg transition-colors"
+              >
+                Move them to my account
+              </button>
+
+              <button
+                type="button"
+                onClick={() => answerSharedDataOffer(false)}
+                className="w-full mt-3 py-2 px-4 border border-primary-600 text-primary-200 hover:bg-primary-700 rounded-lg transition-colors"
+              >
+                Not mine, leave them
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
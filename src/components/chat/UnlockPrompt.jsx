@@ -0,0 +1,118 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiLock, FiAlertTriangle } from 'react-icons/fi';
+import { getEncryptionStatus, subscribeToEncryptionStatus, unlockStorage, resetEncryptedStorage } from '@/lib/storage';
+
+// Shown over the app while stored conversations are encrypted and locked
+export default function UnlockPrompt() {
+  const [status, setStatus] = useState(getEncryptionStatus);
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  useEffect(() => {
+    setStatus(getEncryptionStatus());
+    return subscribeToEncryptionStatus(setStatus);
+  }, []);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!passphrase || isUnlocking) return;
+
+    setIsUnlocking(true);
+    setError('');
+    try {
+      if (await unlockStorage(passphrase)) {
+        setPassphrase('');
+      } else {
+        setError('Wrong passphrase. Please try again.');
+      }
+    } catch (err) {
+      console.error('Error unlocking storage:', err);
+      setError('Could not unlock your conversations. Please try again.');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  // Forgotten passphrase: start over with the conversations synced to the account
+  const handleReset = async () => {
+    const confirmed = window.confirm(
+      'Delete all conversations stored in this browser? Conversations that were not synced to your account cannot be recovered.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await resetEncryptedStorage();
+    } catch (err) {
+      console.error('Error resetting storage:', err);
+      setError('Could not reset local data. Please try again.');
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {status === 'locked' && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/90"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            transition={{ type: 'spring', duration: 0.5 }}
+            className="bg-primary-800 rounded-xl shadow-xl max-w-sm w-full mx-auto overflow-hidden"
+          >
+            <form onSubmit={handleUnlock} className="p-6">
+              <div className="flex flex-col items-center text-center mb-5">
+                <div className="w-12 h-12 rounded-full bg-accent/20 text-accent-light flex items-center justify-center mb-3">
+                  <FiLock size={22} />
+                </div>
+                <h2 className="text-xl font-semibold text-primary-50">Conversations locked</h2>
+                <p className="text-sm text-primary-300 mt-1">
+                  Enter your passphrase to decrypt the conversations stored in this browser.
+                </p>
+              </div>
+
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Passphrase"
+                autoComplete="current-password"
+                autoFocus
+                className="w-full bg-primary-900 border border-primary-600 rounded-lg px-3 py-2 text-sm text-primary-50 placeholder-primary-400 focus:outline-none focus:border-accent"
+              />
+
+              {error && (
+                <p className="mt-2 text-sm text-red-400">{error}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={!passphrase || isUnlocking}
+                className="w-full mt-4 py-2 px-4 bg-accent hover:bg-accent-light text-white rounded-lg transition-colors disabled:opacity-50"
+              >
+                {isUnlocking ? 'Unlocking...' : 'Unlock'}
+              </button>
+
+              <button
+                type="button"
+                onClick={handleReset}
+                className="w-full mt-3 flex items-center justify-center gap-1 text-xs text-primary-400 hover:text-red-400 transition-colors"
+              >
+                <FiAlertTriangle size={12} />
+                Forgot passphrase? Reset local data
+              </button>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -7,7 +7,7 @@ import { useChatContext } from '@/context/ChatContext';
 import { startSpeechRecognition, speakText } from '@/lib/voice';
 
 export default function VoiceInput() {
-  const { sendMessage, isProcessing } = useChatContext();
+  const { sendMessage, isProcessing, activePersona } = useChatContext();
   const [isListening, setIsListening] = useState(false);
   const [transcript, setTranscript] = useState('');
   const [isSpeaking, setIsSpeaking] = useState(false);
@@ -237,7 +237,9 @@ export default function VoiceInput() {
         
         try {
           // Store the controller for later cancellation
-          speechControllerRef.current = await speakText(response.content);
+          speechControllerRef.current = await speakText(response.content, {
+            voiceType: activePersona?.voice || 'auto'
+          });
           setIsSpeaking(false);
           stopSpeakingAnimation();
         } catch (error) {
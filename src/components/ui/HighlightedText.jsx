@@ -0,0 +1,26 @@
+'use client';
+
+import { findMatchRanges } from '@/lib/search';
+
+// Render text with the words matching a search query marked
+export default function HighlightedText({ text, query }) {
+  const ranges = query ? findMatchRanges(text, query) : [];
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > lastIndex) parts.push(text.slice(lastIndex, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-300/30 text-white px-0.5 rounded">
+        {text.slice(start, end)}
+      </mark>
+    );
+    lastIndex = end;
+  });
+
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+
+  return <>{parts}</>;
+}
@@ -2,8 +2,10 @@
 
 import React from 'react';
 import CodeBlock from './CodeBlock';
+import HighlightedText from './HighlightedText';
 
-export default function MessageParser({ content }) {
+// `highlight` marks words matching a search query in the text (not in code)
+export default function MessageParser({ content, isStreaming = false, highlight = '' }) {
   // Regular expression to match code blocks with triple backticks
   // It captures the language (optional) and the code inside
   const codeBlockRegex = /```([\w-]*)\n([\s\S]*?)```/g;
@@ -41,10 +43,35 @@ export default function MessageParser({ content }) {
     
     // Add remaining text after last code block
     if (lastIndex < content.length) {
-      segments.push({
-        type: 'text',
-        content: content.substring(lastIndex)
-      });
+      const rest = content.substring(lastIndex);
+      
+      // While streaming, a fence may be opened but not closed yet
+      const openFenceIndex = isStreaming ? rest.indexOf('```') : -1;
+      
+      if (openFenceIndex !== -1) {
+        if (openFenceIndex > 0) {
+          segments.push({
+            type: 'text',
+            content: rest.substring(0, openFenceIndex)
+          });
+        }
+        
+        // Language line is only known once its newline has arrived
+        const fenceBody = rest.substring(openFenceIndex + 3);
+        const newlineIndex = fenceBody.indexOf('\n');
+        
+        segments.push({
+          type: 'codeBlock',
+          language: newlineIndex === -1 ? '' : fenceBody.substring(0, newlineIndex).trim(),
+          content: newlineIndex === -1 ? '' : fenceBody.substring(newlineIndex + 1)
+        });
+      } else {
+        segments.push({
+          type: 'text',
+          // Hide a fence that is still arriving one backtick at a time
+          content: isStreaming ? rest.replace(/`{1,2}$/, '') : rest
+        });
+      }
     }
     
     // If no code blocks were found, return entire content as text
@@ -132,7 +159,7 @@ export default function MessageParser({ content }) {
                   return <span key={partIndex}>{part.content.split('\n').map((line, i) => (
                     <React.Fragment key={i}>
                       {i > 0 && <br />}
-                      {line}
+                      <HighlightedText text={line} query={highlight} />
                     </React.Fragment>
                   ))}</span>;
                 }
@@ -143,6 +170,11 @@ export default function MessageParser({ content }) {
         
         return null;
       })}
+      
+      {/* Blinking cursor while the reply is still streaming */}
+      {isStreaming && (
+        <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-primary-300 animate-pulse" />
+      )}
     </div>
   );
 }
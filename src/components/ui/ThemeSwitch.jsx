@@ -21,6 +21,18 @@ export default function ThemeSwitch() {
       document.documentElement.classList.toggle('dark', prefersDark);
       document.documentElement.classList.toggle('light', !prefersDark);
     }
+    
+    // Follow theme changes made in another tab
+    const handleStorage = (event) => {
+      if (event.key !== 'theme' || !event.newValue) return;
+      
+      setIsDarkMode(event.newValue === 'dark');
+      document.documentElement.classList.toggle('dark', event.newValue === 'dark');
+      document.documentElement.classList.toggle('light', event.newValue === 'light');
+    };
+    
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
   
   // Toggle theme
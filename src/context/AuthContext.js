@@ -2,16 +2,23 @@
 
 import { createContext, useState, useContext, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { unlockStorage, setStorageUser } from '@/lib/storage';
 
 // Context for authentication
 const AuthContext = createContext();
 
 // Provider component that wraps your app and makes auth object available to any child component that calls useAuth().
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(null);
+  const [user, setUserState] = useState(null);
   const [loading, setLoading] = useState(true);
   const router = useRouter();
 
+  // Stored conversations are kept per account, so switch them along with the user
+  const setUser = (nextUser) => {
+    setStorageUser(nextUser?.id);
+    setUserState(nextUser);
+  };
+
   // Check if user is logged in on initial load
   useEffect(() => {
     const checkUserLoggedIn = async () => {
@@ -77,6 +84,12 @@ export function AuthProvider({ children }) {
 
       // Handle successful registration
       if (response.ok && data.success) {
+        // New accounts have to verify their email before they can log in
+        if (data.requiresVerification) {
+          console.log('Registration successful, email verification required');
+          return { success: true, requiresVerification: true, data };
+        }
+        
         console.log('Registration successful, setting user data');
         setUser(data.user);
         
@@ -120,6 +133,11 @@ export function AuthProvider({ children }) {
       if (response.ok && data.success) {
         console.log('Login successful, setting user data');
         setUser(data.user);
+
+        // Conversations encrypted with the account password unlock right away
+        unlockStorage(password).catch(error => {
+          console.warn('Could not unlock stored conversations', error);
+        });
         
         // Save user data for persistence
         if (data.user) {
@@ -135,7 +153,7 @@ export function AuthProvider({ children }) {
         // Handle login errors
         const errorMessage = data.message || 'Login failed';
         console.error('Login error:', errorMessage);
-        return { success: false, error: errorMessage };
+        return { success: false, error: errorMessage, code: data.code };
       }
     } catch (error) {
       console.error('Login error:', error);
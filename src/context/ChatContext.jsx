@@ -1,8 +1,43 @@
 'use client';
 
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { fetchAIResponse } from '@/lib/api';
+import { streamAIResponse, getChatErrorMessage, getChatUsage } from '@/lib/api';
+import {
+  initStorage,
+  getConversation,
+  saveConversation,
+  deleteConversation as removeStoredConversation,
+  trashConversation as moveStoredConversationToTrash,
+  restoreConversation as restoreStoredConversation,
+  archiveConversation as archiveStoredConversation,
+  emptyTrash as emptyStoredTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays as storeTrashRetentionDays,
+  syncConversation,
+  syncAllConversations,
+  generateTitleIfNeeded,
+  STREAMING_SAVE_INTERVAL,
+  getConversationIndex,
+  getConversationFolders,
+  subscribeToConversationIndex,
+  subscribeToConversationChanges,
+  subscribeToPreferences,
+  updateConversationMeta,
+  createConversationFolder,
+  renameConversationFolder,
+  deleteConversationFolder
+} from '@/lib/storage';
+import { getBranch, getLatestLeaf, getSiblingInfo, mergeConversations } from '@/lib/branches';
+import {
+  BUILT_IN_PERSONAS,
+  getPersonas,
+  getPersona,
+  getDefaultPersonaId,
+  savePersona as storePersona,
+  deletePersona as removeStoredPersona,
+  createGreetingMessage
+} from '@/lib/personas';
 
 const ChatContext = createContext();
 
@@ -11,102 +46,519 @@ export function useChatContext() {
 }
 
 export function ChatProvider({ children }) {
-  const [messages, setMessages] = useState([]);
+  // Every message of the conversation tree, and the leaf of the branch being shown
+  const [allMessages, setAllMessages] = useState([]);
+  const [activeLeafId, setActiveLeafId] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isVoiceMode, setIsVoiceMode] = useState(false);
   const [conversationId, setConversationId] = useState('');
+  const [personaId, setPersonaId] = useState(null);
+  const [personas, setPersonas] = useState(BUILT_IN_PERSONAS);
+  // Remaining per-minute and daily chat quota reported by the server
+  const [usage, setUsage] = useState(null);
+  // Index of saved conversations for the sidebar, most recent first
+  const [conversations, setConversations] = useState([]);
+  const [folders, setFolders] = useState([]);
+  // Message opened from search, scrolled to and highlighted
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  // Conversation just moved to the trash, for the undo toast {id, title, wasOpen}
+  const [recentlyTrashed, setRecentlyTrashed] = useState(null);
+  const [trashRetentionDays, setTrashRetentionDaysState] = useState(null);
+  
+  // Controller for the request currently in flight, used to stop generation
+  const abortControllerRef = useRef(null);
+  // When the conversation was last saved, to throttle saves while a reply streams
+  const lastSaveRef = useRef(0);
+  
+  // Search result to show once the conversation being opened has loaded
+  const pendingFocusRef = useRef(null);
+  
+  // Messages on the active branch, in conversation order
+  const messages = useMemo(() => getBranch(allMessages, activeLeafId), [allMessages, activeLeafId]);
+  
+  // Persona of the current conversation
+  const activePersona = useMemo(() => getPersona(personaId), [personaId, personas]);
+  
+  // Load custom personas and settings once stored preferences are available
+  useEffect(() => {
+    const loadPreferences = () => {
+      setPersonas(getPersonas());
+      setTrashRetentionDaysState(getTrashRetentionDays());
+    };
+    
+    initStorage().then(loadPreferences);
+    
+    // Personas and settings changed in another tab
+    return subscribeToPreferences(loadPreferences);
+  }, []);
+  
+  // Load the remaining quota for the usage indicator
+  useEffect(() => {
+    getChatUsage().then(currentUsage => {
+      if (currentUsage) setUsage(currentUsage);
+    });
+  }, []);
   
   // Initialize a new conversation if there's none
   useEffect(() => {
     if (!conversationId) {
       setConversationId(uuidv4());
+      return;
     }
     
-    // Load messages from localStorage if available
-    const loadedMessages = localStorage.getItem(`chat_${conversationId}`);
-    if (loadedMessages) {
-      setMessages(JSON.parse(loadedMessages));
-    } else if (messages.length === 0) {
-      // Add welcome message if this is a new conversation
-      setMessages([
-        {
-          id: uuidv4(),
-          role: 'assistant',
-          content: "Hello there! I'm AI Peter. How can I assist you today?",
-          timestamp: new Date().toISOString()
-        }
-      ]);
-    }
+    let cancelled = false;
+    
+    // Search result to show in this conversation, if it was opened from search
+    const focusId = pendingFocusRef.current;
+    pendingFocusRef.current = null;
+    
+    // Show a loaded conversation, on the branch of the search result if there is one
+    const showConversation = (conversation) => {
+      const hasFocus = Boolean(focusId) && conversation.messages.some(msg => msg.id === focusId);
+      
+      setAllMessages(conversation.messages);
+      setActiveLeafId(hasFocus ? getLatestLeaf(conversation.messages, focusId) : conversation.activeLeafId);
+      setFocusedMessageId(hasFocus ? focusId : null);
+      setPersonaId(conversation.personaId || getDefaultPersonaId());
+    };
+    
+    // Load messages from storage if available
+    getConversation(conversationId).then(loadedConversation => {
+      if (cancelled) return null;
+      
+      if (loadedConversation) {
+        showConversation(loadedConversation);
+      } else if (allMessages.length === 0) {
+        // Add welcome message if this is a new conversation
+        const newPersonaId = getDefaultPersonaId();
+        const welcomeMessage = createGreetingMessage(getPersona(newPersonaId));
+        setPersonaId(newPersonaId);
+        setAllMessages([welcomeMessage]);
+        setActiveLeafId(welcomeMessage.id);
+      }
+      
+      // Pick up changes made to this conversation from another browser
+      return syncConversation(conversationId);
+    }).then(remoteConversation => {
+      if (cancelled || !remoteConversation) return;
+      
+      showConversation(remoteConversation);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
   }, [conversationId]);
   
-  // Save messages to localStorage whenever they change
+  // Upload unsynced chats and download ones created elsewhere
   useEffect(() => {
-    if (conversationId && messages.length > 0) {
-      localStorage.setItem(`chat_${conversationId}`, JSON.stringify(messages));
-    }
-  }, [messages, conversationId]);
-
-  const sendMessage = useCallback(async (userMessage) => {
-    if (!userMessage.trim()) return;
+    syncAllConversations();
+  }, []);
+  
+  // Keep the conversation list and folders in step with the storage index
+  useEffect(() => {
+    getConversationIndex().then(setConversations);
+    getConversationFolders().then(setFolders);
     
-    // Add user message to the chat
-    const userMessageObj = {
-      id: uuidv4(),
-      role: 'user',
-      content: userMessage,
-      timestamp: new Date().toISOString()
+    return subscribeToConversationIndex((index, folderNames) => {
+      setConversations(index);
+      setFolders(folderNames);
+    });
+  }, []);
+  
+  // Save the conversation tree to storage whenever it changes
+  useEffect(() => {
+    if (!conversationId || allMessages.length === 0) return;
+    
+    const save = () => {
+      lastSaveRef.current = Date.now();
+      saveConversation(conversationId, { messages: allMessages, activeLeafId, personaId });
     };
     
-    setMessages(prev => [...prev, userMessageObj]);
+    if (!allMessages.some(msg => msg.isStreaming)) {
+      save();
+      return;
+    }
     
+    // Every streamed token changes the tree; save (and sync) the latest one at most once per interval
+    const timer = setTimeout(save, Math.max(lastSaveRef.current + STREAMING_SAVE_INTERVAL - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [allMessages, activeLeafId, personaId, conversationId]);
+  
+  // Update a single message anywhere in the tree
+  const updateMessage = useCallback((messageId, update) => {
+    setAllMessages(prev => prev.map(msg => 
+      msg.id === messageId ? { ...msg, ...update(msg) } : msg
+    ));
+  }, []);
+
+  // Shared send pipeline: stream a reply for a history that ends with a user message
+  const requestReply = useCallback(async (history) => {
     // Show typing indicator
     setIsProcessing(true);
     
+    // Placeholder assistant message that streamed tokens are appended to
+    const aiMessageId = uuidv4();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    let partialContent = '';
+    
+    // The reply becomes a child of the last message in the history
+    const parentId = history[history.length - 1].id;
+    setAllMessages(prev => [...prev, {
+      id: aiMessageId,
+      parentId,
+      role: 'assistant',
+      content: '',
+      isStreaming: true,
+      timestamp: new Date().toISOString()
+    }]);
+    setActiveLeafId(aiMessageId);
+    
     try {
-      // Call AI API
-      const aiResponse = await fetchAIResponse(userMessage);
+      // Call AI API with the whole conversation as context
+      const aiResponse = await streamAIResponse(history, {
+        systemPrompt: activePersona.systemPrompt,
+        signal: abortController.signal,
+        onUsage: setUsage,
+        onDelta: (delta) => {
+          partialContent += delta;
+          updateMessage(aiMessageId, msg => ({ content: msg.content + delta }));
+        }
+      });
       
-      // Add AI response to the chat
+      // Finalize the AI response in the chat
       const aiMessageObj = {
-        id: uuidv4(),
+        id: aiMessageId,
+        parentId,
         role: 'assistant',
-        content: aiResponse,
+        content: aiResponse.content,
+        provider: aiResponse.provider,
+        model: aiResponse.model,
         timestamp: new Date().toISOString()
       };
       
-      setMessages(prev => [...prev, aiMessageObj]);
+      updateMessage(aiMessageId, () => ({ ...aiMessageObj, isStreaming: false }));
+      
+      // Name the conversation after its first exchange
+      generateTitleIfNeeded(conversationId, [...history, aiMessageObj]);
       
       return aiMessageObj; // Return the message for voice handling
     } catch (error) {
+      // Stopped by the user - keep whatever was generated so far
+      if (abortController.signal.aborted) {
+        const stoppedMessageObj = {
+          id: aiMessageId,
+          parentId,
+          role: 'assistant',
+          content: partialContent,
+          stopped: true,
+          timestamp: new Date().toISOString()
+        };
+        
+        updateMessage(aiMessageId, () => ({ ...stoppedMessageObj, isStreaming: false }));
+        return stoppedMessageObj;
+      }
+      
       console.error('Error fetching AI response:', error);
+      if (error.usage) setUsage(error.usage);
       
-      // Add error message
+      // Replace the in-progress message with an error message
       const errorMessageObj = {
-        id: uuidv4(),
+        id: aiMessageId,
+        parentId,
         role: 'assistant',
-        content: "I'm sorry, I encountered an error. Please try again.",
+        content: getChatErrorMessage(error),
         isError: true,
+        errorCode: error.code || null,
         timestamp: new Date().toISOString()
       };
       
-      setMessages(prev => [...prev, errorMessageObj]);
+      updateMessage(aiMessageId, () => ({ ...errorMessageObj, isStreaming: false }));
       return errorMessageObj;
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
       setIsProcessing(false);
     }
+  }, [updateMessage, activePersona, conversationId]);
+
+  const sendMessage = useCallback(async (userMessage) => {
+    if (!userMessage.trim()) return;
+    
+    // Add user message to the end of the active branch
+    const userMessageObj = {
+      id: uuidv4(),
+      parentId: activeLeafId,
+      role: 'user',
+      content: userMessage,
+      timestamp: new Date().toISOString()
+    };
+    
+    setAllMessages(prev => [...prev, userMessageObj]);
+    setActiveLeafId(userMessageObj.id);
+    setFocusedMessageId(null);
+    
+    return requestReply([...messages, userMessageObj]);
+  }, [messages, activeLeafId, requestReply]);
+
+  // Re-run the model for an assistant message; the new reply becomes a sibling
+  const regenerateMessage = useCallback(async (messageId) => {
+    if (abortControllerRef.current) return;
+    
+    const message = allMessages.find(msg => msg.id === messageId);
+    if (!message || message.role !== 'assistant' || !message.parentId) return;
+    
+    const history = getBranch(allMessages, message.parentId);
+    if (history[history.length - 1]?.role !== 'user') return;
+    
+    return requestReply(history);
+  }, [allMessages, requestReply]);
+
+  // Replace an error bubble with a fresh attempt at the same prompt
+  const retryMessage = useCallback(async (messageId) => {
+    if (abortControllerRef.current) return;
+    
+    const message = allMessages.find(msg => msg.id === messageId);
+    if (!message || !message.isError || !message.parentId) return;
+    
+    const history = getBranch(allMessages, message.parentId);
+    if (history[history.length - 1]?.role !== 'user') return;
+    
+    setAllMessages(prev => prev.filter(msg => msg.id !== messageId));
+    return requestReply(history);
+  }, [allMessages, requestReply]);
+
+  // Send an edited copy of a user message as a new branch next to the original
+  const editMessage = useCallback(async (messageId, newContent) => {
+    if (abortControllerRef.current || !newContent.trim()) return;
+    
+    const message = allMessages.find(msg => msg.id === messageId);
+    if (!message || message.role !== 'user') return;
+    
+    const editedMessageObj = {
+      id: uuidv4(),
+      parentId: message.parentId || null,
+      role: 'user',
+      content: newContent,
+      editedAt: new Date().toISOString(),
+      timestamp: new Date().toISOString()
+    };
+    
+    setAllMessages(prev => [...prev, editedMessageObj]);
+    setActiveLeafId(editedMessageObj.id);
+    
+    const history = [...getBranch(allMessages, message.parentId), editedMessageObj];
+    return requestReply(history);
+  }, [allMessages, requestReply]);
+
+  // Sibling position of a message, for "< 2/3 >" navigation
+  const getBranchInfo = useCallback((messageId) => {
+    const { index, total } = getSiblingInfo(allMessages, messageId);
+    return { index, total };
+  }, [allMessages]);
+
+  // Show the previous (-1) or next (+1) sibling of a message and its latest continuation
+  const switchBranch = useCallback((messageId, direction) => {
+    if (abortControllerRef.current) return;
+    
+    const { index, siblings } = getSiblingInfo(allMessages, messageId);
+    const target = siblings[index + direction];
+    if (!target) return;
+    
+    setActiveLeafId(getLatestLeaf(allMessages, target.id));
+  }, [allMessages]);
+
+  // Abort the reply that is currently being generated
+  const stopGeneration = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
   }, []);
 
   const clearConversation = useCallback(() => {
     const newConversationId = uuidv4();
     setConversationId(newConversationId);
-    setMessages([
-      {
-        id: uuidv4(),
-        role: 'assistant',
-        content: "Hello there! I'm AI Peter. How can I assist you today?",
-        timestamp: new Date().toISOString()
+    
+    const newPersonaId = getDefaultPersonaId();
+    const welcomeMessage = createGreetingMessage(getPersona(newPersonaId));
+    setPersonaId(newPersonaId);
+    setAllMessages([welcomeMessage]);
+    setActiveLeafId(welcomeMessage.id);
+    setFocusedMessageId(null);
+  }, []);
+
+  // Follow changes made to the open conversation in another tab
+  useEffect(() => {
+    return subscribeToConversationChanges((id, conversation, previous) => {
+      if (id !== conversationId) return;
+      
+      // Deleted there: start over here, unless a reply is still coming in
+      if (!conversation) {
+        if (!abortControllerRef.current) clearConversation();
+        return;
+      }
+      
+      const merged = mergeConversations(previous, { messages: allMessages, activeLeafId }, conversation);
+      if (merged.messages !== allMessages) setAllMessages(merged.messages);
+      setActiveLeafId(merged.activeLeafId);
+      
+      if (conversation.personaId && conversation.personaId !== previous?.personaId) {
+        setPersonaId(conversation.personaId);
       }
-    ]);
+    });
+  }, [conversationId, allMessages, activeLeafId, clearConversation]);
+
+  // Switch to a saved conversation; the load effect fills in its messages
+  const loadConversation = useCallback((id) => {
+    if (abortControllerRef.current || id === conversationId) return;
+    
+    setAllMessages([]);
+    setActiveLeafId(null);
+    setFocusedMessageId(null);
+    setConversationId(id);
+  }, [conversationId]);
+
+  // Open a search result: switch conversation if needed, then show and highlight the message
+  const openSearchResult = useCallback((id, messageId) => {
+    if (abortControllerRef.current) return;
+    
+    if (id === conversationId) {
+      if (!allMessages.some(msg => msg.id === messageId)) return;
+      
+      setActiveLeafId(getLatestLeaf(allMessages, messageId));
+      setFocusedMessageId(messageId);
+      return;
+    }
+    
+    pendingFocusRef.current = messageId;
+    setAllMessages([]);
+    setActiveLeafId(null);
+    setFocusedMessageId(null);
+    setConversationId(id);
+  }, [conversationId, allMessages]);
+
+  // Open an imported conversation {messages, activeLeafId} as a new conversation
+  // Returns false while a reply is being generated
+  const importConversation = useCallback((conversation) => {
+    if (abortControllerRef.current) return false;
+    
+    setConversationId(uuidv4());
+    setAllMessages(conversation.messages);
+    setActiveLeafId(conversation.activeLeafId);
+    setPersonaId(conversation.personaId || getDefaultPersonaId());
+    setFocusedMessageId(null);
+    return true;
+  }, []);
+
+  // Give a conversation a custom title (an empty title restores the default)
+  const renameConversation = useCallback((id, title) => {
+    return updateConversationMeta(id, { title });
+  }, []);
+
+  // Pin a conversation to the top of the list, or unpin it
+  const pinConversation = useCallback((id, pinned) => {
+    return updateConversationMeta(id, { pinned });
+  }, []);
+
+  // Move a conversation into a folder (null for no folder)
+  const moveConversation = useCallback((id, folder) => {
+    return updateConversationMeta(id, { folder });
+  }, []);
+
+  // Replace the tags of a conversation
+  const tagConversation = useCallback((id, tags) => {
+    return updateConversationMeta(id, { tags });
+  }, []);
+
+  // Move a conversation to the trash, starting a new one if it was open
+  // The undo toast can bring it back (and reopen it)
+  const trashConversation = useCallback(async (id) => {
+    const wasOpen = id === conversationId;
+    
+    if (wasOpen) {
+      if (abortControllerRef.current) return false;
+      clearConversation();
+    }
+    
+    const entry = conversations.find(conv => conv.id === id);
+    const trashed = await moveStoredConversationToTrash(id);
+    if (trashed) setRecentlyTrashed({ id, title: entry?.title || 'Conversation', wasOpen });
+    return trashed;
+  }, [conversationId, conversations, clearConversation]);
+
+  // Undo the last move to the trash
+  const undoTrash = useCallback(async () => {
+    if (!recentlyTrashed) return;
+    
+    const { id, wasOpen } = recentlyTrashed;
+    setRecentlyTrashed(null);
+    
+    await restoreStoredConversation(id);
+    if (wasOpen) loadConversation(id);
+  }, [recentlyTrashed, loadConversation]);
+
+  const dismissTrashUndo = useCallback(() => {
+    setRecentlyTrashed(null);
+  }, []);
+
+  // Take a conversation out of the trash or the archive
+  const restoreConversation = useCallback((id) => {
+    return restoreStoredConversation(id);
+  }, []);
+
+  // Hide a conversation from the default list (or show it again)
+  const archiveConversation = useCallback((id, archived = true) => {
+    return archiveStoredConversation(id, archived);
+  }, []);
+
+  // Delete a conversation for good, starting a new one if it was open
+  const deleteConversation = useCallback(async (id) => {
+    if (id === conversationId) {
+      if (abortControllerRef.current) return false;
+      clearConversation();
+    }
+    
+    return removeStoredConversation(id);
+  }, [conversationId, clearConversation]);
+
+  // Delete everything in the trash for good
+  const emptyTrash = useCallback(() => {
+    return emptyStoredTrash();
+  }, []);
+
+  // Change how many days conversations stay in the trash
+  const setTrashRetentionDays = useCallback((days) => {
+    storeTrashRetentionDays(days);
+    setTrashRetentionDaysState(days);
+  }, []);
+
+  // Choose the persona for the current conversation
+  const selectPersona = useCallback((newPersonaId) => {
+    if (abortControllerRef.current) return;
+    
+    setPersonaId(newPersonaId);
+    
+    // Nothing has been said yet - greet with the new persona instead
+    if (!allMessages.some(msg => msg.role === 'user')) {
+      const welcomeMessage = createGreetingMessage(getPersona(newPersonaId));
+      setAllMessages([welcomeMessage]);
+      setActiveLeafId(welcomeMessage.id);
+    }
+  }, [allMessages]);
+
+  // Create or update a custom persona
+  const savePersona = useCallback((persona) => {
+    const savedPersona = storePersona(persona);
+    setPersonas(getPersonas());
+    return savedPersona;
+  }, []);
+
+  // Delete a custom persona; conversations using it fall back to the default
+  const deletePersona = useCallback((deletedPersonaId) => {
+    removeStoredPersona(deletedPersonaId);
+    setPersonas(getPersonas());
   }, []);
 
   const generateShareableLink = useCallback(() => {
@@ -122,7 +574,42 @@ export function ChatProvider({ children }) {
     isProcessing,
     isVoiceMode,
     conversationId,
+    conversations,
+    loadConversation,
+    openSearchResult,
+    importConversation,
+    focusedMessageId,
+    renameConversation,
+    pinConversation,
+    moveConversation,
+    tagConversation,
+    trashConversation,
+    restoreConversation,
+    archiveConversation,
+    deleteConversation,
+    emptyTrash,
+    recentlyTrashed,
+    undoTrash,
+    dismissTrashUndo,
+    trashRetentionDays,
+    setTrashRetentionDays,
+    folders,
+    createFolder: createConversationFolder,
+    renameFolder: renameConversationFolder,
+    deleteFolder: deleteConversationFolder,
+    usage,
+    personas,
+    activePersona,
+    selectPersona,
+    savePersona,
+    deletePersona,
     sendMessage,
+    regenerateMessage,
+    retryMessage,
+    editMessage,
+    getBranchInfo,
+    switchBranch,
+    stopGeneration,
     clearConversation,
     generateShareableLink,
     toggleVoiceMode
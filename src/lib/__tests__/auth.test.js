@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SignJWT } from 'jose';
+import { getTokenPayload, signActionToken, verifyActionToken } from '../auth';
+
+const secretKey = new TextEncoder().encode(process.env.JWT_SECRET || 'ai-peter-secret-key-change-this');
+
+// Same claims as the login route
+const signLoginToken = () => new SignJWT({ id: 'user_1', email: 'peter@example.com', name: 'Peter' })
+  .setProtectedHeader({ alg: 'HS256' })
+  .setIssuedAt()
+  .setExpirationTime('7d')
+  .sign(secretKey);
+
+const requestWith = token => new Request('https://peter.example.com/api/chat', {
+  headers: { Authorization: `Bearer ${token}` }
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('getTokenPayload', () => {
+  it('accepts a login token', async () => {
+    const payload = await getTokenPayload(requestWith(await signLoginToken()));
+
+    expect(payload).toMatchObject({ id: 'user_1', email: 'peter@example.com' });
+  });
+
+  it('refuses an action token as a session', async () => {
+    const token = await signActionToken('password-reset', { sub: 'user_1', jti: 'reset_1' }, '1h');
+
+    expect(await getTokenPayload(requestWith(token))).toBeNull();
+  });
+
+  it('refuses a missing or forged token', async () => {
+    expect(await getTokenPayload(new Request('https://peter.example.com/api/chat'))).toBeNull();
+    expect(await getTokenPayload(requestWith(`${await signLoginToken()}x`))).toBeNull();
+  });
+});
+
+describe('verifyActionToken', () => {
+  it('only accepts the purpose the token was signed for', async () => {
+    const token = await signActionToken('password-reset', { sub: 'user_1', jti: 'reset_1' }, '1h');
+
+    expect(await verifyActionToken(token, 'password-reset')).toMatchObject({ sub: 'user_1', jti: 'reset_1' });
+    expect(await verifyActionToken(token, 'email-verification')).toBeNull();
+    expect(await verifyActionToken(await signLoginToken(), 'password-reset')).toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  linkMessages,
+  normalizeConversation,
+  getChildren,
+  getBranch,
+  getLatestLeaf,
+  getSiblingInfo,
+  getActiveBranch,
+  mergeMessages,
+  mergeConversations
+} from '../branches';
+
+const message = (id, parentId, role = 'user') => ({ id, parentId, role, content: id });
+
+// greeting -> question -> two answers (a regenerated reply), the second one continued
+const tree = [
+  message('greeting', null, 'assistant'),
+  message('question', 'greeting'),
+  message('answer-1', 'question', 'assistant'),
+  message('answer-2', 'question', 'assistant'),
+  message('follow-up', 'answer-2')
+];
+
+describe('linkMessages', () => {
+  it('chains a flat legacy list in order', () => {
+    const linked = linkMessages([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+    expect(linked.map(msg => msg.parentId)).toEqual([null, 'a', 'b']);
+  });
+
+  it('keeps the parents of linked messages', () => {
+    expect(linkMessages(tree)).toEqual(tree);
+  });
+});
+
+describe('normalizeConversation', () => {
+  it('turns a legacy array into a tree ending at its last message', () => {
+    expect(normalizeConversation([{ id: 'a' }, { id: 'b' }])).toEqual({
+      messages: [{ id: 'a', parentId: null }, { id: 'b', parentId: 'a' }],
+      activeLeafId: 'b'
+    });
+  });
+
+  it('falls back to the last message for an unknown active leaf', () => {
+    const conversation = normalizeConversation({ messages: tree, activeLeafId: 'missing' });
+
+    expect(conversation.activeLeafId).toBe('follow-up');
+  });
+
+  it('returns null for empty or invalid data', () => {
+    expect(normalizeConversation(null)).toBeNull();
+    expect(normalizeConversation([])).toBeNull();
+    expect(normalizeConversation({ messages: [] })).toBeNull();
+    expect(normalizeConversation({ foo: 'bar' })).toBeNull();
+  });
+});
+
+describe('tree navigation', () => {
+  it('lists children oldest first', () => {
+    expect(getChildren(tree, 'question').map(msg => msg.id)).toEqual(['answer-1', 'answer-2']);
+    expect(getChildren(tree, null).map(msg => msg.id)).toEqual(['greeting']);
+  });
+
+  it('walks from the root to a leaf', () => {
+    expect(getBranch(tree, 'answer-1').map(msg => msg.id)).toEqual(['greeting', 'question', 'answer-1']);
+    expect(getBranch(tree, 'missing')).toEqual([]);
+  });
+
+  it('follows the newest child down to a leaf', () => {
+    expect(getLatestLeaf(tree, 'question')).toBe('follow-up');
+    expect(getLatestLeaf(tree, 'answer-1')).toBe('answer-1');
+  });
+
+  it('reports the position among siblings', () => {
+    const info = getSiblingInfo(tree, 'answer-2');
+
+    expect(info.index).toBe(1);
+    expect(info.total).toBe(2);
+    expect(getSiblingInfo(tree, 'missing')).toEqual({ index: 0, total: 0, siblings: [] });
+  });
+
+  it('gets the active branch of stored data', () => {
+    const branch = getActiveBranch({ messages: tree, activeLeafId: 'answer-1' });
+
+    expect(branch.map(msg => msg.id)).toEqual(['greeting', 'question', 'answer-1']);
+    expect(getActiveBranch(null)).toEqual([]);
+  });
+});
+
+describe('mergeMessages', () => {
+  const base = [message('a', null), message('b', 'a', 'assistant')];
+
+  it('keeps the local list when nothing changed elsewhere', () => {
+    const local = [...base, message('c', 'b')];
+
+    expect(mergeMessages(base, local, base)).toBe(local);
+  });
+
+  it('adds messages added elsewhere after the local ones', () => {
+    const local = [...base, message('local', 'b')];
+    const remote = [...base, message('remote', 'b')];
+
+    expect(mergeMessages(base, local, remote).map(msg => msg.id)).toEqual(['a', 'b', 'local', 'remote']);
+  });
+
+  it('takes edits made elsewhere to messages unchanged here', () => {
+    const remote = [base[0], { ...base[1], content: 'edited' }];
+
+    expect(mergeMessages(base, base, remote)[1].content).toBe('edited');
+  });
+
+  it('keeps local edits over edits made elsewhere', () => {
+    const local = [base[0], { ...base[1], content: 'local edit' }];
+    const remote = [base[0], { ...base[1], content: 'remote edit' }];
+
+    expect(mergeMessages(base, local, remote)[1].content).toBe('local edit');
+  });
+
+  it('drops messages deleted elsewhere unless they changed here', () => {
+    const remote = [base[0]];
+
+    expect(mergeMessages(base, base, remote).map(msg => msg.id)).toEqual(['a']);
+
+    const local = [base[0], { ...base[1], content: 'local edit' }];
+    expect(mergeMessages(base, local, remote).map(msg => msg.id)).toEqual(['a', 'b']);
+  });
+
+  it('does not bring back messages deleted here', () => {
+    expect(mergeMessages(base, [base[0]], base).map(msg => msg.id)).toEqual(['a']);
+  });
+});
+
+describe('mergeConversations', () => {
+  const base = { messages: tree.slice(0, 4), activeLeafId: 'answer-2' };
+
+  it('follows the branch switched to elsewhere', () => {
+    const remote = { messages: base.messages, activeLeafId: 'answer-1' };
+
+    expect(mergeConversations(base, base, remote).activeLeafId).toBe('answer-1');
+  });
+
+  it('keeps a branch switched to here', () => {
+    const local = { messages: base.messages, activeLeafId: 'answer-1' };
+    const remote = { messages: tree, activeLeafId: 'follow-up' };
+
+    const merged = mergeConversations(base, local, remote);
+
+    expect(merged.activeLeafId).toBe('answer-1');
+    expect(merged.messages.map(msg => msg.id)).toContain('follow-up');
+  });
+
+  it('keeps the local leaf when the remote one was not merged', () => {
+    const local = { messages: tree, activeLeafId: 'follow-up' };
+    const remote = { messages: base.messages.slice(0, 3), activeLeafId: 'answer-1' };
+
+    // answer-2 was deleted elsewhere but has a local reply, so it stays
+    const merged = mergeConversations(base, local, remote);
+
+    expect(merged.activeLeafId).toBe('follow-up');
+  });
+
+  it('keeps everything and the local leaf without a common base', () => {
+    const local = { messages: [message('x', null)], activeLeafId: 'x' };
+
+    const merged = mergeConversations(null, local, base);
+
+    expect(merged.messages.map(msg => msg.id)).toEqual(['x', ...base.messages.map(msg => msg.id)]);
+    expect(merged.activeLeafId).toBe('x');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTokens, toContextMessages, fitContextWindow } from '../context';
+
+const message = (role, content, extra = {}) => ({ id: `${role}-${content.length}`, role, content, ...extra });
+
+describe('toContextMessages', () => {
+  it('keeps only role and content of usable messages', () => {
+    const history = toContextMessages([
+      message('assistant', 'Halo!', { timestamp: '2025-01-01T00:00:00Z' }),
+      message('user', 'Apa kabar?'),
+      message('assistant', 'Gagal', { isError: true }),
+      message('assistant', '   '),
+      message('tool', 'ignored'),
+      null
+    ]);
+
+    expect(history).toEqual([
+      { role: 'assistant', content: 'Halo!' },
+      { role: 'user', content: 'Apa kabar?' }
+    ]);
+  });
+
+  it('returns an empty history for anything but an array', () => {
+    expect(toContextMessages(undefined)).toEqual([]);
+    expect(toContextMessages('hello')).toEqual([]);
+  });
+});
+
+describe('fitContextWindow', () => {
+  it('drops the oldest turns first and keeps system messages', () => {
+    const messages = [
+      message('system', 'a'.repeat(40)),
+      message('user', 'b'.repeat(40)),
+      message('assistant', 'c'.repeat(40)),
+      message('user', 'd'.repeat(40))
+    ];
+
+    // 10 tokens of system prompt leave room for two 10-token turns
+    const fitted = fitContextWindow(messages, { maxTokens: 30, maxMessages: 20 });
+
+    expect(fitted.map(msg => msg.content[0])).toEqual(['a', 'c', 'd']);
+  });
+
+  it('keeps at most maxMessages turns', () => {
+    const messages = ['one', 'two', 'three', 'four'].map(text => message('user', text));
+
+    const fitted = fitContextWindow(messages, { maxTokens: 1000, maxMessages: 2 });
+
+    expect(fitted.map(msg => msg.content)).toEqual(['three', 'four']);
+  });
+
+  it('keeps the tail of a newest message that is over budget on its own', () => {
+    const content = `${'x'.repeat(400)}pertanyaan terakhir`;
+
+    const fitted = fitContextWindow([message('user', content)], { maxTokens: 10, maxMessages: 20 });
+
+    expect(fitted).toHaveLength(1);
+    expect(fitted[0].content).toBe(content.slice(content.length - 40));
+    expect(estimateTokens(fitted[0].content)).toBeLessThanOrEqual(10);
+  });
+
+  it('throws context_too_small when the system prompt uses up the budget', () => {
+    const messages = [message('system', 's'.repeat(200)), message('user', 'Halo')];
+
+    expect(() => fitContextWindow(messages, { maxTokens: 50, maxMessages: 20 }))
+      .toThrow(expect.objectContaining({ code: 'context_too_small' }));
+  });
+
+  it('accepts a large system prompt when there is nothing else to send', () => {
+    const messages = [message('system', 's'.repeat(200))];
+
+    expect(fitContextWindow(messages, { maxTokens: 50, maxMessages: 20 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { listConversations, getConversation, saveConversation, deleteConversation } from '../conversationDb';
+
+const conversation = (content = 'Halo') => ({
+  messages: [
+    { id: 'greeting', parentId: null, role: 'assistant', content: 'Hi' },
+    { id: 'question', parentId: 'greeting', role: 'user', content }
+  ],
+  activeLeafId: 'question'
+});
+
+describe.each(['memory', 'json'])('conversations in the %s store', (name) => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-conversations-'));
+    vi.stubEnv('CONVERSATION_DB_ADAPTER', name);
+    vi.stubEnv('CONVERSATION_DB_PATH', directory);
+    delete global.EDGE_RUNTIME_STORAGE?.next_conversations;
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps every user\'s conversations apart', async () => {
+    await saveConversation('user_a', 'same-id', conversation('from A'));
+    await saveConversation('user_b', 'same-id', conversation('from B'));
+    await saveConversation('user_b', 'other-id', conversation());
+
+    expect((await listConversations('user_a')).map(summary => summary.id)).toEqual(['same-id']);
+    expect((await getConversation('user_a', 'same-id')).messages[1].content).toBe('from A');
+    expect((await getConversation('user_b', 'same-id')).messages[1].content).toBe('from B');
+    expect(await getConversation('user_a', 'other-id')).toBeNull();
+
+    expect(await deleteConversation('user_a', 'same-id')).toBe(true);
+    expect(await getConversation('user_b', 'same-id')).not.toBeNull();
+  });
+
+  it('limits the number of conversations per user', async () => {
+    vi.stubEnv('CONVERSATION_MAX_PER_USER', '2');
+    await saveConversation('user_a', 'first', conversation());
+    await saveConversation('user_a', 'second', conversation());
+
+    await expect(saveConversation('user_a', 'third', conversation()))
+      .rejects.toMatchObject({ code: 'conversation_limit' });
+
+    // Existing conversations can still be changed, and other users have their own limit
+    await expect(saveConversation('user_a', 'second', conversation('edited'))).resolves.toBeTruthy();
+    await expect(saveConversation('user_b', 'third', conversation())).resolves.toBeTruthy();
+    expect(await listConversations('user_a')).toHaveLength(2);
+  });
+
+  it('holds the limit when new conversations arrive together', async () => {
+    vi.stubEnv('CONVERSATION_MAX_PER_USER', '2');
+
+    const results = await Promise.allSettled(
+      ['a', 'b', 'c', 'd'].map(id => saveConversation('user_a', id, conversation()))
+    );
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.filter(result => result.reason?.code === 'conversation_limit')).toHaveLength(2);
+    expect(await listConversations('user_a')).toHaveLength(2);
+  });
+
+  it('limits the size of one conversation', async () => {
+    vi.stubEnv('CONVERSATION_MAX_BYTES', '2048');
+
+    await expect(saveConversation('user_a', 'large', conversation('x'.repeat(4096))))
+      .rejects.toMatchObject({ code: 'payload_too_large' });
+    expect(await listConversations('user_a')).toEqual([]);
+  });
+
+  it('refuses IDs that are not URL-safe', async () => {
+    await expect(saveConversation('user_a', '../escape', conversation()))
+      .rejects.toMatchObject({ code: 'invalid_request' });
+    expect(await getConversation('user_a', '../escape')).toBeNull();
+  });
+});
+
+describe('json store paths', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-conversations-'));
+    vi.stubEnv('CONVERSATION_DB_ADAPTER', 'json');
+    vi.stubEnv('CONVERSATION_DB_PATH', directory);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps each user in a directory named after the encoded user ID', async () => {
+    await saveConversation('../user/a', 'first', conversation());
+
+    const userDirectory = Buffer.from('../user/a').toString('base64url');
+    expect(await fs.readdir(directory)).toEqual([userDirectory]);
+    expect((await fs.readdir(path.join(directory, userDirectory))).sort()).toEqual(['first.json', 'index.json']);
+  });
+});
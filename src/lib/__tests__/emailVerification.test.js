@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  sendVerificationEmail,
+  confirmEmailVerification,
+  RESEND_INTERVAL,
+  VERIFICATION_TOKEN_TTL_HOURS
+} from '../emailVerification';
+import { createUser, getUserByEmail, verifyCredentials, isEmailVerificationRequired } from '../db';
+import { signActionToken } from '../auth';
+
+const BASE_URL = 'https://peter.example.com';
+const NOW = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+let outboxDir;
+
+// Token from the newest verification link in the outbox
+const readVerificationToken = async () => {
+  const files = (await fs.readdir(outboxDir)).sort();
+  const mail = await fs.readFile(path.join(outboxDir, files[files.length - 1]), 'utf8');
+  const [, token] = mail.match(/\/verify-email\?token=([^\s"]+)/);
+  return decodeURIComponent(token);
+};
+
+const countMails = async () => (await fs.readdir(outboxDir).catch(() => [])).length;
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-mail-'));
+  vi.stubEnv('USER_DB_ADAPTER', 'memory');
+  vi.stubEnv('APP_URL', BASE_URL);
+  vi.stubEnv('MAIL_TRANSPORT', 'file');
+  vi.stubEnv('MAIL_OUTBOX_DIR', outboxDir);
+  delete global.EDGE_RUNTIME_STORAGE?.next_users_db;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  await createUser({ name: 'Peter', email: 'peter@example.com', password: 'rahasia1' });
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe('sendVerificationEmail', () => {
+  it('emails a verification link to a new account', async () => {
+    expect(await sendVerificationEmail('Peter@Example.com')).toBe(true);
+
+    const [file] = await fs.readdir(outboxDir);
+    const mail = await fs.readFile(path.join(outboxDir, file), 'utf8');
+    expect(mail).toContain('To: peter@example.com');
+    expect(mail).toContain(`${BASE_URL}/verify-email?token=`);
+  });
+
+  it('refuses to send a link without APP_URL in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('APP_URL', '');
+
+    await expect(sendVerificationEmail('peter@example.com')).rejects.toMatchObject({ code: 'app_misconfigured' });
+    expect(await countMails()).toBe(0);
+  });
+
+  it('sends nothing for unknown or verified accounts', async () => {
+    expect(await sendVerificationEmail('paul@example.com')).toBe(false);
+
+    await sendVerificationEmail('peter@example.com');
+    await confirmEmailVerification(await readVerificationToken());
+
+    vi.setSystemTime(NOW + RESEND_INTERVAL + 1000);
+    expect(await sendVerificationEmail('peter@example.com')).toBe(false);
+    expect(await countMails()).toBe(1);
+  });
+
+  it('waits RESEND_INTERVAL before sending another link', async () => {
+    await sendVerificationEmail('peter@example.com');
+
+    vi.setSystemTime(NOW + RESEND_INTERVAL - 1000);
+    expect(await sendVerificationEmail('peter@example.com')).toBe(false);
+
+    vi.setSystemTime(NOW + RESEND_INTERVAL + 1000);
+    expect(await sendVerificationEmail('peter@example.com')).toBe(true);
+    expect(await countMails()).toBe(2);
+  });
+});
+
+describe('confirmEmailVerification', () => {
+  it('activates the account so it can log in', async () => {
+    await expect(verifyCredentials('peter@example.com', 'rahasia1'))
+      .rejects.toMatchObject({ code: 'email_not_verified' });
+
+    await sendVerificationEmail('peter@example.com');
+    const user = await confirmEmailVerification(await readVerificationToken());
+
+    expect(user).toMatchObject({ email: 'peter@example.com', status: 'active' });
+    expect(user.emailVerification).toBeUndefined();
+    expect(await verifyCredentials('peter@example.com', 'rahasia1')).not.toBeNull();
+  });
+
+  it('accepts a link only once', async () => {
+    await sendVerificationEmail('peter@example.com');
+    const token = await readVerificationToken();
+
+    await confirmEmailVerification(token);
+
+    await expect(confirmEmailVerification(token)).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  it('accepts only the latest link', async () => {
+    await sendVerificationEmail('peter@example.com');
+    const firstToken = await readVerificationToken();
+
+    vi.setSystemTime(NOW + RESEND_INTERVAL + 1000);
+    await sendVerificationEmail('peter@example.com');
+
+    await expect(confirmEmailVerification(firstToken)).rejects.toMatchObject({ code: 'invalid_token' });
+    expect((await getUserByEmail('peter@example.com')).status).toBe('pending_verification');
+    await expect(confirmEmailVerification(await readVerificationToken())).resolves.toBeTruthy();
+  });
+
+  it('rejects expired links', async () => {
+    await sendVerificationEmail('peter@example.com');
+    const token = await readVerificationToken();
+
+    vi.setSystemTime(NOW + (VERIFICATION_TOKEN_TTL_HOURS + 1) * 60 * 60 * 1000);
+
+    await expect(confirmEmailVerification(token)).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  it('rejects tokens made for another purpose', async () => {
+    await sendVerificationEmail('peter@example.com');
+    const { id } = await getUserByEmail('peter@example.com');
+    const token = await signActionToken('password-reset', { sub: id, jti: 'token_1' }, '1h');
+
+    await expect(confirmEmailVerification(token)).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+});
+
+describe('isEmailVerificationRequired', () => {
+  it('requires verification in production only when emails are delivered', () => {
+    expect(isEmailVerificationRequired()).toBe(true);
+
+    vi.stubEnv('NODE_ENV', 'production');
+    expect(isEmailVerificationRequired()).toBe(false);
+
+    vi.stubEnv('MAIL_TRANSPORT', 'http');
+    expect(isEmailVerificationRequired()).toBe(true);
+
+    vi.stubEnv('MAIL_TRANSPORT', '');
+    expect(isEmailVerificationRequired()).toBe(false);
+  });
+
+  it('follows REQUIRE_EMAIL_VERIFICATION when it is set', () => {
+    vi.stubEnv('REQUIRE_EMAIL_VERIFICATION', 'false');
+    expect(isEmailVerificationRequired()).toBe(false);
+
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('REQUIRE_EMAIL_VERIFICATION', 'true');
+    expect(isEmailVerificationRequired()).toBe(true);
+  });
+
+  it('lets accounts log in without verification when it is not required', async () => {
+    vi.stubEnv('REQUIRE_EMAIL_VERIFICATION', 'false');
+
+    const user = await createUser({ name: 'Paul', email: 'paul@example.com', password: 'rahasia2' });
+
+    expect(user.status).toBe('active');
+    expect(await verifyCredentials('paul@example.com', 'rahasia2')).not.toBeNull();
+    // Created while verification was required
+    expect(await verifyCredentials('peter@example.com', 'rahasia1')).not.toBeNull();
+  });
+});
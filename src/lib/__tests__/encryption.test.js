@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSalt,
+  deriveKey,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  createKeyCheck,
+  verifyKey,
+  encryptWithPassphrase,
+  decryptWithPassphrase
+} from '../encryption';
+
+// Far fewer PBKDF2 iterations than stored data uses, to keep the tests fast
+const ITERATIONS = 1000;
+
+const value = { messages: [{ id: 'a', role: 'user', content: 'Halo Peter 👋' }], activeLeafId: 'a' };
+
+// Flip one bit of a base64 string
+const corrupt = (base64, index = 0) => {
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  bytes[index] ^= 1;
+  return btoa(String.fromCharCode(...bytes));
+};
+
+describe('encryption with a passphrase-derived key', () => {
+  it('decrypts what it encrypted', async () => {
+    const salt = createSalt();
+    const payload = await encryptValue(await deriveKey('correct horse', salt, ITERATIONS), value);
+
+    expect(isEncryptedValue(payload)).toBe(true);
+    expect(JSON.stringify(payload)).not.toContain('Halo');
+
+    // The key is derived again from the passphrase, as after a page load
+    const key = await deriveKey('correct horse', salt, ITERATIONS);
+    expect(await decryptValue(key, payload)).toEqual(value);
+  });
+
+  it('uses a fresh IV for every value', async () => {
+    const key = await deriveKey('correct horse', createSalt(), ITERATIONS);
+
+    const first = await encryptValue(key, value);
+    const second = await encryptValue(key, value);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  it('refuses a wrong passphrase', async () => {
+    const salt = createSalt();
+    const key = await deriveKey('correct horse', salt, ITERATIONS);
+    const payload = await encryptValue(key, value);
+    const wrongKey = await deriveKey('wrong horse', salt, ITERATIONS);
+
+    await expect(decryptValue(wrongKey, payload)).rejects.toMatchObject({ code: 'decryption_failed' });
+
+    const check = await createKeyCheck(key);
+    expect(await verifyKey(key, check)).toBe(true);
+    expect(await verifyKey(wrongKey, check)).toBe(false);
+  });
+
+  it('refuses corrupted ciphertext', async () => {
+    const key = await deriveKey('correct horse', createSalt(), ITERATIONS);
+    const payload = await encryptValue(key, value);
+
+    await expect(decryptValue(key, { ...payload, data: corrupt(payload.data) }))
+      .rejects.toMatchObject({ code: 'decryption_failed' });
+    // The authentication tag at the end
+    await expect(decryptValue(key, { ...payload, data: corrupt(payload.data, atob(payload.data).length - 1) }))
+      .rejects.toMatchObject({ code: 'decryption_failed' });
+    await expect(decryptValue(key, { ...payload, iv: corrupt(payload.iv) }))
+      .rejects.toMatchObject({ code: 'decryption_failed' });
+    await expect(decryptValue(key, { ...payload, data: 'not base64!' }))
+      .rejects.toMatchObject({ code: 'decryption_failed' });
+  });
+});
+
+describe('values encrypted with their own passphrase', () => {
+  it('round-trips with the salt and iterations stored alongside', async () => {
+    const payload = await encryptWithPassphrase(value, 'export secret');
+
+    expect(payload).toMatchObject({ salt: expect.any(String), iterations: expect.any(Number) });
+    expect(await decryptWithPassphrase(payload, 'export secret')).toEqual(value);
+    await expect(decryptWithPassphrase(payload, 'Export secret')).rejects.toMatchObject({ code: 'decryption_failed' });
+  });
+});
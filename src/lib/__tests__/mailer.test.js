@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getMailTransport, sendMail } from '../mailer';
+
+const MAIL = { to: 'peter@example.com', subject: 'Hello', text: 'Hi Peter', html: '<p>Hi Peter</p>' };
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('getMailTransport', () => {
+  it('prints emails in development unless MAIL_TRANSPORT is set', () => {
+    vi.stubEnv('MAIL_TRANSPORT', '');
+
+    expect(getMailTransport().name).toBe('console');
+  });
+
+  it('needs MAIL_TRANSPORT in production', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('MAIL_TRANSPORT', '');
+
+    expect(() => getMailTransport()).toThrow(expect.objectContaining({ code: 'mail_misconfigured' }));
+  });
+
+  it('allows console or file in production when chosen explicitly', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('MAIL_TRANSPORT', 'console');
+
+    expect(getMailTransport()).toMatchObject({ name: 'console', delivers: false });
+  });
+
+  it('refuses an unknown transport', () => {
+    expect(() => getMailTransport('smtp')).toThrow(expect.objectContaining({ code: 'mail_misconfigured' }));
+  });
+});
+
+describe('http transport', () => {
+  beforeEach(() => {
+    vi.stubEnv('MAIL_TRANSPORT', 'http');
+    vi.stubEnv('MAIL_HTTP_URL', 'https://mail.example.com/emails');
+    vi.stubEnv('MAIL_HTTP_TOKEN', 'secret');
+    vi.stubEnv('MAIL_FROM', 'AI Peter <no-reply@example.com>');
+  });
+
+  it('posts the email as JSON with the token', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response('{"id":"1"}', { status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await sendMail(MAIL);
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://mail.example.com/emails');
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(options.body)).toEqual({ from: 'AI Peter <no-reply@example.com>', ...MAIL });
+  });
+
+  it('fails when the mail service refuses the email', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('invalid from', { status: 422 })));
+
+    await expect(sendMail(MAIL)).rejects.toMatchObject({ code: 'mail_failed', status: 422 });
+  });
+
+  it('needs MAIL_HTTP_URL', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.stubEnv('MAIL_HTTP_URL', '');
+
+    await expect(sendMail(MAIL)).rejects.toMatchObject({ code: 'mail_misconfigured' });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
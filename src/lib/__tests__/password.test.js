@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PASSWORD_ITERATIONS, hashPassword, verifyPassword, needsRehash } from '../password';
+import { verifyCredentials } from '../db';
+
+// The 32-bit string hash used before PBKDF2
+const legacyHash = (password) => {
+  const saltedPassword = `${password}vercel-edge-runtime-salt-2025`;
+
+  let hash = 0;
+  for (let i = 0; i < saltedPassword.length; i++) {
+    hash = ((hash << 5) - hash) + saltedPassword.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return hash.toString(16);
+};
+
+describe('hashPassword', () => {
+  it('stores the algorithm, iterations and salt with the hash', async () => {
+    const hash = await hashPassword('rahasia123');
+
+    expect(hash).toMatch(new RegExp(`^pbkdf2-sha256\\$${PASSWORD_ITERATIONS}\\$[A-Za-z0-9+/]{22}==\\$[A-Za-z0-9+/]{43}=$`));
+  });
+
+  it('uses a new salt every time', async () => {
+    expect(await hashPassword('rahasia123')).not.toBe(await hashPassword('rahasia123'));
+  });
+});
+
+describe('verifyPassword', () => {
+  it('accepts only the right password', async () => {
+    const hash = await hashPassword('rahasia123');
+
+    expect(await verifyPassword('rahasia123', hash)).toBe(true);
+    expect(await verifyPassword('rahasia124', hash)).toBe(false);
+    expect(await verifyPassword('', hash)).toBe(false);
+  });
+
+  it('checks hashes made with other iteration counts', async () => {
+    const hash = await hashPassword('rahasia123');
+    const [algorithm, , salt] = hash.split('$');
+
+    // Same salt, fewer iterations: a different hash, so it must not match
+    const weaker = [algorithm, 1000, salt, hash.split('$')[3]].join('$');
+    expect(await verifyPassword('rahasia123', weaker)).toBe(false);
+  });
+
+  it('accepts legacy hashes', async () => {
+    expect(await verifyPassword('rahasia123', legacyHash('rahasia123'))).toBe(true);
+    expect(await verifyPassword('rahasia124', legacyHash('rahasia123'))).toBe(false);
+  });
+
+  it('rejects malformed hashes', async () => {
+    expect(await verifyPassword('rahasia123', 'pbkdf2-sha256$abc$!!$!!')).toBe(false);
+    expect(await verifyPassword('rahasia123', null)).toBe(false);
+  });
+});
+
+describe('needsRehash', () => {
+  it('asks to replace legacy and weaker hashes', async () => {
+    const hash = await hashPassword('rahasia123');
+    const weaker = hash.replace(`$${PASSWORD_ITERATIONS}$`, '$1000$');
+
+    expect(needsRehash(hash)).toBe(false);
+    expect(needsRehash(weaker)).toBe(true);
+    expect(needsRehash(legacyHash('rahasia123'))).toBe(true);
+  });
+});
+
+describe('legacy hash upgrade on login', () => {
+  const STORAGE_KEY = 'next_users_db';
+
+  const storeUser = (password) => {
+    global.EDGE_RUNTIME_STORAGE[STORAGE_KEY] = JSON.stringify([{
+      id: 'user_1',
+      name: 'Peter',
+      email: 'peter@example.com',
+      password,
+      status: 'active'
+    }]);
+  };
+
+  const storedPassword = () => JSON.parse(global.EDGE_RUNTIME_STORAGE[STORAGE_KEY])[0].password;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('replaces a legacy hash after a successful login', async () => {
+    storeUser(legacyHash('rahasia123'));
+
+    const user = await verifyCredentials('Peter@example.com', 'rahasia123');
+    expect(user).toMatchObject({ id: 'user_1', email: 'peter@example.com' });
+    expect(user.password).toBeUndefined();
+
+    expect(storedPassword().startsWith('pbkdf2-sha256$')).toBe(true);
+    expect(needsRehash(storedPassword())).toBe(false);
+    expect(await verifyPassword('rahasia123', storedPassword())).toBe(true);
+    expect(await verifyCredentials('peter@example.com', 'rahasia123')).not.toBeNull();
+  });
+
+  it('keeps the legacy hash after a failed login', async () => {
+    storeUser(legacyHash('rahasia123'));
+
+    expect(await verifyCredentials('peter@example.com', 'salah')).toBeNull();
+    expect(storedPassword()).toBe(legacyHash('rahasia123'));
+  });
+
+  it('keeps current hashes', async () => {
+    const hash = await hashPassword('rahasia123');
+    storeUser(hash);
+
+    await verifyCredentials('peter@example.com', 'rahasia123');
+    expect(storedPassword()).toBe(hash);
+  });
+});
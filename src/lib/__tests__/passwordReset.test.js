@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { requestPasswordReset, confirmPasswordReset, RESET_TOKEN_TTL_MINUTES } from '../passwordReset';
+import { createUser, updateUserStatus, verifyCredentials } from '../db';
+import { signActionToken } from '../auth';
+
+const BASE_URL = 'https://peter.example.com';
+const NOW = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+let outboxDir;
+
+// Token from the newest reset link in the outbox
+const readResetToken = async () => {
+  const files = (await fs.readdir(outboxDir)).sort();
+  const mail = await fs.readFile(path.join(outboxDir, files[files.length - 1]), 'utf8');
+  const [, token] = mail.match(/\/reset-password\?token=([^\s"]+)/);
+  return decodeURIComponent(token);
+};
+
+const countMails = async () => (await fs.readdir(outboxDir).catch(() => [])).length;
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-mail-'));
+  vi.stubEnv('APP_URL', BASE_URL);
+  vi.stubEnv('MAIL_TRANSPORT', 'file');
+  vi.stubEnv('MAIL_OUTBOX_DIR', outboxDir);
+  delete global.EDGE_RUNTIME_STORAGE?.next_users_db;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  const user = await createUser({ name: 'Peter', email: 'peter@example.com', password: 'lama123' });
+  await updateUserStatus(user.id, 'active');
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe('requestPasswordReset', () => {
+  it('emails a reset link to the account', async () => {
+    expect(await requestPasswordReset(' Peter@Example.com ')).toBe(true);
+
+    const [file] = await fs.readdir(outboxDir);
+    const mail = await fs.readFile(path.join(outboxDir, file), 'utf8');
+    expect(mail).toContain('To: peter@example.com');
+    expect(mail).toContain(`${BASE_URL}/reset-password?token=`);
+  });
+
+  it('points the link to APP_URL only', async () => {
+    vi.stubEnv('APP_URL', 'https://peter.example.com/ignored/path');
+    await requestPasswordReset('peter@example.com');
+
+    const [file] = await fs.readdir(outboxDir);
+    const mail = await fs.readFile(path.join(outboxDir, file), 'utf8');
+    expect(mail).toMatch(/https:\/\/peter\.example\.com\/reset-password\?token=/);
+  });
+
+  it('refuses to send a link without APP_URL in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('APP_URL', '');
+
+    await expect(requestPasswordReset('peter@example.com')).rejects.toMatchObject({ code: 'app_misconfigured' });
+    expect(await countMails()).toBe(0);
+
+    // Nothing was stored, so a request after fixing the configuration is sent right away
+    vi.stubEnv('APP_URL', BASE_URL);
+    expect(await requestPasswordReset('peter@example.com')).toBe(true);
+  });
+
+  it('sends nothing for unknown or disabled accounts', async () => {
+    expect(await requestPasswordReset('paul@example.com')).toBe(false);
+
+    const paul = await createUser({ name: 'Paul', email: 'paul@example.com', password: 'rahasia1' });
+    await updateUserStatus(paul.id, 'disabled');
+    expect(await requestPasswordReset('paul@example.com')).toBe(false);
+
+    expect(await countMails()).toBe(0);
+  });
+
+  it('sends at most one email a minute per account', async () => {
+    await requestPasswordReset('peter@example.com');
+
+    vi.setSystemTime(NOW + 30 * 1000);
+    expect(await requestPasswordReset('peter@example.com')).toBe(false);
+
+    vi.setSystemTime(NOW + 61 * 1000);
+    expect(await requestPasswordReset('peter@example.com')).toBe(true);
+    expect(await countMails()).toBe(2);
+  });
+});
+
+describe('confirmPasswordReset', () => {
+  it('sets the new password', async () => {
+    await requestPasswordReset('peter@example.com');
+
+    const user = await confirmPasswordReset(await readResetToken(), 'baru1234');
+
+    expect(user).toMatchObject({ email: 'peter@example.com' });
+    expect(user.password).toBeUndefined();
+    expect(user.passwordReset).toBeUndefined();
+    expect(await verifyCredentials('peter@example.com', 'baru1234')).not.toBeNull();
+    expect(await verifyCredentials('peter@example.com', 'lama123')).toBeNull();
+  });
+
+  it('accepts a link only once', async () => {
+    await requestPasswordReset('peter@example.com');
+    const token = await readResetToken();
+
+    await confirmPasswordReset(token, 'baru1234');
+
+    await expect(confirmPasswordReset(token, 'lagi12345')).rejects.toMatchObject({ code: 'invalid_token' });
+    expect(await verifyCredentials('peter@example.com', 'baru1234')).not.toBeNull();
+  });
+
+  it('accepts only the latest link', async () => {
+    await requestPasswordReset('peter@example.com');
+    const firstToken = await readResetToken();
+
+    vi.setSystemTime(NOW + 61 * 1000);
+    await requestPasswordReset('peter@example.com');
+
+    await expect(confirmPasswordReset(firstToken, 'baru1234')).rejects.toMatchObject({ code: 'invalid_token' });
+    await expect(confirmPasswordReset(await readResetToken(), 'baru1234')).resolves.toBeTruthy();
+  });
+
+  it('rejects expired links', async () => {
+    await requestPasswordReset('peter@example.com');
+    const token = await readResetToken();
+
+    vi.setSystemTime(NOW + (RESET_TOKEN_TTL_MINUTES + 1) * 60 * 1000);
+
+    await expect(confirmPasswordReset(token, 'baru1234')).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  it('rejects tokens made for another purpose', async () => {
+    const token = await signActionToken('email-verification', { sub: 'user_1', jti: 'token_1' }, '1h');
+
+    await expect(confirmPasswordReset(token, 'baru1234')).rejects.toMatchObject({ code: 'invalid_token' });
+    await expect(confirmPasswordReset('not-a-token', 'baru1234')).rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  it('keeps the link usable when the new password is too short', async () => {
+    await requestPasswordReset('peter@example.com');
+    const token = await readResetToken();
+
+    await expect(confirmPasswordReset(token, '123')).rejects.toThrow('Password minimal 6 karakter');
+    await expect(confirmPasswordReset(token, 'baru1234')).resolves.toBeTruthy();
+  });
+});
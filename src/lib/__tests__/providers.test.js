@@ -0,0 +1,214 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getProvider, completeWithFailover, streamWithFailover } from '../providers';
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+const OLLAMA_URL = 'http://localhost:11434/api/chat';
+const PARAMS = { messages: [{ role: 'user', content: 'Hi' }] };
+
+const encoder = new TextEncoder();
+
+const openaiReply = content => Response.json({ choices: [{ message: { content } }], model: 'gpt-test' });
+const ollamaReply = content => Response.json({ message: { content }, model: 'llama-test' });
+const failure = (status, headers = {}) => new Response('upstream failed', { status, headers });
+
+// Server-sent events with one chunk per delta, ending with [DONE] or failing with `error`
+const openaiStream = (deltas, error = null) => {
+  const lines = deltas.map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+  let sent = 0;
+
+  return new Response(new ReadableStream({
+    pull(controller) {
+      if (sent < lines.length) {
+        controller.enqueue(encoder.encode(lines[sent++]));
+      } else if (error) {
+        controller.error(error);
+      } else {
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      }
+    }
+  }));
+};
+
+// Answers each URL with its queued responses in order, repeating the last one
+const mockFetch = (responsesByUrl) => {
+  const fetchMock = vi.fn(async (url) => {
+    const queue = responsesByUrl[url];
+    if (!queue) throw new TypeError(`fetch failed: ${url}`);
+    const respond = queue.length > 1 ? queue.shift() : queue[0];
+    return respond();
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+const callsTo = (fetchMock, url) => fetchMock.mock.calls.filter(([calledUrl]) => calledUrl === url).length;
+
+const collect = async (deltas) => {
+  const received = [];
+  for await (const delta of deltas) received.push(delta);
+  return received;
+};
+
+const chain = () => [getProvider('openai'), getProvider('ollama')];
+
+beforeEach(() => {
+  vi.stubEnv('AI_MAX_RETRIES', '2');
+  vi.stubEnv('AI_RETRY_BASE_DELAY', '0');
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('completeWithFailover', () => {
+  it('retries transient failures of the same provider', async () => {
+    const fetchMock = mockFetch({
+      [OPENAI_URL]: [() => failure(503), () => failure(429, { 'Retry-After': '0' }), () => openaiReply('Hello')]
+    });
+
+    const reply = await completeWithFailover(chain(), PARAMS);
+
+    expect(reply).toMatchObject({ content: 'Hello', provider: 'openai' });
+    expect(callsTo(fetchMock, OPENAI_URL)).toBe(3);
+    expect(callsTo(fetchMock, OLLAMA_URL)).toBe(0);
+  });
+
+  it('waits with backoff between attempts', async () => {
+    vi.stubEnv('AI_RETRY_BASE_DELAY', '100');
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const timeout = vi.spyOn(globalThis, 'setTimeout');
+    mockFetch({ [OPENAI_URL]: [() => failure(503), () => failure(503), () => openaiReply('Hello')] });
+
+    await completeWithFailover(chain(), PARAMS);
+
+    // Upstream timeouts use their own much longer timers
+    const delays = timeout.mock.calls.map(([, ms]) => ms).filter(ms => ms < 1000);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  it('fails over to the next provider once retries are used up', async () => {
+    const fetchMock = mockFetch({
+      [OPENAI_URL]: [() => failure(500)],
+      [OLLAMA_URL]: [() => ollamaReply('From fallback')]
+    });
+
+    const reply = await completeWithFailover(chain(), PARAMS);
+
+    expect(reply).toMatchObject({ content: 'From fallback', provider: 'ollama' });
+    expect(callsTo(fetchMock, OPENAI_URL)).toBe(3);
+  });
+
+  it('fails over without retrying errors that are not transient', async () => {
+    const fetchMock = mockFetch({
+      [OPENAI_URL]: [() => failure(401)],
+      [OLLAMA_URL]: [() => ollamaReply('From fallback')]
+    });
+
+    await completeWithFailover(chain(), PARAMS);
+
+    expect(callsTo(fetchMock, OPENAI_URL)).toBe(1);
+  });
+
+  it('throws the last error when every provider fails', async () => {
+    mockFetch({ [OPENAI_URL]: [() => failure(500)], [OLLAMA_URL]: [() => failure(400)] });
+
+    await expect(completeWithFailover(chain(), PARAMS))
+      .rejects.toMatchObject({ provider: 'ollama', code: 'upstream_error', status: 400 });
+  });
+});
+
+describe('streamWithFailover', () => {
+  it('retries and fails over before the first delta', async () => {
+    const fetchMock = mockFetch({
+      [OPENAI_URL]: [() => failure(503)],
+      [OLLAMA_URL]: [() => new Response(
+        `${JSON.stringify({ message: { content: 'Hel' } })}\n${JSON.stringify({ message: { content: 'lo' }, done: true })}\n`
+      )]
+    });
+    const onProvider = vi.fn();
+
+    expect(await collect(streamWithFailover(chain(), PARAMS, { onProvider }))).toEqual(['Hel', 'lo']);
+    expect(callsTo(fetchMock, OPENAI_URL)).toBe(3);
+    expect(onProvider).toHaveBeenCalledOnce();
+    expect(onProvider.mock.calls[0][0].name).toBe('ollama');
+  });
+
+  it('never retries once a delta was sent', async () => {
+    const dropped = Object.assign(new Error('connection reset'), { code: 'network_error' });
+    const fetchMock = mockFetch({
+      [OPENAI_URL]: [() => openaiStream(['Hel'], dropped)],
+      [OLLAMA_URL]: [() => ollamaReply('unused')]
+    });
+
+    const received = [];
+    await expect(async () => {
+      for await (const delta of streamWithFailover(chain(), PARAMS)) received.push(delta);
+    }).rejects.toThrow('connection reset');
+
+    expect(received).toEqual(['Hel']);
+    expect(fetchMock).toHaveBeenCalledOnce();
+  });
+
+  it('streams the whole reply when nothing fails', async () => {
+    mockFetch({ [OPENAI_URL]: [() => openaiStream(['Hel', 'lo'])] });
+
+    expect(await collect(streamWithFailover(chain(), PARAMS))).toEqual(['Hel', 'lo']);
+  });
+});
+
+describe('ryzendesu', () => {
+  // Encoded `text` query value of each call
+  const sentQueries = (fetchMock) => fetchMock.mock.calls.map(([url]) => new URL(url).search.slice('?text='.length));
+
+  const reply = () => {
+    const fetchMock = vi.fn(async () => Response.json({ answer: 'Halo' }));
+    vi.stubGlobal('fetch', fetchMock);
+    return fetchMock;
+  };
+
+  it('sends a short conversation whole', async () => {
+    const fetchMock = reply();
+
+    const message = await getProvider('ryzendesu').complete({
+      messages: [{ role: 'system', content: 'Be Peter' }, ...PARAMS.messages]
+    });
+
+    expect(message.content).toBe('Halo');
+    expect(decodeURIComponent(sentQueries(fetchMock)[0])).toBe('System: Be Peter\n\nUser: Hi\n\nAssistant:');
+  });
+
+  it('leaves out the oldest turns of a long conversation', async () => {
+    const fetchMock = reply();
+    const turns = Array.from({ length: 12 }, (_, i) => ({
+      role: i % 2 ? 'assistant' : 'user',
+      content: `turn-${i} ${'kata '.repeat(200)}`
+    }));
+
+    await getProvider('ryzendesu').complete({
+      messages: [{ role: 'system', content: 'Be Peter' }, ...turns, { role: 'user', content: 'Latest question' }]
+    });
+
+    const [query] = sentQueries(fetchMock);
+    const text = decodeURIComponent(query);
+    expect(query.length).toBeLessThanOrEqual(6000);
+    expect(text.startsWith('System: Be Peter\n\n')).toBe(true);
+    expect(text.endsWith('User: Latest question\n\nAssistant:')).toBe(true);
+    expect(text).not.toContain('turn-0 ');
+  });
+
+  it('keeps the end of a message too long on its own', async () => {
+    const fetchMock = reply();
+
+    await getProvider('ryzendesu').complete({
+      messages: [{ role: 'user', content: `${'ä😀 '.repeat(3000)}the end` }]
+    });
+
+    const [query] = sentQueries(fetchMock);
+    expect(query.length).toBeLessThanOrEqual(6000);
+    expect(decodeURIComponent(query).endsWith('the end')).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { consumeRateLimit, refundRateLimit, consumeTitleRateLimit, getUsage, rateLimitHeaders } from '../rateLimit';
+
+// Buckets live in module state, so every test uses its own user
+let userCount = 0;
+const nextUser = () => `user-${++userCount}`;
+
+const NOW = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+beforeEach(() => {
+  vi.stubEnv('CHAT_RATE_LIMIT_PER_MINUTE', '2');
+  vi.stubEnv('CHAT_DAILY_QUOTA', '3');
+  vi.stubEnv('TITLE_RATE_LIMIT_PER_MINUTE', '1');
+  vi.stubEnv('TITLE_DAILY_QUOTA', '5');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('consumeRateLimit', () => {
+  it('allows requests until the bucket is empty', () => {
+    const userId = nextUser();
+
+    expect(consumeRateLimit(userId, NOW).allowed).toBe(true);
+    expect(consumeRateLimit(userId, NOW).usage.remaining).toBe(0);
+
+    const result = consumeRateLimit(userId, NOW);
+    expect(result).toMatchObject({ allowed: false, code: 'too_many_requests', retryAfter: 30 });
+  });
+
+  it('refills the bucket over a minute', () => {
+    const userId = nextUser();
+    consumeRateLimit(userId, NOW);
+    consumeRateLimit(userId, NOW);
+
+    expect(consumeRateLimit(userId, NOW + 15000)).toMatchObject({ allowed: false, retryAfter: 15 });
+    expect(consumeRateLimit(userId, NOW + 30000).allowed).toBe(true);
+  });
+
+  it('stops at the daily quota until midnight UTC', () => {
+    const userId = nextUser();
+    [0, 1, 2].forEach(minute => consumeRateLimit(userId, NOW + minute * 60000));
+
+    const result = consumeRateLimit(userId, NOW + 3 * 60000);
+    expect(result.allowed).toBe(false);
+    expect(result.code).toBe('quota_exceeded');
+    expect(result.retryAfter).toBe(12 * 60 * 60 - 3 * 60);
+    expect(result.usage.dailyRemaining).toBe(0);
+
+    const nextDay = consumeRateLimit(userId, Date.UTC(2025, 0, 2));
+    expect(nextDay.allowed).toBe(true);
+    expect(nextDay.usage.dailyRemaining).toBe(2);
+  });
+
+  it('keeps the limits of users apart', () => {
+    const first = nextUser();
+    consumeRateLimit(first, NOW);
+    consumeRateLimit(first, NOW);
+
+    expect(consumeRateLimit(nextUser(), NOW).allowed).toBe(true);
+  });
+});
+
+describe('refundRateLimit', () => {
+  it('gives back the request and the daily message', () => {
+    const userId = nextUser();
+    consumeRateLimit(userId, NOW);
+    consumeRateLimit(userId, NOW);
+
+    expect(refundRateLimit(userId, NOW)).toMatchObject({ remaining: 1, dailyRemaining: 2 });
+    expect(consumeRateLimit(userId, NOW).allowed).toBe(true);
+  });
+
+  it('never goes above the limits', () => {
+    const userId = nextUser();
+    consumeRateLimit(userId, NOW);
+
+    // Refilled while the request ran
+    expect(refundRateLimit(userId, NOW + 60000)).toMatchObject({ remaining: 2, dailyRemaining: 3 });
+  });
+
+  it('gives back no more than was used today', () => {
+    const userId = nextUser();
+    [0, 1, 2].forEach(minute => consumeRateLimit(userId, NOW + minute * 60000));
+    const nextDay = Date.UTC(2025, 0, 2);
+    consumeRateLimit(userId, nextDay);
+
+    // The second refund is for a request of the previous day
+    expect(refundRateLimit(userId, nextDay).dailyRemaining).toBe(3);
+    expect(refundRateLimit(userId, nextDay).dailyRemaining).toBe(3);
+  });
+});
+
+describe('getUsage', () => {
+  it('reports usage without consuming', () => {
+    const userId = nextUser();
+    consumeRateLimit(userId, NOW);
+
+    const usage = getUsage(userId, NOW);
+    expect(usage).toEqual({
+      limit: 2,
+      remaining: 1,
+      dailyLimit: 3,
+      dailyRemaining: 2,
+      resetsAt: '2025-01-02T00:00:00.000Z'
+    });
+    expect(getUsage(userId, NOW).dailyRemaining).toBe(2);
+  });
+
+  it('turns usage into response headers', () => {
+    expect(rateLimitHeaders(getUsage(nextUser(), NOW))).toEqual({
+      'X-RateLimit-Limit': '2',
+      'X-RateLimit-Remaining': '2',
+      'X-Quota-Limit': '3',
+      'X-Quota-Remaining': '3'
+    });
+  });
+});
+
+describe('consumeTitleRateLimit', () => {
+  it('uses its own, smaller bucket', () => {
+    const userId = nextUser();
+
+    expect(consumeTitleRateLimit(userId, NOW).allowed).toBe(true);
+    expect(consumeTitleRateLimit(userId, NOW)).toMatchObject({ allowed: false, code: 'too_many_requests', retryAfter: 60 });
+  });
+
+  it('does not use up the chat limits', () => {
+    const userId = nextUser();
+    consumeTitleRateLimit(userId, NOW);
+
+    expect(getUsage(userId, NOW)).toMatchObject({ remaining: 2, dailyRemaining: 3 });
+    expect(consumeRateLimit(userId, NOW).allowed).toBe(true);
+  });
+
+  it('is not blocked by an empty chat bucket', () => {
+    const userId = nextUser();
+    consumeRateLimit(userId, NOW);
+    consumeRateLimit(userId, NOW);
+
+    expect(consumeTitleRateLimit(userId, NOW).allowed).toBe(true);
+  });
+});
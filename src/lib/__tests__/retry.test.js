@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  codeForStatus,
+  isTransientError,
+  parseRetryAfter,
+  getBackoffDelay,
+  getRetryDelay,
+  sleep,
+  withRetry
+} from '../retry';
+
+const errorWith = (code, fields = {}) => Object.assign(new Error(code), { code, ...fields });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('error classification', () => {
+  it('maps HTTP statuses to error codes', () => {
+    expect(codeForStatus(408)).toBe('timeout');
+    expect(codeForStatus(429)).toBe('rate_limited');
+    expect(codeForStatus(503)).toBe('server_error');
+    expect(codeForStatus(400)).toBe('upstream_error');
+  });
+
+  it('retries only transient failures', () => {
+    expect(isTransientError(errorWith('server_error'))).toBe(true);
+    expect(isTransientError(errorWith('network_error'))).toBe(true);
+    expect(isTransientError(errorWith('upstream_error'))).toBe(false);
+    expect(isTransientError(null)).toBe(false);
+  });
+
+  it('reads Retry-After as seconds or a date', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.UTC(2025, 0, 1, 12, 0, 0));
+
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 12:00:05 GMT')).toBe(5000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe('backoff', () => {
+  it('doubles the ceiling with every attempt up to the maximum', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect([0, 1, 2, 3].map(attempt => getBackoffDelay(attempt, { baseDelay: 100, maxDelay: 500 })))
+      .toEqual([100, 200, 400, 500]);
+  });
+
+  it('picks a random delay below the ceiling', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.25);
+
+    expect(getBackoffDelay(2, { baseDelay: 100 })).toBe(100);
+  });
+
+  it('prefers Retry-After from the error, capped at the maximum delay', () => {
+    expect(getRetryDelay(errorWith('rate_limited', { retryAfter: 2000 }), 0, { baseDelay: 100 })).toBe(2000);
+    expect(getRetryDelay(errorWith('rate_limited', { retryAfter: 60000 }), 0, { maxDelay: 8000 })).toBe(8000);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries transient failures with backoff until an attempt succeeds', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const fn = vi.fn()
+      .mockRejectedValueOnce(errorWith('server_error'))
+      .mockRejectedValueOnce(errorWith('timeout'))
+      .mockResolvedValue('done');
+    const onRetry = vi.fn();
+
+    const result = withRetry(fn, { retries: 2, baseDelay: 100, onRetry });
+    await vi.runAllTimersAsync();
+
+    expect(await result).toBe('done');
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+    expect(onRetry.mock.calls.map(([, , delay]) => delay)).toEqual([100, 200]);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const fn = vi.fn().mockRejectedValue(errorWith('server_error'));
+
+    await expect(withRetry(fn, { retries: 2, baseDelay: 0 })).rejects.toMatchObject({ code: 'server_error' });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry other failures', async () => {
+    const fn = vi.fn().mockRejectedValue(errorWith('upstream_error'));
+
+    await expect(withRetry(fn, { baseDelay: 0 })).rejects.toMatchObject({ code: 'upstream_error' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    const controller = new AbortController();
+    const fn = vi.fn().mockRejectedValue(errorWith('server_error'));
+
+    // Aborted while waiting for the retry
+    const result = withRetry(fn, { baseDelay: 60000, signal: controller.signal, onRetry: () => controller.abort() });
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fn).toHaveBeenCalledTimes(1);
+    await expect(sleep(10, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
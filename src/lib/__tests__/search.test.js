@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, tokenize, findMatchRanges, getSnippet, createSearchIndex } from '../search';
+
+const message = (id, role, content, timestamp) => ({ id, role, content, timestamp });
+
+describe('text helpers', () => {
+  it('ignores case and diacritics', () => {
+    expect(normalizeText('Café CRÈME')).toBe('cafe creme');
+    expect(tokenize('Halo, dunia! Café-nya 2 kali.')).toEqual(['halo', 'dunia', 'cafe', 'nya', '2', 'kali']);
+  });
+
+  it('finds matches at the start of words in the original text', () => {
+    const text = 'Kopi di café, bukan decafe';
+
+    expect(findMatchRanges(text, 'CAFE')).toEqual([[8, 12]]);
+    expect(text.slice(8, 12)).toBe('café');
+  });
+
+  it('merges overlapping matches', () => {
+    expect(findMatchRanges('javascript', 'java javascript')).toEqual([[0, 10]]);
+  });
+
+  it('treats regular expression characters as plain text', () => {
+    expect(findMatchRanges('a (b) c', '(b')).toEqual([[3, 4]]);
+    expect(findMatchRanges('text', '.*')).toEqual([]);
+  });
+
+  it('cuts a snippet around the first match', () => {
+    const text = `${'awal '.repeat(40)}kata kunci ${'akhir '.repeat(40)}`;
+
+    const snippet = getSnippet(text, 'kunci', 60);
+
+    expect(snippet.startsWith('...')).toBe(true);
+    expect(snippet.endsWith('...')).toBe(true);
+    expect(snippet).toContain('kata kunci');
+    expect(snippet.length).toBeLessThanOrEqual(66);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const createIndex = () => {
+    const index = createSearchIndex();
+    index.addConversation('c1', [
+      message('m1', 'user', 'Bagaimana cara membuat kopi?', '2025-01-01T10:00:00Z'),
+      message('m2', 'assistant', 'Untuk membuat kopi, rebus air dulu.', '2025-01-01T10:01:00Z'),
+      message('m3', 'assistant', 'Maaf, terjadi kesalahan kopi', '2025-01-01T10:02:00Z')
+    ]);
+    index.addConversation('c2', [
+      message('m1', 'user', 'Resep teh manis', '2025-01-02T08:00:00Z')
+    ]);
+    return index;
+  };
+
+  it('finds messages containing every query word, newest first', () => {
+    const results = createIndex().search('membuat kop');
+
+    expect(results.map(result => `${result.conversationId}/${result.messageId}`)).toEqual(['c1/m2', 'c1/m1']);
+    expect(results[0]).toEqual({
+      conversationId: 'c1',
+      messageId: 'm2',
+      role: 'assistant',
+      timestamp: '2025-01-01T10:01:00Z',
+      content: 'Untuk membuat kopi, rebus air dulu.'
+    });
+  });
+
+  it('does not index error messages or empty content', () => {
+    const index = createSearchIndex();
+    index.addConversation('c1', [
+      { ...message('m1', 'assistant', 'Gagal memuat jawaban'), isError: true },
+      message('m2', 'assistant', '   ')
+    ]);
+
+    expect(index.search('gagal')).toEqual([]);
+  });
+
+  it('filters by role, date and limit', () => {
+    const index = createIndex();
+
+    expect(index.search('kopi', { role: 'user' }).map(result => result.messageId)).toEqual(['m1']);
+    expect(index.search('kopi', { since: '2025-01-01T10:01:00Z' }).map(result => result.messageId)).toEqual(['m3', 'm2']);
+    expect(index.search('kopi', { until: '2025-01-01T10:00:00Z' }).map(result => result.messageId)).toEqual(['m1']);
+    expect(index.search('kopi', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('re-indexes edited and removed messages', () => {
+    const index = createIndex();
+    index.addConversation('c1', [message('m1', 'user', 'Bagaimana cara membuat susu?', '2025-01-01T10:00:00Z')]);
+
+    expect(index.search('kopi')).toEqual([]);
+    expect(index.search('susu').map(result => result.messageId)).toEqual(['m1']);
+  });
+
+  it('drops removed conversations', () => {
+    const index = createIndex();
+    index.removeConversation('c2');
+
+    expect(index.search('teh')).toEqual([]);
+    expect(index.search('kopi')).toHaveLength(3);
+  });
+
+  it('returns nothing for a query without words', () => {
+    expect(createIndex().search(' ?! ')).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SCHEMA_VERSION } from '../storageSchema';
+
+const USER_ID = 'user_1';
+const ACCOUNT_PREFIX = `account:${USER_ID}:`;
+
+// A localStorage that holds at most `quota` characters of keys and values
+// Items are own properties so Object.keys lists them, like in a browser
+class QuotaStorage {
+  constructor() {
+    Object.defineProperty(this, 'quota', { value: Infinity, writable: true });
+  }
+
+  used() {
+    return Object.keys(this).reduce((total, key) => total + key.length + this[key].length, 0);
+  }
+
+  getItem(key) {
+    return Object.hasOwn(this, key) ? this[key] : null;
+  }
+
+  setItem(key, value) {
+    const previous = this.getItem(key);
+    const size = this.used() - (previous === null ? 0 : key.length + previous.length) + key.length + String(value).length;
+
+    if (size > this.quota) {
+      const error = new Error('The quota has been exceeded.');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+    this[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this[key];
+  }
+}
+
+const conversationOf = (content) => ({
+  messages: [{ id: 'msg_1', parentId: null, role: 'assistant', content }],
+  activeLeafId: 'msg_1'
+});
+
+let localStorage;
+let storage;
+
+// A conversation that was pushed to the server, last changed at updatedAt
+// Stored for the account, or with prefix '' as before accounts had separate storage
+const storeSyncedConversation = (conversationId, updatedAt, prefix = ACCOUNT_PREFIX) => {
+  localStorage.setItem(`${prefix}chat_${conversationId}`, JSON.stringify({
+    ...conversationOf('a'.repeat(1000)),
+    updatedAt,
+    syncedAt: updatedAt,
+    schemaVersion: SCHEMA_VERSION
+  }));
+};
+
+const storedConversationIds = (prefix = ACCOUNT_PREFIX) => Object.keys(localStorage)
+  .filter(key => key.startsWith(`${prefix}chat_`))
+  .map(key => key.slice(`${prefix}chat_`.length))
+  .sort();
+
+// Resolves once storage asks about the data stored before accounts had separate storage
+const nextSharedDataOffer = () => new Promise(resolve => {
+  const unsubscribe = storage.subscribeToSharedDataOffer(offer => {
+    if (!offer) return;
+    unsubscribe();
+    resolve(offer);
+  });
+});
+
+beforeEach(async () => {
+  localStorage = new QuotaStorage();
+  vi.stubGlobal('localStorage', localStorage);
+  vi.stubGlobal('window', { localStorage, addEventListener: () => {}, location: { reload: () => {} } });
+  // Use the storage event fallback of lib/tabSync instead of a real channel
+  vi.stubGlobal('BroadcastChannel', undefined);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  // lib/storage keeps its state per module and checks for a window on import
+  vi.resetModules();
+  storage = await import('../storage');
+  storage.setStorageUser(USER_ID);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('saving when storage is full', () => {
+  it('drops only as many synced conversations as needed, oldest first', async () => {
+    ['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04'].forEach((day, i) => {
+      storeSyncedConversation(`old-${i + 1}`, `${day}T00:00:00.000Z`);
+    });
+    await storage.initStorage();
+
+    // Room for about 500 more characters: two old conversations have to go
+    localStorage.quota = localStorage.used() + 500;
+
+    expect(await storage.saveConversation('new', conversationOf('b'.repeat(2200)))).toBe(true);
+    expect(storedConversationIds()).toEqual(['new', 'old-3', 'old-4']);
+  });
+
+  it('keeps conversations that are not synced and fails if nothing can go', async () => {
+    storeSyncedConversation('old-1', '2025-01-01T00:00:00.000Z');
+    localStorage.setItem(`${ACCOUNT_PREFIX}pending_conversation_sync`, JSON.stringify({ 'old-1': 'save' }));
+    await storage.initStorage();
+
+    localStorage.quota = localStorage.used() + 500;
+
+    expect(await storage.saveConversation('new', conversationOf('b'.repeat(2200)))).toBe(false);
+    expect(storedConversationIds()).toEqual(['old-1']);
+  });
+});
+
+describe('data stored before accounts had separate storage', () => {
+  it('stays shared until an account takes it over', async () => {
+    storeSyncedConversation('legacy', '2025-01-01T00:00:00.000Z', '');
+
+    let offer = nextSharedDataOffer();
+    let loaded = storage.initStorage();
+    expect(await offer).toEqual({ conversationCount: 1 });
+    storage.answerSharedDataOffer(false);
+    await loaded;
+
+    expect(storage.getSharedDataOffer()).toBeNull();
+    expect(storedConversationIds()).toEqual([]);
+    expect(storedConversationIds('')).toEqual(['legacy']);
+
+    // Not asked again for the same account
+    storage.setStorageUser(null);
+    storage.setStorageUser(USER_ID);
+    await storage.initStorage();
+    expect(storedConversationIds('')).toEqual(['legacy']);
+
+    // Another account is asked and takes it over
+    storage.setStorageUser('user_2');
+    offer = nextSharedDataOffer();
+    loaded = storage.initStorage();
+    await offer;
+    storage.answerSharedDataOffer(true);
+    await loaded;
+
+    expect(storedConversationIds('account:user_2:')).toEqual(['legacy']);
+    expect(storedConversationIds('')).toEqual([]);
+  });
+
+  it('does not ask when there is nothing to take over', async () => {
+    const listener = vi.fn();
+    storage.subscribeToSharedDataOffer(listener);
+
+    await storage.initStorage();
+
+    expect(listener).not.toHaveBeenCalledWith(expect.anything());
+  });
+});
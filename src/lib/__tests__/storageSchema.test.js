@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  EXPORT_FORMAT,
+  parseJSON,
+  repairMessage,
+  repairMessages,
+  stripTransientState,
+  migrateConversation,
+  migratePreferences,
+  createPreferencesEnvelope,
+  createConversationExport,
+  createEncryptedConversationExport,
+  isEncryptedExport,
+  decryptConversationImport,
+  readConversationExport
+} from '../storageSchema';
+
+const message = (id, parentId, role = 'user') => ({ id, parentId, role, content: `${role} ${id}` });
+
+describe('parseJSON', () => {
+  it('returns null instead of throwing', () => {
+    expect(parseJSON('{"a":1}')).toEqual({ a: 1 });
+    expect(parseJSON('{broken')).toBeNull();
+    expect(parseJSON('')).toBeNull();
+    expect(parseJSON(null)).toBeNull();
+  });
+});
+
+describe('repairMessage', () => {
+  it('returns valid messages as-is', () => {
+    const msg = message('a', null);
+
+    expect(repairMessage(msg, 0)).toBe(msg);
+  });
+
+  it('fills in missing IDs and content and drops invalid timestamps', () => {
+    expect(repairMessage({ role: 'user', content: 5, timestamp: 'not a date' }, 3)).toEqual({
+      id: 'restored-3',
+      role: 'user',
+      content: '5'
+    });
+    expect(repairMessage({ id: 7, role: 'assistant' }, 0)).toEqual({ id: '7', role: 'assistant', content: '' });
+  });
+
+  it('rejects messages that cannot be used', () => {
+    expect(repairMessage(null, 0)).toBeNull();
+    expect(repairMessage({ id: 'a', role: 'robot', content: 'hi' }, 0)).toBeNull();
+    expect(repairMessage({ id: 'a', role: 'user', content: { text: 'hi' } }, 0)).toBeNull();
+  });
+});
+
+describe('streaming state', () => {
+  it('removes isStreaming left by older versions', () => {
+    expect(repairMessage({ ...message('a', null, 'assistant'), isStreaming: true }, 0))
+      .toEqual(message('a', null, 'assistant'));
+    expect(repairMessage({ ...message('a', null, 'assistant'), isStreaming: false }, 0))
+      .toEqual(message('a', null, 'assistant'));
+  });
+
+  it('drops stored replies that never got any text', () => {
+    expect(repairMessage({ id: 'a', role: 'assistant', content: '', isStreaming: true }, 0)).toBeNull();
+  });
+
+  it('keeps a streaming reply with its partial text when saving', () => {
+    const conversation = {
+      messages: [message('a', null), { ...message('b', 'a', 'assistant'), content: 'Sebagian', isStreaming: true }],
+      activeLeafId: 'b'
+    };
+
+    expect(stripTransientState(conversation)).toEqual({
+      messages: [message('a', null), { ...message('b', 'a', 'assistant'), content: 'Sebagian' }],
+      activeLeafId: 'b'
+    });
+  });
+
+  it('leaves out an empty streaming reply and moves the active leaf to its parent', () => {
+    const conversation = {
+      messages: [message('a', null), { id: 'b', parentId: 'a', role: 'assistant', content: '', isStreaming: true }],
+      activeLeafId: 'b',
+      personaId: 'coder'
+    };
+
+    expect(stripTransientState(conversation)).toEqual({
+      messages: [message('a', null)],
+      activeLeafId: 'a',
+      personaId: 'coder'
+    });
+  });
+
+  it('returns conversations without streaming state unchanged', () => {
+    const conversation = { messages: [message('a', null)], activeLeafId: 'a' };
+
+    expect(stripTransientState(conversation)).toBe(conversation);
+  });
+});
+
+describe('repairMessages', () => {
+  it('drops duplicates and reattaches messages whose parent is missing', () => {
+    const repaired = repairMessages([
+      message('a', null),
+      message('a', null),
+      message('b', 'a', 'assistant'),
+      message('c', 'missing')
+    ]);
+
+    expect(repaired.map(msg => [msg.id, msg.parentId])).toEqual([['a', null], ['b', 'a'], ['c', 'b']]);
+  });
+});
+
+describe('migrateConversation', () => {
+  it('upgrades a legacy message array', () => {
+    const conversation = migrateConversation([
+      { id: 'a', role: 'assistant', content: 'Halo' },
+      { id: 'b', role: 'user', content: 'Hai' }
+    ]);
+
+    expect(conversation).toEqual({
+      messages: [
+        { id: 'a', role: 'assistant', content: 'Halo', parentId: null },
+        { id: 'b', role: 'user', content: 'Hai', parentId: 'a' }
+      ],
+      activeLeafId: 'b',
+      personaId: undefined
+    });
+  });
+
+  it('reads current records and keeps their persona', () => {
+    const record = {
+      schemaVersion: SCHEMA_VERSION,
+      messages: [message('a', null), message('b', 'a', 'assistant')],
+      activeLeafId: 'a',
+      personaId: 'coder'
+    };
+
+    expect(migrateConversation(record)).toMatchObject({ activeLeafId: 'a', personaId: 'coder' });
+  });
+
+  it('returns null when nothing usable is left', () => {
+    expect(migrateConversation(null)).toBeNull();
+    expect(migrateConversation('text')).toBeNull();
+    expect(migrateConversation([{ role: 'robot' }])).toBeNull();
+  });
+});
+
+describe('migratePreferences', () => {
+  it('upgrades unversioned preferences into the envelope shape', () => {
+    expect(migratePreferences({ defaultPersonaId: 'coder' })).toEqual({ defaultPersonaId: 'coder' });
+    expect(migratePreferences(createPreferencesEnvelope({ defaultPersonaId: 'coder' })))
+      .toEqual({ defaultPersonaId: 'coder' });
+  });
+
+  it('drops invalid settings', () => {
+    const preferences = migratePreferences(createPreferencesEnvelope({
+      personas: [{ id: 'a', name: 'A' }, { id: 1 }, 'persona'],
+      defaultPersonaId: 5,
+      trashRetentionDays: -1,
+      theme: 'dark'
+    }));
+
+    expect(preferences).toEqual({ personas: [{ id: 'a', name: 'A' }], theme: 'dark' });
+  });
+
+  it('returns null when nothing was stored', () => {
+    expect(migratePreferences(null)).toBeNull();
+    expect(migratePreferences({ schemaVersion: SCHEMA_VERSION, preferences: 'broken' })).toEqual({});
+  });
+});
+
+describe('conversation export', () => {
+  const messages = [message('a', null, 'assistant'), message('b', 'a')];
+
+  it('reads back its own exports', () => {
+    const exported = JSON.parse(JSON.stringify(createConversationExport(messages)));
+
+    expect(exported.format).toBe(EXPORT_FORMAT);
+    expect(readConversationExport(exported).messages.map(msg => msg.id)).toEqual(['a', 'b']);
+  });
+
+  it('reads the message arrays of older exports', () => {
+    expect(readConversationExport(messages).activeLeafId).toBe('b');
+  });
+
+  it('reads back encrypted exports with their passphrase only', async () => {
+    const exported = JSON.parse(JSON.stringify(await createEncryptedConversationExport(messages, 'export secret')));
+
+    expect(isEncryptedExport(exported)).toBe(true);
+    expect(JSON.stringify(exported)).not.toContain('user b');
+    expect((await decryptConversationImport(exported, 'export secret')).messages.map(msg => msg.id)).toEqual(['a', 'b']);
+    await expect(decryptConversationImport(exported, 'wrong')).rejects.toMatchObject({ code: 'decryption_failed' });
+  });
+
+  it('rejects files without a user message', () => {
+    expect(readConversationExport([message('a', null, 'assistant')])).toBeNull();
+    expect(readConversationExport({ format: EXPORT_FORMAT, conversation: null })).toBeNull();
+    expect(readConversationExport(null)).toBeNull();
+  });
+});
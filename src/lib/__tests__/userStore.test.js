@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getUserStore } from '../userStore';
+
+const user = (id, email) => ({ id, name: id, email, status: 'active' });
+
+describe.each(['memory', 'json'])('%s user store', (name) => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-users-'));
+    vi.stubEnv('USER_DB_PATH', path.join(directory, 'users.json'));
+    delete global.EDGE_RUNTIME_STORAGE?.next_users_db;
+    store = getUserStore(name);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('finds users by ID and by email, ignoring case', async () => {
+    await store.insertUser(user('a', 'peter@example.com'));
+
+    expect(await store.getUserById('a')).toMatchObject({ email: 'peter@example.com' });
+    expect(await store.getUserByEmail(' Peter@Example.com ')).toMatchObject({ id: 'a' });
+    expect(await store.getUserById('missing')).toBeNull();
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await store.insertUser(user('a', 'peter@example.com'));
+
+    await expect(store.insertUser(user('b', 'PETER@example.com')))
+      .rejects.toMatchObject({ code: 'email_taken' });
+    expect(await store.listUsers()).toHaveLength(1);
+  });
+
+  it('registers an email only once when requests arrive together', async () => {
+    const results = await Promise.allSettled(
+      ['a', 'b', 'c'].map(id => store.insertUser(user(id, 'peter@example.com')))
+    );
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.code === 'email_taken')).toHaveLength(2);
+  });
+
+  it('keeps every insert made at the same time', async () => {
+    await Promise.all(['a', 'b', 'c', 'd'].map(id => store.insertUser(user(id, `${id}@example.com`))));
+
+    expect((await store.listUsers()).map(stored => stored.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('applies concurrent updates on top of each other', async () => {
+    await store.insertUser({ ...user('a', 'peter@example.com'), loginCount: 0 });
+
+    await Promise.all(Array.from({ length: 5 }, () => store.updateUser('a', current => ({
+      ...current,
+      loginCount: current.loginCount + 1
+    }))));
+
+    expect((await store.getUserById('a')).loginCount).toBe(5);
+  });
+
+  it('rejects an update to an email used by another user', async () => {
+    await store.insertUser(user('a', 'peter@example.com'));
+    await store.insertUser(user('b', 'paul@example.com'));
+
+    await expect(store.updateUser('b', current => ({ ...current, email: 'Peter@example.com' })))
+      .rejects.toMatchObject({ code: 'email_taken' });
+    expect((await store.getUserById('b')).email).toBe('paul@example.com');
+
+    // A user may keep their own email
+    expect(await store.updateUser('a', current => ({ ...current, name: 'Pete' }))).toMatchObject({ name: 'Pete' });
+  });
+
+  it('does not change the ID or create missing users on update', async () => {
+    await store.insertUser(user('a', 'peter@example.com'));
+
+    expect(await store.updateUser('a', current => ({ ...current, id: 'b' }))).toMatchObject({ id: 'a' });
+    expect(await store.updateUser('missing', current => current)).toBeNull();
+  });
+
+  it('deletes users', async () => {
+    await store.insertUser(user('a', 'peter@example.com'));
+
+    expect(await store.deleteUser('a')).toBe(true);
+    expect(await store.deleteUser('a')).toBe(false);
+    expect(await store.getUserByEmail('peter@example.com')).toBeNull();
+  });
+});
+
+describe('json user store files', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-peter-users-'));
+    filePath = path.join(directory, 'users.json');
+    vi.stubEnv('USER_DB_PATH', filePath);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('leaves only the database behind after writing', async () => {
+    const store = getUserStore('json');
+    await Promise.all(['a', 'b', 'c'].map(id => store.insertUser(user(id, `${id}@example.com`))));
+    await store.updateUser('a', current => ({ ...current, name: 'Peter' }));
+
+    expect(await fs.readdir(directory)).toEqual(['users.json']);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toHaveLength(3);
+  });
+
+  it('leaves the database unchanged when an update fails', async () => {
+    const store = getUserStore('json');
+    await store.insertUser(user('a', 'peter@example.com'));
+    const before = await fs.readFile(filePath, 'utf8');
+
+    await expect(store.updateUser('a', () => {
+      throw new Error('update failed');
+    })).rejects.toThrow('update failed');
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe(before);
+    expect(await fs.readdir(directory)).toEqual(['users.json']);
+  });
+
+  it('waits for a lock file held by another process', async () => {
+    const store = getUserStore('json');
+    await fs.writeFile(`${filePath}.lock`, '');
+
+    const insert = store.insertUser(user('a', 'peter@example.com'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(await store.listUsers()).toEqual([]);
+
+    await fs.rm(`${filePath}.lock`);
+    await insert;
+    expect(await store.listUsers()).toHaveLength(1);
+  });
+});
+
+describe('getUserStore', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('rejects unknown stores', () => {
+    expect(() => getUserStore('mongo')).toThrow(expect.objectContaining({ code: 'store_misconfigured' }));
+  });
+
+  it('requires explicit configuration in production', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('USER_DB_ADAPTER', '');
+    vi.stubEnv('USER_DB_PATH', '');
+
+    expect(() => getUserStore()).toThrow(expect.objectContaining({ code: 'store_misconfigured' }));
+    expect(() => getUserStore('json')).toThrow(/USER_DB_ADAPTER/);
+
+    vi.stubEnv('USER_DB_ADAPTER', 'json');
+    expect(() => getUserStore()).toThrow(/USER_DB_PATH/);
+
+    vi.stubEnv('USER_DB_PATH', '/var/data/users.json');
+    expect(getUserStore().name).toBe('json');
+  });
+});
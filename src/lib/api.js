@@ -1,18 +1,99 @@
 import axios from 'axios';
+import { toContextMessages } from './context';
+import { getActiveBranch } from './branches';
+import { withRetry, codeForStatus } from './retry';
+import { getConversation } from './storage';
+import { parseJSON, migrateConversation } from './storageSchema';
+
+// User-facing text for each chat error code
+const CHAT_ERROR_MESSAGES = {
+  timeout: 'The AI took too long to respond. Please try again.',
+  rate_limited: 'The AI is receiving too many requests right now. Please wait a moment and try again.',
+  network_error: 'Could not reach the server. Check your connection and try again.',
+  server_error: 'The AI service is temporarily unavailable. Please try again.',
+  upstream_error: 'The AI service is temporarily unavailable. Please try again.',
+  invalid_response: 'The AI returned an unexpected response. Please try again.',
+  unauthorized: 'Your session has expired. Please log in again.',
+  too_many_requests: "You're sending messages too quickly. Please wait a moment and try again.",
+  quota_exceeded: "You've reached your daily message limit. It resets at midnight UTC."
+};
+
+/**
+ * Create a chat request error carrying a code and HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number|null} [status] - HTTP status, if any
+ * @returns {Error} Error with code and status attached
+ */
+function chatError(message, code, status = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build an error from a failed /api/chat response
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Parsed JSON body, if any
+ * @returns {Error} Classified error, with retryAfter (ms) when rate limited and the usage left
+ */
+function responseError(status, body) {
+  const error = chatError(
+    body?.message || `Chat request failed with status ${status}`,
+    body?.code || codeForStatus(status),
+    status
+  );
+  error.retryAfter = body?.retryAfter ? body.retryAfter * 1000 : null;
+  error.usage = body?.usage || null;
+  return error;
+}
+
+// Only retry requests that never reached the server; the route retries the upstream itself
+const isNetworkError = (error) => error.code === 'network_error';
 
 /**
- * Fetch AI response from the API
- * @param {string} text - User input text
- * @returns {Promise<string>} AI response text
+ * Get the text shown in the chat for a failed request
+ * @param {Error} error - Error thrown by fetchAIResponse or streamAIResponse
+ * @returns {string} User-facing error message
  */
-export async function fetchAIResponse(text) {
+export function getChatErrorMessage(error) {
+  if (error?.code === 'too_many_requests' && error.retryAfter) {
+    return `You're sending messages too quickly. Please wait ${Math.ceil(error.retryAfter / 1000)} seconds and try again.`;
+  }
+
+  return CHAT_ERROR_MESSAGES[error?.code] || "I'm sorry, I encountered an error. Please try again.";
+}
+
+/**
+ * Fetch AI response through the authenticated /api/chat route
+ * @param {Array} messages - Conversation so far, ending with the new user message
+ * @param {Object} [options] - {systemPrompt} of the active persona, {onUsage(usage)} with the remaining quota
+ * @returns {Promise<Object>} Assistant message {role, content, provider, model}
+ */
+export async function fetchAIResponse(messages, { systemPrompt, onUsage } = {}) {
   try {
-    // Fetch from the specified API
-    const response = await axios.get(`https://api.ryzendesu.vip/api/ai/deepseek?text=${encodeURIComponent(text)}`);
-    
-    // Extract the answer from the response
-    if (response.data && response.data.answer) {
-      return response.data.answer;
+    // The route proxies the upstream model, so the auth cookie must be sent along
+    const response = await withRetry(async () => {
+      try {
+        return await axios.post('/api/chat', {
+          messages: toContextMessages(messages),
+          system: systemPrompt || undefined
+        }, {
+          withCredentials: true
+        });
+      } catch (error) {
+        if (error.response) {
+          throw responseError(error.response.status, error.response.data);
+        }
+        throw chatError('Could not reach the chat server', 'network_error');
+      }
+    }, { shouldRetry: isNetworkError });
+
+    // Extract the answer from the normalized response
+    if (response.data && response.data.success && response.data.message) {
+      if (response.data.usage) onUsage?.(response.data.usage);
+      return response.data.message;
     } else {
       throw new Error('Invalid API response format');
     }
@@ -22,6 +103,178 @@ export async function fetchAIResponse(text) {
   }
 }
 
+/**
+ * Stream AI response token by token through the /api/chat route
+ * @param {Array} messages - Conversation so far, ending with the new user message
+ * @param {Object} [options] - {onDelta(delta)} called for every content chunk, {signal} to abort,
+ *   {systemPrompt} of the active persona, {onUsage(usage)} with the remaining quota
+ * @returns {Promise<Object>} Final assistant message {role, content, provider, model}
+ */
+export async function streamAIResponse(messages, { onDelta, signal, systemPrompt, onUsage } = {}) {
+  try {
+    // axios cannot read a response body incrementally in the browser, so use fetch here
+    const response = await withRetry(async () => {
+      let res;
+      try {
+        res = await fetch('/api/chat', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            messages: toContextMessages(messages),
+            system: systemPrompt || undefined,
+            stream: true
+          }),
+          credentials: 'include', // Include cookies
+          signal
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw chatError('Could not reach the chat server', 'network_error');
+      }
+
+      if (!res.ok || !res.body) {
+        const body = await res.json().catch(() => null);
+        throw responseError(res.status, body);
+      }
+
+      return res;
+    }, { shouldRetry: isNetworkError, signal });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw chatError('Connection lost while streaming the response', 'network_error');
+      }
+
+      const { done, value } = chunk;
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Server-Sent Events are separated by a blank line
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        if (!event.startsWith('data:')) continue;
+
+        const data = JSON.parse(event.slice(5).trim());
+
+        if (data.type === 'delta') {
+          onDelta?.(data.content);
+        } else if (data.type === 'done') {
+          if (data.usage) onUsage?.(data.usage);
+          return data.message;
+        } else if (data.type === 'error') {
+          if (data.usage) onUsage?.(data.usage);
+          throw chatError(data.message || 'Streaming failed', data.code || 'upstream_error');
+        }
+      }
+    }
+
+    throw chatError('Stream ended before the response was complete', 'network_error');
+  } catch (error) {
+    // Aborting is a user action, not a failure worth logging
+    if (error.name !== 'AbortError') {
+      console.error('Error streaming AI response:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the remaining chat quota of the logged in user
+ * @returns {Promise<Object|null>} {limit, remaining, dailyLimit, dailyRemaining, resetsAt} or null
+ */
+export async function getChatUsage() {
+  try {
+    const response = await axios.get('/api/chat', { withCredentials: true });
+    return response.data?.usage || null;
+  } catch (error) {
+    console.error('Error fetching chat usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Ask the model for a short title describing a conversation
+ * @param {Array} messages - Opening messages of the conversation
+ * @returns {Promise<string|null>} Title, or null if none could be generated
+ */
+export async function generateConversationTitle(messages) {
+  try {
+    const response = await axios.post('/api/chat/title', {
+      messages: toContextMessages(messages)
+    }, {
+      withCredentials: true
+    });
+    return response.data?.title || null;
+  } catch (error) {
+    console.warn('Conversation title not generated:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List the logged in user's conversations stored on the server
+ * @returns {Promise<Array>} Conversation summaries {id, title, titleSource, messageCount, pinned, createdAt, updatedAt}
+ */
+export async function fetchConversationList() {
+  const response = await axios.get('/api/conversations', { withCredentials: true });
+  return response.data.conversations;
+}
+
+/**
+ * Get a conversation stored on the server
+ * @param {string} conversationId - The UUID of the conversation
+ * @returns {Promise<Object|null>} Conversation or null if the server has none
+ */
+export async function fetchConversation(conversationId) {
+  try {
+    const response = await axios.get(`/api/conversations/${conversationId}`, { withCredentials: true });
+    return response.data.conversation;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Create or replace a conversation on the server
+ * @param {string} conversationId - The UUID of the conversation
+ * @param {Object} conversation - {messages, activeLeafId, personaId}
+ * @returns {Promise<Object>} Saved conversation with server timestamps
+ */
+export async function putConversation(conversationId, conversation) {
+  const response = await axios.put(`/api/conversations/${conversationId}`, conversation, {
+    withCredentials: true
+  });
+  return response.data.conversation;
+}
+
+/**
+ * Delete a conversation from the server
+ * @param {string} conversationId - The UUID of the conversation
+ * @returns {Promise<boolean>} True once the server no longer has it
+ */
+export async function removeConversation(conversationId) {
+  try {
+    await axios.delete(`/api/conversations/${conversationId}`, { withCredentials: true });
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+  }
+  return true;
+}
+
 /**
  * Mocked function to simulate saving a conversation for sharing
  * In a real app, this would save to a database
@@ -46,11 +299,16 @@ export async function saveConversationForSharing(conversationId, messages) {
 export async function getSharedConversation(conversationId) {
   // In a real implementation, this would fetch from a database
   // For now, we'll just use localStorage as a mock
-  const conversation = localStorage.getItem(`shared_${conversationId}`) || 
-                       localStorage.getItem(`chat_${conversationId}`);
+  const sharedConversation = localStorage.getItem(`shared_${conversationId}`);
+  
+  // Fall back to this browser's own copy of the chat
+  const conversation = sharedConversation
+    ? migrateConversation(parseJSON(sharedConversation))
+    : await getConversation(conversationId);
   
   if (conversation) {
-    return JSON.parse(conversation);
+    // Stored chats are trees; the shared view shows the active branch
+    return getActiveBranch(conversation);
   }
   
   return null;
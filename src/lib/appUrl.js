@@ -0,0 +1,51 @@
+/**
+ * Public address of the app
+ *
+ * Links in emails (password reset, email verification) always point to
+ * APP_URL. They are never built from the request: its Host header is chosen
+ * by the client, so anyone could request a reset for someone else's account
+ * and have the emailed link, token included, point to their own site.
+ */
+
+// Used in development when APP_URL is not set (`next dev`)
+const DEVELOPMENT_URL = 'http://localhost:3000';
+
+/**
+ * Create an error for a missing or unusable APP_URL
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code 'app_misconfigured'
+ */
+function configurationError(message) {
+  const error = new Error(`APP_URL configuration error: ${message}`);
+  error.code = 'app_misconfigured';
+  return error;
+}
+
+/**
+ * Get the origin that links in emails point to
+ * @returns {string} Origin, e.g. https://example.com
+ * @throws {Error} With code 'app_misconfigured' if APP_URL is missing in production or invalid
+ */
+export function getAppUrl() {
+  const appUrl = process.env.APP_URL;
+
+  if (!appUrl) {
+    if (process.env.NODE_ENV === 'production') {
+      throw configurationError('set APP_URL to the public address of the app in production');
+    }
+    return DEVELOPMENT_URL;
+  }
+
+  let url;
+  try {
+    url = new URL(appUrl);
+  } catch (error) {
+    throw configurationError(`"${appUrl}" is not a URL`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw configurationError(`"${appUrl}" must start with https:// or http://`);
+  }
+
+  return url.origin;
+}
@@ -0,0 +1,100 @@
+/**
+ * Server-side authentication helpers
+ *
+ * Shared by API route handlers that need to know who is calling them.
+ * Reads the same `auth-token` JWT that the login and register routes issue,
+ * and signs the short-lived action tokens sent in emails (password reset).
+ */
+
+import { jwtVerify, SignJWT } from 'jose';
+
+// Secret key untuk JWT - gunakan .env di aplikasi nyata
+const JWT_SECRET = process.env.JWT_SECRET || 'ai-peter-secret-key-change-this';
+
+// Siapkan secret key dalam format yang diperlukan jose
+const getSecretKey = () => new TextEncoder().encode(JWT_SECRET);
+
+/**
+ * Extract token from cookie or Authorization header
+ * @param {Request} request - Next.js request object
+ * @returns {string|null} The token or null if not found
+ */
+export function getAuthToken(request) {
+  // 1. Cookie token (primary auth method)
+  const tokenCookie = request.cookies?.get('auth-token')?.value;
+  if (tokenCookie) {
+    return tokenCookie;
+  }
+
+  // 2. Authorization header as fallback (for API clients)
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+}
+
+/**
+ * Verify the request's login JWT and return its payload
+ * @param {Request} request - Next.js request object
+ * @returns {Promise<Object|null>} The decoded token payload or null if invalid or not a login token
+ */
+export async function getTokenPayload(request) {
+  const token = getAuthToken(request);
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, getSecretKey(), {
+      algorithms: ['HS256']
+    });
+    // Action tokens are signed with the same key but are not logins
+    return payload.purpose || !payload.id ? null : payload;
+  } catch (error) {
+    console.error('Token verification failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Sign a short-lived token that only allows one kind of action
+ * @param {string} purpose - What the token is for, e.g. 'password-reset'
+ * @param {Object} claims - {sub, jti} identifying the user and the request
+ * @param {string} expiresIn - Lifetime in jose format, e.g. '1h'
+ * @returns {Promise<string>} Signed token
+ */
+export function signActionToken(purpose, { sub, jti }, expiresIn) {
+  return new SignJWT({ purpose })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(sub)
+    .setJti(jti)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(getSecretKey());
+}
+
+/**
+ * Verify an action token
+ * Login tokens are signed with the same key, so the purpose must match.
+ * @param {string} token - Token from signActionToken
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} The payload {sub, jti, ...}, or null if invalid or expired
+ */
+export async function verifyActionToken(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, getSecretKey(), {
+      algorithms: ['HS256']
+    });
+    return payload.purpose === purpose && payload.sub && payload.jti ? payload : null;
+  } catch (error) {
+    console.error('Action token verification failed:', error.message);
+    return null;
+  }
+}
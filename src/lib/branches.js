@@ -0,0 +1,199 @@
+/**
+ * Conversation tree utilities
+ *
+ * A conversation is stored as {messages, activeLeafId} where every message
+ * carries a `parentId`. Regenerating or editing a message adds a sibling
+ * instead of overwriting it, and the visible chat is the path from the root
+ * to `activeLeafId`.
+ */
+
+/**
+ * Link a flat (legacy) message list into a single chain
+ * @param {Array} messages - Flat array of message objects
+ * @returns {Array} Messages with parentId set
+ */
+export function linkMessages(messages) {
+  // Already linked messages are returned as-is so unchanged messages keep their identity
+  return messages.map((msg, index) => msg.parentId !== undefined ? msg : {
+    ...msg,
+    parentId: index > 0 ? messages[index - 1].id : null
+  });
+}
+
+/**
+ * Normalize stored conversation data into the tree shape
+ * Accepts both the legacy flat array and the {messages, activeLeafId} object.
+ * @param {Array|Object|null} data - Stored conversation
+ * @returns {Object|null} {messages, activeLeafId, personaId?} or null if empty/invalid
+ */
+export function normalizeConversation(data) {
+  if (!data) return null;
+
+  if (Array.isArray(data)) {
+    if (data.length === 0) return null;
+    const messages = linkMessages(data);
+    return { messages, activeLeafId: messages[messages.length - 1].id };
+  }
+
+  if (Array.isArray(data.messages) && data.messages.length > 0) {
+    const messages = linkMessages(data.messages);
+    const hasLeaf = messages.some(msg => msg.id === data.activeLeafId);
+    return {
+      messages,
+      activeLeafId: hasLeaf ? data.activeLeafId : messages[messages.length - 1].id,
+      ...(data.personaId && { personaId: data.personaId })
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the direct children of a message, oldest first
+ * @param {Array} messages - All messages in the tree
+ * @param {string|null} parentId - Parent message ID (null for roots)
+ * @returns {Array} Child messages
+ */
+export function getChildren(messages, parentId) {
+  return messages.filter(msg => (msg.parentId || null) === (parentId || null));
+}
+
+/**
+ * Get the path from the root to a message
+ * @param {Array} messages - All messages in the tree
+ * @param {string} leafId - ID of the last message on the path
+ * @returns {Array} Messages in conversation order
+ */
+export function getBranch(messages, leafId) {
+  const byId = new Map(messages.map(msg => [msg.id, msg]));
+  const branch = [];
+  let current = byId.get(leafId);
+
+  while (current) {
+    branch.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+
+  return branch;
+}
+
+/**
+ * Follow the newest child from a message down to a leaf
+ * @param {Array} messages - All messages in the tree
+ * @param {string} messageId - Starting message ID
+ * @returns {string} ID of the leaf
+ */
+export function getLatestLeaf(messages, messageId) {
+  let leafId = messageId;
+  let children = getChildren(messages, leafId);
+
+  while (children.length > 0) {
+    leafId = children[children.length - 1].id;
+    children = getChildren(messages, leafId);
+  }
+
+  return leafId;
+}
+
+/**
+ * Position of a message among its siblings
+ * @param {Array} messages - All messages in the tree
+ * @param {string} messageId - Message ID
+ * @returns {Object} {index, total, siblings}
+ */
+export function getSiblingInfo(messages, messageId) {
+  const message = messages.find(msg => msg.id === messageId);
+  if (!message) return { index: 0, total: 0, siblings: [] };
+
+  const siblings = getChildren(messages, message.parentId);
+  return {
+    index: siblings.findIndex(msg => msg.id === messageId),
+    total: siblings.length,
+    siblings
+  };
+}
+
+/**
+ * Get the active branch of a stored conversation as a flat list
+ * @param {Array|Object|null} data - Stored conversation
+ * @returns {Array} Messages on the active branch
+ */
+export function getActiveBranch(data) {
+  const conversation = normalizeConversation(data);
+  if (!conversation) return [];
+
+  return getBranch(conversation.messages, conversation.activeLeafId);
+}
+
+// Same message content, whether or not it is the same object
+const isSameMessage = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Merge two copies of a conversation tree that were changed separately
+ * (e.g. in two browser tabs). Every message is resolved on its own: a change
+ * made on only one side is kept, and when both sides changed the same message
+ * the local copy wins as the last writer. Messages added on either side are
+ * kept; messages removed on one side are dropped unless the other side changed them.
+ * @param {Array} base - Messages both copies started from
+ * @param {Array} local - Messages of this copy
+ * @param {Array} remote - Messages of the other copy
+ * @returns {Array} Merged messages, or `local` itself if it already matches
+ */
+export function mergeMessages(base, local, remote) {
+  const baseById = new Map(base.map(msg => [msg.id, msg]));
+  const remoteById = new Map(remote.map(msg => [msg.id, msg]));
+  const localIds = new Set(local.map(msg => msg.id));
+
+  let changed = false;
+  const merged = [];
+
+  local.forEach(msg => {
+    const baseMessage = baseById.get(msg.id);
+    const remoteMessage = remoteById.get(msg.id);
+    const changedLocally = !baseMessage || !isSameMessage(baseMessage, msg);
+
+    if (!remoteMessage) {
+      // Removed on the other side
+      if (!changedLocally) {
+        changed = true;
+        return;
+      }
+      merged.push(msg);
+    } else if (!changedLocally && !isSameMessage(remoteMessage, msg)) {
+      merged.push(remoteMessage);
+      changed = true;
+    } else {
+      merged.push(msg);
+    }
+  });
+
+  // Added on the other side; the ones in base were removed here
+  remote.forEach(msg => {
+    if (!localIds.has(msg.id) && !baseById.has(msg.id)) {
+      merged.push(msg);
+      changed = true;
+    }
+  });
+
+  return changed ? merged : local;
+}
+
+/**
+ * Merge a conversation tree changed elsewhere into a local copy
+ * The active branch follows the other copy unless it was switched locally.
+ * @param {Object|null} base - {messages, activeLeafId} both copies started from, or null if unknown
+ * @param {Object} local - Local {messages, activeLeafId}
+ * @param {Object} remote - Other {messages, activeLeafId}
+ * @returns {Object} Merged {messages, activeLeafId}
+ */
+export function mergeConversations(base, local, remote) {
+  const messages = mergeMessages(base?.messages || [], local.messages, remote.messages);
+  const hasLeaf = (leafId) => messages.some(msg => msg.id === leafId);
+
+  const switchedLocally = local.activeLeafId !== base?.activeLeafId;
+  const activeLeafId = (switchedLocally || !hasLeaf(remote.activeLeafId)) && hasLeaf(local.activeLeafId)
+    ? local.activeLeafId
+    : remote.activeLeafId;
+
+  return { messages, activeLeafId };
+}
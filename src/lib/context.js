@@ -0,0 +1,106 @@
+/**
+ * Conversation context helpers
+ *
+ * Turns stored chat messages into the {role, content} history that is sent
+ * to the AI provider, and keeps that history inside a configurable budget.
+ */
+
+// Default budget - override with AI_CONTEXT_MAX_TOKENS / AI_CONTEXT_MAX_MESSAGES
+const DEFAULT_MAX_TOKENS = 3000;
+const DEFAULT_MAX_MESSAGES = 20;
+
+const CONTEXT_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Read the context budget from environment configuration
+ * @returns {Object} {maxTokens, maxMessages}
+ */
+export function getContextBudget() {
+  return {
+    maxTokens: parseInt(process.env.AI_CONTEXT_MAX_TOKENS || `${DEFAULT_MAX_TOKENS}`, 10),
+    maxMessages: parseInt(process.env.AI_CONTEXT_MAX_MESSAGES || `${DEFAULT_MAX_MESSAGES}`, 10)
+  };
+}
+
+/**
+ * Convert chat messages to the plain history format sent to providers
+ * Error bubbles, empty replies and unknown roles are left out.
+ * @param {Array} messages - Chat message objects
+ * @returns {Array} Array of {role, content}
+ */
+export function toContextMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter(msg => msg && !msg.isError && CONTEXT_ROLES.includes(msg.role) &&
+      typeof msg.content === 'string' && msg.content.trim())
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Create an error for system messages that leave no room in the budget
+ * @param {number} systemTokens - Estimated size of the system messages
+ * @param {number} maxTokens - Context budget
+ * @returns {Error} Error with code 'context_too_small'
+ */
+function contextTooSmallError(systemTokens, maxTokens) {
+  const error = new Error(
+    `System prompt (~${systemTokens} tokens) does not fit in the context budget of ${maxTokens} tokens`
+  );
+  error.code = 'context_too_small';
+  return error;
+}
+
+/**
+ * Fit a history into the context budget
+ * Drops the oldest turns first and always keeps the newest message. If the
+ * newest message alone is over budget, its beginning is cut off.
+ * @param {Array} messages - Array of {role, content}
+ * @param {Object} [budget] - {maxTokens, maxMessages}
+ * @returns {Array} Trimmed history
+ * @throws {Error} With code 'context_too_small' if the system messages use up
+ *   the whole budget, since the newest message could not be sent at all
+ */
+export function fitContextWindow(messages, budget = getContextBudget()) {
+  const { maxTokens, maxMessages } = budget;
+  const history = toContextMessages(messages);
+
+  // Leading system messages are kept regardless of age
+  const system = history.filter(msg => msg.role === 'system');
+  const turns = history.filter(msg => msg.role !== 'system');
+
+  const systemTokens = system.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+  let remaining = maxTokens - systemTokens;
+  const kept = [];
+
+  if (turns.length > 0 && remaining <= 0) {
+    throw contextTooSmallError(systemTokens, maxTokens);
+  }
+
+  for (let i = turns.length - 1; i >= 0 && kept.length < maxMessages; i--) {
+    const cost = estimateTokens(turns[i].content);
+
+    if (cost <= remaining) {
+      kept.unshift(turns[i]);
+      remaining -= cost;
+    } else {
+      if (kept.length === 0) {
+        // Newest message is too long on its own - keep its tail
+        const { content } = turns[i];
+        kept.unshift({ ...turns[i], content: content.slice(content.length - remaining * 4) });
+      }
+      break;
+    }
+  }
+
+  return [...system, ...kept];
+}
@@ -0,0 +1,224 @@
+/**
+ * Conversation Database Module
+ *
+ * Server-side store for chat conversations, one collection per user. Data
+ * is kept by the conversation store chosen with CONVERSATION_DB_ADAPTER
+ * (see lib/conversationStore), so routes using this module need the
+ * Node.js runtime. Each user may keep at most CONVERSATION_MAX_PER_USER
+ * conversations of at most CONVERSATION_MAX_BYTES each.
+ */
+
+import { normalizeConversation } from './branches';
+import { normalizeFolderName, normalizeTags } from './conversationMeta';
+import { getConversationStore } from './conversationStore';
+
+// Conversation IDs are UUIDs on the client; allow any short URL-safe ID
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Upper bound on messages per conversation
+const MAX_MESSAGES = 2000;
+
+// Upper bound on the length of a custom title
+const MAX_TITLE_LENGTH = 200;
+
+// Where a custom title came from: renamed by the user or generated by the AI
+const TITLE_SOURCES = ['user', 'ai'];
+
+// Archived and trashed conversations are kept until the client deletes them
+const STATUSES = ['active', 'archived', 'trashed'];
+
+// Default limits per user; archived and trashed conversations count too
+const DEFAULT_MAX_PER_USER = 1000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+// HTTP status for each error code saveConversation throws
+export const SAVE_ERROR_STATUS = {
+  invalid_request: 400,
+  conversation_limit: 403,
+  payload_too_large: 413
+};
+
+/**
+ * Read the conversation limits from environment configuration
+ * @returns {Object} {maxPerUser, maxBytes}
+ */
+export function getConversationLimits() {
+  return {
+    maxPerUser: parseInt(process.env.CONVERSATION_MAX_PER_USER || `${DEFAULT_MAX_PER_USER}`, 10),
+    maxBytes: parseInt(process.env.CONVERSATION_MAX_BYTES || `${DEFAULT_MAX_BYTES}`, 10)
+  };
+}
+
+/**
+ * Create an error the routes answer with SAVE_ERROR_STATUS[code]
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with the code
+ */
+function conversationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Validation error the routes answer with 400
+const invalidConversation = (message) => conversationError('invalid_request', message);
+
+/**
+ * Check that a conversation ID is well formed
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean} True if valid
+ */
+export function isValidConversationId(conversationId) {
+  return typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId);
+}
+
+/**
+ * Check whether a request declares a body larger than a conversation may be
+ * Lets routes refuse oversized uploads before reading them.
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if Content-Length exceeds CONVERSATION_MAX_BYTES
+ */
+export function isOversizedRequest(request) {
+  const contentLength = parseInt(request.headers.get('content-length') || '0', 10);
+  return contentLength > getConversationLimits().maxBytes;
+}
+
+/**
+ * Short summary of a conversation for list views
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} {id, title, titleSource, messageCount, personaId, pinned, folder, tags, status, deletedAt,
+ *   createdAt, updatedAt}
+ */
+function summarize(conversation) {
+  const firstUserMessage = conversation.messages.find(msg => msg.role === 'user');
+  const defaultTitle = firstUserMessage ? firstUserMessage.content.trim().slice(0, 60) : 'New conversation';
+
+  return {
+    id: conversation.id,
+    title: conversation.title || defaultTitle,
+    titleSource: conversation.title ? conversation.titleSource : 'message',
+    messageCount: conversation.messages.length,
+    personaId: conversation.personaId || null,
+    pinned: Boolean(conversation.pinned),
+    folder: conversation.folder || null,
+    tags: conversation.tags || [],
+    status: conversation.status || 'active',
+    deletedAt: conversation.deletedAt || null,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+/**
+ * List a user's conversations, most recently updated first
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} Conversation summaries
+ */
+export async function listConversations(userId) {
+  const summaries = await getConversationStore().listSummaries(userId);
+
+  return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get one conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null if not found
+ */
+export async function getConversation(userId, conversationId) {
+  if (!isValidConversationId(conversationId)) return null;
+
+  return getConversationStore().getConversation(userId, conversationId);
+}
+
+/**
+ * Create or replace a conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} data - {messages, activeLeafId, personaId, title, titleSource, pinned, folder, tags,
+ *   status, deletedAt}
+ * @returns {Promise<Object>} Saved conversation
+ * @throws {Error} With code 'invalid_request', 'conversation_limit' (a new conversation over
+ *   CONVERSATION_MAX_PER_USER) or 'payload_too_large' (over CONVERSATION_MAX_BYTES as JSON)
+ */
+export async function saveConversation(userId, conversationId, data) {
+  if (!isValidConversationId(conversationId)) {
+    throw invalidConversation('ID percakapan tidak valid');
+  }
+
+  const conversation = normalizeConversation(data);
+  if (!conversation) {
+    throw invalidConversation('Percakapan harus berisi pesan');
+  }
+
+  if (conversation.messages.length > MAX_MESSAGES) {
+    throw invalidConversation(`Percakapan maksimal ${MAX_MESSAGES} pesan`);
+  }
+
+  if (data.title !== undefined && data.title !== null && typeof data.title !== 'string') {
+    throw invalidConversation('Judul percakapan harus berupa teks');
+  }
+
+  if (data.tags !== undefined && data.tags !== null && !Array.isArray(data.tags)) {
+    throw invalidConversation('Tag percakapan harus berupa daftar');
+  }
+
+  if (data.status !== undefined && !STATUSES.includes(data.status)) {
+    throw invalidConversation('Status percakapan tidak valid');
+  }
+
+  const title = (data.title || '').trim().slice(0, MAX_TITLE_LENGTH);
+  const status = data.status || 'active';
+
+  const limits = getConversationLimits();
+  const now = new Date().toISOString();
+
+  return getConversationStore().writeConversation(userId, conversationId, ({ existing, count }) => {
+    if (!existing && count >= limits.maxPerUser) {
+      throw conversationError(
+        'conversation_limit',
+        `Batas ${limits.maxPerUser} percakapan tercapai. Hapus percakapan lama untuk menyimpan yang baru`
+      );
+    }
+
+    const saved = {
+      ...conversation,
+      ...(title && {
+        title,
+        titleSource: TITLE_SOURCES.includes(data.titleSource) ? data.titleSource : 'user'
+      }),
+      pinned: Boolean(data.pinned),
+      folder: normalizeFolderName(data.folder),
+      tags: normalizeTags(data.tags),
+      status,
+      deletedAt: status === 'trashed' ? (typeof data.deletedAt === 'string' ? data.deletedAt : now) : null,
+      id: conversationId,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    const json = JSON.stringify(saved);
+    if (Buffer.byteLength(json) > limits.maxBytes) {
+      throw conversationError(
+        'payload_too_large',
+        `Percakapan terlalu besar (maksimal ${Math.floor(limits.maxBytes / 1024)} KB)`
+      );
+    }
+
+    return { conversation: saved, summary: summarize(saved), data: json };
+  });
+}
+
+/**
+ * Delete a conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteConversation(userId, conversationId) {
+  if (!isValidConversationId(conversationId)) return false;
+
+  return getConversationStore().deleteConversation(userId, conversationId);
+}
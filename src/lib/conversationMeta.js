@@ -0,0 +1,50 @@
+/**
+ * Conversation metadata helpers
+ *
+ * Folders and tags are plain strings stored on each conversation, both in
+ * the browser index and on the server, so they travel with the conversation
+ * when it is synced.
+ */
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_FOLDER_LENGTH = 60;
+
+/**
+ * Clean up a folder name
+ * @param {string|null} folder - Folder name
+ * @returns {string|null} Trimmed name, or null for "no folder"
+ */
+export function normalizeFolderName(folder) {
+  if (typeof folder !== 'string') return null;
+
+  const name = folder.trim().replace(/\s+/g, ' ').slice(0, MAX_FOLDER_LENGTH);
+  return name || null;
+}
+
+/**
+ * Clean up a list of tags
+ * Empty tags are dropped and duplicates (ignoring case) keep their first spelling.
+ * @param {Array<string>|string} tags - Tags, or a comma separated string
+ * @returns {Array<string>} At most MAX_TAGS tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const tag of list) {
+    if (typeof tag !== 'string') continue;
+
+    const name = tag.trim().replace(/^#/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) continue;
+
+    seen.add(key);
+    normalized.push(name);
+  }
+
+  return normalized.slice(0, MAX_TAGS);
+}
@@ -0,0 +1,64 @@
+/**
+ * Conversation store registry
+ *
+ * Every store keeps each user's conversations as separate records plus a
+ * summary per conversation for list views, so no call reads or writes more
+ * than one user's data:
+ *   { name, listSummaries(userId), getConversation(userId, id),
+ *     writeConversation(userId, id, build), deleteConversation(userId, id) }
+ * All methods are async. writeConversation calls the synchronous
+ * `build({existing, count})` with the summary of the stored conversation (or
+ * null) and the number of conversations the user has; it returns
+ * {conversation, summary, data}, where data is the conversation as JSON.
+ * The build and the write run atomically, so limits checked in build hold
+ * under concurrent requests.
+ *
+ * The active store is chosen with the CONVERSATION_DB_ADAPTER environment variable:
+ *   - json (default): one directory per user under CONVERSATION_DB_PATH
+ *   - sqlite: SQLite database at CONVERSATION_DB_PATH (needs better-sqlite3)
+ *   - memory: lost when the server instance stops, for tests
+ *
+ * Like the user store, both variables are required in production.
+ */
+
+import { configurationError, assertProductionConfig } from '../serverStore';
+import memory from './memory';
+import jsonFile from './jsonFile';
+import sqlite from './sqlite';
+
+const stores = {
+  [memory.name]: memory,
+  [jsonFile.name]: jsonFile,
+  [sqlite.name]: sqlite
+};
+
+const DEFAULT_STORE = 'json';
+
+// Stores that keep their data at CONVERSATION_DB_PATH
+const FILE_STORES = [jsonFile.name, sqlite.name];
+
+const LABEL = 'Conversation store';
+
+/**
+ * Get a conversation store by name
+ * @param {string} [name] - Store name, defaults to CONVERSATION_DB_ADAPTER
+ * @returns {Object} Conversation store
+ */
+export function getConversationStore(name = process.env.CONVERSATION_DB_ADAPTER || DEFAULT_STORE) {
+  const store = stores[name];
+
+  if (!store) {
+    throw configurationError(LABEL, `unknown conversation store "${name}"`);
+  }
+
+  assertProductionConfig({
+    label: LABEL,
+    name,
+    names: Object.keys(stores),
+    adapterVariable: 'CONVERSATION_DB_ADAPTER',
+    pathVariable: 'CONVERSATION_DB_PATH',
+    fileStores: FILE_STORES
+  });
+
+  return store;
+}
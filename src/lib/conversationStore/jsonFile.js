@@ -0,0 +1,99 @@
+/**
+ * JSON file conversation store
+ *
+ * Keeps conversations on disk under CONVERSATION_DB_PATH (by default
+ * .data/conversations in the working directory): one directory per user
+ * with an index.json of summaries and one JSON file per conversation.
+ * Needs the Node.js runtime and a writable file system.
+ *
+ * Listing reads only the user's index; reading or saving a conversation
+ * touches only its own file and the index. Files are replaced atomically,
+ * and changes are serialized within the process and, through a lock file
+ * next to the user's index, across processes sharing the directory.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLock, withFileLock, readJsonFile, writeFileAtomic } from '../serverStore';
+
+const NAME = 'json';
+
+const INDEX_FILE = 'index.json';
+
+const getRootPath = () => process.env.CONVERSATION_DB_PATH || path.join(process.cwd(), '.data', 'conversations');
+
+// User IDs may contain any character, so the directory name is encoded
+const getUserPath = (userId) => path.join(getRootPath(), Buffer.from(userId).toString('base64url'));
+
+const getIndexPath = (userId) => path.join(getUserPath(userId), INDEX_FILE);
+
+// Conversation IDs are checked by lib/conversationDb to be short and URL-safe
+const getConversationPath = (userId, conversationId) => path.join(getUserPath(userId), `${conversationId}.json`);
+
+const processLock = createLock();
+
+// Run a change of a user's conversations while holding both locks
+const withUserLock = (userId, task) => processLock(() => withFileLock(getIndexPath(userId), task));
+
+/**
+ * List the summaries of a user's conversations, in no particular order
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} Summaries
+ */
+async function listSummaries(userId) {
+  return Object.values(await readJsonFile(getIndexPath(userId), {}));
+}
+
+/**
+ * Get one conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function getConversation(userId, conversationId) {
+  return readJsonFile(getConversationPath(userId, conversationId), null);
+}
+
+/**
+ * Create or replace a conversation, built atomically from the stored one
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} build - ({existing, count}) => {conversation, summary, data}, synchronous
+ * @returns {Promise<Object>} Saved conversation
+ */
+function writeConversation(userId, conversationId, build) {
+  return withUserLock(userId, async () => {
+    const index = await readJsonFile(getIndexPath(userId), {});
+    const { conversation, summary, data } = build({
+      existing: index[conversationId] || null,
+      count: Object.keys(index).length
+    });
+
+    // The conversation first, so the index never lists a missing file
+    await writeFileAtomic(getConversationPath(userId, conversationId), data);
+    await writeFileAtomic(getIndexPath(userId), JSON.stringify({ ...index, [conversationId]: summary }));
+    return conversation;
+  });
+}
+
+/**
+ * Delete a conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+function deleteConversation(userId, conversationId) {
+  return withUserLock(userId, async () => {
+    const index = await readJsonFile(getIndexPath(userId), {});
+    if (!index[conversationId]) return false;
+
+    const { [conversationId]: _removed, ...remaining } = index;
+    await writeFileAtomic(getIndexPath(userId), JSON.stringify(remaining));
+    await fs.rm(getConversationPath(userId, conversationId), { force: true });
+    return true;
+  });
+}
+
+const jsonFileStore = { name: NAME, listSummaries, getConversation, writeConversation, deleteConversation };
+
+export default jsonFileStore;
@@ -0,0 +1,76 @@
+/**
+ * In-memory conversation store
+ *
+ * Keeps conversations in the global server storage, so they only live as
+ * long as the server instance. Meant for tests and local experiments.
+ */
+
+const STORAGE_KEY = 'next_conversations';
+
+const NAME = 'memory';
+
+// Global in-memory storage, shared with lib/userStore/memory
+global.EDGE_RUNTIME_STORAGE = global.EDGE_RUNTIME_STORAGE || {};
+
+// Map of conversation ID -> {summary, conversation} for one user
+const getUserConversations = (userId) => {
+  const storage = global.EDGE_RUNTIME_STORAGE;
+  storage[STORAGE_KEY] = storage[STORAGE_KEY] || new Map();
+
+  if (!storage[STORAGE_KEY].has(userId)) {
+    storage[STORAGE_KEY].set(userId, new Map());
+  }
+  return storage[STORAGE_KEY].get(userId);
+};
+
+/**
+ * List the summaries of a user's conversations, in no particular order
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} Summaries
+ */
+async function listSummaries(userId) {
+  return [...getUserConversations(userId).values()].map(record => record.summary);
+}
+
+/**
+ * Get one conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function getConversation(userId, conversationId) {
+  return getUserConversations(userId).get(conversationId)?.conversation || null;
+}
+
+/**
+ * Create or replace a conversation, built atomically from the stored one
+ * Nothing is awaited between reading and writing, so no other change can interleave
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} build - ({existing, count}) => {conversation, summary, data}, synchronous
+ * @returns {Promise<Object>} Saved conversation
+ */
+async function writeConversation(userId, conversationId, build) {
+  const conversations = getUserConversations(userId);
+  const { conversation, summary } = build({
+    existing: conversations.get(conversationId)?.summary || null,
+    count: conversations.size
+  });
+
+  conversations.set(conversationId, { summary, conversation });
+  return conversation;
+}
+
+/**
+ * Delete a conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+async function deleteConversation(userId, conversationId) {
+  return getUserConversations(userId).delete(conversationId);
+}
+
+const memoryStore = { name: NAME, listSummaries, getConversation, writeConversation, deleteConversation };
+
+export default memoryStore;
@@ -0,0 +1,98 @@
+/**
+ * SQLite conversation store
+ *
+ * Keeps conversations in a SQLite database (CONVERSATION_DB_PATH, by default
+ * .data/conversations.sqlite in the working directory), one row per
+ * conversation with its summary next to it. Needs the Node.js runtime and
+ * the optional `better-sqlite3` package (see lib/serverStore).
+ *
+ * Saves run in IMMEDIATE transactions, so the limits checked while building
+ * a conversation hold between processes too.
+ */
+
+import path from 'path';
+import { openSqliteDatabase } from '../serverStore';
+
+const NAME = 'sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    user_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, id)
+  );
+`;
+
+const getFilePath = () => process.env.CONVERSATION_DB_PATH || path.join(process.cwd(), '.data', 'conversations.sqlite');
+
+const openDatabase = () => openSqliteDatabase(getFilePath(), SCHEMA, 'CONVERSATION_DB_ADAPTER');
+
+/**
+ * List the summaries of a user's conversations, in no particular order
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} Summaries
+ */
+async function listSummaries(userId) {
+  const database = await openDatabase();
+  return database.prepare('SELECT summary FROM conversations WHERE user_id = ?')
+    .all(userId)
+    .map(row => JSON.parse(row.summary));
+}
+
+/**
+ * Get one conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function getConversation(userId, conversationId) {
+  const database = await openDatabase();
+  const row = database.prepare('SELECT data FROM conversations WHERE user_id = ? AND id = ?').get(userId, conversationId);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Create or replace a conversation, built atomically from the stored one
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} build - ({existing, count}) => {conversation, summary, data}, synchronous
+ * @returns {Promise<Object>} Saved conversation
+ */
+async function writeConversation(userId, conversationId, build) {
+  const database = await openDatabase();
+
+  const run = database.transaction(() => {
+    const row = database.prepare('SELECT summary FROM conversations WHERE user_id = ? AND id = ?')
+      .get(userId, conversationId);
+    const { count } = database.prepare('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?').get(userId);
+
+    const { conversation, summary, data } = build({
+      existing: row ? JSON.parse(row.summary) : null,
+      count
+    });
+
+    database.prepare('INSERT OR REPLACE INTO conversations (user_id, id, summary, data) VALUES (?, ?, ?, ?)')
+      .run(userId, conversationId, JSON.stringify(summary), data);
+    return conversation;
+  });
+
+  return run.immediate();
+}
+
+/**
+ * Delete a conversation of a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+async function deleteConversation(userId, conversationId) {
+  const database = await openDatabase();
+  return database.prepare('DELETE FROM conversations WHERE user_id = ? AND id = ?')
+    .run(userId, conversationId).changes > 0;
+}
+
+const sqliteStore = { name: NAME, listSummaries, getConversation, writeConversation, deleteConversation };
+
+export default sqliteStore;
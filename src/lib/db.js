@@ -6,141 +6,34 @@
  * - User authentication
  * - User management
  * 
- * Uses browser compatible storage with Edge Runtime support.
- * Compatible with Vercel and Netlify serverless environments.
+ * Users are kept by a pluggable store (see lib/userStore), chosen with the
+ * USER_DB_ADAPTER environment variable. The file based stores need the
+ * Node.js runtime in the routes that import this module.
  */
 
-// Global in-memory storage for Edge Runtime to ensure persistence
-// This prevents data loss between requests while the server is running
-global.EDGE_RUNTIME_STORAGE = global.EDGE_RUNTIME_STORAGE || {
-  next_users_db: JSON.stringify([])
-};
-
-// Simple string hash function that works in Edge Runtime
-// Does not use crypto module at all for compatibility
-async function hashPassword(password) {
-  if (!password) return '';
-  
-  // Use a consistent salt that doesn't change between server restarts
-  const salt = 'vercel-edge-runtime-salt-2025';
-  const saltedPassword = password + salt;
-  
-  // Simple but consistent hashing algorithm
-  let hash = 0;
-  for (let i = 0; i < saltedPassword.length; i++) {
-    const char = saltedPassword.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  
-  // Convert to hex string for storage
-  return hash.toString(16);
-}
-
-// Password verification function
-async function verifyPassword(password, hashedPassword) {
-  const newHash = await hashPassword(password);
-  return newHash === hashedPassword;
-}
-
-// In-memory cache to reduce storage operations
-let userCache = null;
-let lastCacheTime = 0;
-const CACHE_TTL = 10000; // Reduce to 10 seconds for development to refresh more often
-
-// Prefix for storage keys
-const STORAGE_KEY = 'next_users_db';
+import { hashPassword, verifyPassword, needsRehash } from './password';
+import { getUserStore } from './userStore';
+import { getMailTransport } from './mailer';
 
 /**
- * Get storage implementation based on environment
- * @returns {Object} Storage interface
+ * Whether new accounts must verify their email before they can log in
+ * REQUIRE_EMAIL_VERIFICATION=true or false decides. Without it, verification
+ * is required in development, and in production only when MAIL_TRANSPORT
+ * delivers emails (see lib/mailer): otherwise no verification link could
+ * reach anyone and every new account would stay locked out.
+ * @returns {boolean} True if verification is required
  */
-function getStorage() {
-  // For server components and API routes
-  if (typeof globalThis.localStorage === 'undefined') {
-    // Edge Runtime & Server environment
-    return {
-      async getItem(key) {
-        // Use global.EDGE_RUNTIME_STORAGE for persistence
-        return global.EDGE_RUNTIME_STORAGE[key] || JSON.stringify([]);
-      },
-      async setItem(key, value) {
-        // Store data in global.EDGE_RUNTIME_STORAGE
-        global.EDGE_RUNTIME_STORAGE[key] = value;
-        return true;
-      }
-    };
-  }
-  
-  // For client components (not recommended for auth data)
-  return {
-    async getItem(key) {
-      return localStorage.getItem(key);
-    },
-    async setItem(key, value) {
-      localStorage.setItem(key, value);
-      return true;
-    }
-  };
-}
+export function isEmailVerificationRequired() {
+  const setting = process.env.REQUIRE_EMAIL_VERIFICATION;
 
-/**
- * Read user database with caching for improved performance
- * @param {boolean} skipCache - Force refresh from storage if true
- * @returns {Promise<Array>} Array of users
- */
-async function readDb(skipCache = false) {
-  // Use cache if still fresh and skipCache is false
-  const now = Date.now();
-  if (!skipCache && userCache && now - lastCacheTime < CACHE_TTL) {
-    return userCache;
-  }
-  
-  try {
-    const storage = getStorage();
-    const data = await storage.getItem(STORAGE_KEY);
-    
-    // Handle empty data
-    if (!data || data.trim() === '') {
-      userCache = [];
-      lastCacheTime = now;
-      return [];
-    }
-    
-    // Parse data and update cache
-    const users = JSON.parse(data);
-    userCache = users;
-    lastCacheTime = now;
-    return users;
-  } catch (error) {
-    console.error('Error reading users database:', error);
-    return [];
-  }
-}
+  if (setting === 'true') return true;
+  if (setting === 'false') return false;
+  if (process.env.NODE_ENV !== 'production') return true;
 
-/**
- * Write data to database and update cache
- * @param {Array} data - Array of user data to save
- * @returns {Promise<boolean>} - Success status
- */
-async function writeDb(data) {
   try {
-    const storage = getStorage();
-    const jsonString = JSON.stringify(data);
-    
-    await storage.setItem(STORAGE_KEY, jsonString);
-    
-    // Update cache
-    userCache = data;
-    lastCacheTime = Date.now();
-    
-    // Log the write operation for debugging
-    console.log(`Database updated with ${data.length} users`);
-    
-    return true;
+    return getMailTransport().delivers;
   } catch (error) {
-    console.error('Error writing users database:', error);
-    throw new Error('Failed to save user data: ' + error.message);
+    return false;
   }
 }
 
@@ -183,18 +76,52 @@ function validateUserData(userData) {
 function sanitizeUser(user) {
   if (!user) return null;
   
-  // Create a shallow copy and remove password field using destructuring
-  const { password, ...userWithoutPassword } = user;
+  // Create a shallow copy and remove password and token fields using destructuring
+  const { password, passwordReset, emailVerification, ...userWithoutPassword } = user;
   return userWithoutPassword;
 }
 
+/**
+ * Create an error for an unusable password reset token
+ * @returns {Error} Error with code 'invalid_token'
+ */
+function invalidResetToken() {
+  const error = new Error('Link reset password tidak valid atau sudah kedaluwarsa');
+  error.code = 'invalid_token';
+  return error;
+}
+
+/**
+ * Create an error for an unusable email verification token
+ * @returns {Error} Error with code 'invalid_token'
+ */
+function invalidVerificationToken() {
+  const error = new Error('Link verifikasi tidak valid atau sudah kedaluwarsa');
+  error.code = 'invalid_token';
+  return error;
+}
+
+/**
+ * Whether to add the demo user (demo@example.com / password123)
+ * SEED_DEMO_USER=true or false decides; without it only `next dev` seeds,
+ * so production and tests never get an account with a published password.
+ * @returns {boolean} True if the demo user should be added
+ */
+function shouldSeedDemoUser() {
+  const setting = process.env.SEED_DEMO_USER;
+
+  if (setting === 'true') return true;
+  if (setting === 'false') return false;
+  return process.env.NODE_ENV === 'development';
+}
+
 /**
  * Add demo user if database is empty (for demo purposes)
- * Always ensures there's at least one user to test with
+ * Ensures there's at least one user to test with during development
  */
 async function seedDemoUser() {
   try {
-    const users = await readDb(true); // Skip cache to ensure fresh data
+    const users = await getUserStore().listUsers();
     
     // If database already has users, no need to add more
     if (users.length > 0) {
@@ -214,16 +141,19 @@ async function seedDemoUser() {
     };
     
     console.log('Adding demo user to database');
-    users.push(demoUser);
-    await writeDb(users);
+    await getUserStore().insertUser(demoUser);
     console.log('Demo user added successfully');
   } catch (error) {
+    // Another instance may have seeded it at the same time
+    if (error.code === 'email_taken') return;
     console.error('Error seeding demo user:', error);
   }
 }
 
 // Run seeding when module is imported
-seedDemoUser().catch(console.error);
+if (shouldSeedDemoUser()) {
+  seedDemoUser().catch(console.error);
+}
 
 /**
  * Check if user exists by email (case insensitive)
@@ -234,8 +164,7 @@ export async function checkUserExists(email) {
   if (!email) return false;
   
   try {
-    const users = await readDb();
-    return users.some(user => user.email.toLowerCase() === email.toLowerCase());
+    return Boolean(await getUserStore().getUserByEmail(email));
   } catch (error) {
     console.error('Error checking if user exists:', error);
     throw new Error('Failed to check user existence: ' + error.message);
@@ -248,7 +177,7 @@ export async function checkUserExists(email) {
  */
 export async function getUsers() {
   try {
-    const users = await readDb();
+    const users = await getUserStore().listUsers();
     // Don't include password field
     return users.map(user => sanitizeUser(user));
   } catch (error) {
@@ -266,12 +195,11 @@ export async function getUserByEmail(email) {
   if (!email) return null;
   
   try {
-    const users = await readDb(true); // Selalu refresh dari storage untuk mendapatkan data terbaru
     // Ensure email is normalized
     const normalizedEmail = email.trim().toLowerCase();
-    const user = users.find(user => user.email.toLowerCase() === normalizedEmail);
+    const user = await getUserStore().getUserByEmail(normalizedEmail);
     console.log(`getUserByEmail: Looking for ${normalizedEmail}, Found:`, user ? 'Yes' : 'No');
-    return user || null;
+    return user;
   } catch (error) {
     console.error('Error getting user by email:', error);
     return null;
@@ -287,13 +215,10 @@ export async function getUserById(id) {
   if (!id) return null;
   
   try {
-    const users = await readDb(true); // Selalu refresh dari storage untuk mendapatkan data terbaru
-    const user = users.find(user => user.id === id);
+    const user = await getUserStore().getUserById(id);
     
     console.log(`getUserById: Looking for ID ${id}, Found:`, user ? 'Yes' : 'No');
     
-    if (!user) return null;
-    
     // Don't include password field
     return sanitizeUser(user);
   } catch (error) {
@@ -306,6 +231,7 @@ export async function getUserById(id) {
  * Add new user
  * @param {Object} userData - New user data {name, email, password}
  * @returns {Promise<Object>} - Newly created user (without password)
+ * @throws {Error} With code 'email_taken' if the email is already registered
  */
 export async function createUser(userData) {
   // Validate input
@@ -319,16 +245,9 @@ export async function createUser(userData) {
   }
   
   try {
-    const users = await readDb(true); // Skip cache to ensure fresh data
-    
     // Ensure email is normalized
     const normalizedEmail = userData.email.trim().toLowerCase();
     
-    // Check if email already exists
-    if (users.some(user => user.email.toLowerCase() === normalizedEmail)) {
-      throw new Error('Email sudah terdaftar');
-    }
-    
     // Hash password
     let hashedPassword;
     try {
@@ -344,21 +263,17 @@ export async function createUser(userData) {
       name: userData.name.trim(),
       email: normalizedEmail,
       password: hashedPassword,
-      status: 'active', // Default status
+      // Active once the email is verified, if that is required
+      status: isEmailVerificationRequired() ? 'pending_verification' : 'active',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
     console.log('Adding new user:', newUser.email);
     
-    // Save user to database
-    users.push(newUser);
-    await writeDb(users);
-    
-    // Debug: Dump database after registration
-    const updatedUsers = await readDb(true);
-    console.log(`Database now contains ${updatedUsers.length} user(s):`, 
-      updatedUsers.map(u => ({ id: u.id, email: u.email, name: u.name })));
+    // The store rejects the email if it is already registered, also when two
+    // registrations for it arrive at the same time
+    await getUserStore().insertUser(newUser);
     
     // Return user without password
     return sanitizeUser(newUser);
@@ -373,6 +288,7 @@ export async function createUser(userData) {
  * @param {string} userId - ID of user to update
  * @param {Object} updateData - Data to update {name, email, etc}
  * @returns {Promise<Object|null>} - Updated user or null if failed
+ * @throws {Error} With code 'email_taken' if the new email belongs to another user
  */
 export async function updateUser(userId, updateData) {
   if (!userId || !updateData) {
@@ -380,39 +296,35 @@ export async function updateUser(userId, updateData) {
   }
   
   try {
-    const users = await readDb(true); // Skip cache to ensure fresh data
-    const userIndex = users.findIndex(u => u.id === userId);
+    const changes = { ...updateData };
     
-    if (userIndex === -1) {
-      throw new Error('User tidak ditemukan');
-    }
-    
-    // If email is updated, check if it's already in use
-    if (updateData.email && 
-        updateData.email.toLowerCase() !== users[userIndex].email.toLowerCase() &&
-        users.some(u => u.id !== userId && u.email.toLowerCase() === updateData.email.toLowerCase())) {
-      throw new Error('Email sudah digunakan oleh pengguna lain');
+    if (changes.email) {
+      changes.email = changes.email.trim().toLowerCase();
     }
     
     // Update password if provided
-    if (updateData.password) {
-      updateData.password = await hashPassword(updateData.password);
+    if (changes.password) {
+      changes.password = await hashPassword(changes.password);
     }
     
-    // Update user
-    const updatedUser = {
-      ...users[userIndex],
-      ...updateData,
+    // Applied to the latest stored version of the user, in the same write
+    const updatedUser = await getUserStore().updateUser(userId, user => ({
+      ...user,
+      ...changes,
       updatedAt: new Date().toISOString()
-    };
+    }));
     
-    users[userIndex] = updatedUser;
-    await writeDb(users);
+    if (!updatedUser) {
+      throw new Error('User tidak ditemukan');
+    }
     
     // Return user without password
     return sanitizeUser(updatedUser);
   } catch (error) {
     console.error('Error updating user:', error);
+    if (error.code === 'email_taken') {
+      error.message = 'Email sudah digunakan oleh pengguna lain';
+    }
     throw error;
   }
 }
@@ -422,6 +334,8 @@ export async function updateUser(userId, updateData) {
  * @param {string} email - User email
  * @param {string} password - User password
  * @returns {Promise<Object|null>} - User data if successful or null if failed
+ * @throws {Error} With code 'email_not_verified' if the password is right but the email is not verified
+ *   yet and verification is required (see isEmailVerificationRequired)
  */
 export async function verifyCredentials(email, password) {
   if (!email || !password) {
@@ -433,9 +347,7 @@ export async function verifyCredentials(email, password) {
     const normalizedEmail = email.trim().toLowerCase();
     console.log('Verifying credentials for:', normalizedEmail);
     
-    // Selalu refresh database untuk memastikan data terbaru
-    const users = await readDb(true);
-    const user = users.find(u => u.email.toLowerCase() === normalizedEmail);
+    const user = await getUserStore().getUserByEmail(normalizedEmail);
     
     if (!user) {
       console.log('User not found:', normalizedEmail);
@@ -456,23 +368,45 @@ export async function verifyCredentials(email, password) {
       return null;
     }
     
-    // Update last login time
+    // Only tell the caller after the password matched, so this does not reveal unverified emails.
+    // Accounts created while verification was required can log in once it is turned off.
+    if (user.status === 'pending_verification' && isEmailVerificationRequired()) {
+      const error = new Error('Email belum diverifikasi');
+      error.code = 'email_not_verified';
+      throw error;
+    }
+    
+    // Update last login time, and upgrade old password hashes while the password is known
     try {
-      const userIndex = users.findIndex(u => u.id === user.id);
+      const upgradedHash = needsRehash(user.password) ? await hashPassword(password) : null;
       
-      if (userIndex !== -1) {
-        users[userIndex].lastLoginAt = new Date().toISOString();
-        users[userIndex].loginCount = (users[userIndex].loginCount || 0) + 1;
-        await writeDb(users);
-      }
+      await getUserStore().updateUser(user.id, current => {
+        const updated = {
+          ...current,
+          lastLoginAt: new Date().toISOString(),
+          loginCount: (current.loginCount || 0) + 1
+        };
+        
+        // Unless the password was changed in the meantime
+        if (upgradedHash && current.password === user.password) {
+          updated.password = upgradedHash;
+          updated.updatedAt = new Date().toISOString();
+          console.log('Upgraded password hash for:', normalizedEmail);
+        }
+        
+        return updated;
+      });
     } catch (updateError) {
-      console.warn('Could not update last login time:', updateError);
+      console.warn('Could not update user after login:', updateError);
       // Continue anyway, this is not critical
     }
     
     // Return user without password
     return sanitizeUser(user);
   } catch (error) {
+    if (error.code === 'email_not_verified') {
+      throw error;
+    }
     console.error('Error verifying credentials:', error);
     return null;
   }
@@ -489,15 +423,11 @@ export async function deleteUser(userId) {
   }
   
   try {
-    const users = await readDb(true); // Skip cache to ensure fresh data
-    const filteredUsers = users.filter(user => user.id !== userId);
-    
-    // If number of users didn't change, user was not found
-    if (filteredUsers.length === users.length) {
+    // If nothing was deleted, user was not found
+    if (!(await getUserStore().deleteUser(userId))) {
       throw new Error('User tidak ditemukan');
     }
     
-    await writeDb(filteredUsers);
     return true;
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -511,7 +441,7 @@ export async function deleteUser(userId) {
  */
 export async function checkDatabaseHealth() {
   try {
-    await readDb(true); // Force refresh from storage
+    await getUserStore().listUsers();
     return true;
   } catch (error) {
     console.error('Database health check failed:', error);
@@ -522,11 +452,11 @@ export async function checkDatabaseHealth() {
 /**
  * Disable/enable user account
  * @param {string} userId - ID of user to change status
- * @param {string} status - New status ('active', 'disabled', 'suspended')
+ * @param {string} status - New status ('active', 'disabled', 'suspended', 'pending_verification')
  * @returns {Promise<Object|null>} Updated user
  */
 export async function updateUserStatus(userId, status) {
-  if (!userId || !status || !['active', 'disabled', 'suspended'].includes(status)) {
+  if (!userId || !status || !['active', 'disabled', 'suspended', 'pending_verification'].includes(status)) {
     throw new Error('ID user dan status yang valid harus diisi');
   }
   
@@ -534,49 +464,184 @@ export async function updateUserStatus(userId, status) {
 }
 
 /**
- * Reset user password
+ * Remember a password reset request on the user
+ * Only the latest request can be used; it replaces any earlier one.
  * @param {string} email - User email
- * @param {string} newPassword - New password
- * @returns {Promise<boolean>} Success status
+ * @param {string} tokenId - Random ID carried by the reset token
+ * @param {string} expiresAt - ISO time the token expires
+ * @returns {Promise<Object|null>} User (without password), or null if there is no active account
  */
-export async function resetPassword(email, newPassword) {
-  if (!email || !newPassword || newPassword.length < 6) {
-    throw new Error('Email dan password baru (min. 6 karakter) harus diisi');
+export async function startPasswordReset(email, tokenId, expiresAt) {
+  if (!email || !tokenId || !expiresAt) {
+    throw new Error('Email dan token reset harus diisi');
   }
   
   try {
-    const users = await readDb(true); // Skip cache
-    const userIndex = users.findIndex(u => u.email.toLowerCase() === email.toLowerCase());
+    const user = await getUserStore().getUserByEmail(email);
     
-    if (userIndex === -1) {
-      throw new Error('User tidak ditemukan');
+    if (!user || user.status === 'disabled' || user.status === 'suspended') {
+      return null;
     }
     
+    const updatedUser = await getUserStore().updateUser(user.id, current => ({
+      ...current,
+      passwordReset: { tokenId, expiresAt, requestedAt: new Date().toISOString() }
+    }));
+    
+    return sanitizeUser(updatedUser);
+  } catch (error) {
+    console.error('Error starting password reset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get when the pending password reset of a user was requested
+ * @param {string} email - User email
+ * @returns {Promise<string|null>} ISO time, or null if no reset is pending
+ */
+export async function getPasswordResetRequestedAt(email) {
+  const user = email ? await getUserStore().getUserByEmail(email) : null;
+  return user?.passwordReset?.requestedAt || null;
+}
+
+/**
+ * Reset user password with a reset token
+ * The token is checked and used up in the same write, so it works only once.
+ * @param {string} userId - User ID from the token
+ * @param {string} tokenId - Token ID from the token
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} User (without password)
+ * @throws {Error} With code 'invalid_token' if the token was used, replaced or expired
+ */
+export async function resetPassword(userId, tokenId, newPassword) {
+  if (!userId || !tokenId) {
+    throw invalidResetToken();
+  }
+  if (!newPassword || newPassword.length < 6) {
+    throw new Error('Password minimal 6 karakter');
+  }
+  
+  try {
     // Hash new password
     const hashedPassword = await hashPassword(newPassword);
     
-    // Update user
-    users[userIndex].password = hashedPassword;
-    users[userIndex].updatedAt = new Date().toISOString();
-    users[userIndex].passwordResetAt = new Date().toISOString();
+    const updatedUser = await getUserStore().updateUser(userId, current => {
+      const reset = current.passwordReset;
+      if (!reset || reset.tokenId !== tokenId || new Date(reset.expiresAt).getTime() <= Date.now()) {
+        throw invalidResetToken();
+      }
+      
+      const { passwordReset, ...user } = current;
+      return {
+        ...user,
+        password: hashedPassword,
+        updatedAt: new Date().toISOString(),
+        passwordResetAt: new Date().toISOString()
+      };
+    });
+    
+    if (!updatedUser) {
+      throw invalidResetToken();
+    }
     
-    await writeDb(users);
-    return true;
+    return sanitizeUser(updatedUser);
   } catch (error) {
     console.error('Error resetting password:', error);
     throw error;
   }
 }
 
-// Clear cache function - useful for testing or when consistent reads are needed
-export function clearCache() {
-  userCache = null;
-  lastCacheTime = 0;
+/**
+ * Remember an email verification request on the user
+ * Only the latest request can be used; it replaces any earlier one.
+ * @param {string} email - User email
+ * @param {string} tokenId - Random ID carried by the verification token
+ * @param {string} expiresAt - ISO time the token expires
+ * @returns {Promise<Object|null>} User (without password), or null if there is no unverified account
+ */
+export async function startEmailVerification(email, tokenId, expiresAt) {
+  if (!email || !tokenId || !expiresAt) {
+    throw new Error('Email dan token verifikasi harus diisi');
+  }
+  
+  try {
+    const user = await getUserStore().getUserByEmail(email);
+    
+    if (!user || user.status !== 'pending_verification') {
+      return null;
+    }
+    
+    const updatedUser = await getUserStore().updateUser(user.id, current => ({
+      ...current,
+      emailVerification: { tokenId, expiresAt, requestedAt: new Date().toISOString() }
+    }));
+    
+    return sanitizeUser(updatedUser);
+  } catch (error) {
+    console.error('Error starting email verification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get when the pending email verification of a user was requested
+ * @param {string} email - User email
+ * @returns {Promise<string|null>} ISO time, or null if no verification is pending
+ */
+export async function getEmailVerificationRequestedAt(email) {
+  const user = email ? await getUserStore().getUserByEmail(email) : null;
+  return user?.emailVerification?.requestedAt || null;
+}
+
+/**
+ * Activate an account with an email verification token
+ * The token is checked and used up in the same write, so it works only once.
+ * @param {string} userId - User ID from the token
+ * @param {string} tokenId - Token ID from the token
+ * @returns {Promise<Object>} User (without password)
+ * @throws {Error} With code 'invalid_token' if the token was used, replaced or expired
+ */
+export async function verifyEmail(userId, tokenId) {
+  if (!userId || !tokenId) {
+    throw invalidVerificationToken();
+  }
+  
+  try {
+    const updatedUser = await getUserStore().updateUser(userId, current => {
+      const verification = current.emailVerification;
+      if (
+        current.status !== 'pending_verification' ||
+        !verification ||
+        verification.tokenId !== tokenId ||
+        new Date(verification.expiresAt).getTime() <= Date.now()
+      ) {
+        throw invalidVerificationToken();
+      }
+      
+      const { emailVerification, ...user } = current;
+      return {
+        ...user,
+        status: 'active',
+        emailVerifiedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+    });
+    
+    if (!updatedUser) {
+      throw invalidVerificationToken();
+    }
+    
+    return sanitizeUser(updatedUser);
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    throw error;
+  }
 }
 
 // Export other functions you might need
 export function debugDumpUsers() {
-  return readDb(true).then(users => {
+  return getUserStore().listUsers().then(users => {
     console.log("Full user database:", users);
     return users.map(user => ({
       id: user.id,
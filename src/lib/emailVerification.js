@@ -0,0 +1,96 @@
+/**
+ * Email verification flow
+ *
+ * When verification is required (isEmailVerificationRequired in lib/db),
+ * new accounts start as 'pending_verification' and cannot log in until the
+ * link sent to their email is opened. Like password reset links,
+ * a verification link carries a signed action token with a random token ID
+ * stored on the user, so only the latest link works and only once.
+ */
+
+import { signActionToken, verifyActionToken } from './auth';
+import { startEmailVerification, getEmailVerificationRequestedAt, verifyEmail } from './db';
+import { sendMail, getMailTransport, escapeHtml } from './mailer';
+import { getAppUrl } from './appUrl';
+
+const PURPOSE = 'email-verification';
+
+export const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// No new email is sent for an account within this time of the last one (ms)
+export const RESEND_INTERVAL = 60 * 1000;
+
+/**
+ * Build the verification email
+ * @param {Object} user - Recipient
+ * @param {string} verifyUrl - Link to the verification page
+ * @returns {Object} {to, subject, text, html}
+ */
+function buildVerificationEmail(user, verifyUrl) {
+  const greeting = `Halo ${user.name || user.email},`;
+  const intro = 'Terima kasih telah mendaftar di AI Peter. ' +
+    'Buka link berikut untuk memverifikasi email dan mengaktifkan akun Anda:';
+  const note = `Link ini berlaku selama ${VERIFICATION_TOKEN_TTL_HOURS} jam. ` +
+    'Jika Anda tidak mendaftar di AI Peter, abaikan email ini.';
+
+  return {
+    to: user.email,
+    subject: 'Verifikasi email AI Peter',
+    text: `${greeting}\n\n${intro}\n\n${verifyUrl}\n\n${note}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>` +
+      `<p><a href="${escapeHtml(verifyUrl)}">Verifikasi email</a></p><p>${escapeHtml(note)}</p>`
+  };
+}
+
+/**
+ * Email a verification link to an unverified account
+ * Used after registration and when the user asks for a new link. Does
+ * nothing for unknown or already verified accounts, or if a link was sent
+ * less than RESEND_INTERVAL ago; callers should answer the same way in
+ * every case so the response does not reveal which emails are registered.
+ * The link points to APP_URL (see lib/appUrl).
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if an email was sent
+ * @throws {Error} With code 'app_misconfigured' if APP_URL is missing in production,
+ *   or 'mail_misconfigured' if MAIL_TRANSPORT is
+ */
+export async function sendVerificationEmail(email) {
+  const normalizedEmail = email.trim().toLowerCase();
+  // Before anything is stored, so a misconfigured app does not use up the resend interval
+  const appUrl = getAppUrl();
+  getMailTransport();
+
+  const requestedAt = await getEmailVerificationRequestedAt(normalizedEmail);
+  if (requestedAt && Date.now() - new Date(requestedAt).getTime() < RESEND_INTERVAL) {
+    console.log('Verification email requested again too soon, not sending:', normalizedEmail);
+    return false;
+  }
+
+  const tokenId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  const user = await startEmailVerification(normalizedEmail, tokenId, expiresAt);
+  if (!user) {
+    console.log('Verification email requested for unknown or verified account:', normalizedEmail);
+    return false;
+  }
+
+  const token = await signActionToken(PURPOSE, { sub: user.id, jti: tokenId }, `${VERIFICATION_TOKEN_TTL_HOURS}h`);
+  const verifyUrl = new URL(`/verify-email?token=${encodeURIComponent(token)}`, appUrl).toString();
+
+  await sendMail(buildVerificationEmail(user, verifyUrl));
+  return true;
+}
+
+/**
+ * Activate an account with a token from a verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} User (without password)
+ * @throws {Error} With code 'invalid_token' if the link is invalid, used or expired
+ */
+export async function confirmEmailVerification(token) {
+  const payload = await verifyActionToken(token, PURPOSE);
+
+  // verifyEmail rejects a missing user or token ID as an invalid token
+  return verifyEmail(payload?.sub, payload?.jti);
+}
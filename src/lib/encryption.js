@@ -0,0 +1,155 @@
+/**
+ * Client-side encryption with WebCrypto
+ *
+ * Values are encrypted with AES-GCM using a 256-bit key derived from a
+ * passphrase with PBKDF2 (SHA-256). Every value gets a fresh random IV and
+ * is stored as {iv, data} with base64 strings. Keys are never extractable,
+ * so they only live in memory until the page is closed.
+ */
+
+export const PBKDF2_ITERATIONS = 310000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Known text encrypted with the storage key, to check a passphrase without decrypting any data
+const KEY_CHECK_TEXT = 'ai-peter-storage-key';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Check whether WebCrypto is available (it needs a secure context)
+ * @returns {boolean} True if values can be encrypted
+ */
+export function isCryptoAvailable() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Create a random salt for deriveKey
+ * @returns {string} Base64 salt
+ */
+export function createSalt() {
+  return toBase64(randomBytes(SALT_BYTES));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} [iterations=PBKDF2_ITERATIONS] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} True for {iv, data} payloads
+ */
+export function isEncryptedValue(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Encrypt any JSON serializable value
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} {iv, data}
+ */
+export async function encryptValue(key, value) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a value from encryptValue
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {Object} payload - {iv, data}
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With code 'decryption_failed' for a wrong key or damaged data
+ */
+export async function decryptValue(key, payload) {
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+    return JSON.parse(decoder.decode(data));
+  } catch (error) {
+    const decryptionError = new Error('Could not decrypt data. The passphrase may be wrong or the data damaged.');
+    decryptionError.code = 'decryption_failed';
+    throw decryptionError;
+  }
+}
+
+/**
+ * Encrypt the known check text, stored next to the salt
+ * @param {CryptoKey} key - Key from deriveKey
+ * @returns {Promise<Object>} {iv, data}
+ */
+export function createKeyCheck(key) {
+  return encryptValue(key, KEY_CHECK_TEXT);
+}
+
+/**
+ * Check a key against a stored key check
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {Object} check - Result of createKeyCheck
+ * @returns {Promise<boolean>} True if the key is the one the check was made with
+ */
+export async function verifyKey(key, check) {
+  try {
+    return await decryptValue(key, check) === KEY_CHECK_TEXT;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a value with its own passphrase, e.g. for an export file
+ * @param {*} value - Value to encrypt
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} {salt, iterations, iv, data}
+ */
+export async function encryptWithPassphrase(value, passphrase) {
+  const salt = createSalt();
+  const key = await deriveKey(passphrase, salt);
+
+  return { salt, iterations: PBKDF2_ITERATIONS, ...(await encryptValue(key, value)) };
+}
+
+/**
+ * Decrypt a value from encryptWithPassphrase
+ * @param {Object} payload - {salt, iterations, iv, data}
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With code 'decryption_failed' for a wrong passphrase
+ */
+export async function decryptWithPassphrase(payload, passphrase) {
+  const key = await deriveKey(passphrase, payload.salt, payload.iterations || PBKDF2_ITERATIONS);
+  return decryptValue(key, payload);
+}
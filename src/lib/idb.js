@@ -0,0 +1,194 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ *
+ * Opens the app databases (one per account, see lib/storage) and exposes
+ * small helpers for reading and writing their object stores. Failures are
+ * rethrown as plain errors with a `code`, so callers can tell a full disk
+ * ('quota_exceeded') from other problems.
+ */
+
+// Name of the database from before data was kept per account, and the prefix of the account databases
+export const DB_NAME = 'ai-peter';
+const DB_VERSION = 1;
+
+// Object store names
+export const STORES = {
+  conversations: 'conversations',
+  messages: 'messages',
+  bookmarks: 'bookmarks',
+  preferences: 'preferences',
+  meta: 'meta'
+};
+
+// Open databases by name
+const databases = new Map();
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ * @returns {boolean} True in browsers with IndexedDB
+ */
+export function isIndexedDBAvailable() {
+  return typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+}
+
+/**
+ * Convert an IndexedDB/DOM error into an error with a code
+ * @param {DOMException|Error|null} cause - Original error
+ * @returns {Error} Error with code 'quota_exceeded' or 'storage_error'
+ */
+export function toStorageError(cause) {
+  const error = new Error(cause?.message || 'IndexedDB request failed');
+  // Firefox reports a full localStorage as NS_ERROR_DOM_QUOTA_REACHED
+  error.code = /quota/i.test(cause?.name || '') ? 'quota_exceeded' : 'storage_error';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Open (and on first use, create) an app database
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase(dbName) {
+  if (databases.has(dbName)) return databases.get(dbName);
+
+  const dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(dbName, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.conversations)) {
+        db.createObjectStore(STORES.conversations, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.messages)) {
+        // Message IDs are only unique within a conversation (imports can repeat them)
+        const messages = db.createObjectStore(STORES.messages, { keyPath: ['conversationId', 'id'] });
+        messages.createIndex('conversationId', 'conversationId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.bookmarks)) {
+        db.createObjectStore(STORES.bookmarks, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.preferences)) {
+        db.createObjectStore(STORES.preferences, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta, { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      databases.delete(dbName);
+      reject(toStorageError(request.error));
+    };
+  });
+
+  databases.set(dbName, dbPromise);
+  return dbPromise;
+}
+
+/**
+ * Wrap a single IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(toStorageError(request.error));
+  });
+}
+
+/**
+ * Run a function inside a transaction and wait for it to commit
+ * @param {string} dbName - Database name
+ * @param {string|Array<string>} storeNames - Stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the transaction; may return a value
+ * @returns {Promise<*>} Value returned by fn, once the transaction completes
+ */
+export async function withTransaction(dbName, storeNames, mode, fn) {
+  const db = await openDatabase(dbName);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    // Quota errors surface on the transaction, not the individual request
+    transaction.onabort = () => reject(toStorageError(transaction.error));
+    transaction.onerror = (event) => event.preventDefault();
+
+    try {
+      result = fn(transaction);
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Get one record by key
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} Record
+ */
+export async function getRecord(dbName, storeName, key) {
+  const db = await openDatabase(dbName);
+  return promisify(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+/**
+ * Get every record of a store, or of an index value
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store
+ * @param {Object} [query] - {index, value} to filter by an index
+ * @returns {Promise<Array>} Records
+ */
+export async function getAllRecords(dbName, storeName, query = null) {
+  const db = await openDatabase(dbName);
+  const store = db.transaction(storeName).objectStore(storeName);
+  const source = query ? store.index(query.index) : store;
+
+  return promisify(query ? source.getAll(query.value) : source.getAll());
+}
+
+/**
+ * Get every key of a store
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array>} Keys
+ */
+export async function getAllKeys(dbName, storeName) {
+  const db = await openDatabase(dbName);
+  return promisify(db.transaction(storeName).objectStore(storeName).getAllKeys());
+}
+
+/**
+ * Insert or replace one record
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store
+ * @param {Object} record - Record containing its key path
+ * @returns {Promise<void>}
+ */
+export function putRecord(dbName, storeName, record) {
+  return withTransaction(dbName, storeName, 'readwrite', (transaction) => {
+    transaction.objectStore(storeName).put(record);
+  });
+}
+
+/**
+ * Delete one record by key
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(dbName, storeName, key) {
+  return withTransaction(dbName, storeName, 'readwrite', (transaction) => {
+    transaction.objectStore(storeName).delete(key);
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Console mail transport
+ *
+ * Prints every email to the server log instead of sending it. The default
+ * for local development.
+ */
+
+const NAME = 'console';
+
+/**
+ * Print an email
+ * @param {Object} mail - {from, to, subject, text}
+ */
+async function send({ from, to, subject, text }) {
+  console.log([
+    '--- Email (console transport) ---',
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '---------------------------------'
+  ].join('\n'));
+}
+
+const consoleTransport = { name: NAME, delivers: false, send };
+
+export default consoleTransport;
@@ -0,0 +1,56 @@
+/**
+ * File mail transport
+ *
+ * Writes every email as an .eml file to MAIL_OUTBOX_DIR (by default
+ * .data/mail in the working directory), where it can be opened with any
+ * mail client. Needs the Node.js runtime.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const NAME = 'file';
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), '.data', 'mail');
+
+/**
+ * Write an email to the outbox directory
+ * @param {Object} mail - {from, to, subject, text, html}
+ */
+async function send({ from, to, subject, text, html }) {
+  const boundary = `ai-peter-${Date.now().toString(36)}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const body = html
+    ? [
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      html,
+      `--${boundary}--`
+    ]
+    : ['Content-Type: text/plain; charset=utf-8', '', text];
+
+  const outboxDir = getOutboxDir();
+  const fileName = `${Date.now()}-${to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+
+  await fs.mkdir(outboxDir, { recursive: true });
+  await fs.writeFile(path.join(outboxDir, fileName), [...headers, ...body].join('\r\n'), 'utf8');
+  console.log(`Email to ${to} written to ${path.join(outboxDir, fileName)}`);
+}
+
+const fileTransport = { name: NAME, delivers: false, send };
+
+export default fileTransport;
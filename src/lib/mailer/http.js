@@ -0,0 +1,52 @@
+/**
+ * HTTP mail transport
+ *
+ * Sends every email through the HTTP API of a mail service: a JSON POST of
+ * { from, to, subject, text, html } to MAIL_HTTP_URL, with MAIL_HTTP_TOKEN
+ * as a bearer token. This is the format of the Resend API
+ * (https://api.resend.com/emails); for other services point MAIL_HTTP_URL
+ * to a small relay that accepts it.
+ */
+
+const NAME = 'http';
+
+// Time limit for the mail service to answer (ms)
+const TIMEOUT = parseInt(process.env.MAIL_HTTP_TIMEOUT || '10000', 10);
+
+/**
+ * Post an email to the mail service
+ * @param {Object} mail - {from, to, subject, text, html}
+ */
+async function send({ from, to, subject, text, html }) {
+  const url = process.env.MAIL_HTTP_URL;
+
+  if (!url) {
+    const error = new Error('MAIL_TRANSPORT configuration error: set MAIL_HTTP_URL for the http transport');
+    error.code = 'mail_misconfigured';
+    throw error;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.MAIL_HTTP_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.MAIL_HTTP_TOKEN}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ from, to, subject, text, html }),
+    signal: AbortSignal.timeout(TIMEOUT)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`Mail service answered ${response.status}: ${detail.slice(0, 200)}`);
+    error.code = 'mail_failed';
+    error.status = response.status;
+    throw error;
+  }
+}
+
+const httpTransport = { name: NAME, delivers: true, send };
+
+export default httpTransport;
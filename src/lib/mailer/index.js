@@ -0,0 +1,85 @@
+/**
+ * Mail transport registry
+ *
+ * Every transport exposes the same interface:
+ *   { name, delivers, send({ from, to, subject, text, html }) => Promise<void> }
+ * where `delivers` tells whether emails actually reach the recipient.
+ * The active transport is chosen with the MAIL_TRANSPORT environment
+ * variable: http (a mail service, see ./http), console or file. Development
+ * uses console when it is not set; production must set it, so links with
+ * live tokens are not printed to the server log by accident. MAIL_FROM sets
+ * the sender.
+ */
+
+import consoleTransport from './console';
+import fileTransport from './file';
+import httpTransport from './http';
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [httpTransport.name]: httpTransport
+};
+
+const DEFAULT_TRANSPORT = 'console';
+const DEFAULT_FROM = 'AI Peter <no-reply@localhost>';
+
+/**
+ * Create an error for a missing or unknown MAIL_TRANSPORT
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code 'mail_misconfigured'
+ */
+function configurationError(message) {
+  const error = new Error(`MAIL_TRANSPORT configuration error: ${message}`);
+  error.code = 'mail_misconfigured';
+  return error;
+}
+
+/**
+ * Get a mail transport by name
+ * @param {string} [name] - Transport name, defaults to MAIL_TRANSPORT
+ * @returns {Object} Mail transport
+ * @throws {Error} With code 'mail_misconfigured' if MAIL_TRANSPORT is missing in production or unknown
+ */
+export function getMailTransport(name = process.env.MAIL_TRANSPORT) {
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw configurationError(
+        `set MAIL_TRANSPORT (${Object.keys(transports).join(', ')}) in production; ` +
+        'console and file do not deliver emails and must be chosen explicitly'
+      );
+    }
+    name = DEFAULT_TRANSPORT;
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw configurationError(`unknown mail transport "${name}" (use ${Object.keys(transports).join(', ')})`);
+  }
+
+  return transport;
+}
+
+/**
+ * Escape text for use in an HTML email
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Send an email with the active transport
+ * @param {Object} mail - {to, subject, text, html?}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject || !text) {
+    throw new Error('Email needs a recipient, subject and text');
+  }
+
+  await getMailTransport().send({ from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text, html });
+}
@@ -0,0 +1,123 @@
+/**
+ * Password hashing for Edge Runtime
+ *
+ * Passwords are hashed with PBKDF2 (SHA-256) through crypto.subtle, using a
+ * random salt per user. The stored hash describes how it was made:
+ *
+ *   pbkdf2-sha256$<iterations>$<base64 salt>$<base64 hash>
+ *
+ * so the iteration count can be raised later without breaking existing
+ * accounts. Hashes from the old 32-bit string hash are still accepted;
+ * needsRehash tells the caller to replace them after a successful login.
+ */
+
+const ALGORITHM = 'pbkdf2-sha256';
+
+// Cloudflare Workers (one of the Edge targets) rejects more than 100000 PBKDF2 iterations
+export const PASSWORD_ITERATIONS = 100000;
+
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+// Salt shared by every hash of the old scheme
+const LEGACY_SALT = 'vercel-edge-runtime-salt-2025';
+
+const encoder = new TextEncoder();
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Compare without stopping at the first difference, so timing does not leak the hash
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+};
+
+const derive = async (password, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    HASH_BITS
+  );
+  return new Uint8Array(bits);
+};
+
+// The old 32-bit string hash, only used to check passwords stored before PBKDF2
+const legacyHash = (password) => {
+  const saltedPassword = password + LEGACY_SALT;
+
+  let hash = 0;
+  for (let i = 0; i < saltedPassword.length; i++) {
+    hash = ((hash << 5) - hash) + saltedPassword.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return hash.toString(16);
+};
+
+/**
+ * Split a stored hash into its parts
+ * @param {string} storedHash - Hash from hashPassword
+ * @returns {Object|null} {iterations, salt, hash}, or null if it is not a PBKDF2 hash
+ */
+const parseHash = (storedHash) => {
+  const parts = typeof storedHash === 'string' ? storedHash.split('$') : [];
+  if (parts.length !== 4 || parts[0] !== ALGORITHM) return null;
+
+  const iterations = Number(parts[1]);
+  if (!Number.isInteger(iterations) || iterations <= 0) return null;
+
+  try {
+    return { iterations, salt: fromBase64(parts[2]), hash: fromBase64(parts[3]) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Hash a password with a new random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Hash with its algorithm, iterations and salt
+ */
+export async function hashPassword(password) {
+  if (!password) return '';
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, PASSWORD_ITERATIONS);
+
+  return [ALGORITHM, PASSWORD_ITERATIONS, toBase64(salt), toBase64(hash)].join('$');
+}
+
+/**
+ * Check a password against a stored hash (PBKDF2 or legacy)
+ * @param {string} password - Plain password
+ * @param {string} storedHash - Stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+
+  const parsed = parseHash(storedHash);
+  if (!parsed) {
+    return timingSafeEqual(encoder.encode(legacyHash(password)), encoder.encode(storedHash));
+  }
+
+  const hash = await derive(password, parsed.salt, parsed.iterations);
+  return timingSafeEqual(hash, parsed.hash);
+}
+
+/**
+ * Check whether a stored hash should be replaced by a new one
+ * @param {string} storedHash - Stored hash
+ * @returns {boolean} True for legacy hashes and PBKDF2 hashes with fewer iterations than now
+ */
+export function needsRehash(storedHash) {
+  const parsed = parseHash(storedHash);
+  return !parsed || parsed.iterations < PASSWORD_ITERATIONS;
+}
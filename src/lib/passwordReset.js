@@ -0,0 +1,94 @@
+/**
+ * Password reset flow
+ *
+ * A reset link carries a signed action token (lib/auth) naming the user
+ * and a random token ID. The ID is stored on the user (lib/db): a newer
+ * request replaces it and a successful reset removes it, so every link
+ * works only once and only until it expires.
+ */
+
+import { signActionToken, verifyActionToken } from './auth';
+import { startPasswordReset, getPasswordResetRequestedAt, resetPassword } from './db';
+import { sendMail, getMailTransport, escapeHtml } from './mailer';
+import { getAppUrl } from './appUrl';
+
+const PURPOSE = 'password-reset';
+
+export const RESET_TOKEN_TTL_MINUTES = 60;
+
+// No new email is sent for an account within this time of the last one (ms)
+const RESEND_INTERVAL = 60 * 1000;
+
+/**
+ * Build the reset email
+ * @param {Object} user - Recipient
+ * @param {string} resetUrl - Link to the reset page
+ * @returns {Object} {to, subject, text, html}
+ */
+function buildResetEmail(user, resetUrl) {
+  const greeting = `Halo ${user.name || user.email},`;
+  const intro = 'Kami menerima permintaan untuk mereset password akun AI Peter Anda. ' +
+    'Buka link berikut untuk membuat password baru:';
+  const note = `Link ini berlaku selama ${RESET_TOKEN_TTL_MINUTES} menit dan hanya bisa dipakai sekali. ` +
+    'Jika Anda tidak meminta reset password, abaikan email ini.';
+
+  return {
+    to: user.email,
+    subject: 'Reset password AI Peter',
+    text: `${greeting}\n\n${intro}\n\n${resetUrl}\n\n${note}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>` +
+      `<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p><p>${escapeHtml(note)}</p>`
+  };
+}
+
+/**
+ * Email a reset link to the owner of an account
+ * Does nothing for unknown or inactive accounts, and callers should answer
+ * the same way in every case so the response does not reveal which emails
+ * are registered. The link points to APP_URL (see lib/appUrl).
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if an email was sent
+ * @throws {Error} With code 'app_misconfigured' if APP_URL is missing in production,
+ *   or 'mail_misconfigured' if MAIL_TRANSPORT is
+ */
+export async function requestPasswordReset(email) {
+  const normalizedEmail = email.trim().toLowerCase();
+  // Before anything is stored, so a misconfigured app does not use up the resend interval
+  const appUrl = getAppUrl();
+  getMailTransport();
+
+  const requestedAt = await getPasswordResetRequestedAt(normalizedEmail);
+  if (requestedAt && Date.now() - new Date(requestedAt).getTime() < RESEND_INTERVAL) {
+    console.log('Password reset requested again too soon, not sending:', normalizedEmail);
+    return false;
+  }
+
+  const tokenId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const user = await startPasswordReset(normalizedEmail, tokenId, expiresAt);
+  if (!user) {
+    console.log('Password reset requested for unknown or inactive account:', normalizedEmail);
+    return false;
+  }
+
+  const token = await signActionToken(PURPOSE, { sub: user.id, jti: tokenId }, `${RESET_TOKEN_TTL_MINUTES}m`);
+  const resetUrl = new URL(`/reset-password?token=${encodeURIComponent(token)}`, appUrl).toString();
+
+  await sendMail(buildResetEmail(user, resetUrl));
+  return true;
+}
+
+/**
+ * Set a new password with a token from a reset link
+ * @param {string} token - Token from the link
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} User (without password)
+ * @throws {Error} With code 'invalid_token' if the link is invalid, used or expired
+ */
+export async function confirmPasswordReset(token, newPassword) {
+  const payload = await verifyActionToken(token, PURPOSE);
+
+  // resetPassword rejects a missing user or token ID as an invalid token
+  return resetPassword(payload?.sub, payload?.jti, newPassword);
+}
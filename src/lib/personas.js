@@ -0,0 +1,110 @@
+/**
+ * Assistant personas
+ *
+ * A persona bundles the name, avatar, system prompt, greeting and default
+ * voice of the assistant. Custom personas are kept in user preferences next
+ * to the built-in ones, and each conversation remembers which persona it uses.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getUserPreferences, saveUserPreferences } from './storage';
+
+export const DEFAULT_PERSONA_ID = 'ai-peter';
+
+// Personas shipped with the app - these cannot be edited or deleted
+export const BUILT_IN_PERSONAS = [
+  {
+    id: DEFAULT_PERSONA_ID,
+    name: 'AI Peter',
+    avatar: '/images/avatar.svg',
+    systemPrompt: 'You are AI Peter, a friendly and knowledgeable AI assistant. Give clear, accurate answers and format code with triple backticks.',
+    greeting: "Hello there! I'm AI Peter. How can I assist you today?",
+    voice: 'auto',
+    builtIn: true
+  }
+];
+
+// Voice options understood by speakText in lib/voice
+export const PERSONA_VOICES = ['auto', 'female', 'male'];
+
+// Get custom personas from user preferences
+const getCustomPersonas = () => {
+  const preferences = getUserPreferences();
+  return Array.isArray(preferences?.personas) ? preferences.personas : [];
+};
+
+// Get all personas, built-in first
+export const getPersonas = () => {
+  return [...BUILT_IN_PERSONAS, ...getCustomPersonas()];
+};
+
+// Get a persona by ID, falling back to the default persona
+export const getPersona = (personaId) => {
+  const personas = getPersonas();
+  return personas.find(persona => persona.id === personaId) ||
+    personas.find(persona => persona.id === getDefaultPersonaId()) ||
+    BUILT_IN_PERSONAS[0];
+};
+
+// Get the persona used for new conversations
+export const getDefaultPersonaId = () => {
+  const preferences = getUserPreferences();
+  return preferences?.defaultPersonaId || DEFAULT_PERSONA_ID;
+};
+
+// Set the persona used for new conversations
+export const setDefaultPersonaId = (personaId) => {
+  const preferences = getUserPreferences() || {};
+  return saveUserPreferences({ ...preferences, defaultPersonaId: personaId });
+};
+
+// Create or update a custom persona
+export const savePersona = (persona) => {
+  if (!persona || !persona.name || !persona.name.trim()) {
+    throw new Error('Persona name is required');
+  }
+
+  if (BUILT_IN_PERSONAS.some(builtIn => builtIn.id === persona.id)) {
+    throw new Error('Built-in personas cannot be changed');
+  }
+
+  const savedPersona = {
+    id: persona.id || `persona_${uuidv4()}`,
+    name: persona.name.trim(),
+    avatar: persona.avatar?.trim() || BUILT_IN_PERSONAS[0].avatar,
+    systemPrompt: persona.systemPrompt?.trim() || '',
+    greeting: persona.greeting?.trim() || `Hello! I'm ${persona.name.trim()}. How can I help?`,
+    voice: persona.voice || 'auto'
+  };
+
+  const preferences = getUserPreferences() || {};
+  const personas = getCustomPersonas().filter(existing => existing.id !== savedPersona.id);
+
+  if (!saveUserPreferences({ ...preferences, personas: [...personas, savedPersona] })) {
+    throw new Error('Failed to save persona');
+  }
+
+  return savedPersona;
+};
+
+// Delete a custom persona
+export const deletePersona = (personaId) => {
+  const preferences = getUserPreferences() || {};
+  const personas = getCustomPersonas().filter(persona => persona.id !== personaId);
+
+  return saveUserPreferences({
+    ...preferences,
+    personas,
+    // Fall back to the built-in default if the default persona was removed
+    defaultPersonaId: preferences.defaultPersonaId === personaId ? DEFAULT_PERSONA_ID : preferences.defaultPersonaId
+  });
+};
+
+// Create the opening assistant message of a conversation
+export const createGreetingMessage = (persona) => ({
+  id: uuidv4(),
+  parentId: null,
+  role: 'assistant',
+  content: persona.greeting,
+  timestamp: new Date().toISOString()
+});
@@ -0,0 +1,36 @@
+/**
+ * Deterministic echo provider
+ *
+ * Repeats the last user message back. Useful for local development and
+ * tests where no upstream model is available.
+ */
+
+import { assistantMessage, lastUserContent } from './utils';
+
+const NAME = 'echo';
+
+/**
+ * Get a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {Promise<Object>} Normalized assistant message
+ */
+async function complete({ messages }) {
+  return assistantMessage(NAME, `Echo: ${lastUserContent(messages)}`, 'echo');
+}
+
+/**
+ * Stream the echo word by word
+ * @param {Object} params - {messages}
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+async function* stream({ messages }) {
+  const { content } = await complete({ messages });
+
+  for (const part of content.split(/(?=\s)/)) {
+    yield part;
+  }
+}
+
+const echoProvider = { name: NAME, model: 'echo', complete, stream };
+
+export default echoProvider;
@@ -0,0 +1,171 @@
+/**
+ * AI provider registry
+ *
+ * Every adapter exposes the same interface:
+ *   { name, model, complete({ messages }) => Promise<{ role, content, provider, model }> }
+ * plus an optional `stream({ messages })` async generator of content deltas,
+ * and reports failures as errors carrying `provider`, `code` and `status`.
+ * The active provider is chosen with the AI_PROVIDER environment variable;
+ * AI_FALLBACK_PROVIDER optionally names a second provider that takes over
+ * when the first one keeps failing.
+ */
+
+import { isTransientError, getRetryDelay, sleep } from '../retry';
+
+import ryzendesu from './ryzendesu';
+import openai from './openai';
+import ollama from './ollama';
+import echo from './echo';
+
+const providers = {
+  [ryzendesu.name]: ryzendesu,
+  [openai.name]: openai,
+  [ollama.name]: ollama,
+  [echo.name]: echo
+};
+
+const DEFAULT_PROVIDER = 'ryzendesu';
+
+// Retry policy for transient upstream failures
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY = 500;
+
+/**
+ * Get a provider adapter by name
+ * @param {string} [name] - Provider name, defaults to AI_PROVIDER
+ * @returns {Object} Provider adapter
+ */
+export function getProvider(name = process.env.AI_PROVIDER || DEFAULT_PROVIDER) {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * List names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export function getProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Get the providers to try in order: the active one, then the fallback if configured
+ * @returns {Array<Object>} Provider adapters
+ */
+export function getProviderChain() {
+  const primary = getProvider();
+  const fallbackName = process.env.AI_FALLBACK_PROVIDER;
+
+  if (!fallbackName || fallbackName === primary.name) {
+    return [primary];
+  }
+
+  return [primary, getProvider(fallbackName)];
+}
+
+/**
+ * Read the retry policy from environment configuration
+ * @returns {Object} {retries, baseDelay}
+ */
+export function getRetryOptions() {
+  return {
+    retries: parseInt(process.env.AI_MAX_RETRIES || `${DEFAULT_MAX_RETRIES}`, 10),
+    baseDelay: parseInt(process.env.AI_RETRY_BASE_DELAY || `${DEFAULT_RETRY_BASE_DELAY}`, 10)
+  };
+}
+
+/**
+ * Get a completion, retrying transient errors and failing over down the chain
+ * @param {Array<Object>} chain - Provider adapters in order of preference
+ * @param {Object} params - {messages}
+ * @returns {Promise<Object>} Normalized assistant message
+ */
+export async function completeWithFailover(chain, params) {
+  const retryOptions = getRetryOptions();
+  let lastError;
+
+  for (const provider of chain) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await provider.complete(params);
+      } catch (error) {
+        lastError = error;
+        if (attempt >= retryOptions.retries || !isTransientError(error)) break;
+
+        console.warn(`AI provider ${provider.name} failed (${error.code}), retrying`);
+        await sleep(getRetryDelay(error, attempt, retryOptions));
+      }
+    }
+
+    console.warn(`AI provider ${provider.name} gave up: ${lastError.message}`);
+  }
+
+  throw lastError;
+}
+
+/**
+ * Stream a completion, retrying transient errors and failing over down the chain
+ * Retries only happen before the first delta; once content has been sent a
+ * failure is final, since restarting would duplicate the reply.
+ * @param {Array<Object>} chain - Provider adapters in order of preference
+ * @param {Object} params - {messages}
+ * @param {Object} [options] - {onProvider(provider)} called once the answering provider is known
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+export async function* streamWithFailover(chain, params, { onProvider } = {}) {
+  const retryOptions = getRetryOptions();
+  let lastError;
+
+  for (const provider of chain) {
+    for (let attempt = 0; ; attempt++) {
+      let started = false;
+
+      try {
+        for await (const delta of streamCompletion(provider, params)) {
+          if (!started) {
+            started = true;
+            onProvider?.(provider);
+          }
+          yield delta;
+        }
+
+        if (!started) onProvider?.(provider);
+        return;
+      } catch (error) {
+        if (started) throw error;
+
+        lastError = error;
+        if (attempt >= retryOptions.retries || !isTransientError(error)) break;
+
+        console.warn(`AI provider ${provider.name} failed (${error.code}), retrying`);
+        await sleep(getRetryDelay(error, attempt, retryOptions));
+      }
+    }
+
+    console.warn(`AI provider ${provider.name} gave up: ${lastError.message}`);
+  }
+
+  throw lastError;
+}
+
+/**
+ * Stream a completion from any provider
+ * Providers without native streaming yield their whole answer as one delta.
+ * @param {Object} provider - Provider adapter
+ * @param {Object} params - {messages}
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+export async function* streamCompletion(provider, params) {
+  if (typeof provider.stream === 'function') {
+    yield* provider.stream(params);
+    return;
+  }
+
+  const { content } = await provider.complete(params);
+  yield content;
+}
@@ -0,0 +1,79 @@
+/**
+ * Ollama-style local model adapter
+ *
+ * Talks to the POST /api/chat endpoint of a local Ollama server, which
+ * streams newline-delimited JSON when `stream` is true.
+ */
+
+import { assistantMessage, fetchJson, fetchUpstream, providerError, readLines } from './utils';
+
+const NAME = 'ollama';
+
+const BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+const MODEL = process.env.OLLAMA_MODEL || 'llama3';
+
+const ENDPOINT = `${BASE_URL.replace(/\/$/, '')}/api/chat`;
+
+/**
+ * Build fetch options for a chat request
+ * @param {Array} messages - Array of {role, content}
+ * @param {boolean} stream - Whether to request a streamed reply
+ * @returns {Object} fetch options
+ */
+function buildRequest(messages, stream) {
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: MODEL,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      stream
+    })
+  };
+}
+
+/**
+ * Get a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {Promise<Object>} Normalized assistant message
+ */
+async function complete({ messages }) {
+  const data = await fetchJson(NAME, ENDPOINT, buildRequest(messages, false));
+
+  const content = data?.message?.content;
+  if (typeof content !== 'string') {
+    throw providerError(NAME, 'Invalid API response format', { code: 'invalid_response' });
+  }
+
+  return assistantMessage(NAME, content, data.model || MODEL);
+}
+
+/**
+ * Stream a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+async function* stream({ messages }) {
+  const response = await fetchUpstream(NAME, ENDPOINT, buildRequest(messages, true));
+
+  for await (const line of readLines(NAME, response)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(line);
+    } catch (error) {
+      throw providerError(NAME, 'Upstream returned invalid stream data', { code: 'invalid_response' });
+    }
+
+    if (chunk.error) {
+      throw providerError(NAME, chunk.error);
+    }
+
+    const delta = chunk?.message?.content;
+    if (delta) yield delta;
+    if (chunk.done) return;
+  }
+}
+
+const ollamaProvider = { name: NAME, model: MODEL, complete, stream };
+
+export default ollamaProvider;
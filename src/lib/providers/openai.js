@@ -0,0 +1,82 @@
+/**
+ * OpenAI-compatible chat completions adapter
+ *
+ * Works with any server implementing POST /chat/completions.
+ */
+
+import { assistantMessage, fetchJson, fetchUpstream, providerError, readLines } from './utils';
+
+const NAME = 'openai';
+
+const BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const API_KEY = process.env.OPENAI_API_KEY || '';
+const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const ENDPOINT = `${BASE_URL.replace(/\/$/, '')}/chat/completions`;
+
+/**
+ * Build fetch options for a chat completions request
+ * @param {Array} messages - Array of {role, content}
+ * @param {boolean} stream - Whether to request server-sent events
+ * @returns {Object} fetch options
+ */
+function buildRequest(messages, stream) {
+  return {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(API_KEY && { Authorization: `Bearer ${API_KEY}` })
+    },
+    body: JSON.stringify({
+      model: MODEL,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      stream
+    })
+  };
+}
+
+/**
+ * Get a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {Promise<Object>} Normalized assistant message
+ */
+async function complete({ messages }) {
+  const data = await fetchJson(NAME, ENDPOINT, buildRequest(messages, false));
+
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw providerError(NAME, 'Invalid API response format', { code: 'invalid_response' });
+  }
+
+  return assistantMessage(NAME, content, data.model || MODEL);
+}
+
+/**
+ * Stream a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {AsyncGenerator<string>} Content deltas
+ */
+async function* stream({ messages }) {
+  const response = await fetchUpstream(NAME, ENDPOINT, buildRequest(messages, true));
+
+  for await (const line of readLines(NAME, response)) {
+    if (!line.startsWith('data:')) continue;
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      throw providerError(NAME, 'Upstream returned invalid stream data', { code: 'invalid_response' });
+    }
+
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (delta) yield delta;
+  }
+}
+
+const openaiProvider = { name: NAME, model: MODEL, complete, stream };
+
+export default openaiProvider;
@@ -0,0 +1,68 @@
+/**
+ * Ryzendesu DeepSeek wrapper adapter
+ *
+ * The upstream only accepts a single prompt as a GET query parameter, so
+ * earlier turns are folded into a transcript. The transcript is kept under
+ * AI_UPSTREAM_MAX_QUERY_LENGTH so the URL is not refused for its length.
+ */
+
+import { assistantMessage, fetchJson, formatTranscript, providerError } from './utils';
+
+const NAME = 'ryzendesu';
+
+const BASE_URL = process.env.AI_UPSTREAM_URL || 'https://api.ryzendesu.vip/api/ai/deepseek';
+
+// Longest encoded `text` query value sent upstream (characters)
+const MAX_QUERY_LENGTH = parseInt(process.env.AI_UPSTREAM_MAX_QUERY_LENGTH || '6000', 10);
+
+const queryLength = text => encodeURIComponent(text).length;
+
+/**
+ * Fold the conversation into a transcript that fits in the query string
+ * Drops the oldest turns first and keeps the system prompt and the newest
+ * message. If those alone are too long, the beginning of the transcript is
+ * cut off so the newest message still reaches the upstream.
+ * @param {Array} messages - Array of {role, content} messages
+ * @returns {string} Transcript of at most MAX_QUERY_LENGTH encoded characters
+ */
+function fitTranscript(messages) {
+  const system = messages.filter(msg => msg.role === 'system');
+  let turns = messages.filter(msg => msg.role !== 'system');
+  let text = formatTranscript([...system, ...turns]);
+
+  while (turns.length > 1 && queryLength(text) > MAX_QUERY_LENGTH) {
+    turns = turns.slice(1);
+    text = formatTranscript([...system, ...turns]);
+  }
+
+  // Cut by code point, a lone surrogate cannot be encoded
+  let chars = Array.from(text);
+  while (queryLength(text) > MAX_QUERY_LENGTH) {
+    const keep = Math.floor(chars.length * MAX_QUERY_LENGTH / queryLength(text));
+    chars = chars.slice(chars.length - Math.min(keep, chars.length - 1));
+    text = chars.join('');
+  }
+
+  return text;
+}
+
+/**
+ * Get a completion for the conversation
+ * @param {Object} params - {messages}
+ * @returns {Promise<Object>} Normalized assistant message
+ */
+async function complete({ messages }) {
+  const text = fitTranscript(messages);
+  const data = await fetchJson(NAME, `${BASE_URL}?text=${encodeURIComponent(text)}`);
+
+  // Extract the answer from the response
+  if (!data || !data.answer) {
+    throw providerError(NAME, 'Invalid API response format', { code: 'invalid_response' });
+  }
+
+  return assistantMessage(NAME, data.answer, 'deepseek');
+}
+
+const ryzendesuProvider = { name: NAME, model: 'deepseek', complete };
+
+export default ryzendesuProvider;
@@ -0,0 +1,176 @@
+/**
+ * Shared helpers for AI provider adapters
+ */
+
+import { codeForStatus, parseRetryAfter } from '../retry';
+
+// Batas waktu request ke upstream (ms)
+export const UPSTREAM_TIMEOUT = parseInt(process.env.AI_UPSTREAM_TIMEOUT || '60000', 10);
+
+// Batas waktu tanpa data baru selama streaming (ms)
+export const STREAM_IDLE_TIMEOUT = parseInt(process.env.AI_STREAM_IDLE_TIMEOUT || '30000', 10);
+
+/**
+ * Create an error in the common provider error format
+ * @param {string} provider - Provider name that produced the error
+ * @param {string} message - Human readable error message
+ * @param {Object} [details] - Extra fields {code, status, retryAfter}
+ * @returns {Error} Error with provider, code, status and retryAfter attached
+ */
+export function providerError(provider, message, { code = 'upstream_error', status = null, retryAfter = null } = {}) {
+  const error = new Error(message);
+  error.provider = provider;
+  error.code = code;
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Reject with a provider timeout error if a promise does not settle in time
+ * @param {Promise} promise - Pending upstream work
+ * @param {number} ms - Time limit
+ * @param {string} provider - Provider name used in errors
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, provider, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(providerError(provider, message, { code: 'timeout' })), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Build a message in the common assistant format
+ * @param {string} provider - Provider name
+ * @param {string} content - Answer text
+ * @param {string|null} model - Model identifier, if known
+ * @returns {Object} Normalized assistant message
+ */
+export function assistantMessage(provider, content, model = null) {
+  return {
+    role: 'assistant',
+    content,
+    provider,
+    model
+  };
+}
+
+/**
+ * Call an upstream with a timeout on the response headers
+ * The body is not covered; read it with fetchJson or readLines, which have their own limits.
+ * @param {string} provider - Provider name used in errors
+ * @param {string} url - Upstream URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} Successful response
+ */
+export async function fetchUpstream(provider, url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw providerError(provider, 'Upstream request timed out', { code: 'timeout' });
+    }
+    throw providerError(provider, `Upstream request failed: ${error.message}`, { code: 'network_error' });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    // 429 and 5xx are classified as transient so the caller can retry them
+    throw providerError(provider, `Upstream responded with status ${response.status}`, {
+      code: codeForStatus(response.status),
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Fetch JSON from an upstream with a timeout, mapping failures to provider errors
+ * @param {string} provider - Provider name used in errors
+ * @param {string} url - Upstream URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export async function fetchJson(provider, url, options = {}) {
+  const response = await fetchUpstream(provider, url, options);
+
+  try {
+    return await withTimeout(response.json(), UPSTREAM_TIMEOUT, provider, 'Upstream response body timed out');
+  } catch (error) {
+    if (error.code === 'timeout') throw error;
+    throw providerError(provider, 'Upstream returned invalid JSON', { code: 'invalid_response' });
+  }
+}
+
+/**
+ * Get the most recent user message text
+ * @param {Array} messages - Array of {role, content} messages
+ * @returns {string} Content of the last user message or empty string
+ */
+export function lastUserContent(messages) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  return lastUser ? lastUser.content : '';
+}
+
+/**
+ * Flatten a conversation into a single prompt for upstreams without chat support
+ * @param {Array} messages - Array of {role, content} messages
+ * @returns {string} Transcript ending with the newest message
+ */
+export function formatTranscript(messages) {
+  if (messages.length === 1) {
+    return messages[0].content;
+  }
+
+  const labels = { system: 'System', user: 'User', assistant: 'Assistant' };
+  const lines = messages.map(msg => `${labels[msg.role] || msg.role}: ${msg.content}`);
+
+  return `${lines.join('\n\n')}\n\nAssistant:`;
+}
+
+/**
+ * Read a streamed response body line by line
+ * Fails with a 'timeout' provider error if the upstream sends nothing for
+ * STREAM_IDLE_TIMEOUT, so a stalled stream does not stay open forever.
+ * @param {string} provider - Provider name used in errors
+ * @param {Response} response - Upstream response with a readable body
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+export async function* readLines(provider, response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await withTimeout(
+        reader.read(), STREAM_IDLE_TIMEOUT, provider, 'Upstream stream stalled'
+      );
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+
+    if (buffer.trim()) yield buffer.trim();
+  } finally {
+    // Release the upstream connection if the consumer stops early
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Per-user rate limiting for chat requests
+ *
+ * Every user gets a token bucket that refills continuously over a minute,
+ * plus a daily message quota that resets at midnight UTC. State lives in
+ * memory, so limits apply per server instance.
+ *
+ * Title generation also calls the model, so it has its own, smaller bucket
+ * per user; it never uses up the message quota shown in the chat.
+ *
+ * A request is counted before the model is called, so the limit holds for
+ * requests that are still running; one that gets no reply is given back
+ * with refundRateLimit.
+ */
+
+// Default limits - override with CHAT_RATE_LIMIT_PER_MINUTE / CHAT_DAILY_QUOTA
+const DEFAULT_PER_MINUTE = 10;
+const DEFAULT_DAILY_QUOTA = 100;
+
+// Default title limits - override with TITLE_RATE_LIMIT_PER_MINUTE / TITLE_DAILY_QUOTA
+const DEFAULT_TITLE_PER_MINUTE = 3;
+const DEFAULT_TITLE_DAILY_QUOTA = 30;
+
+// Stale users are pruned once this many are tracked
+const MAX_TRACKED_USERS = 10000;
+
+const buckets = new Map();
+const titleBuckets = new Map();
+
+/**
+ * Read the limits from environment configuration
+ * @returns {Object} {perMinute, dailyQuota}
+ */
+export function getRateLimits() {
+  return {
+    perMinute: parseInt(process.env.CHAT_RATE_LIMIT_PER_MINUTE || `${DEFAULT_PER_MINUTE}`, 10),
+    dailyQuota: parseInt(process.env.CHAT_DAILY_QUOTA || `${DEFAULT_DAILY_QUOTA}`, 10)
+  };
+}
+
+/**
+ * Read the title generation limits from environment configuration
+ * @returns {Object} {perMinute, dailyQuota}
+ */
+export function getTitleRateLimits() {
+  return {
+    perMinute: parseInt(process.env.TITLE_RATE_LIMIT_PER_MINUTE || `${DEFAULT_TITLE_PER_MINUTE}`, 10),
+    dailyQuota: parseInt(process.env.TITLE_DAILY_QUOTA || `${DEFAULT_TITLE_DAILY_QUOTA}`, 10)
+  };
+}
+
+// Start of the next UTC day, in ms
+const nextDayStart = (now) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+// Get the bucket of a user from `store`, refilled up to `now`
+const getBucket = (store, userId, now, limits) => {
+  let bucket = store.get(userId);
+
+  if (!bucket) {
+    if (store.size >= MAX_TRACKED_USERS) pruneBuckets(store, now);
+
+    bucket = {
+      tokens: limits.perMinute,
+      updatedAt: now,
+      used: 0,
+      dayResetsAt: nextDayStart(now)
+    };
+    store.set(userId, bucket);
+  }
+
+  // Continuous refill: perMinute tokens every 60 seconds
+  const refill = ((now - bucket.updatedAt) / 60000) * limits.perMinute;
+  bucket.tokens = Math.min(limits.perMinute, bucket.tokens + refill);
+  bucket.updatedAt = now;
+
+  if (now >= bucket.dayResetsAt) {
+    bucket.used = 0;
+    bucket.dayResetsAt = nextDayStart(now);
+  }
+
+  return bucket;
+};
+
+// Drop users whose bucket is full and whose quota has reset
+const pruneBuckets = (store, now) => {
+  for (const [userId, bucket] of store) {
+    if (now >= bucket.dayResetsAt || (bucket.used === 0 && now - bucket.updatedAt > 60000)) {
+      store.delete(userId);
+    }
+  }
+};
+
+// Public view of a bucket
+const toUsage = (bucket, limits) => ({
+  limit: limits.perMinute,
+  remaining: Math.floor(bucket.tokens),
+  dailyLimit: limits.dailyQuota,
+  dailyRemaining: Math.max(limits.dailyQuota - bucket.used, 0),
+  resetsAt: new Date(bucket.dayResetsAt).toISOString()
+});
+
+/**
+ * Get a user's current usage without consuming anything
+ * @param {string} userId - User ID from the JWT
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} {limit, remaining, dailyLimit, dailyRemaining, resetsAt}
+ */
+export function getUsage(userId, now = Date.now()) {
+  const limits = getRateLimits();
+  return toUsage(getBucket(buckets, userId, now, limits), limits);
+}
+
+// Take one request from a user's bucket in `store` if the limits allow it
+const consume = (store, limits, userId, now) => {
+  const bucket = getBucket(store, userId, now, limits);
+
+  if (bucket.used >= limits.dailyQuota) {
+    return {
+      allowed: false,
+      code: 'quota_exceeded',
+      retryAfter: Math.ceil((bucket.dayResetsAt - now) / 1000),
+      usage: toUsage(bucket, limits)
+    };
+  }
+
+  if (bucket.tokens < 1) {
+    return {
+      allowed: false,
+      code: 'too_many_requests',
+      retryAfter: Math.ceil(((1 - bucket.tokens) / limits.perMinute) * 60),
+      usage: toUsage(bucket, limits)
+    };
+  }
+
+  bucket.tokens -= 1;
+  bucket.used += 1;
+
+  return { allowed: true, code: null, retryAfter: 0, usage: toUsage(bucket, limits) };
+};
+
+/**
+ * Consume one chat request for a user if the limits allow it
+ * @param {string} userId - User ID from the JWT
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} {allowed, code, retryAfter (seconds), usage}
+ */
+export function consumeRateLimit(userId, now = Date.now()) {
+  return consume(buckets, getRateLimits(), userId, now);
+}
+
+/**
+ * Give back a chat request that got no reply, e.g. because every provider failed
+ * Call it at most once for each allowed consumeRateLimit. A request counted
+ * on the previous UTC day is not taken off the new day's quota.
+ * @param {string} userId - User ID from the JWT
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Usage after the refund {limit, remaining, dailyLimit, dailyRemaining, resetsAt}
+ */
+export function refundRateLimit(userId, now = Date.now()) {
+  const limits = getRateLimits();
+  const bucket = getBucket(buckets, userId, now, limits);
+
+  bucket.tokens = Math.min(limits.perMinute, bucket.tokens + 1);
+  bucket.used = Math.max(bucket.used - 1, 0);
+
+  return toUsage(bucket, limits);
+}
+
+/**
+ * Consume one title generation for a user if the title limits allow it
+ * @param {string} userId - User ID from the JWT
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} {allowed, code, retryAfter (seconds), usage}
+ */
+export function consumeTitleRateLimit(userId, now = Date.now()) {
+  return consume(titleBuckets, getTitleRateLimits(), userId, now);
+}
+
+/**
+ * Response headers describing a user's usage
+ * @param {Object} usage - Usage from getUsage or consumeRateLimit
+ * @returns {Object} X-RateLimit-* headers
+ */
+export function rateLimitHeaders(usage) {
+  return {
+    'X-RateLimit-Limit': `${usage.limit}`,
+    'X-RateLimit-Remaining': `${usage.remaining}`,
+    'X-Quota-Limit': `${usage.dailyLimit}`,
+    'X-Quota-Remaining': `${usage.dailyRemaining}`
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Retry helpers shared by the provider layer and the browser client
+ *
+ * Errors are classified by their `code`. Transient failures (timeouts,
+ * dropped connections, rate limits and 5xx responses) are retried with
+ * exponential backoff and full jitter; everything else fails immediately.
+ */
+
+// Error codes worth another attempt
+export const TRANSIENT_ERROR_CODES = ['timeout', 'network_error', 'rate_limited', 'server_error'];
+
+// Default retry policy - the server overrides it with AI_MAX_RETRIES / AI_RETRY_BASE_DELAY
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY = 500;
+const DEFAULT_MAX_DELAY = 8000;
+
+/**
+ * Map an HTTP status to an error code
+ * @param {number} status - HTTP status code
+ * @returns {string} Error code
+ */
+export function codeForStatus(status) {
+  if (status === 408) return 'timeout';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server_error';
+  return 'upstream_error';
+}
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Error with an optional `code`
+ * @returns {boolean} True for transient failures
+ */
+export function isTransientError(error) {
+  return Boolean(error) && TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Backoff delay for an attempt, with full jitter
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} [options] - {baseDelay, maxDelay}
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, { baseDelay = DEFAULT_BASE_DELAY, maxDelay = DEFAULT_MAX_DELAY } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Delay before the next attempt after an error
+ * A `retryAfter` (ms) on the error takes precedence over the computed backoff.
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} [options] - {baseDelay, maxDelay}
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, options = {}) {
+  const maxDelay = options.maxDelay ?? DEFAULT_MAX_DELAY;
+  return Math.min(error?.retryAfter ?? getBackoffDelay(attempt, options), maxDelay);
+}
+
+/**
+ * Wait for a delay, stopping early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an async function, retrying transient failures with backoff
+ * @param {Function} fn - Receives the zero-based attempt number
+ * @param {Object} [options] - {retries, baseDelay, maxDelay, shouldRetry(error), onRetry(error, attempt, delay), signal}
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    retries = DEFAULT_RETRIES,
+    shouldRetry = isTransientError,
+    onRetry,
+    signal
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, options);
+      onRetry?.(error, attempt, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
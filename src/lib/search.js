@@ -0,0 +1,221 @@
+/**
+ * Full-text search helpers
+ *
+ * Text is tokenized into words after removing diacritics and case, so
+ * "Café" matches "cafe". Every query word must match the start of a word
+ * in the message, which lets results update while the user is typing.
+ * Matching never builds a RegExp from user input.
+ */
+
+// Combining marks left behind by NFD normalization
+const DIACRITICS = /[\u0300-\u036f]/g;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Separates conversation and message IDs in document keys
+const KEY_SEPARATOR = '\u0000';
+
+/**
+ * Lowercase text and strip diacritics
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return (text || '').normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text) {
+  return normalizeText(text).match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Find the parts of a text matched by a query
+ * @param {string} text - Original text
+ * @param {string} query - Search query
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end) ranges in the original text
+ */
+export function findMatchRanges(text, query) {
+  const terms = [...new Set(tokenize(query))];
+  if (!text || terms.length === 0) return [];
+
+  // Normalized copy of the text, with the original range of every normalized character
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (const char of text) {
+    const normalizedChar = normalizeText(char);
+    for (let i = 0; i < normalizedChar.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    normalized += normalizedChar;
+    offset += char.length;
+  }
+
+  const ranges = [];
+  terms.forEach(term => {
+    for (let position = normalized.indexOf(term); position !== -1; position = normalized.indexOf(term, position + 1)) {
+      // Only match at the start of a word
+      if (position > 0 && WORD_CHAR.test(normalized[position - 1])) continue;
+      ranges.push([starts[position], ends[position + term.length - 1]]);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Cut a short excerpt of a text around its first match
+ * @param {string} text - Original text
+ * @param {string} query - Search query
+ * @param {number} [length=160] - Approximate excerpt length
+ * @returns {string} Excerpt with whitespace collapsed
+ */
+export function getSnippet(text, query, length = 160) {
+  const [firstMatch] = findMatchRanges(text, query);
+  const matchStart = firstMatch ? firstMatch[0] : 0;
+
+  let start = Math.max(0, matchStart - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchStart) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matchStart) end = space;
+  }
+
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Create an in-memory inverted index over chat messages
+ * @returns {Object} {addConversation, removeConversation, search}
+ */
+export function createSearchIndex() {
+  // documentKey -> {conversationId, messageId, role, timestamp, content, tokens}
+  const documents = new Map();
+  // word -> Set of document keys
+  const postings = new Map();
+  // conversationId -> Set of document keys
+  const conversationKeys = new Map();
+
+  const removeDocument = (key) => {
+    const doc = documents.get(key);
+    if (!doc) return;
+
+    doc.tokens.forEach(token => {
+      const keys = postings.get(token);
+      keys.delete(key);
+      if (keys.size === 0) postings.delete(token);
+    });
+    documents.delete(key);
+  };
+
+  /**
+   * Index (or re-index) every message of a conversation
+   * Messages whose content did not change are not tokenized again.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} messages - All messages of the conversation
+   */
+  const addConversation = (conversationId, messages) => {
+    const previousKeys = conversationKeys.get(conversationId) || new Set();
+    const keys = new Set();
+
+    messages.forEach(msg => {
+      // Error bubbles are app text, not conversation content
+      if (msg.isError || typeof msg.content !== 'string' || !msg.content.trim()) return;
+
+      const key = `${conversationId}${KEY_SEPARATOR}${msg.id}`;
+      keys.add(key);
+
+      const existing = documents.get(key);
+      if (existing && existing.content === msg.content) return;
+
+      removeDocument(key);
+      const tokens = new Set(tokenize(msg.content));
+      documents.set(key, {
+        conversationId,
+        messageId: msg.id,
+        role: msg.role,
+        timestamp: msg.timestamp || null,
+        content: msg.content,
+        tokens
+      });
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(key);
+      });
+    });
+
+    previousKeys.forEach(key => {
+      if (!keys.has(key)) removeDocument(key);
+    });
+    conversationKeys.set(conversationId, keys);
+  };
+
+  /**
+   * Drop a conversation from the index
+   * @param {string} conversationId - Conversation ID
+   */
+  const removeConversation = (conversationId) => {
+    (conversationKeys.get(conversationId) || new Set()).forEach(removeDocument);
+    conversationKeys.delete(conversationId);
+  };
+
+  /**
+   * Find messages containing every word of a query, newest first
+   * @param {string} query - Search query
+   * @param {Object} [filters] - {role, since, until} (ISO timestamps), {limit}
+   * @returns {Array<Object>} {conversationId, messageId, role, timestamp, content}
+   */
+  const search = (query, { role = null, since = null, until = null, limit = 50 } = {}) => {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    let matches = null;
+
+    for (const term of terms) {
+      const termMatches = new Set();
+      postings.forEach((keys, token) => {
+        if (token.startsWith(term)) keys.forEach(key => termMatches.add(key));
+      });
+
+      matches = matches ? new Set([...matches].filter(key => termMatches.has(key))) : termMatches;
+      if (matches.size === 0) return [];
+    }
+
+    return [...matches]
+      .map(key => documents.get(key))
+      .filter(doc => (!role || doc.role === role) &&
+        (!since || (doc.timestamp && doc.timestamp >= since)) &&
+        (!until || (doc.timestamp && doc.timestamp <= until)))
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+      .slice(0, limit)
+      .map(({ tokens: _tokens, ...doc }) => doc);
+  };
+
+  return { addConversation, removeConversation, search };
+}
@@ -0,0 +1,225 @@
+/**
+ * Shared helpers for server-side stores
+ *
+ * Locking, atomic writes, SQLite access and configuration checks for
+ * stores that keep their data in files, used by the user stores
+ * (lib/userStore) and the conversation stores (lib/conversationStore).
+ * Everything here needs the Node.js runtime.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// How long to wait for a lock file before giving up (ms)
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_DELAY = 25;
+
+// A lock file older than this was left behind by a crashed process (ms)
+const STALE_LOCK_AGE = 30000;
+
+// Open SQLite databases by file path
+const sqliteDatabases = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a lock that runs async tasks one at a time, in call order
+ * @returns {Function} lock(task) => Promise resolving to the task's result
+ */
+export function createLock() {
+  let queue = Promise.resolve();
+
+  return (task) => {
+    const result = queue.then(task);
+    // A failed task must not block the ones after it
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * Create the lock file, waiting while another process holds it
+ * @param {string} lockPath - Lock file path
+ */
+async function acquireFileLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      const { mtimeMs } = await fs.stat(lockPath);
+      if (Date.now() - mtimeMs > STALE_LOCK_AGE) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+    } catch (error) {
+      // Released between open and stat; try again right away
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the lock on ${path.basename(lockPath, '.lock')}`);
+    }
+    await sleep(LOCK_RETRY_DELAY);
+  }
+}
+
+/**
+ * Run a task while holding a lock file next to `filePath`
+ * Keeps other processes sharing the file out; combine with createLock to
+ * also serialize tasks within this process.
+ * @param {string} filePath - File the lock protects
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} The task's result
+ */
+export async function withFileLock(filePath, task) {
+  const lockPath = `${filePath}.lock`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await acquireFileLock(lockPath);
+
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @param {*} fallback - Value for a missing or empty file
+ * @returns {Promise<*>} Parsed content
+ */
+export async function readJsonFile(filePath, fallback) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  return data.trim() ? JSON.parse(data) : fallback;
+}
+
+/**
+ * Replace a file atomically
+ * The content goes to a temporary file that is renamed over the target, so
+ * a crash never leaves a half-written file.
+ * @param {string} filePath - File path
+ * @param {string} contents - New content
+ */
+export async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    await fs.writeFile(tempPath, contents, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Create an error for a missing or unusable store configuration
+ * @param {string} label - Store kind, e.g. 'User store'
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code 'store_misconfigured'
+ */
+export function configurationError(label, message) {
+  const error = new Error(`${label} configuration error: ${message}`);
+  error.code = 'store_misconfigured';
+  return error;
+}
+
+/**
+ * Check that production does not rely on the development defaults
+ * The default paths under the working directory are read-only on serverless
+ * hosts such as Netlify, and silently falling back to them would only fail
+ * on the first write.
+ * @param {Object} options - {label, name, names, adapterVariable, pathVariable, fileStores}
+ * @throws {Error} With code 'store_misconfigured'
+ */
+export function assertProductionConfig({ label, name, names, adapterVariable, pathVariable, fileStores }) {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (!process.env[adapterVariable]) {
+    throw configurationError(label, `set ${adapterVariable} (${names.join(', ')}) in production`);
+  }
+
+  if (fileStores.includes(name) && !process.env[pathVariable]) {
+    throw configurationError(
+      label,
+      `set ${pathVariable} to a writable, persistent location for the ${name} store in production`
+    );
+  }
+}
+
+/**
+ * Explain why better-sqlite3 could not be loaded
+ * @param {Error} cause - Import error
+ * @param {string} adapterVariable - Setting that selected SQLite, e.g. 'USER_DB_ADAPTER'
+ * @returns {Error} Error with code 'store_misconfigured'
+ */
+function missingDriverError(cause, adapterVariable) {
+  const notInstalled = cause.code === 'ERR_MODULE_NOT_FOUND' || cause.code === 'MODULE_NOT_FOUND';
+  const error = new Error(notInstalled
+    ? `${adapterVariable}=sqlite needs the better-sqlite3 package, which is not installed. ` +
+      'Run `npm install better-sqlite3` (it is an optional dependency and is skipped when its native build fails) ' +
+      `or choose another ${adapterVariable}.`
+    : `${adapterVariable}=sqlite could not load better-sqlite3 (${cause.message}). ` +
+      'Reinstall it for this Node.js version with `npm rebuild better-sqlite3`.');
+  error.code = 'store_misconfigured';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Open a SQLite database once per file and create its tables if needed
+ * better-sqlite3 is an optional dependency (it builds a native module), so
+ * it is only loaded here, when a SQLite store is used.
+ * @param {string} filePath - Database file
+ * @param {string} schema - SQL run after opening, e.g. CREATE TABLE IF NOT EXISTS
+ * @param {string} adapterVariable - Setting that selected SQLite, for error messages
+ * @returns {Promise<Object>} better-sqlite3 database
+ */
+export function openSqliteDatabase(filePath, schema, adapterVariable) {
+  if (!sqliteDatabases.has(filePath)) {
+    const databasePromise = (async () => {
+      let Database;
+      try {
+        // Not bundled, so the package stays optional
+        ({ default: Database } = await import(/* webpackIgnore: true */ 'better-sqlite3'));
+      } catch (error) {
+        throw missingDriverError(error, adapterVariable);
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      const database = new Database(filePath);
+      database.pragma('journal_mode = WAL');
+      database.pragma('busy_timeout = 5000');
+      database.exec(schema);
+      return database;
+    })();
+
+    sqliteDatabases.set(filePath, databasePromise);
+
+    // Try again on the next call instead of caching the failure
+    databasePromise.catch(() => {
+      sqliteDatabases.delete(filePath);
+    });
+  }
+
+  return sqliteDatabases.get(filePath);
+}
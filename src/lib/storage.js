@@ -1,45 +1,886 @@
 /**
  * Storage utilities for managing chat conversations and user preferences
+ *
+ * Data lives in IndexedDB (conversations, messages, bookmarks and preferences
+ * in separate object stores), with localStorage as the fallback for browsers
+ * without it. Existing `chat_*` localStorage data is moved over once.
+ *
+ * Conversations are also synced to the /api/conversations routes of the
+ * logged in user. Local changes are written immediately and pushed shortly
+ * after; changes that could not be pushed stay queued until the browser is
+ * back online.
+ *
+ * Everything is kept per account: each logged in user gets their own
+ * IndexedDB database (or localStorage key prefix), chosen with
+ * setStorageUser, so a browser shared by several accounts never shows or
+ * syncs one account's conversations in another. Data stored before this
+ * split cannot be told apart by account: each account that logs in is asked
+ * once whether to take it over (see answerSharedDataOffer), and until one
+ * does it stays where it is.
+ *
+ * A conversation index (title, timestamps, message count, persona, pinned,
+ * folder and tags) is kept next to the conversations so list views never
+ * have to load them, and a full-text search index over every message is
+ * built in memory the first time a search runs.
+ *
+ * Conversations can be archived (hidden from the default list) or moved to
+ * the trash, where they are kept for a retention period before being
+ * deleted for good.
+ *
+ * Changes are announced to the other open tabs (see lib/tabSync), which
+ * update their in-memory copies; a conversation changed in two tabs at once
+ * is merged message by message.
+ *
+ * Encryption at rest can be turned on with a passphrase. Messages, bookmarks
+ * and the conversation index are then encrypted with AES-GCM (see
+ * lib/encryption), and storage stays locked after a page load until
+ * unlockStorage is called with the passphrase.
+ *
+ * Conversation records and preferences carry a schema version (see
+ * lib/storageSchema). Older data is upgraded once when storage starts, and
+ * every record is checked again when it is read, so corrupted entries are
+ * repaired or skipped instead of breaking the app.
  */
 
-// Get a conversation by ID
-export const getConversation = (conversationId) => {
+import { normalizeConversation } from './branches';
+import {
+  fetchConversationList,
+  fetchConversation,
+  putConversation,
+  removeConversation,
+  generateConversationTitle
+} from './api';
+import { STORES, DB_NAME, isIndexedDBAvailable } from './idb';
+import { normalizeFolderName, normalizeTags } from './conversationMeta';
+import { createSearchIndex } from './search';
+import {
+  SCHEMA_VERSION,
+  UNVERSIONED,
+  migrateConversation,
+  migratePreferences,
+  createPreferencesEnvelope,
+  stripTransientState
+} from './storageSchema';
+import {
+  createIndexedDbBackend,
+  createLocalStorageBackend,
+  createEncryptedBackend,
+  LOCAL_STORAGE_KEYS
+} from './storageBackends';
+import {
+  PBKDF2_ITERATIONS,
+  isCryptoAvailable,
+  createSalt,
+  deriveKey,
+  createKeyCheck,
+  verifyKey
+} from './encryption';
+import { postTabMessage, subscribeToTabMessages } from './tabSync';
+
+// Wait this long after the last change before pushing to the server (ms)
+const SYNC_DELAY = 1500;
+
+// Marks that localStorage data has been moved into IndexedDB
+const MIGRATION_KEY = 'migrated_from_local_storage';
+
+// Marks that an account was offered the data stored before each account had its own storage,
+// and took it over or left it for the other accounts
+const SHARED_DATA_KEY = 'adopted_shared_data';
+
+// Prefix of an account's keys in the localStorage backend
+const ACCOUNT_KEY_PREFIX = 'account:';
+
+// Meta key of the schema version the stored data was last upgraded to
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+// Meta key of the conversation index
+const INDEX_KEY = 'conversation_index';
+
+// Meta key of the folders created in the sidebar, including empty ones
+const FOLDERS_KEY = 'conversation_folders';
+
+// Meta key of the encryption settings {salt, iterations, check}; missing while encryption is off
+const ENCRYPTION_SETTINGS_KEY = 'encryption';
+
+// Values moved along with the conversations when an account takes over the shared data;
+// the encryption settings come first so moved data is never left without them
+const SHARED_VALUES = [
+  [STORES.meta, ENCRYPTION_SETTINGS_KEY],
+  [STORES.meta, SCHEMA_VERSION_KEY],
+  [STORES.meta, INDEX_KEY],
+  [STORES.meta, FOLDERS_KEY],
+  [STORES.meta, LOCAL_STORAGE_KEYS.pendingSync],
+  [STORES.preferences, LOCAL_STORAGE_KEYS.preferences]
+];
+
+// Length of titles taken from the first user message
+const TITLE_LENGTH = 60;
+
+// Days a conversation stays in the trash, unless changed in the preferences
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// While a reply streams, save the conversation at most this often (ms)
+export const STREAMING_SAVE_INTERVAL = 1000;
+
+const syncTimers = {};
+
+// Backend while nobody is logged in: every call fails, so no data can end up in the wrong account
+const rejectWithoutAccount = async () => {
+  const error = new Error('Storage is not available before logging in');
+  error.code = 'storage_error';
+  throw error;
+};
+
+const noAccountBackend = {
+  name: 'none',
+  readConversation: rejectWithoutAccount,
+  writeConversation: rejectWithoutAccount,
+  removeConversation: rejectWithoutAccount,
+  listConversations: rejectWithoutAccount,
+  readValue: rejectWithoutAccount,
+  writeValue: rejectWithoutAccount,
+  removeValue: rejectWithoutAccount,
+  listKeys: rejectWithoutAccount
+};
+
+// Account whose data is loaded (see setStorageUser), and a counter that changes with it
+// so loading started for the previous account stops
+let storageUserId = null;
+let storageGeneration = 0;
+
+// Active backend, queue of unsynced changes {id: 'save' | 'delete'} and preferences,
+// all loaded once by initStorage
+let backend = noAccountBackend;
+let pendingSync = {};
+let preferencesCache = null;
+let initPromise = null;
+
+// Backend without encryption, and the encryption state:
+// 'loading', 'off', 'locked' (waiting for the passphrase) or 'unlocked'
+let plainBackend = noAccountBackend;
+let encryptionSettings = null;
+let encryptionStatus = 'loading';
+let resolveUnlock = null;
+const encryptionListeners = new Set();
+
+// Offer of the data stored before each account had its own storage {conversationCount},
+// set while loading waits for the user to take it over or leave it (see answerSharedDataOffer)
+let sharedDataOffer = null;
+let resolveSharedDataOffer = null;
+const sharedDataListeners = new Set();
+
+// Conversation index {id: {id, title, titleSource, createdAt, updatedAt, messageCount, hasUserMessage,
+// personaId, pinned, folder, tags, status, deletedAt}}
+// status is 'active', 'archived' or 'trashed'; deletedAt is set while in the trash
+// titleSource is 'user' for renamed conversations, 'ai' for generated titles and 'message'
+// for titles taken from the first message
+let conversationIndex = {};
+let folderNames = [];
+const indexListeners = new Set();
+
+// Full-text search index, loaded by the first search
+let searchIndexPromise = null;
+
+// Last conversation read or written per ID {conversation, syncedAt}, to skip saving unchanged data
+const lastKnownConversations = new Map();
+
+// Listeners for changes made in another tab
+const conversationListeners = new Set();
+const preferenceListeners = new Set();
+const bookmarkListeners = new Set();
+
+// Last bookmarks read or written per user (as JSON), so echoes from other tabs are not saved again
+const lastKnownBookmarks = new Map();
+
+// Tell the other tabs about a change, tagged with the account whose storage changed
+const postStorageMessage = (type, data = {}) => {
+  postTabMessage(type, { ...data, account: storageUserId });
+};
+
+// Same messages (by identity), active leaf and persona
+const isSameConversation = (a, b) => {
+  return Boolean(a && b) &&
+    a.activeLeafId === b.activeLeafId &&
+    a.personaId === b.personaId &&
+    a.messages.length === b.messages.length &&
+    a.messages.every((msg, index) => msg === b.messages[index]);
+};
+
+// Move chat_*, bookmarks_*, preferences and the sync queue from localStorage into an IndexedDB backend
+const migrateFromLocalStorage = async (target) => {
+  if (await target.readValue(STORES.meta, MIGRATION_KEY)) return;
+
+  const localStorageBackend = createLocalStorageBackend();
+
+  const keys = Object.keys(localStorage);
+  const migratedKeys = [];
+
+  for (const key of keys) {
+    if (key.startsWith(LOCAL_STORAGE_KEYS.conversation)) {
+      const record = await localStorageBackend.readConversation(key.slice(LOCAL_STORAGE_KEYS.conversation.length));
+      const conversation = migrateConversation(record);
+
+      if (conversation) {
+        await target.writeConversation(key.slice(LOCAL_STORAGE_KEYS.conversation.length), {
+          ...conversation,
+          updatedAt: record.updatedAt || new Date().toISOString(),
+          syncedAt: record.syncedAt || null,
+          schemaVersion: SCHEMA_VERSION
+        });
+      }
+      migratedKeys.push(key);
+    } else if (key.startsWith(LOCAL_STORAGE_KEYS.bookmarks)) {
+      const userId = key.slice(LOCAL_STORAGE_KEYS.bookmarks.length);
+      await target.writeValue(STORES.bookmarks, userId, await localStorageBackend.readValue(STORES.bookmarks, userId));
+      migratedKeys.push(key);
+    }
+  }
+
+  const preferences = await localStorageBackend.readValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences);
+  if (preferences) {
+    await target.writeValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences, preferences);
+    migratedKeys.push(LOCAL_STORAGE_KEYS.preferences);
+  }
+
+  const pending = await localStorageBackend.readValue(STORES.meta, LOCAL_STORAGE_KEYS.pendingSync);
+  if (pending) {
+    await target.writeValue(STORES.meta, LOCAL_STORAGE_KEYS.pendingSync, pending);
+    migratedKeys.push(LOCAL_STORAGE_KEYS.pendingSync);
+  }
+
+  // Only free the old keys once everything is safely in IndexedDB
+  await target.writeValue(STORES.meta, MIGRATION_KEY, new Date().toISOString());
+  migratedKeys.forEach(key => localStorage.removeItem(key));
+
+  console.log(`Moved ${migratedKeys.length} item(s) from localStorage to IndexedDB`);
+};
+
+// Move the data stored before each account had its own storage into an account's backend
+const adoptSharedData = async (source, target) => {
+  for (const [storeName, key] of SHARED_VALUES) {
+    const value = await source.readValue(storeName, key);
+    if (value === null || value === undefined) continue;
+
+    await target.writeValue(storeName, key, value);
+    await source.removeValue(storeName, key);
+  }
+
+  for (const userId of await source.listKeys(STORES.bookmarks)) {
+    await target.writeValue(STORES.bookmarks, userId, await source.readValue(STORES.bookmarks, userId));
+    await source.removeValue(STORES.bookmarks, userId);
+  }
+
+  const conversations = await source.listConversations();
+  for (const { id } of conversations) {
+    const record = await source.readConversation(id);
+    if (record) await target.writeConversation(id, record);
+    await source.removeConversation(id);
+  }
+
+  if (conversations.length > 0) {
+    console.log(`Moved ${conversations.length} conversation(s) stored before accounts had separate storage into this account`);
+  }
+};
+
+const setSharedDataOffer = (offer) => {
+  sharedDataOffer = offer;
+  sharedDataListeners.forEach(listener => listener(offer));
+};
+
+// Ask once per account whether to take over the data stored before each account had its own storage
+// Conversations and bookmarks may belong to someone else, so they are only moved if the user agrees;
+// otherwise they stay for the other accounts. Without them there is nothing to ask about.
+const offerSharedData = async (source, target, isStale) => {
+  if (await target.readValue(STORES.meta, SHARED_DATA_KEY)) return;
+
+  const conversationCount = (await source.listConversations()).length;
+  const bookmarkCount = (await source.listKeys(STORES.bookmarks)).length;
+  if (isStale()) return;
+
+  let adopt = true;
+  if (conversationCount > 0 || bookmarkCount > 0) {
+    adopt = await new Promise(resolve => {
+      resolveSharedDataOffer = resolve;
+      setSharedDataOffer({ conversationCount });
+    });
+    if (isStale()) return;
+    resolveSharedDataOffer = null;
+    setSharedDataOffer(null);
+  }
+
+  if (adopt) await adoptSharedData(source, target);
+  await target.writeValue(STORES.meta, SHARED_DATA_KEY, new Date().toISOString());
+};
+
+// Title for a conversation that has not been renamed: its first user message
+const getDefaultTitle = (messages) => {
+  const firstUserMessage = messages.find(msg => msg.role === 'user');
+  if (!firstUserMessage) return 'New conversation';
+
+  const content = firstUserMessage.content.trim().replace(/\s+/g, ' ');
+  return content.length > TITLE_LENGTH ? `${content.slice(0, TITLE_LENGTH)}...` : content;
+};
+
+// Index entry for a conversation, keeping the title, pin, folder and tags of the previous entry
+const createIndexEntry = (conversationId, conversation, previous, { createdAt, updatedAt, title, titleSource = 'user' }) => {
+  // Renamed and generated titles stick; the others follow the first message
+  const keepsTitle = Boolean(previous) && previous.titleSource !== 'message';
+
+  return {
+    id: conversationId,
+    title: title || (keepsTitle ? previous.title : getDefaultTitle(conversation.messages)),
+    titleSource: title ? titleSource : (keepsTitle ? previous.titleSource : 'message'),
+    createdAt: previous?.createdAt || createdAt || updatedAt,
+    updatedAt,
+    messageCount: conversation.messages.length,
+    hasUserMessage: conversation.messages.some(msg => msg.role === 'user'),
+    personaId: conversation.personaId || null,
+    pinned: previous?.pinned || false,
+    folder: previous?.folder || null,
+    tags: previous?.tags || [],
+    status: previous?.status || 'active',
+    deletedAt: previous?.deletedAt || null
+  };
+};
+
+// Index entries worth listing, pinned first and then most recently updated
+const getSortedIndex = () => {
+  // Conversations with only the greeting are not listed
+  return Object.values(conversationIndex)
+    .filter(entry => entry.hasUserMessage)
+    .sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+};
+
+// Every folder name: the ones created in the sidebar plus any used by a conversation
+const getFolderNames = () => {
+  const names = new Set(folderNames);
+  Object.values(conversationIndex).forEach(entry => entry.folder && names.add(entry.folder));
+  return [...names].sort((a, b) => a.localeCompare(b));
+};
+
+const notifyIndexListeners = () => {
+  const sortedIndex = getSortedIndex();
+  const folders = getFolderNames();
+  indexListeners.forEach(listener => listener(sortedIndex, folders));
+};
+
+// Apply index changes {id: entry, or null to remove} in memory and notify once
+const applyIndexChanges = (changes) => {
+  const index = { ...conversationIndex };
+
+  Object.entries(changes).forEach(([conversationId, entry]) => {
+    if (entry) {
+      index[conversationId] = entry;
+    } else {
+      delete index[conversationId];
+    }
+  });
+  conversationIndex = index;
+  notifyIndexListeners();
+};
+
+// Apply several index changes, then persist them and tell the other tabs
+const setIndexEntries = (changes) => {
+  applyIndexChanges(changes);
+
+  backend.writeValue(STORES.meta, INDEX_KEY, conversationIndex)
+    .catch(error => console.error('Error saving conversation index:', error));
+  postStorageMessage('index', { changes });
+};
+
+// Replace (or with null, remove) one index entry
+const setIndexEntry = (conversationId, entry) => {
+  if (!entry && !conversationIndex[conversationId]) return;
+  setIndexEntries({ [conversationId]: entry });
+};
+
+// Persist the list of sidebar folders and notify listeners
+const setFolderNames = (names) => {
+  folderNames = names;
+  backend.writeValue(STORES.meta, FOLDERS_KEY, folderNames)
+    .catch(error => console.error('Error saving conversation folders:', error));
+  notifyIndexListeners();
+  postStorageMessage('folders', { names });
+};
+
+// Build the search index from every stored conversation
+const loadSearchIndex = () => {
+  if (!searchIndexPromise) {
+    searchIndexPromise = (async () => {
+      const index = createSearchIndex();
+
+      for (const { id } of await backend.listConversations()) {
+        const conversation = migrateConversation(await backend.readConversation(id));
+        if (conversation) index.addConversation(id, conversation.messages);
+      }
+      return index;
+    })();
+
+    // Try again on the next search
+    searchIndexPromise.catch(() => {
+      searchIndexPromise = null;
+    });
+  }
+
+  return searchIndexPromise;
+};
+
+// Apply a change to the search index once it is loaded (nothing to do before the first search)
+const updateSearchIndex = (update) => {
+  if (!searchIndexPromise) return;
+
+  searchIndexPromise
+    .then(update)
+    .catch(error => console.error('Error updating search index:', error));
+};
+
+// Build the index from the stored conversations (first run, or a lost index)
+const rebuildConversationIndex = async (target) => {
+  const index = {};
+
+  for (const { id, updatedAt } of await target.listConversations()) {
+    const conversation = migrateConversation(await target.readConversation(id));
+    if (conversation) {
+      index[id] = createIndexEntry(id, conversation, null, { updatedAt: updatedAt || new Date().toISOString() });
+    }
+  }
+
+  await target.writeValue(STORES.meta, INDEX_KEY, index);
+  return index;
+};
+
+// Upgrade stored conversations, the index and preferences to the current schema
+// Runs once per schema version; conversations with nothing usable left are removed
+const migrateStoredData = async (target) => {
+  const storedVersion = (await target.readValue(STORES.meta, SCHEMA_VERSION_KEY)) || UNVERSIONED;
+  if (storedVersion >= SCHEMA_VERSION) return;
+
+  const index = (await target.readValue(STORES.meta, INDEX_KEY)) || {};
+  let removed = 0;
+
+  for (const { id } of await target.listConversations()) {
+    const record = await target.readConversation(id);
+    const conversation = migrateConversation(record);
+
+    if (!conversation) {
+      await target.removeConversation(id);
+      delete index[id];
+      removed++;
+      continue;
+    }
+
+    const updatedAt = record.updatedAt || new Date().toISOString();
+    await target.writeConversation(id, {
+      ...conversation,
+      updatedAt,
+      syncedAt: record.syncedAt || null,
+      schemaVersion: SCHEMA_VERSION
+    });
+
+    // Fills in fields added to the index since the entry was written
+    index[id] = createIndexEntry(id, conversation, index[id], { updatedAt: index[id]?.updatedAt || updatedAt });
+  }
+  await target.writeValue(STORES.meta, INDEX_KEY, index);
+
+  const preferences = migratePreferences(await target.readValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences));
+  if (preferences) {
+    await target.writeValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences, createPreferencesEnvelope(preferences));
+  }
+
+  await target.writeValue(STORES.meta, SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+  console.log(`Upgraded stored data to schema version ${SCHEMA_VERSION}` +
+    (removed > 0 ? `, removed ${removed} unreadable conversation(s)` : ''));
+};
+
+// Values encrypted along with the messages when encryption is on
+const isPrivateValue = (storeName, key) => {
+  return storeName === STORES.bookmarks ||
+    (storeName === STORES.meta && (key === INDEX_KEY || key === FOLDERS_KEY));
+};
+
+const setEncryptionStatus = (status) => {
+  encryptionStatus = status;
+  encryptionListeners.forEach(listener => listener(status));
+};
+
+// Read the encryption settings and, when encryption is on, wait for unlockStorage
+// (or resetEncryptedStorage) before anything else is loaded
+const waitForUnlock = async (plain, isStale) => {
+  const settings = await plain.readValue(STORES.meta, ENCRYPTION_SETTINGS_KEY);
+  if (isStale()) return;
+
+  encryptionSettings = settings;
+  if (!encryptionSettings) {
+    setEncryptionStatus('off');
+    return;
+  }
+
+  const key = await new Promise(resolve => {
+    resolveUnlock = resolve;
+    setEncryptionStatus('locked');
+  });
+  if (isStale()) return;
+  resolveUnlock = null;
+
+  if (key) {
+    backend = createEncryptedBackend(plain, key, isPrivateValue);
+    setEncryptionStatus('unlocked');
+  } else {
+    setEncryptionStatus('off');
+  }
+};
+
+// Read every conversation and private value through one backend and write it through another
+const rewriteStoredData = async (reader, writer) => {
+  for (const { id } of await reader.listConversations()) {
+    const record = await reader.readConversation(id);
+    if (record && Array.isArray(record.messages)) {
+      await writer.writeConversation(id, record);
+    }
+  }
+
+  for (const userId of await reader.listKeys(STORES.bookmarks)) {
+    const bookmarks = await reader.readValue(STORES.bookmarks, userId);
+    if (bookmarks) await writer.writeValue(STORES.bookmarks, userId, bookmarks);
+  }
+
+  for (const key of [INDEX_KEY, FOLDERS_KEY]) {
+    const value = await reader.readValue(STORES.meta, key);
+    if (value) await writer.writeValue(STORES.meta, key, value);
+  }
+};
+
+// Pick the backend of the logged in account, migrate old data and load the in-memory caches
+// Every async storage function waits for this; call it early to warm up
+export const initStorage = () => {
+  // Without an account there is nothing to load, and storage calls fail until setStorageUser
+  if (typeof window === 'undefined' || !storageUserId) {
+    return Promise.resolve();
+  }
+
+  if (!initPromise) {
+    const userId = storageUserId;
+    const generation = storageGeneration;
+    // Once the account changed, nothing more is loaded into memory
+    const isStale = () => generation !== storageGeneration;
+
+    initPromise = (async () => {
+      let accountBackend = null;
+
+      if (isIndexedDBAvailable()) {
+        try {
+          const sharedBackend = createIndexedDbBackend(DB_NAME);
+          await migrateFromLocalStorage(sharedBackend);
+
+          accountBackend = createIndexedDbBackend(`${DB_NAME}:${userId}`);
+          await offerSharedData(sharedBackend, accountBackend, isStale);
+        } catch (error) {
+          // Keep using localStorage; the migration is retried on the next load
+          console.error('IndexedDB unavailable, falling back to localStorage:', error);
+          accountBackend = null;
+        }
+      }
+
+      if (!accountBackend) {
+        accountBackend = createLocalStorageBackend(`${ACCOUNT_KEY_PREFIX}${userId}:`);
+        try {
+          await offerSharedData(createLocalStorageBackend(), accountBackend, isStale);
+        } catch (error) {
+          console.error('Error moving stored data into this account:', error);
+        }
+      }
+      if (isStale()) return;
+
+      // Encrypted data cannot be touched before it is unlocked
+      backend = accountBackend;
+      plainBackend = accountBackend;
+      try {
+        await waitForUnlock(accountBackend, isStale);
+      } catch (error) {
+        console.error('Error loading encryption settings:', error);
+        if (!isStale()) setEncryptionStatus('off');
+      }
+      if (isStale()) return;
+
+      // Encrypted once unlocked
+      const loadBackend = backend;
+
+      try {
+        await migrateStoredData(loadBackend);
+      } catch (error) {
+        // Records are still upgraded one by one when read; the full run is retried on the next load
+        console.error('Error upgrading stored data:', error);
+      }
+
+      try {
+        const preferences = migratePreferences(await loadBackend.readValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences));
+        const queued = (await loadBackend.readValue(STORES.meta, LOCAL_STORAGE_KEYS.pendingSync)) || {};
+        if (isStale()) return;
+
+        // Preferences saved while loading are newer than the stored ones
+        preferencesCache = preferencesCache ?? preferences;
+        pendingSync = queued;
+      } catch (error) {
+        console.error('Error loading stored preferences:', error);
+      }
+
+      try {
+        const index = await loadBackend.readValue(STORES.meta, INDEX_KEY) || await rebuildConversationIndex(loadBackend);
+        const folders = (await loadBackend.readValue(STORES.meta, FOLDERS_KEY)) || [];
+        if (isStale()) return;
+
+        conversationIndex = index;
+        folderNames = folders;
+      } catch (error) {
+        console.error('Error loading conversation index:', error);
+      }
+    })();
+
+    // Needs the finished init, so it cannot run inside it
+    initPromise.then(() => {
+      if (!isStale()) purgeExpiredTrash();
+    });
+  }
+
+  return initPromise;
+};
+
+// Load the data of the logged in account from now on, or with null of nobody
+// Call it whenever a user logs in or out. Everything in memory belongs to one
+// account, so switching drops it; changes of the previous account that were
+// not pushed yet stay queued in its own storage until it logs in again
+export const setStorageUser = (userId) => {
+  const nextUserId = userId || null;
+  if (nextUserId === storageUserId) return;
+
+  storageUserId = nextUserId;
+  storageGeneration += 1;
+
+  Object.keys(syncTimers).forEach(conversationId => {
+    clearTimeout(syncTimers[conversationId]);
+    delete syncTimers[conversationId];
+  });
+
+  backend = noAccountBackend;
+  plainBackend = noAccountBackend;
+  initPromise = null;
+  pendingSync = {};
+  preferencesCache = null;
+  encryptionSettings = null;
+  resolveUnlock = null;
+  resolveSharedDataOffer = null;
+  conversationIndex = {};
+  folderNames = [];
+  searchIndexPromise = null;
+  lastKnownConversations.clear();
+  lastKnownBookmarks.clear();
+
+  setEncryptionStatus('loading');
+  setSharedDataOffer(null);
+  notifyIndexListeners();
+
+  // Every tab sends requests with the same login cookie, so tabs of another account have to reload
+  if (nextUserId) postTabMessage('account-changed', { account: nextUserId });
+};
+
+// Queue (or with null, clear) an unsynced change for a conversation in memory
+const applyPendingSync = (conversationId, operation) => {
+  if (operation) {
+    pendingSync[conversationId] = operation;
+  } else {
+    delete pendingSync[conversationId];
+  }
+};
+
+// Queue (or clear) an unsynced change, persist the queue and tell the other tabs
+const setPendingSync = (conversationId, operation) => {
+  applyPendingSync(conversationId, operation);
+  postStorageMessage('pending', { conversationId, operation });
+
+  backend.writeValue(STORES.meta, LOCAL_STORAGE_KEYS.pendingSync, pendingSync)
+    .catch(error => console.error('Error saving sync queue:', error));
+};
+
+// Local copies that are fully synced to the server, oldest first
+// They can be dropped to free space and loaded from the server again
+const listEvictableConversations = async (keepConversationId) => {
+  const conversations = await backend.listConversations();
+  return conversations
+    .filter(conversation => conversation.id !== keepConversationId &&
+      conversation.syncedAt && !pendingSync[conversation.id])
+    .sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''));
+};
+
+// Write a conversation record, making room if storage is full
+// Synced local copies are dropped one at a time, oldest first, until the write fits
+const writeConversationRecord = async (conversationId, record) => {
+  let evictable = null;
+
+  for (;;) {
+    try {
+      await backend.writeConversation(conversationId, { ...record, schemaVersion: SCHEMA_VERSION });
+      break;
+    } catch (error) {
+      if (error.code !== 'quota_exceeded') throw error;
+
+      if (!evictable) {
+        console.warn('Storage is full, removing local copies of synced conversations');
+        evictable = await listEvictableConversations(conversationId);
+      }
+
+      // Changed while making room, so no longer safe to drop
+      while (evictable.length > 0 && pendingSync[evictable[0].id]) evictable.shift();
+      if (evictable.length === 0) throw error;
+
+      const { id } = evictable.shift();
+      await backend.removeConversation(id);
+      lastKnownConversations.delete(id);
+    }
+  }
+
+  postStorageMessage('conversation-saved', { conversationId });
+};
+
+// Push the stored copy of a conversation to the server
+const pushConversation = async (conversationId) => {
+  const stored = await backend.readConversation(conversationId);
+  if (!stored) return false;
+
+  const entry = conversationIndex[conversationId];
+
+  try {
+    const saved = await putConversation(conversationId, {
+      ...migrateConversation(stored),
+      // Titles taken from the first message are derived again on the server
+      ...(entry && entry.titleSource !== 'message' && { title: entry.title, titleSource: entry.titleSource }),
+      pinned: entry?.pinned || false,
+      folder: entry?.folder || null,
+      tags: entry?.tags || [],
+      status: entry?.status || 'active',
+      deletedAt: entry?.deletedAt || null
+    });
+
+    // Only clear the queue if nothing changed locally while the request was in flight
+    const latest = await backend.readConversation(conversationId);
+    if (latest && latest.updatedAt === stored.updatedAt) {
+      await writeConversationRecord(conversationId, { ...latest, syncedAt: saved.updatedAt });
+      setPendingSync(conversationId, null);
+
+      const lastKnown = lastKnownConversations.get(conversationId);
+      if (lastKnown) lastKnown.syncedAt = saved.updatedAt;
+    }
+    return true;
+  } catch (error) {
+    console.warn(`Conversation ${conversationId} not synced yet:`, error.message);
+    return false;
+  }
+};
+
+// Push a conversation once changes have settled
+const schedulePush = (conversationId) => {
+  clearTimeout(syncTimers[conversationId]);
+  syncTimers[conversationId] = setTimeout(() => {
+    delete syncTimers[conversationId];
+    pushConversation(conversationId);
+  }, SYNC_DELAY);
+};
+
+// Push metadata changes of conversations that are kept on the server
+const queueMetaPush = (conversationIds) => {
+  conversationIds.forEach(conversationId => {
+    if (!conversationIndex[conversationId]?.hasUserMessage) return;
+
+    setPendingSync(conversationId, 'save');
+    schedulePush(conversationId);
+  });
+};
+
+// Get a conversation by ID as a tree {messages, activeLeafId}
+// Records from older versions are upgraded and repaired on read
+export const getConversation = async (conversationId) => {
   if (typeof window === 'undefined') {
     return null;
   }
-  
+
   try {
-    const data = localStorage.getItem(`chat_${conversationId}`);
-    return data ? JSON.parse(data) : null;
+    await initStorage();
+    const record = await backend.readConversation(conversationId);
+    const conversation = migrateConversation(record);
+
+    if (conversation) {
+      lastKnownConversations.set(conversationId, { conversation, syncedAt: record.syncedAt || null });
+    }
+    return conversation;
   } catch (error) {
     console.error('Error retrieving conversation:', error);
     return null;
   }
 };
 
-// Save a conversation
-export const saveConversation = (conversationId, messages) => {
+// Save a conversation tree {messages, activeLeafId} and queue it for sync
+// Resolves to false if it could not be stored (e.g. storage is full)
+export const saveConversation = async (conversationId, conversation) => {
   if (typeof window === 'undefined') {
     return false;
   }
-  
+
   try {
-    localStorage.setItem(`chat_${conversationId}`, JSON.stringify(messages));
+    await initStorage();
+
+    const data = normalizeConversation(stripTransientState(conversation));
+    if (!data) return false;
+
+    // Re-saving unchanged data (e.g. right after loading) is not a local edit
+    const lastKnown = lastKnownConversations.get(conversationId);
+    if (isSameConversation(lastKnown?.conversation, data)) {
+      return true;
+    }
+
+    const syncedAt = lastKnown
+      ? lastKnown.syncedAt
+      : (await backend.readConversation(conversationId))?.syncedAt || null;
+
+    const updatedAt = new Date().toISOString();
+
+    lastKnownConversations.set(conversationId, { conversation: data, syncedAt });
+    await writeConversationRecord(conversationId, { ...data, updatedAt, syncedAt });
+    updateSearchIndex(index => index.addConversation(conversationId, data.messages));
+    setIndexEntry(conversationId, createIndexEntry(conversationId, data, conversationIndex[conversationId], { updatedAt }));
+
+    // A conversation with only the greeting is not worth keeping on the server yet
+    if (data.messages.some(msg => msg.role === 'user')) {
+      setPendingSync(conversationId, 'save');
+      schedulePush(conversationId);
+    }
     return true;
   } catch (error) {
+    lastKnownConversations.delete(conversationId);
     console.error('Error saving conversation:', error);
     return false;
   }
 };
 
-// Delete a conversation
-export const deleteConversation = (conversationId) => {
+// Delete a conversation for good, locally and on the server
+// Use trashConversation for a delete that can be undone
+export const deleteConversation = async (conversationId) => {
   if (typeof window === 'undefined') {
     return false;
   }
-  
+
   try {
-    localStorage.removeItem(`chat_${conversationId}`);
+    await initStorage();
+    clearTimeout(syncTimers[conversationId]);
+    lastKnownConversations.delete(conversationId);
+    await backend.removeConversation(conversationId);
+    setIndexEntry(conversationId, null);
+    updateSearchIndex(index => index.removeConversation(conversationId));
+    setPendingSync(conversationId, 'delete');
+    postStorageMessage('conversation-removed', { conversationId });
+
+    removeConversation(conversationId)
+      .then(() => setPendingSync(conversationId, null))
+      .catch(error => console.warn(`Conversation ${conversationId} not deleted on server yet:`, error.message));
+
     return true;
   } catch (error) {
     console.error('Error deleting conversation:', error);
@@ -48,48 +889,731 @@ export const deleteConversation = (conversationId) => {
 };
 
 // Get all conversation IDs
-export const getAllConversationIds = () => {
+export const getAllConversationIds = async () => {
   if (typeof window === 'undefined') {
     return [];
   }
-  
+
   try {
-    const keys = Object.keys(localStorage);
-    return keys
-      .filter(key => key.startsWith('chat_'))
-      .map(key => key.replace('chat_', ''));
+    await initStorage();
+    const conversations = await backend.listConversations();
+    return conversations.map(conversation => conversation.id);
   } catch (error) {
     console.error('Error retrieving conversation IDs:', error);
     return [];
   }
 };
 
-// Save user preferences
-export const saveUserPreferences = (preferences) => {
+// Get the conversation index, pinned first and then most recently updated
+export const getConversationIndex = async () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  await initStorage();
+  return getSortedIndex();
+};
+
+// Get every folder name, sorted
+export const getConversationFolders = async () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  await initStorage();
+  return getFolderNames();
+};
+
+// Search the messages of every stored conversation, newest first
+// Filters: {role: 'user' | 'assistant', since, until (ISO timestamps), limit}
+// Each result is {conversationId, messageId, role, timestamp, content, title}
+export const searchConversations = async (query, { limit = 50, ...filters } = {}) => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  try {
+    await initStorage();
+    const index = await loadSearchIndex();
+
+    // Conversations that are not listed (only a greeting) are not searched either
+    return index.search(query, { ...filters, limit: Infinity })
+      .filter(result => conversationIndex[result.conversationId]?.hasUserMessage &&
+        conversationIndex[result.conversationId].status !== 'trashed')
+      .slice(0, limit)
+      .map(result => ({ ...result, title: conversationIndex[result.conversationId].title }));
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    return [];
+  }
+};
+
+// Call a listener with the sorted index and folder names whenever either changes
+// Returns a function that removes the listener
+export const subscribeToConversationIndex = (listener) => {
+  indexListeners.add(listener);
+  return () => indexListeners.delete(listener);
+};
+
+// Call a listener when another tab saves or deletes a conversation, with
+// (conversationId, conversation or null if deleted, copy this tab knew before or null)
+// Returns a function that removes the listener
+export const subscribeToConversationChanges = (listener) => {
+  conversationListeners.add(listener);
+  return () => conversationListeners.delete(listener);
+};
+
+// Rename, pin, file or tag a conversation without touching its messages
+// An empty title goes back to the one taken from the first message, a null folder to no folder
+export const updateConversationMeta = async (conversationId, { title, pinned, folder, tags } = {}) => {
   if (typeof window === 'undefined') {
     return false;
   }
-  
+
+  await initStorage();
+
+  const entry = conversationIndex[conversationId];
+  if (!entry) return false;
+
+  const updated = { ...entry };
+
+  if (title !== undefined) {
+    const trimmedTitle = (title || '').trim();
+
+    if (trimmedTitle) {
+      updated.title = trimmedTitle;
+      updated.titleSource = 'user';
+    } else {
+      const conversation = await getConversation(conversationId);
+      updated.title = conversation ? getDefaultTitle(conversation.messages) : entry.title;
+      updated.titleSource = 'message';
+    }
+  }
+
+  if (pinned !== undefined) {
+    updated.pinned = Boolean(pinned);
+  }
+
+  if (folder !== undefined) {
+    updated.folder = normalizeFolderName(folder);
+  }
+
+  if (tags !== undefined) {
+    updated.tags = normalizeTags(tags);
+  }
+
+  setIndexEntry(conversationId, updated);
+  queueMetaPush([conversationId]);
+  return true;
+};
+
+// Add an (empty) folder to the sidebar
+// Resolves to the cleaned up name, or null if the name is empty
+export const createConversationFolder = async (name) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  await initStorage();
+
+  const folder = normalizeFolderName(name);
+  if (!folder) return null;
+
+  if (!getFolderNames().includes(folder)) {
+    setFolderNames([...folderNames, folder]);
+  }
+  return folder;
+};
+
+// Rename a folder, moving its conversations along
+// Renaming onto an existing folder merges the two
+export const renameConversationFolder = async (name, newName) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  await initStorage();
+
+  const folder = normalizeFolderName(newName);
+  if (!folder) return false;
+
+  const changes = {};
+  Object.values(conversationIndex)
+    .filter(entry => entry.folder === name)
+    .forEach(entry => {
+      changes[entry.id] = { ...entry, folder };
+    });
+
+  setIndexEntries(changes);
+  setFolderNames([...new Set(folderNames.map(existing => existing === name ? folder : existing))]);
+  queueMetaPush(Object.keys(changes));
+  return true;
+};
+
+// Remove a folder; its conversations are kept, without a folder
+export const deleteConversationFolder = async (name) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  await initStorage();
+
+  const changes = {};
+  Object.values(conversationIndex)
+    .filter(entry => entry.folder === name)
+    .forEach(entry => {
+      changes[entry.id] = { ...entry, folder: null };
+    });
+
+  setIndexEntries(changes);
+  setFolderNames(folderNames.filter(existing => existing !== name));
+  queueMetaPush(Object.keys(changes));
+  return true;
+};
+
+// Ask the AI for a title once the first exchange of a conversation is complete
+// Runs in the background; renamed conversations and later exchanges are left alone
+export const generateTitleIfNeeded = async (conversationId, messages) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  const userMessages = messages.filter(msg => msg.role === 'user');
+  const lastMessage = messages[messages.length - 1];
+  if (userMessages.length !== 1 || lastMessage?.role !== 'assistant' || lastMessage.isError) {
+    return false;
+  }
+
+  await initStorage();
+  if (conversationIndex[conversationId]?.titleSource !== 'message') return false;
+
+  const title = await generateConversationTitle(messages);
+
+  // The user may have renamed (or deleted) the conversation in the meantime
+  const entry = conversationIndex[conversationId];
+  if (!title || !entry || entry.titleSource !== 'message') return false;
+
+  setIndexEntry(conversationId, { ...entry, title, titleSource: 'ai' });
+  queueMetaPush([conversationId]);
+  return true;
+};
+
+// Change the status of a conversation and sync it
+const setConversationStatus = async (conversationId, status) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  await initStorage();
+
+  const entry = conversationIndex[conversationId];
+  if (!entry) return false;
+
+  setIndexEntry(conversationId, {
+    ...entry,
+    status,
+    deletedAt: status === 'trashed' ? new Date().toISOString() : null
+  });
+  queueMetaPush([conversationId]);
+  return true;
+};
+
+// Hide a conversation from the default list, or bring it back
+export const archiveConversation = (conversationId, archived = true) => {
+  return setConversationStatus(conversationId, archived ? 'archived' : 'active');
+};
+
+// Move a conversation to the trash; it is deleted once the retention period is over
+export const trashConversation = (conversationId) => {
+  return setConversationStatus(conversationId, 'trashed');
+};
+
+// Take a conversation out of the trash (or the archive)
+export const restoreConversation = (conversationId) => {
+  return setConversationStatus(conversationId, 'active');
+};
+
+// Delete every conversation in the trash for good
+export const emptyTrash = async () => {
+  if (typeof window === 'undefined') {
+    return 0;
+  }
+
+  await initStorage();
+
+  const trashed = Object.values(conversationIndex).filter(entry => entry.status === 'trashed');
+  for (const entry of trashed) {
+    await deleteConversation(entry.id);
+  }
+  return trashed.length;
+};
+
+// Days a conversation stays in the trash
+export const getTrashRetentionDays = () => {
+  const days = getUserPreferences()?.trashRetentionDays;
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+// Change the trash retention period and apply it right away
+export const setTrashRetentionDays = (days) => {
+  const preferences = getUserPreferences() || {};
+  const saved = saveUserPreferences({ ...preferences, trashRetentionDays: days });
+
+  purgeExpiredTrash();
+  return saved;
+};
+
+// Delete conversations that have been in the trash longer than the retention period
+// Resolves to the number of conversations deleted
+export const purgeExpiredTrash = async () => {
+  if (typeof window === 'undefined') {
+    return 0;
+  }
+
+  await initStorage();
+
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+  const expired = Object.values(conversationIndex)
+    .filter(entry => entry.status === 'trashed' && entry.deletedAt && entry.deletedAt < cutoff);
+
+  for (const entry of expired) {
+    await deleteConversation(entry.id);
+  }
+  return expired.length;
+};
+
+// Retry every queued change
+export const flushPendingSync = async () => {
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  await initStorage();
+
+  for (const [conversationId, operation] of Object.entries(pendingSync)) {
+    if (operation === 'delete') {
+      try {
+        await removeConversation(conversationId);
+        setPendingSync(conversationId, null);
+      } catch (error) {
+        console.warn(`Conversation ${conversationId} not deleted on server yet:`, error.message);
+      }
+    } else {
+      await pushConversation(conversationId);
+    }
+  }
+};
+
+// Pull the server copy of a conversation into storage if it changed there
+// Returns the updated conversation, or null if storage was already current
+export const syncConversation = async (conversationId) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  try {
+    await initStorage();
+
+    // Local-only conversations are uploaded by saveConversation / syncAllConversations
+    const remote = await fetchConversation(conversationId);
+    if (!remote) return null;
+
+    const stored = await backend.readConversation(conversationId);
+
+    // Unsynced local edits win over the server copy; they are pushed next
+    if (pendingSync[conversationId] || (stored && stored.syncedAt === remote.updatedAt)) {
+      return null;
+    }
+
+    // A server copy with nothing usable in it leaves the local one alone
+    const conversation = migrateConversation(remote);
+    if (!conversation) return null;
+
+    await writeConversationRecord(conversationId, {
+      ...conversation,
+      updatedAt: remote.updatedAt,
+      syncedAt: remote.updatedAt
+    });
+    lastKnownConversations.set(conversationId, { conversation, syncedAt: remote.updatedAt });
+    updateSearchIndex(index => index.addConversation(conversationId, conversation.messages));
+
+    // The server copy decides the title, pin, folder and tags
+    const previous = conversationIndex[conversationId];
+    setIndexEntry(conversationId, createIndexEntry(conversationId, conversation, {
+      ...previous,
+      titleSource: 'message',
+      pinned: Boolean(remote.pinned),
+      folder: normalizeFolderName(remote.folder),
+      tags: normalizeTags(remote.tags),
+      status: remote.status || 'active',
+      deletedAt: remote.deletedAt || null
+    }, {
+      createdAt: remote.createdAt,
+      updatedAt: remote.updatedAt,
+      title: remote.title,
+      titleSource: remote.titleSource
+    }));
+    return conversation;
+  } catch (error) {
+    console.warn(`Conversation ${conversationId} could not be synced:`, error.message);
+    return null;
+  }
+};
+
+// Sync every conversation of the logged in user in both directions
+// Returns true if any conversation was pulled from the server
+export const syncAllConversations = async () => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
   try {
-    localStorage.setItem('user_preferences', JSON.stringify(preferences));
+    await flushPendingSync();
+
+    const remoteList = await fetchConversationList();
+    const storedList = await backend.listConversations();
+    const storedById = new Map(storedList.map(conversation => [conversation.id, conversation]));
+    let pulled = false;
+
+    for (const summary of remoteList) {
+      const stored = storedById.get(summary.id);
+      if (pendingSync[summary.id] || (stored && stored.syncedAt === summary.updatedAt)) continue;
+
+      if (await syncConversation(summary.id)) pulled = true;
+    }
+
+    // Upload conversations that only exist in this browser, and drop
+    // synced ones that were deleted from another browser
+    const remoteIds = new Set(remoteList.map(summary => summary.id));
+    for (const stored of storedList) {
+      if (remoteIds.has(stored.id) || pendingSync[stored.id]) continue;
+
+      if (stored.syncedAt) {
+        await backend.removeConversation(stored.id);
+        lastKnownConversations.delete(stored.id);
+        setIndexEntry(stored.id, null);
+        updateSearchIndex(index => index.removeConversation(stored.id));
+        postStorageMessage('conversation-removed', { conversationId: stored.id });
+      } else if ((await getConversation(stored.id))?.messages.some(msg => msg.role === 'user')) {
+        await pushConversation(stored.id);
+      }
+    }
+
+    return pulled;
+  } catch (error) {
+    console.warn('Conversations could not be synced:', error.message);
+    return false;
+  }
+};
+
+// Update the in-memory state of this tab after a change in another tab
+// The other tab already wrote to storage, so nothing is written here
+const handleTabMessage = async ({ type, account, ...data }) => {
+  // Nothing is loaded yet; initStorage will read the latest data
+  if (!initPromise) return;
+
+  // Another tab logged in with a different account, whose login cookie this tab now sends too
+  if (type === 'account-changed') {
+    if (account !== storageUserId) window.location.reload();
+    return;
+  }
+
+  // Changes to the storage of another account
+  if (account !== storageUserId) return;
+
+  // Everything in memory (or the lock screen) was set up with the old encryption settings
+  if (type === 'encryption-changed') {
+    window.location.reload();
+    return;
+  }
+
+  await initPromise;
+
+  switch (type) {
+    case 'conversation-saved': {
+      const { conversationId } = data;
+      const record = await backend.readConversation(conversationId);
+      const conversation = migrateConversation(record);
+      if (!conversation) return;
+
+      const previous = lastKnownConversations.get(conversationId)?.conversation || null;
+      lastKnownConversations.set(conversationId, { conversation, syncedAt: record.syncedAt || null });
+      updateSearchIndex(index => index.addConversation(conversationId, conversation.messages));
+      conversationListeners.forEach(listener => listener(conversationId, conversation, previous));
+      break;
+    }
+    case 'conversation-removed': {
+      const { conversationId } = data;
+      const previous = lastKnownConversations.get(conversationId)?.conversation || null;
+
+      clearTimeout(syncTimers[conversationId]);
+      lastKnownConversations.delete(conversationId);
+      updateSearchIndex(index => index.removeConversation(conversationId));
+      conversationListeners.forEach(listener => listener(conversationId, null, previous));
+      break;
+    }
+    case 'index':
+      applyIndexChanges(data.changes);
+      break;
+    case 'folders':
+      folderNames = data.names;
+      notifyIndexListeners();
+      break;
+    case 'pending':
+      applyPendingSync(data.conversationId, data.operation);
+      break;
+    case 'preferences':
+      preferencesCache = data.preferences;
+      preferenceListeners.forEach(listener => listener(preferencesCache));
+      break;
+    case 'bookmarks':
+      lastKnownBookmarks.set(data.userId, JSON.stringify(data.bookmarks));
+      bookmarkListeners.forEach(listener => listener(data.userId, data.bookmarks));
+      break;
+
+    default:
+      break;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  // Push queued changes as soon as the connection comes back
+  window.addEventListener('online', () => {
+    flushPendingSync();
+  });
+
+  subscribeToTabMessages(handleTabMessage);
+}
+
+// Get bookmarked messages of a user
+export const getBookmarks = async (userId) => {
+  if (typeof window === 'undefined') {
+    return {};
+  }
+
+  try {
+    await initStorage();
+    const bookmarks = (await backend.readValue(STORES.bookmarks, userId)) || {};
+    lastKnownBookmarks.set(userId, JSON.stringify(bookmarks));
+    return bookmarks;
+  } catch (error) {
+    console.error('Error retrieving bookmarks:', error);
+    return {};
+  }
+};
+
+// Save bookmarked messages of a user
+export const saveBookmarks = async (userId, bookmarks) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  try {
+    await initStorage();
+
+    // Already stored, e.g. bookmarks that just came from another tab
+    const serialized = JSON.stringify(bookmarks);
+    if (lastKnownBookmarks.get(userId) === serialized) return true;
+
+    await backend.writeValue(STORES.bookmarks, userId, bookmarks);
+    lastKnownBookmarks.set(userId, serialized);
+    postStorageMessage('bookmarks', { userId, bookmarks });
     return true;
   } catch (error) {
-    console.error('Error saving user preferences:', error);
+    console.error('Error saving bookmarks:', error);
+    return false;
+  }
+};
+
+// Save user preferences
+// Updates the in-memory copy right away and writes to storage in the background
+export const saveUserPreferences = (preferences) => {
+  if (typeof window === 'undefined') {
     return false;
   }
+
+  preferencesCache = preferences;
+  postStorageMessage('preferences', { preferences });
+  initStorage()
+    .then(() => backend.writeValue(STORES.preferences, LOCAL_STORAGE_KEYS.preferences, createPreferencesEnvelope(preferences)))
+    .catch(error => console.error('Error saving user preferences:', error));
+  return true;
 };
 
 // Get user preferences
+// Synchronous for convenience; returns null until initStorage has finished
 export const getUserPreferences = () => {
   if (typeof window === 'undefined') {
     return null;
   }
-  
+
+  return preferencesCache;
+};
+
+// Call a listener with the new preferences when another tab changes them
+// Returns a function that removes the listener
+export const subscribeToPreferences = (listener) => {
+  preferenceListeners.add(listener);
+  return () => preferenceListeners.delete(listener);
+};
+
+// Call a listener with (userId, bookmarks) when another tab changes bookmarks
+// Returns a function that removes the listener
+export const subscribeToBookmarks = (listener) => {
+  bookmarkListeners.add(listener);
+  return () => bookmarkListeners.delete(listener);
+};
+
+// Encryption state: 'loading', 'off', 'locked' or 'unlocked'
+export const getEncryptionStatus = () => {
+  return encryptionStatus;
+};
+
+// Call a listener with the new encryption state whenever it changes
+// Returns a function that removes the listener
+export const subscribeToEncryptionStatus = (listener) => {
+  encryptionListeners.add(listener);
+  return () => encryptionListeners.delete(listener);
+};
+
+// Resolves once the encryption settings have been read
+const whenEncryptionStatusKnown = () => {
+  if (encryptionStatus !== 'loading') return Promise.resolve();
+
+  return new Promise(resolve => {
+    const unsubscribe = subscribeToEncryptionStatus(() => {
+      unsubscribe();
+      resolve();
+    });
+  });
+};
+
+// Unlock encrypted storage with its passphrase
+// Resolves to true once storage can be used (also when it is not encrypted), false for a wrong passphrase
+export const unlockStorage = async (passphrase) => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  initStorage();
+  await whenEncryptionStatusKnown();
+  if (encryptionStatus !== 'locked') return true;
+  if (!passphrase) return false;
+
+  const key = await deriveKey(passphrase, encryptionSettings.salt, encryptionSettings.iterations);
+  if (!(await verifyKey(key, encryptionSettings.check))) return false;
+
+  // Another attempt may have unlocked storage while the key was being derived
+  if (resolveUnlock) resolveUnlock(key);
+  return true;
+};
+
+// Encrypt everything stored in this browser with a key derived from a passphrase
+export const enableEncryption = async (passphrase) => {
+  if (typeof window === 'undefined' || !isCryptoAvailable()) {
+    return false;
+  }
+
+  await initStorage();
+  if (encryptionStatus !== 'off' || !passphrase) return false;
+
+  const salt = createSalt();
+  const key = await deriveKey(passphrase, salt);
+  const settings = { salt, iterations: PBKDF2_ITERATIONS, check: await createKeyCheck(key) };
+
+  // Saved first: the encrypted backend also reads data that is not rewritten yet,
+  // so an interrupted run is finished by later saves instead of losing data
+  await plainBackend.writeValue(STORES.meta, ENCRYPTION_SETTINGS_KEY, settings);
+  encryptionSettings = settings;
+  backend = createEncryptedBackend(plainBackend, key, isPrivateValue);
+  setEncryptionStatus('unlocked');
+
   try {
-    const data = localStorage.getItem('user_preferences');
-    return data ? JSON.parse(data) : null;
+    await rewriteStoredData(backend, backend);
   } catch (error) {
-    console.error('Error retrieving user preferences:', error);
-    return null;
+    console.error('Error encrypting stored data:', error);
+  }
+
+  postStorageMessage('encryption-changed');
+  return true;
+};
+
+// Decrypt everything and turn encryption off; storage has to be unlocked
+export const disableEncryption = async () => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  await initStorage();
+  if (encryptionStatus !== 'unlocked') return false;
+
+  const encryptedBackend = backend;
+  backend = plainBackend;
+
+  try {
+    await rewriteStoredData(encryptedBackend, plainBackend);
+  } catch (error) {
+    // Part of the data may still be encrypted, so the settings have to stay
+    console.error('Error decrypting stored data:', error);
+    backend = encryptedBackend;
+    return false;
+  }
+
+  // Only removed once nothing encrypted is left
+  await plainBackend.removeValue(STORES.meta, ENCRYPTION_SETTINGS_KEY);
+  encryptionSettings = null;
+  setEncryptionStatus('off');
+
+  postStorageMessage('encryption-changed');
+  return true;
+};
+
+// For a forgotten passphrase: delete everything stored in this browser and turn encryption off
+// Conversations already synced to the account are downloaded again by the next sync
+export const resetEncryptedStorage = async () => {
+  if (typeof window === 'undefined') {
+    return false;
+  }
+
+  initStorage();
+  await whenEncryptionStatusKnown();
+  if (encryptionStatus !== 'locked') return false;
+
+  for (const { id } of await plainBackend.listConversations()) {
+    await plainBackend.removeConversation(id);
+  }
+  for (const userId of await plainBackend.listKeys(STORES.bookmarks)) {
+    await plainBackend.removeValue(STORES.bookmarks, userId);
+  }
+  for (const key of [INDEX_KEY, FOLDERS_KEY, LOCAL_STORAGE_KEYS.pendingSync, ENCRYPTION_SETTINGS_KEY]) {
+    await plainBackend.removeValue(STORES.meta, key);
   }
-};
\ No newline at end of file
+
+  encryptionSettings = null;
+  if (resolveUnlock) resolveUnlock(null);
+
+  postStorageMessage('encryption-changed');
+  return true;
+};
+
+// Data stored in this browser before each account had its own storage, while the user is asked
+// about it: {conversationCount}, or null
+export const getSharedDataOffer = () => {
+  return sharedDataOffer;
+};
+
+// Call a listener with the new offer (or null once answered) whenever it changes
+// Returns a function that removes the listener
+export const subscribeToSharedDataOffer = (listener) => {
+  sharedDataListeners.add(listener);
+  return () => sharedDataListeners.delete(listener);
+};
+
+// Take over the offered data into the logged in account, or leave it for the other accounts
+// Storage finishes loading once this is answered; the question is not asked again for this account
+export const answerSharedDataOffer = (adopt) => {
+  if (!resolveSharedDataOffer) return false;
+
+  resolveSharedDataOffer(Boolean(adopt));
+  return true;
+};
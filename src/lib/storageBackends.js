@@ -0,0 +1,303 @@
+/**
+ * Storage backends behind lib/storage
+ *
+ * Each backend is created for one place to keep data (an IndexedDB database
+ * or a localStorage key prefix), so every account gets its own. Both kinds
+ * expose the same async interface:
+ *   readConversation(id), writeConversation(id, record), removeConversation(id),
+ *   listConversations() => [{id, updatedAt, syncedAt}],
+ *   readValue(store, key), writeValue(store, key, value), removeValue(store, key),
+ *   listKeys(store)
+ * where a conversation record is {messages, activeLeafId, personaId, updatedAt, syncedAt, schemaVersion}.
+ *
+ * The IndexedDB backend keeps messages in their own store and only writes
+ * the ones that changed; the localStorage backend is the fallback for
+ * browsers without IndexedDB. Either one can be wrapped by
+ * createEncryptedBackend to encrypt messages and private values at rest.
+ */
+
+import {
+  STORES,
+  toStorageError,
+  withTransaction,
+  getRecord,
+  getAllRecords,
+  getAllKeys,
+  putRecord,
+  deleteRecord
+} from './idb';
+import { parseJSON } from './storageSchema';
+import { encryptValue, decryptValue, isEncryptedValue } from './encryption';
+
+// Key prefixes used by the localStorage backend (and by data from before IndexedDB)
+export const LOCAL_STORAGE_KEYS = {
+  conversation: 'chat_',
+  bookmarks: 'bookmarks_',
+  preferences: 'user_preferences',
+  pendingSync: 'pending_conversation_sync'
+};
+
+/**
+ * Create a backend for one IndexedDB database
+ * @param {string} dbName - Database name
+ * @returns {Object} Backend
+ */
+export const createIndexedDbBackend = (dbName) => {
+  // Message objects known to match what is stored, so unchanged ones are not rewritten
+  const persistedMessages = new WeakSet();
+
+  return {
+    name: 'indexeddb',
+
+    async readConversation(conversationId) {
+      const conversation = await getRecord(dbName, STORES.conversations, conversationId);
+      if (!conversation) return null;
+
+      const storedMessages = await getAllRecords(dbName, STORES.messages, {
+        index: 'conversationId',
+        value: conversationId
+      });
+
+      // Restore the original order; the store is sorted by message ID
+      const messages = storedMessages
+        .sort((a, b) => a.position - b.position)
+        .map(({ conversationId: _conversationId, position: _position, ...msg }) => {
+          persistedMessages.add(msg);
+          return msg;
+        });
+
+      const { id: _id, ...record } = conversation;
+      return { ...record, messages };
+    },
+
+    async writeConversation(conversationId, { messages, ...record }) {
+      const written = [];
+
+      await withTransaction(dbName, [STORES.conversations, STORES.messages], 'readwrite', (transaction) => {
+        const messageStore = transaction.objectStore(STORES.messages);
+        const currentIds = new Set(messages.map(msg => msg.id));
+
+        transaction.objectStore(STORES.conversations).put({ ...record, id: conversationId });
+
+        messageStore.index('conversationId').getAllKeys(conversationId).onsuccess = (event) => {
+          // Remove messages that are no longer part of the conversation
+          const staleKeys = event.target.result.filter(([, messageId]) => !currentIds.has(messageId));
+          staleKeys.forEach(key => messageStore.delete(key));
+
+          // New messages are only ever appended, but a removal shifts every position after it
+          messages.forEach((msg, position) => {
+            if (staleKeys.length === 0 && persistedMessages.has(msg)) return;
+
+            messageStore.put({ ...msg, conversationId, position });
+            written.push(msg);
+          });
+        };
+      });
+
+      written.forEach(msg => persistedMessages.add(msg));
+    },
+
+    async removeConversation(conversationId) {
+      await withTransaction(dbName, [STORES.conversations, STORES.messages], 'readwrite', (transaction) => {
+        const messageStore = transaction.objectStore(STORES.messages);
+
+        transaction.objectStore(STORES.conversations).delete(conversationId);
+        messageStore.index('conversationId').getAllKeys(conversationId).onsuccess = (event) => {
+          event.target.result.forEach(key => messageStore.delete(key));
+        };
+      });
+    },
+
+    async listConversations() {
+      const conversations = await getAllRecords(dbName, STORES.conversations);
+      return conversations.map(({ id, updatedAt, syncedAt }) => ({ id, updatedAt, syncedAt }));
+    },
+
+    async readValue(storeName, key) {
+      const record = await getRecord(dbName, storeName, key);
+      return record ? record.value : null;
+    },
+
+    async writeValue(storeName, key, value) {
+      await putRecord(dbName, storeName, { key, value });
+    },
+
+    async removeValue(storeName, key) {
+      await deleteRecord(dbName, storeName, key);
+    },
+
+    async listKeys(storeName) {
+      return getAllKeys(dbName, storeName);
+    }
+  };
+};
+
+// Read a JSON value from localStorage; unreadable values are reported and treated as missing
+const getLocalItem = (key) => {
+  const data = localStorage.getItem(key);
+  const value = parseJSON(data);
+
+  if (data && value === null) {
+    console.warn(`Ignoring unreadable localStorage entry "${key}"`);
+  }
+  return value;
+};
+
+// Write to localStorage, reporting a full quota as a storage error
+const setLocalItem = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    throw toStorageError(error);
+  }
+};
+
+/**
+ * Create a backend for the localStorage keys starting with a prefix
+ * @param {string} [prefix] - Key prefix; '' for the keys from before data was kept per account
+ * @returns {Object} Backend
+ */
+export const createLocalStorageBackend = (prefix = '') => {
+  const conversationPrefix = `${prefix}${LOCAL_STORAGE_KEYS.conversation}`;
+  const bookmarksPrefix = `${prefix}${LOCAL_STORAGE_KEYS.bookmarks}`;
+
+  // localStorage key for a value in one of the IndexedDB stores
+  const localKeyFor = (storeName, key) => {
+    return storeName === STORES.bookmarks ? `${bookmarksPrefix}${key}` : `${prefix}${key}`;
+  };
+
+  return {
+    name: 'localstorage',
+
+    async readConversation(conversationId) {
+      return getLocalItem(`${conversationPrefix}${conversationId}`);
+    },
+
+    async writeConversation(conversationId, record) {
+      setLocalItem(`${conversationPrefix}${conversationId}`, record);
+    },
+
+    async removeConversation(conversationId) {
+      localStorage.removeItem(`${conversationPrefix}${conversationId}`);
+    },
+
+    async listConversations() {
+      return Object.keys(localStorage)
+        .filter(key => key.startsWith(conversationPrefix))
+        .map(key => {
+          const id = key.slice(conversationPrefix.length);
+          const { updatedAt = null, syncedAt = null } = parseJSON(localStorage.getItem(key)) || {};
+          return { id, updatedAt, syncedAt };
+        });
+    },
+
+    async readValue(storeName, key) {
+      return getLocalItem(localKeyFor(storeName, key));
+    },
+
+    async writeValue(storeName, key, value) {
+      setLocalItem(localKeyFor(storeName, key), value);
+    },
+
+    async removeValue(storeName, key) {
+      localStorage.removeItem(localKeyFor(storeName, key));
+    },
+
+    // Only bookmarks have their own key prefix; other stores cannot be listed
+    async listKeys(storeName) {
+      if (storeName !== STORES.bookmarks) return [];
+
+      return Object.keys(localStorage)
+        .filter(key => key.startsWith(bookmarksPrefix))
+        .map(key => key.slice(bookmarksPrefix.length));
+    }
+  };
+};
+
+/**
+ * Wrap a backend so messages and private values are encrypted at rest
+ * Conversation records keep their IDs and timestamps in the clear so they can
+ * still be listed and synced; each message is stored as {id, encrypted}.
+ * Data written before encryption was turned on is read as-is.
+ * @param {Object} backend - Backend to wrap
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Function} isPrivateValue - (store, key) => true for values to encrypt
+ * @returns {Object} Backend with the same interface
+ */
+export const createEncryptedBackend = (backend, key, isPrivateValue) => {
+  // Stored form of every message object, so unchanged messages are not encrypted or written again
+  const storedMessages = new WeakMap();
+
+  // Writes to the same conversation or value finish in order, even though encrypting is async
+  const writeQueues = new Map();
+  const enqueue = (queueKey, write) => {
+    const queued = (writeQueues.get(queueKey) || Promise.resolve()).catch(() => {}).then(write);
+    writeQueues.set(queueKey, queued);
+    queued.finally(() => {
+      if (writeQueues.get(queueKey) === queued) writeQueues.delete(queueKey);
+    }).catch(() => {});
+    return queued;
+  };
+
+  const encryptMessage = async (msg) => {
+    if (!storedMessages.has(msg)) {
+      storedMessages.set(msg, { id: msg.id, encrypted: await encryptValue(key, msg) });
+    }
+    return storedMessages.get(msg);
+  };
+
+  const decryptMessage = async (stored) => {
+    if (!isEncryptedValue(stored?.encrypted)) return stored;
+
+    const msg = await decryptValue(key, stored.encrypted);
+    storedMessages.set(msg, stored);
+    return msg;
+  };
+
+  return {
+    name: `${backend.name}-encrypted`,
+
+    async readConversation(conversationId) {
+      const record = await backend.readConversation(conversationId);
+      if (!record || !Array.isArray(record.messages)) return record;
+
+      return { ...record, messages: await Promise.all(record.messages.map(decryptMessage)) };
+    },
+
+    writeConversation(conversationId, { messages, ...record }) {
+      return enqueue(`conversation:${conversationId}`, async () => {
+        await backend.writeConversation(conversationId, {
+          ...record,
+          messages: await Promise.all(messages.map(encryptMessage))
+        });
+      });
+    },
+
+    removeConversation(conversationId) {
+      return enqueue(`conversation:${conversationId}`, () => backend.removeConversation(conversationId));
+    },
+
+    listConversations() {
+      return backend.listConversations();
+    },
+
+    async readValue(storeName, valueKey) {
+      const value = await backend.readValue(storeName, valueKey);
+      return isPrivateValue(storeName, valueKey) && isEncryptedValue(value) ? decryptValue(key, value) : value;
+    },
+
+    writeValue(storeName, valueKey, value) {
+      return enqueue(`${storeName}:${valueKey}`, async () => {
+        await backend.writeValue(storeName, valueKey, isPrivateValue(storeName, valueKey) ? await encryptValue(key, value) : value);
+      });
+    },
+
+    removeValue(storeName, valueKey) {
+      return enqueue(`${storeName}:${valueKey}`, () => backend.removeValue(storeName, valueKey));
+    },
+
+    listKeys(storeName) {
+      return backend.listKeys(storeName);
+    }
+  };
+};
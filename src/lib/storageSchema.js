@@ -0,0 +1,289 @@
+/**
+ * Versioned schema for data kept in the browser
+ *
+ * Conversation records and preferences are stored with a `schemaVersion`.
+ * Data written before versioning (or by an older version of the app) is
+ * upgraded one version at a time by the migrations below when it is loaded,
+ * then checked: broken messages and settings are repaired where possible and
+ * dropped otherwise, so a corrupted entry never breaks loading.
+ *
+ * To change a stored shape, bump SCHEMA_VERSION and add a migration from the
+ * previous version.
+ */
+
+import { normalizeConversation } from './branches';
+import { encryptWithPassphrase, decryptWithPassphrase } from './encryption';
+
+export const SCHEMA_VERSION = 2;
+
+// Data without a schemaVersion was written before versioning
+export const UNVERSIONED = 1;
+
+// Marks files written by the chat export
+export const EXPORT_FORMAT = 'ai-peter-conversation';
+
+const ROLES = ['user', 'assistant', 'system'];
+
+// Migrations from each version to the next
+const conversationMigrations = {
+  // 1 -> 2: legacy flat message arrays become {messages} records
+  1: (data) => Array.isArray(data) ? { messages: data } : data
+};
+
+const preferenceMigrations = {
+  // 1 -> 2: preferences are stored in a {schemaVersion, preferences} envelope
+  1: (data) => ({ preferences: data })
+};
+
+const isPlainObject = (value) => {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Parse JSON without throwing
+ * @param {string|null} text - JSON text
+ * @returns {*} Parsed value, or null if the text is missing or not valid JSON
+ */
+export function parseJSON(text) {
+  if (typeof text !== 'string' || !text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Run the migrations between a version and the current one
+const runMigrations = (migrations, data, version) => {
+  let migrated = data;
+  for (let current = version; current < SCHEMA_VERSION; current++) {
+    if (migrations[current]) migrated = migrations[current](migrated);
+  }
+  return migrated;
+};
+
+/**
+ * Repair a stored message
+ * Valid messages are returned as-is so they keep their identity.
+ * @param {Object} msg - Stored message
+ * @param {number} position - Position in the conversation, used for missing IDs
+ * @returns {Object|null} Message, a repaired copy, or null if it cannot be used
+ */
+export function repairMessage(msg, position) {
+  if (!isPlainObject(msg) || !ROLES.includes(msg.role)) return null;
+  if (msg.content != null && typeof msg.content === 'object') return null;
+
+  const repaired = { ...msg };
+  let changed = false;
+
+  if (typeof msg.id !== 'string' || !msg.id) {
+    repaired.id = typeof msg.id === 'number' ? String(msg.id) : `restored-${position}`;
+    changed = true;
+  }
+  if (typeof msg.content !== 'string') {
+    repaired.content = msg.content == null ? '' : String(msg.content);
+    changed = true;
+  }
+  if (msg.timestamp !== undefined && Number.isNaN(new Date(msg.timestamp).getTime())) {
+    delete repaired.timestamp;
+    changed = true;
+  }
+  // Left by older versions that stored replies while they streamed
+  if ('isStreaming' in msg) {
+    if (msg.isStreaming && !repaired.content) return null;
+    delete repaired.isStreaming;
+    changed = true;
+  }
+
+  return changed ? repaired : msg;
+}
+
+/**
+ * Remove in-memory UI state from a conversation before it is stored
+ * A reply that is still streaming is kept with the text received so far, so
+ * it can be regenerated after a reload; one without any text yet is left out.
+ * @param {Object} conversation - {messages, activeLeafId, ...}
+ * @returns {Object} Conversation safe to store, the same object if nothing changed
+ */
+export function stripTransientState(conversation) {
+  const { messages, activeLeafId } = conversation;
+  if (!Array.isArray(messages) || !messages.some(msg => msg && 'isStreaming' in msg)) {
+    return conversation;
+  }
+
+  let leafId = activeLeafId;
+  const stored = [];
+
+  messages.forEach(msg => {
+    if (!msg || !('isStreaming' in msg)) {
+      stored.push(msg);
+      return;
+    }
+
+    const { isStreaming, ...rest } = msg;
+    if (isStreaming && !rest.content) {
+      if (msg.id === leafId) leafId = msg.parentId || null;
+      return;
+    }
+    stored.push(rest);
+  });
+
+  return { ...conversation, messages: stored, activeLeafId: leafId };
+}
+
+/**
+ * Repair the messages of a conversation tree
+ * Duplicate IDs are dropped, and a parent has to come before its children,
+ * otherwise the message is attached to the one before it.
+ * @param {Array} messages - Stored messages
+ * @returns {Array} Usable messages, keeping the identity of unchanged ones
+ */
+export function repairMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+
+  const seen = new Set();
+  const repaired = [];
+
+  messages.forEach((msg, position) => {
+    let message = repairMessage(msg, position);
+    if (!message || seen.has(message.id)) return;
+
+    // Messages without a parentId are linked later by normalizeConversation
+    const { parentId } = message;
+    if (parentId !== undefined && parentId !== null && !seen.has(parentId)) {
+      message = { ...message, parentId: repaired.length > 0 ? repaired[repaired.length - 1].id : null };
+    }
+
+    seen.add(message.id);
+    repaired.push(message);
+  });
+
+  return repaired;
+}
+
+/**
+ * Upgrade and repair a stored conversation
+ * @param {Array|Object|null} data - Stored record or legacy message array
+ * @returns {Object|null} {messages, activeLeafId, personaId?}, or null if nothing usable is left
+ */
+export function migrateConversation(data) {
+  if (!Array.isArray(data) && !isPlainObject(data)) return null;
+
+  const version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : UNVERSIONED;
+  const record = runMigrations(conversationMigrations, data, version);
+  if (!isPlainObject(record)) return null;
+
+  return normalizeConversation({
+    ...record,
+    messages: repairMessages(record.messages),
+    personaId: typeof record.personaId === 'string' ? record.personaId : undefined
+  });
+}
+
+/**
+ * Upgrade and repair stored preferences
+ * @param {Object|null} data - Stored preferences, with or without the envelope
+ * @returns {Object|null} Preferences, or null if none were stored
+ */
+export function migratePreferences(data) {
+  if (!isPlainObject(data)) return null;
+
+  const version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : UNVERSIONED;
+  const { preferences } = runMigrations(preferenceMigrations, data, version);
+  if (!isPlainObject(preferences)) return {};
+
+  const repaired = { ...preferences };
+
+  if ('personas' in repaired) {
+    repaired.personas = Array.isArray(repaired.personas)
+      ? repaired.personas.filter(persona => isPlainObject(persona) &&
+        typeof persona.id === 'string' && typeof persona.name === 'string')
+      : [];
+  }
+  if ('defaultPersonaId' in repaired && typeof repaired.defaultPersonaId !== 'string') {
+    delete repaired.defaultPersonaId;
+  }
+  if ('trashRetentionDays' in repaired &&
+    !(Number.isInteger(repaired.trashRetentionDays) && repaired.trashRetentionDays > 0)) {
+    delete repaired.trashRetentionDays;
+  }
+
+  return repaired;
+}
+
+/**
+ * Wrap preferences for storage
+ * @param {Object} preferences - User preferences
+ * @returns {Object} {schemaVersion, preferences}
+ */
+export function createPreferencesEnvelope(preferences) {
+  return { schemaVersion: SCHEMA_VERSION, preferences };
+}
+
+/**
+ * Build the JSON export of a conversation
+ * @param {Array} messages - Messages to export
+ * @returns {Object} {format, schemaVersion, exportedAt, conversation}
+ */
+export function createConversationExport(messages) {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: { messages }
+  };
+}
+
+/**
+ * Build the JSON export of a conversation, encrypted with its own passphrase
+ * @param {Array} messages - Messages to export
+ * @param {string} passphrase - Passphrase needed to import the file
+ * @returns {Promise<Object>} {format, schemaVersion, exportedAt, encrypted}
+ */
+export async function createEncryptedConversationExport(messages, passphrase) {
+  const { conversation, ...envelope } = createConversationExport(messages);
+  return { ...envelope, encrypted: await encryptWithPassphrase(conversation, passphrase) };
+}
+
+/**
+ * Check whether parsed export data is encrypted
+ * @param {*} data - Parsed export file
+ * @returns {boolean} True if a passphrase is needed to read it
+ */
+export function isEncryptedExport(data) {
+  return isPlainObject(data) && data.format === EXPORT_FORMAT && isPlainObject(data.encrypted);
+}
+
+/**
+ * Read parsed export data
+ * Accepts current exports as well as the plain message arrays of older ones.
+ * @param {*} data - Parsed export file
+ * @returns {Object|null} {messages, activeLeafId}, or null if it is not a usable export
+ */
+export function readConversationExport(data) {
+  if (!data) return null;
+
+  let conversation = data;
+  if (isPlainObject(data) && data.format === EXPORT_FORMAT) {
+    if (!isPlainObject(data.conversation)) return null;
+    conversation = { ...data.conversation, schemaVersion: data.schemaVersion };
+  }
+
+  const migrated = migrateConversation(conversation);
+  return migrated && migrated.messages.some(msg => msg.role === 'user') ? migrated : null;
+}
+
+/**
+ * Decrypt and read an encrypted export
+ * @param {Object} data - Parsed export file (see isEncryptedExport)
+ * @param {string} passphrase - Passphrase the file was exported with
+ * @returns {Promise<Object|null>} {messages, activeLeafId}, or null if the decrypted data is not usable
+ * @throws {Error} With code 'decryption_failed' for a wrong passphrase
+ */
+export async function decryptConversationImport(data, passphrase) {
+  const { encrypted, ...envelope } = data;
+  const conversation = await decryptWithPassphrase(encrypted, passphrase);
+
+  return readConversationExport({ ...envelope, conversation });
+}
@@ -0,0 +1,84 @@
+/**
+ * Messages between open tabs of the app
+ *
+ * Storage changes are announced to the other tabs so they can update their
+ * in-memory state. Uses a BroadcastChannel where available and falls back to
+ * storage events (a localStorage key that is written and removed right away)
+ * in older browsers. A tab never receives its own messages.
+ */
+
+import { parseJSON } from './storageSchema';
+
+const CHANNEL_NAME = 'ai-peter-tabs';
+
+// localStorage key used by the storage event fallback
+const STORAGE_EVENT_KEY = 'tab_sync_message';
+
+const listeners = new Set();
+let channel = null;
+let started = false;
+
+const deliver = (message) => {
+  if (!message || typeof message.type !== 'string') return;
+
+  listeners.forEach(listener => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('Error handling message from another tab:', error);
+    }
+  });
+};
+
+// Start listening the first time it is needed
+const start = () => {
+  if (started || typeof window === 'undefined') return;
+  started = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_EVENT_KEY && event.newValue) {
+      deliver(parseJSON(event.newValue));
+    }
+  });
+};
+
+/**
+ * Send a message to every other open tab
+ * @param {string} type - Message type
+ * @param {Object} [data] - JSON serializable payload
+ */
+export function postTabMessage(type, data = {}) {
+  if (typeof window === 'undefined') return;
+  start();
+
+  const message = { ...data, type };
+
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      // The nonce makes repeated messages still count as a change
+      localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({ ...message, nonce: `${Date.now()}-${Math.random()}` }));
+      localStorage.removeItem(STORAGE_EVENT_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error.message);
+  }
+}
+
+/**
+ * Listen to messages from other tabs
+ * @param {Function} listener - Called with every message {type, ...data}
+ * @returns {Function} Removes the listener
+ */
+export function subscribeToTabMessages(listener) {
+  start();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,63 @@
+/**
+ * User store registry
+ *
+ * Every store exposes the same per-record interface:
+ *   { name, listUsers(), getUserById(id), getUserByEmail(email),
+ *     insertUser(user), updateUser(id, update), deleteUser(id) }
+ * All methods are async. updateUser gets a synchronous `update(current)`
+ * that returns the new record and runs atomically with the write, so
+ * concurrent changes are never lost. insertUser and updateUser throw an
+ * error with code 'email_taken' when the email belongs to another user;
+ * emails are compared case insensitively.
+ *
+ * The active store is chosen with the USER_DB_ADAPTER environment variable:
+ *   - json (default): JSON file at USER_DB_PATH
+ *   - sqlite: SQLite database at USER_DB_PATH (needs better-sqlite3)
+ *   - memory: lost when the server instance stops, for tests
+ *
+ * In production both variables are required: the default path under the
+ * working directory is read-only on serverless hosts such as Netlify, and
+ * silently falling back to it would only fail on the first write.
+ */
+
+import { configurationError, assertProductionConfig } from '../serverStore';
+import memory from './memory';
+import jsonFile from './jsonFile';
+import sqlite from './sqlite';
+
+const stores = {
+  [memory.name]: memory,
+  [jsonFile.name]: jsonFile,
+  [sqlite.name]: sqlite
+};
+
+const DEFAULT_STORE = 'json';
+
+// Stores that keep their data in a file at USER_DB_PATH
+const FILE_STORES = [jsonFile.name, sqlite.name];
+
+const LABEL = 'User store';
+
+/**
+ * Get a user store by name
+ * @param {string} [name] - Store name, defaults to USER_DB_ADAPTER
+ * @returns {Object} User store
+ */
+export function getUserStore(name = process.env.USER_DB_ADAPTER || DEFAULT_STORE) {
+  const store = stores[name];
+
+  if (!store) {
+    throw configurationError(LABEL, `unknown user store "${name}"`);
+  }
+
+  assertProductionConfig({
+    label: LABEL,
+    name,
+    names: Object.keys(stores),
+    adapterVariable: 'USER_DB_ADAPTER',
+    pathVariable: 'USER_DB_PATH',
+    fileStores: FILE_STORES
+  });
+
+  return store;
+}
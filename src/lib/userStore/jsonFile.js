@@ -0,0 +1,35 @@
+/**
+ * JSON file user store
+ *
+ * Keeps users in a JSON file on disk (USER_DB_PATH, by default
+ * .data/users.json in the working directory). Needs the Node.js runtime
+ * and a writable file system.
+ *
+ * Writes go to a temporary file that is renamed over the database, so a
+ * crash never leaves a half-written file. Changes are serialized within the
+ * process and, through a lock file next to the database, across processes
+ * sharing the same file.
+ */
+
+import path from 'path';
+import { createLock, withFileLock, readJsonFile, writeFileAtomic } from '../serverStore';
+import { createCollectionStore } from './utils';
+
+const getFilePath = () => process.env.USER_DB_PATH || path.join(process.cwd(), '.data', 'users.json');
+
+const processLock = createLock();
+
+export default createCollectionStore({
+  name: 'json',
+
+  // Hold both the in-process lock and the lock file while changing users
+  lock: (task) => processLock(() => withFileLock(getFilePath(), task)),
+
+  async load() {
+    return readJsonFile(getFilePath(), []);
+  },
+
+  async save(users) {
+    await writeFileAtomic(getFilePath(), JSON.stringify(users, null, 2));
+  }
+});
@@ -0,0 +1,26 @@
+/**
+ * In-memory user store
+ *
+ * Keeps users in the global Edge Runtime storage, so they only live as long
+ * as the server instance. Meant for tests and local experiments.
+ */
+
+import { createCollectionStore } from './utils';
+
+const STORAGE_KEY = 'next_users_db';
+
+// Global in-memory storage, shared with lib/conversationDb
+global.EDGE_RUNTIME_STORAGE = global.EDGE_RUNTIME_STORAGE || {};
+
+export default createCollectionStore({
+  name: 'memory',
+
+  async load() {
+    const data = global.EDGE_RUNTIME_STORAGE[STORAGE_KEY];
+    return data ? JSON.parse(data) : [];
+  },
+
+  async save(users) {
+    global.EDGE_RUNTIME_STORAGE[STORAGE_KEY] = JSON.stringify(users);
+  }
+});
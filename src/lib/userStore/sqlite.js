@@ -0,0 +1,129 @@
+/**
+ * SQLite user store
+ *
+ * Keeps users in a SQLite database (USER_DB_PATH, by default
+ * .data/users.sqlite in the working directory), one row per user. Needs the
+ * Node.js runtime and `better-sqlite3`, an optional dependency (it builds a
+ * native module, so installs that cannot build it skip it) loaded only when
+ * this store is used.
+ *
+ * Updates run in IMMEDIATE transactions and a unique index on the
+ * normalized email rejects duplicate registrations, also between processes.
+ */
+
+import path from 'path';
+import { openSqliteDatabase } from '../serverStore';
+import { normalizeEmail, emailTakenError } from './utils';
+
+const NAME = 'sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email);
+`;
+
+const getFilePath = () => process.env.USER_DB_PATH || path.join(process.cwd(), '.data', 'users.sqlite');
+
+const openDatabase = () => openSqliteDatabase(getFilePath(), SCHEMA, 'USER_DB_ADAPTER');
+
+const toUser = (row) => row ? JSON.parse(row.data) : null;
+
+// Turn a unique index violation on the email into the shared error
+const rethrowConstraint = (error) => {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && error.message.includes('users.email')) {
+    throw emailTakenError();
+  }
+  throw error;
+};
+
+/**
+ * List every user, in the order they registered
+ * @returns {Promise<Array>} Users
+ */
+async function listUsers() {
+  const database = await openDatabase();
+  return database.prepare('SELECT data FROM users ORDER BY rowid').all().map(toUser);
+}
+
+/**
+ * Get a user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} User or null
+ */
+async function getUserById(id) {
+  const database = await openDatabase();
+  return toUser(database.prepare('SELECT data FROM users WHERE id = ?').get(id));
+}
+
+/**
+ * Get a user by email (case insensitive)
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} User or null
+ */
+async function getUserByEmail(email) {
+  const database = await openDatabase();
+  return toUser(database.prepare('SELECT data FROM users WHERE email = ?').get(normalizeEmail(email)));
+}
+
+/**
+ * Add a user
+ * @param {Object} user - New user
+ * @returns {Promise<Object>} The user
+ * @throws {Error} With code 'email_taken' if the email is registered
+ */
+async function insertUser(user) {
+  const database = await openDatabase();
+
+  try {
+    database.prepare('INSERT INTO users (id, email, data) VALUES (?, ?, ?)')
+      .run(user.id, normalizeEmail(user.email), JSON.stringify(user));
+  } catch (error) {
+    rethrowConstraint(error);
+  }
+  return user;
+}
+
+/**
+ * Change a user in one transaction
+ * @param {string} id - User ID
+ * @param {Function} update - Gets the current user, returns the new one (synchronously)
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ * @throws {Error} With code 'email_taken' if the new email belongs to another user
+ */
+async function updateUser(id, update) {
+  const database = await openDatabase();
+
+  const run = database.transaction(() => {
+    const current = toUser(database.prepare('SELECT data FROM users WHERE id = ?').get(id));
+    if (!current) return null;
+
+    const updatedUser = { ...update(current), id };
+    database.prepare('UPDATE users SET email = ?, data = ? WHERE id = ?')
+      .run(normalizeEmail(updatedUser.email), JSON.stringify(updatedUser), id);
+    return updatedUser;
+  });
+
+  try {
+    return run.immediate();
+  } catch (error) {
+    return rethrowConstraint(error);
+  }
+}
+
+/**
+ * Delete a user
+ * @param {string} id - User ID
+ * @returns {Promise<boolean>} True if a user was deleted
+ */
+async function deleteUser(id) {
+  const database = await openDatabase();
+  return database.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+}
+
+const sqliteStore = { name: NAME, listUsers, getUserById, getUserByEmail, insertUser, updateUser, deleteUser };
+
+export default sqliteStore;
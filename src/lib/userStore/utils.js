@@ -0,0 +1,100 @@
+/**
+ * Shared helpers for user stores
+ */
+
+import { createLock } from '../serverStore';
+
+/**
+ * Normalize an email for comparison and lookups
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lowercase email
+ */
+export function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Create the error every store throws when an email is already registered
+ * @returns {Error} Error with code 'email_taken'
+ */
+export function emailTakenError() {
+  const error = new Error('Email sudah terdaftar');
+  error.code = 'email_taken';
+  return error;
+}
+
+/**
+ * Build a store for backends that keep every user in one document
+ * Each change is a read-modify-write of the whole list under `lock`, so
+ * concurrent changes cannot overwrite each other, and emails are checked
+ * for uniqueness inside the same lock.
+ * @param {Object} options - {name, load() => Promise<Array>, save(users) => Promise, lock}
+ * @returns {Object} User store
+ */
+export function createCollectionStore({ name, load, save, lock = createLock() }) {
+  const findByEmail = (users, email) => {
+    const normalizedEmail = normalizeEmail(email);
+    return users.find(user => normalizeEmail(user.email) === normalizedEmail) || null;
+  };
+
+  const assertEmailAvailable = (users, email, userId = null) => {
+    const existing = findByEmail(users, email);
+    if (existing && existing.id !== userId) {
+      throw emailTakenError();
+    }
+  };
+
+  async function listUsers() {
+    return load();
+  }
+
+  async function getUserById(id) {
+    return (await load()).find(user => user.id === id) || null;
+  }
+
+  async function getUserByEmail(email) {
+    return findByEmail(await load(), email);
+  }
+
+  function insertUser(user) {
+    return lock(async () => {
+      const users = await load();
+      assertEmailAvailable(users, user.email);
+      if (users.some(existing => existing.id === user.id)) {
+        throw new Error(`User ${user.id} already exists`);
+      }
+
+      await save([...users, user]);
+      return user;
+    });
+  }
+
+  function updateUser(id, update) {
+    return lock(async () => {
+      const users = await load();
+      const index = users.findIndex(user => user.id === id);
+      if (index === -1) return null;
+
+      const updatedUser = { ...update(users[index]), id };
+      assertEmailAvailable(users, updatedUser.email, id);
+
+      const updatedUsers = [...users];
+      updatedUsers[index] = updatedUser;
+      await save(updatedUsers);
+      return updatedUser;
+    });
+  }
+
+  function deleteUser(id) {
+    return lock(async () => {
+      const users = await load();
+      const remaining = users.filter(user => user.id !== id);
+      if (remaining.length === users.length) return false;
+
+      await save(remaining);
+      return true;
+    });
+  }
+
+  return { name, listUsers, getUserById, getUserByEmail, insertUser, updateUser, deleteUser };
+}
@@ -0,0 +1,18 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    // Same alias as jsconfig.json
+    alias: { '@': path.join(root, 'src') }
+  },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    // Keep users in memory instead of the default JSON file under .data
+    env: { USER_DB_ADAPTER: 'memory' }
+  }
+});